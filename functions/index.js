@@ -0,0 +1,36 @@
+// Cloud Functions for the AIP Real Estate app.
+const { onRequest } = require('firebase-functions/v2/https');
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+
+initializeApp();
+
+// Feed tokens are random UUIDs issued by the web app
+const TOKEN_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const APP_ID_PATTERN = /^[\w-]{1,128}$/;
+
+// Serves a user's published deal calendar as an ICS feed:
+//   GET /calendarFeed?token=<feedToken>&app=<appId>
+exports.calendarFeed = onRequest(async (req, res) => {
+  const token = String(req.query.token || '');
+  const appId = String(req.query.app || 'default-app-id');
+  if (!TOKEN_PATTERN.test(token) || !APP_ID_PATTERN.test(appId)) {
+    res.status(400).send('Invalid feed token.');
+    return;
+  }
+
+  try {
+    const snapshot = await getFirestore().doc(`artifacts/${appId}/calendarFeeds/${token}`).get();
+    if (!snapshot.exists) {
+      res.status(404).send('Calendar feed not found.');
+      return;
+    }
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="deal-calendar.ics"');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.status(200).send(snapshot.get('ics'));
+  } catch (e) {
+    console.error('Error serving calendar feed: ', e);
+    res.status(500).send('Failed to load calendar feed.');
+  }
+});
@@ -0,0 +1,4 @@
+// Tests run in a timezone ahead of UTC, where dates that slip through UTC land on the previous day
+module.exports = () => {
+  process.env.TZ = 'Pacific/Auckland';
+};
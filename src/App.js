@@ -1,25 +1,82 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInWithCustomToken, signInAnonymously, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, addDoc, onSnapshot, query, serverTimestamp, doc, deleteDoc, updateDoc } from 'firebase/firestore';
+import { getAuth, signInWithCustomToken, onAuthStateChanged, connectAuthEmulator } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator, collection, addDoc, onSnapshot, serverTimestamp, doc, deleteDoc, getDocs } from 'firebase/firestore';
 
 // Lucide React Icons for a clean look
-import { Sparkles, Trash2, Save, MapPin, XCircle, CheckCircle, ListTodo, DollarSign, Users, Phone, Mail, User, Search, BarChart3, Home, Contact, LayoutDashboard, Flag, ArrowUp, ArrowDown, Clock, Lightbulb, TrendingUp, Sun, Moon, Link, Settings, FileText, Calendar, Cloud, Globe, MessageCircle, PanelLeft, PanelRight } from 'lucide-react';
+import { Sparkles, Trash2, Save, MapPin, XCircle, CheckCircle, ListTodo, DollarSign, Users, Phone, Mail, User, Search, BarChart3, Home, Contact, LayoutDashboard, Flag, Clock, Lightbulb, TrendingUp, Sun, Moon, Settings, FileText, FileDown, Calendar, Cloud, Globe, MessageCircle, PanelLeft, PanelRight, Columns, Filter } from 'lucide-react';
 
 // Recharts for data visualization
-import { PieChart, Pie, Cell, Tooltip, ResponsiveContainer, Legend, LineChart, Line, XAxis, YAxis, CartesianGrid } from 'recharts';
-
-// shadcn/ui Card component for better structure
-const Card = ({ children, className, ...props }) => (
-  <div className={`bg-white dark:bg-gray-800 rounded-3xl shadow-xl border border-gray-200 dark:border-gray-700 p-6 sm:p-8 ${className}`} {...props}>
-    {children}
-  </div>
-);
+import { PieChart, Pie, Cell, Tooltip, ResponsiveContainer, Legend, XAxis, YAxis, CartesianGrid, BarChart, Bar } from 'recharts';
+
+// Pluggable AI provider layer (Gemini, OpenAI-compatible, offline stub)
+import { AI_PROVIDERS, generateText, loadAiSettings, saveAiSettings } from './ai/providers';
+import { LEAD_RESULT_SCHEMA, LEAD_BATCH_SCHEMA, validateLeadResult, validateLeadBatch, parseGeneratedResults, parseModelJson } from './ai/leadSchema';
+
+// Shared UI building blocks
+import { Card, showToast, ConfirmationModal } from './components/common';
+import CountyImportWizard from './components/CountyImportWizard';
+import PortfolioMap from './components/PortfolioMap';
+import PipelineBoard from './components/PipelineBoard';
+import StatusTimeline from './components/StatusTimeline';
+import LeadContacts from './components/LeadContacts';
+import CalendarEventsModal from './components/CalendarEventsModal';
+import CalendarFeedSettings from './components/CalendarFeedSettings';
+import FinancialAnalysis from './components/FinancialAnalysis';
+import UnderwritingBadge from './components/UnderwritingBadge';
+import DealScoreBadge from './components/DealScoreBadge';
+import ScoreWeightsSettings from './components/ScoreWeightsSettings';
+import OfferLetterModal from './components/OfferLetterModal';
+import DealMemoModal from './components/DealMemoModal';
+import LeadFilterPanel from './components/LeadFilterPanel';
+import BulkActionBar from './components/BulkActionBar';
+import WorkspaceBackup from './components/WorkspaceBackup';
+import AuthScreen from './components/AuthScreen';
+import AccountSettings from './components/AccountSettings';
+import WorkspaceSettings from './components/WorkspaceSettings';
+
+// Pipeline stages and map helpers
+import { LEAD_STATUSES, STATUS_BADGE_CLASSES, STATUS_COLORS } from './leadStatus';
+import { describeArea, getCoordinates } from './utils/geo';
+import { computeStageMetrics } from './leadHistory';
+import { ROLE_BADGE_CLASSES, getContactDeals } from './contactLinks';
+import { getUpcomingEvents, buildDealCalendar } from './calendarEvents';
+import { UNDERWRITING_FIELDS, createScenarioId, buildScenario, getActiveScenario, getScenarios, getUnderwritingSummary, upsertScenario, removeScenario } from './underwriting';
+import { formatCurrency } from './leadMetrics';
+import { DEFAULT_RENTAL_INPUTS } from './finance/rental';
+import { DEFAULT_STRATEGY_INPUTS } from './finance/strategies';
+import { EMPTY_REHAB_BUDGET, calculateRehabBudget } from './finance/rehab';
+import { DEFAULT_HOLDING_INPUTS, calculateHoldingCosts } from './finance/holding';
+import { DEFAULT_COMP_ADJUSTMENTS, EMPTY_COMP_SUBJECT, normalizeComp, estimateArv } from './finance/comps';
+import { computeDealScore, loadScoreWeights, saveScoreWeights } from './dealScore';
+import { DEFAULT_DOCUMENT_TEMPLATES, loadBuyerProfile, getMergeValues, renderTemplate, findMissingFields } from './documents';
+import { WORKSPACE_COLLECTIONS, LEAD_SUBCOLLECTIONS, buildWorkspaceExport } from './export/workspaceExport';
+import { LOCAL_USER_ID, isIndexedDbAvailable, createLocalStore, prepareChangeForSync } from './storage/localStore';
+import { toAccount, getAccountLabel } from './auth/session';
+import { userRootPath, dataRootPath } from './repositories/context';
+import { commitInBatches } from './repositories/batches';
+import { describeFailure } from './repositories/errors';
+import { createLeadRepository, encodeLead, decodeLead, scopeHistoryEntry } from './repositories/leadRepository';
+import { createContactRepository } from './repositories/contactRepository';
+import { createDocumentRepository } from './repositories/documentRepository';
+import { createWorkspaceRepository } from './repositories/workspaceRepository';
+import { createCalendarRepository } from './repositories/calendarRepository';
+import { PERSONAL_WORKSPACE_ID, loadActiveWorkspaceId, saveActiveWorkspaceId, canEditWorkspace, canManageMembers, buildMemberNames, isViewInWorkspace } from './workspaces';
+import { EMPTY_LEAD_FILTERS, ASSIGNMENT_VIEWS, SORT_OPTIONS, filterLeads, sortLeads, countActiveFilters, getPropertyTypes, serializeView } from './leadFilters';
 
 // --- Global Firebase and Auth setup ---
 // The following Firebase variables are provided by the canvas environment
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
+
+// Local development against the Firebase emulators (`npm run emulators`), e.g. REACT_APP_AUTH_EMULATOR_HOST=127.0.0.1:9099
+const authEmulatorHost = process.env.REACT_APP_AUTH_EMULATOR_HOST;
+const firestoreEmulatorHost = process.env.REACT_APP_FIRESTORE_EMULATOR_HOST;
+// The emulators accept any config; a demo- project id can never reach a real project
+const EMULATOR_FIREBASE_CONFIG = { apiKey: 'demo-key', authDomain: 'demo-aip.firebaseapp.com', projectId: 'demo-aip' };
+
+const firebaseConfig = typeof __firebase_config !== 'undefined'
+  ? JSON.parse(__firebase_config)
+  : (authEmulatorHost || firestoreEmulatorHost ? EMULATOR_FIREBASE_CONFIG : {});
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : undefined;
 
 let app;
@@ -32,48 +89,38 @@ if (Object.keys(firebaseConfig).length > 0) {
     app = initializeApp(firebaseConfig);
     auth = getAuth(app);
     db = getFirestore(app);
+    if (authEmulatorHost) {
+      connectAuthEmulator(auth, `http://${authEmulatorHost}`, { disableWarnings: true });
+    }
+    if (firestoreEmulatorHost) {
+      const [host, port] = firestoreEmulatorHost.split(':');
+      connectFirestoreEmulator(db, host, Number(port));
+    }
   } catch (e) {
     console.error("Firebase initialization failed:", e);
   }
 }
 
-// Reusable custom toast message component
-const showToast = (message, isError = false) => {
-  const toast = document.createElement('div');
-  toast.className = `fixed bottom-4 right-4 text-white px-4 py-2 rounded-full shadow-lg transition-all duration-300 ${isError ? 'bg-red-500' : 'bg-green-500'}`;
-  toast.textContent = message;
-  document.body.appendChild(toast);
-  setTimeout(() => {
-    toast.classList.add('opacity-0');
-    setTimeout(() => document.body.removeChild(toast), 500);
-  }, 3000);
-};
+// Without a Firebase config, leads and contacts are kept on this device instead
+const localStore = isIndexedDbAvailable() ? createLocalStore() : null;
+const isLocalMode = !app && localStore !== null;
 
-// Reusable Confirmation modal component
-const ConfirmationModal = ({ show, title, message, onConfirm, onCancel }) => {
-  if (!show) return null;
-  return (
-    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 z-50 overflow-y-auto h-full w-full flex items-center justify-center p-4">
-      <div className="bg-white dark:bg-gray-900 rounded-2xl shadow-2xl p-8 w-11/12 md:w-2/3 lg:w-1/3 border border-gray-200 dark:border-gray-700 transform transition-all duration-300 scale-100">
-        <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4">{title}</h3>
-        <p className="text-gray-600 dark:text-gray-400 mb-6">{message}</p>
-        <div className="flex justify-end space-x-4">
-          <button
-            onClick={onCancel}
-            className="px-6 py-2 rounded-full text-gray-700 dark:text-gray-300 bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors duration-200"
-          >
-            Cancel
-          </button>
-          <button
-            onClick={onConfirm}
-            className="px-6 py-2 rounded-full text-white bg-red-600 hover:bg-red-700 transition-colors duration-200"
-          >
-            Delete
-          </button>
-        </div>
-      </div>
-    </div>
-  );
+// Prompt for the AI analysis of a single property
+const buildLeadAnalysisPrompt = (details, lat, lng) => {
+  let prompt = `Analyze the following property for potential real estate flipping or development. 
+    Property Details: "${details}".`;
+
+  if (lat && lng) {
+    prompt += `\nLocation Coordinates: Latitude ${lat}, Longitude ${lng}.`;
+  }
+
+  prompt += `\n\nGenerate a detailed response in JSON format with the following keys: 
+    "detailedPropertySummary": a comprehensive analysis of the property, its potential, and surrounding market.
+    "suggestedOfferRange": a calculated offer range based on the analysis (e.g., "$150,000 - $180,000").
+    "buyerProfiles": an array of ideal buyer profiles for this property.
+    "sellerOutreachAngles": an array of persuasive angles for contacting the seller.
+    "dueDiligenceChecklist": an array of critical items for due diligence.`;
+  return prompt;
 };
 
 // Map component using a unique ref to prevent conflicts
@@ -115,67 +162,10 @@ const MapComponent = ({ lat, lng }) => {
   return <div ref={mapContainerRef} className="w-full h-80 rounded-2xl shadow-inner mt-6"></div>;
 };
 
-// Modal for document generation
-const DocumentModal = ({ show, title, content, onClose }) => {
-  if (!show) return null;
-
-  const copyToClipboard = async () => {
-    try {
-      // Use the modern clipboard API
-      await navigator.clipboard.writeText(content);
-      showToast('Content copied to clipboard!');
-    } catch (e) {
-      console.error('Failed to copy to clipboard:', e);
-      // Fallback for older browsers or permission issues
-      try {
-        const el = document.createElement('textarea');
-        el.value = content;
-        document.body.appendChild(el);
-        el.select();
-        document.execCommand('copy');
-        document.body.removeChild(el);
-        showToast('Content copied to clipboard via fallback!');
-      } catch (err) {
-        console.error('Failed to copy using fallback:', err);
-        showToast('Failed to copy. Please copy manually.', true);
-      }
-    }
-  };
-
-  return (
-    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 z-50 overflow-y-auto h-full w-full flex items-center justify-center p-4">
-      <div className="bg-white dark:bg-gray-900 rounded-2xl shadow-2xl p-8 w-full max-w-3xl border border-gray-200 dark:border-gray-700 transform transition-all duration-300 scale-100 relative">
-        <h3 className="text-2xl font-bold text-gray-900 dark:text-white mb-4">{title}</h3>
-        <button onClick={onClose} className="absolute top-4 right-4 text-gray-500 hover:text-gray-900 dark:hover:text-white">
-          <XCircle className="w-6 h-6" />
-        </button>
-        <div className="prose dark:prose-invert max-w-none bg-gray-50 dark:bg-gray-800 p-6 rounded-xl overflow-y-auto max-h-[70vh]">
-          <pre className="whitespace-pre-wrap font-sans text-sm">{content}</pre>
-        </div>
-        <div className="mt-6 flex flex-col sm:flex-row justify-end space-y-4 sm:space-y-0 sm:space-x-4">
-          <button
-            onClick={copyToClipboard}
-            className="px-6 py-2 rounded-full text-white bg-blue-600 hover:bg-blue-700 transition-colors duration-200 flex items-center justify-center"
-          >
-            <Link className="w-5 h-5 mr-2" />
-            Copy to Clipboard
-          </button>
-          <button
-            onClick={onClose}
-            className="px-6 py-2 rounded-full text-gray-700 dark:text-gray-300 bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors duration-200 justify-center"
-          >
-            Close
-          </button>
-        </div>
-      </div>
-    </div>
-  );
-};
-
 // Component for the main lead generation form and results
 const LeadGenerator = ({
   propertyDetails, setPropertyDetails, latitude, setLatitude, longitude, setLongitude,
-  imageFile, setImageFile, findLeads, isLoading, results, error, showPropertyDetails,
+  imageFile, setImageFile, findLeads, isLoading, results, resultIssues, error, showPropertyDetails,
   togglePropertyDetails, saveIdea, userId, setSaveMessage
 }) => {
   const [showConfirmation, setShowConfirmation] = useState(false);
@@ -252,6 +242,14 @@ const LeadGenerator = ({
       {results && (
         <Card className="mt-6 border-blue-200 dark:border-blue-700 bg-blue-50 dark:bg-blue-950">
           <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4">Generated Lead</h3>
+          {resultIssues.length > 0 && (
+            <div className="bg-yellow-100 dark:bg-yellow-900 border-l-4 border-yellow-500 text-yellow-800 dark:text-yellow-200 p-4 mb-4 rounded-xl">
+              <p className="font-semibold">Partial result: some fields were missing or malformed and have been repaired.</p>
+              <ul className="list-disc list-inside text-sm mt-2">
+                {resultIssues.map((issue, index) => <li key={index}>{issue}</li>)}
+              </ul>
+            </div>
+          )}
           <div className="prose dark:prose-invert max-w-none space-y-4">
             <h4 className="font-semibold text-lg">Property Summary</h4>
             <p className="text-gray-700 dark:text-gray-300">
@@ -293,25 +291,63 @@ const LeadGenerator = ({
 // Component for managing deal flow and saved ideas
 const DealFlowManager = ({
   savedIdeas, deleteIdea, togglePropertyDetails, showPropertyDetails, generateOfferLetter,
-  isGeneratingOffer, toggleIdeaDeleteModal, ideaToDelete, showIdeaDeleteModal,
-  syncToCalendar, runAutomatedLeadSearch, isAutoGenerating, autoGenProgress, importCountyProperties,
-  updateLeadStatus
+  toggleIdeaDeleteModal, ideaToDelete, showIdeaDeleteModal,
+  syncToCalendar, exportDealMemo, runAutomatedLeadSearch, isAutoGenerating, autoGenProgress, openCountyImport,
+  updateLeadStatus, assignLead, userId, isTeamWorkspace, workspaceMembers, memberNames, canEdit,
+  areaFilter, setAreaFilter, focusedLeadId, onOpenLead, subscribeToStatusHistory,
+  savedContacts, linkContactToLead, unlinkContactFromLead, onAnalyze, scoreWeights,
+  leadFilters, setLeadFilters, sortOrder, setSortOrder, savedViews, saveFilterView, deleteFilterView,
+  bulkProgress, bulkUpdateStatus, bulkAssignLeads, bulkDeleteIdeas, bulkGenerateOfferLetters, bulkAnalyzeLeads
 }) => {
-  const [ideaSearchTerm, setIdeaSearchTerm] = useState('');
+  const [viewMode, setViewMode] = useState('list'); // 'list' | 'board'
+  const [showFilters, setShowFilters] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const lastSelectedIdRef = useRef(null);
+
+  const filteredIdeas = filterLeads(savedIdeas, { ...leadFilters, area: areaFilter }, { userId });
+  const activeFilterCount = countActiveFilters(leadFilters, areaFilter);
+
+  // Teammates a lead can be assigned to, by name
+  const assignees = isTeamWorkspace ? workspaceMembers.map(member => ({ uid: member.uid, name: memberNames[member.uid] })) : null;
+
+  // Deal scores for every visible lead
+  const scoresById = Object.fromEntries(filteredIdeas.map(idea => [idea.id, computeDealScore(idea, scoreWeights)]));
+  const sortedIdeas = sortLeads(filteredIdeas, sortOrder, scoresById);
+
+  // Batch actions only apply to selected leads that are still shown
+  const selectedIdeas = sortedIdeas.filter(idea => selectedIds.includes(idea.id));
+  const allSelected = sortedIdeas.length > 0 && selectedIdeas.length === sortedIdeas.length;
+
+  // Shift-click selects or clears the whole range from the previously clicked lead
+  const toggleSelection = (id, isRange) => {
+    const index = sortedIdeas.findIndex(idea => idea.id === id);
+    const anchorIndex = sortedIdeas.findIndex(idea => idea.id === lastSelectedIdRef.current);
+    const rangeIds = isRange && anchorIndex !== -1
+      ? sortedIdeas.slice(Math.min(index, anchorIndex), Math.max(index, anchorIndex) + 1).map(idea => idea.id)
+      : [id];
+    setSelectedIds(selectedIds.includes(id)
+      ? selectedIds.filter(selectedId => !rangeIds.includes(selectedId))
+      : [...new Set([...selectedIds, ...rangeIds])]);
+    lastSelectedIdRef.current = id;
+  };
+
+  const toggleSelectAll = () => {
+    setSelectedIds(allSelected ? [] : sortedIdeas.map(idea => idea.id));
+    lastSelectedIdRef.current = null;
+  };
+
+  // Scroll to a lead opened from the portfolio map or the board
+  useEffect(() => {
+    if (focusedLeadId && viewMode === 'list') {
+      document.getElementById(`lead-${focusedLeadId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [focusedLeadId, viewMode]);
+
+  const openFromBoard = (id) => {
+    setViewMode('list');
+    onOpenLead(id);
+  };
 
-  const filteredIdeas = savedIdeas.filter(idea =>
-    (idea.propertyDetails && idea.propertyDetails.toLowerCase().includes(ideaSearchTerm.toLowerCase())) ||
-    (idea.userId && idea.userId.toLowerCase().includes(ideaSearchTerm.toLowerCase()))
-  );
-  
-  const statusColors = {
-    'New': 'bg-gray-200 text-gray-800',
-    'Contacted': 'bg-yellow-200 text-yellow-800',
-    'Offer Made': 'bg-blue-200 text-blue-800',
-    'Under Contract': 'bg-purple-200 text-purple-800',
-    'Sold': 'bg-green-200 text-green-800',
-  }
-  
   return (
     <Card className="flex-1">
       <div className="flex flex-col sm:flex-row justify-between items-center mb-6 space-y-4 sm:space-y-0">
@@ -320,138 +356,301 @@ const DealFlowManager = ({
           Deal Flow & Leads
         </h2>
         <div className="flex space-x-2">
+          <div className="flex rounded-full bg-gray-200 dark:bg-gray-700 p-1">
+            <button
+              onClick={() => setViewMode('list')}
+              className={`p-2 rounded-full transition-colors ${viewMode === 'list' ? 'bg-white dark:bg-gray-900 text-indigo-600 shadow' : 'text-gray-500'}`}
+              title="List view"
+            >
+              <ListTodo className="w-5 h-5" />
+            </button>
+            <button
+              onClick={() => setViewMode('board')}
+              className={`p-2 rounded-full transition-colors ${viewMode === 'board' ? 'bg-white dark:bg-gray-900 text-indigo-600 shadow' : 'text-gray-500'}`}
+              title="Board view"
+            >
+              <Columns className="w-5 h-5" />
+            </button>
+          </div>
           <input
             type="text"
             className="p-2 border border-gray-300 dark:border-gray-700 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 transition-all"
             placeholder="Search leads..."
-            value={ideaSearchTerm}
-            onChange={(e) => setIdeaSearchTerm(e.target.value)}
+            value={leadFilters.search}
+            onChange={(e) => setLeadFilters({ ...leadFilters, search: e.target.value })}
           />
           <button
-            onClick={importCountyProperties}
-            className="bg-teal-600 text-white font-bold py-2 px-4 rounded-full shadow-lg hover:bg-teal-700 transition-all duration-300 flex items-center justify-center space-x-2"
+            onClick={() => setShowFilters(!showFilters)}
+            className={`p-2 rounded-xl flex items-center space-x-1 text-sm font-semibold transition-colors ${showFilters || activeFilterCount > 0 ? 'bg-indigo-100 dark:bg-indigo-900 text-indigo-700 dark:text-indigo-200' : 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300'}`}
+            title="Filters and saved views"
           >
-            <Flag className="w-5 h-5" />
-            <span>Import County Properties</span>
+            <Filter className="w-5 h-5" />
+            {activeFilterCount > 0 && <span>{activeFilterCount}</span>}
           </button>
-          <button
-            onClick={runAutomatedLeadSearch}
-            disabled={isAutoGenerating}
-            className="bg-purple-600 text-white font-bold py-2 px-4 rounded-full shadow-lg hover:bg-purple-700 transition-all duration-300 disabled:bg-gray-400 flex items-center justify-center space-x-2"
+          <select
+            value={sortOrder}
+            onChange={(e) => setSortOrder(e.target.value)}
+            className="p-2 border border-gray-300 dark:border-gray-700 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 text-sm"
+            title="Sort leads"
           >
-            <Sparkles className="w-5 h-5" />
-            <span>{isAutoGenerating ? 'Generating...' : 'Auto-Generate'}</span>
-          </button>
+            {SORT_OPTIONS.map(({ key, label }) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          {canEdit && (
+            <>
+              <button
+                onClick={openCountyImport}
+                className="bg-teal-600 text-white font-bold py-2 px-4 rounded-full shadow-lg hover:bg-teal-700 transition-all duration-300 flex items-center justify-center space-x-2"
+              >
+                <Flag className="w-5 h-5" />
+                <span>Import County Properties</span>
+              </button>
+              <button
+                onClick={runAutomatedLeadSearch}
+                disabled={isAutoGenerating}
+                className="bg-purple-600 text-white font-bold py-2 px-4 rounded-full shadow-lg hover:bg-purple-700 transition-all duration-300 disabled:bg-gray-400 flex items-center justify-center space-x-2"
+              >
+                <Sparkles className="w-5 h-5" />
+                <span>{isAutoGenerating ? 'Generating...' : 'Auto-Generate'}</span>
+              </button>
+            </>
+          )}
         </div>
       </div>
+      {isTeamWorkspace && (
+        <div className="flex rounded-full bg-gray-200 dark:bg-gray-700 p-1 mb-4 w-fit">
+          {ASSIGNMENT_VIEWS.map(({ key, label }) => (
+            <button
+              key={key}
+              onClick={() => setLeadFilters({ ...leadFilters, assignment: key })}
+              className={`px-4 py-1 rounded-full text-sm font-semibold transition-colors ${leadFilters.assignment === key ? 'bg-white dark:bg-gray-900 text-indigo-600 shadow' : 'text-gray-500'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+      {showFilters && (
+        <LeadFilterPanel
+          filters={leadFilters}
+          setFilters={setLeadFilters}
+          areaFilter={areaFilter}
+          setAreaFilter={setAreaFilter}
+          sortOrder={sortOrder}
+          setSortOrder={setSortOrder}
+          propertyTypes={getPropertyTypes(savedIdeas)}
+          savedViews={savedViews}
+          saveFilterView={saveFilterView}
+          deleteFilterView={deleteFilterView}
+          matchCount={filteredIdeas.length}
+          totalCount={savedIdeas.length}
+        />
+      )}
+      {areaFilter && !showFilters && (
+        <div className="w-full flex items-center justify-between bg-teal-50 dark:bg-teal-950 text-teal-800 dark:text-teal-200 p-3 mb-4 rounded-xl text-sm">
+          <span>Map filter: {describeArea(areaFilter)} ({filteredIdeas.length} leads)</span>
+          <button onClick={() => setAreaFilter(null)} className="flex items-center font-semibold hover:underline">
+            <XCircle className="w-4 h-4 mr-1" />
+            Clear
+          </button>
+        </div>
+      )}
+      {(selectedIdeas.length > 0 || bulkProgress) && (
+        <BulkActionBar
+          selectedIdeas={selectedIdeas}
+          clearSelection={() => setSelectedIds([])}
+          bulkProgress={bulkProgress}
+          canEdit={canEdit && !isLocalMode}
+          assignees={assignees}
+          bulkUpdateStatus={bulkUpdateStatus}
+          bulkAssignLeads={bulkAssignLeads}
+          bulkDeleteIdeas={bulkDeleteIdeas}
+          bulkGenerateOfferLetters={bulkGenerateOfferLetters}
+          bulkAnalyzeLeads={bulkAnalyzeLeads}
+        />
+      )}
       {isAutoGenerating && (
         <div className="w-full bg-yellow-100 dark:bg-yellow-900 border-l-4 border-yellow-500 text-yellow-800 dark:text-yellow-200 p-4 mb-4 rounded-xl shadow-md">
           <p className="font-medium animate-pulse">{autoGenProgress}</p>
         </div>
       )}
-      <div className="space-y-4 overflow-y-auto max-h-[calc(100vh-250px)]">
-        {filteredIdeas.length > 0 ? (
-          filteredIdeas.map((idea) => (
-            <Card key={idea.id} className="border-indigo-200 dark:border-indigo-700">
-              <div className="flex items-start justify-between">
-                <div className="flex-1">
-                  <div className="flex items-center space-x-2 mb-2">
-                    <h3 className="text-xl font-bold text-gray-900 dark:text-white">{idea.propertyDetails}</h3>
-                    {idea.source === 'county' && (
-                      <span className="bg-teal-500 text-white text-xs font-semibold px-2 py-1 rounded-full flex items-center">
-                        <Flag className="w-3 h-3 mr-1" />
-                        County Lead
-                      </span>
-                    )}
-                  </div>
-                  <div className="flex items-center text-sm text-gray-500 dark:text-gray-400 mt-2 space-x-2 flex-wrap">
-                    <div className="flex items-center space-x-1">
-                      <User className="w-4 h-4" />
-                      <span>{idea.userId}</span>
-                    </div>
-                    <div className="flex items-center space-x-1 ml-4">
-                      <Clock className="w-4 h-4" />
-                      <span>{new Date(idea.timestamp?.toMillis()).toLocaleString()}</span>
+      {viewMode === 'board' ? (
+        <PipelineBoard ideas={sortedIdeas} updateLeadStatus={updateLeadStatus} onOpenLead={openFromBoard} />
+      ) : (
+        <div className="space-y-4 overflow-y-auto max-h-[calc(100vh-250px)]">
+          {sortedIdeas.length > 0 && (
+            <label className="flex items-center space-x-2 text-sm text-gray-600 dark:text-gray-400">
+              <input type="checkbox" checked={allSelected} onChange={toggleSelectAll} className="rounded" />
+              <span>Select all {sortedIdeas.length} shown (shift-click to select a range)</span>
+            </label>
+          )}
+          {sortedIdeas.length > 0 ? (
+            sortedIdeas.map((idea) => (
+              <Card key={idea.id} id={`lead-${idea.id}`} className={idea.id === focusedLeadId ? 'border-indigo-500 ring-2 ring-indigo-400' : 'border-indigo-200 dark:border-indigo-700'}>
+                <div className="flex items-start justify-between">
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.includes(idea.id)}
+                    onClick={(e) => toggleSelection(idea.id, e.shiftKey)}
+                    readOnly
+                    className="mt-2 mr-4 w-4 h-4 rounded flex-shrink-0"
+                    title="Select lead"
+                  />
+                  <div className="flex-1">
+                    <div className="flex items-center space-x-2 mb-2">
+                      <h3 className="text-xl font-bold text-gray-900 dark:text-white">{idea.propertyDetails}</h3>
+                      {idea.source === 'county' && (
+                        <span className="bg-teal-500 text-white text-xs font-semibold px-2 py-1 rounded-full flex items-center">
+                          <Flag className="w-3 h-3 mr-1" />
+                          {idea.listType || 'County Lead'}
+                        </span>
+                      )}
                     </div>
-                    {idea.taxAmount && (
-                      <div className="flex items-center space-x-1 ml-4">
-                        <DollarSign className="w-4 h-4 text-red-500" />
-                        <span className="text-red-500">Tax Due: ${idea.taxAmount.toLocaleString()}</span>
+                    <div className="flex items-center text-sm text-gray-500 dark:text-gray-400 mt-2 space-x-2 flex-wrap">
+                      {assignees && (
+                        <div className="flex items-center space-x-1 mr-4">
+                          <User className="w-4 h-4" />
+                          <select
+                            value={idea.assignedTo || ''}
+                            onChange={(e) => assignLead(idea.id, e.target.value || null)}
+                            disabled={!canEdit}
+                            className="p-1 rounded-lg bg-transparent border border-gray-300 dark:border-gray-700 text-sm"
+                            title="Assigned to"
+                          >
+                            <option value="">Unassigned</option>
+                            {assignees.map(({ uid, name }) => (
+                              <option key={uid} value={uid}>{name}</option>
+                            ))}
+                            {idea.assignedTo && !memberNames[idea.assignedTo] && <option value={idea.assignedTo}>Former member</option>}
+                          </select>
+                        </div>
+                      )}
+                      <div className="flex items-center space-x-1">
+                        <Clock className="w-4 h-4" />
+                        <span>{new Date(idea.timestamp?.toMillis()).toLocaleString()}</span>
                       </div>
-                    )}
-                    {idea.propertyType && (
+                      {idea.taxAmount && (
                         <div className="flex items-center space-x-1 ml-4">
-                          <Home className="w-4 h-4" />
-                          <span>Type: {idea.propertyType}</span>
+                          <DollarSign className="w-4 h-4 text-red-500" />
+                          <span className="text-red-500">Tax Due: ${idea.taxAmount.toLocaleString()}</span>
                         </div>
-                    )}
-                  </div>
-                  <div className="mt-4 flex items-center">
-                    <span className="font-semibold text-sm text-gray-700 dark:text-gray-300 mr-2">Status:</span>
-                    <select
-                      value={idea.status || 'New'}
-                      onChange={(e) => updateLeadStatus(idea.id, e.target.value)}
-                      className={`p-2 rounded-xl text-xs font-medium ${statusColors[idea.status] || statusColors['New']} transition-colors duration-200`}
-                    >
-                      {Object.keys(statusColors).map(status => (
-                        <option key={status} value={status}>{status}</option>
-                      ))}
-                    </select>
-                  </div>
-                </div>
-                <div className="flex-shrink-0 flex space-x-2">
-                  <button onClick={() => togglePropertyDetails(idea.id)} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors">
-                    <MapPin className="w-5 h-5 text-gray-500" />
-                  </button>
-                  <button onClick={() => toggleIdeaDeleteModal(idea)} className="p-2 rounded-full hover:bg-red-100 dark:hover:bg-red-800 transition-colors">
-                    <Trash2 className="w-5 h-5 text-red-500" />
-                  </button>
-                </div>
-              </div>
-              {showPropertyDetails[idea.id] && (
-                <div className="mt-4 border-t border-gray-200 dark:border-gray-700 pt-4 space-y-4">
-                  {idea.generatedResults && (
-                    <div className="prose dark:prose-invert max-w-none">
-                      <h4 className="font-semibold text-lg">Detailed Summary</h4>
-                      <p>{JSON.parse(idea.generatedResults).detailedPropertySummary}</p>
-                      <h4 className="font-semibold text-lg mt-4">Due Diligence Checklist</h4>
-                      <ul className="list-disc list-inside">
-                        {JSON.parse(idea.generatedResults).dueDiligenceChecklist.map((item, idx) => (
-                          <li key={idx}>{item}</li>
+                      )}
+                      {idea.propertyType && (
+                          <div className="flex items-center space-x-1 ml-4">
+                            <Home className="w-4 h-4" />
+                            <span>Type: {idea.propertyType}</span>
+                          </div>
+                      )}
+                      {idea.parcelId && (
+                        <div className="flex items-center space-x-1 ml-4">
+                          <MapPin className="w-4 h-4" />
+                          <span>Parcel: {idea.parcelId}</span>
+                        </div>
+                      )}
+                      {idea.ownerName && (
+                        <div className="flex items-center space-x-1 ml-4">
+                          <Contact className="w-4 h-4" />
+                          <span>Owner: {idea.ownerName}</span>
+                        </div>
+                      )}
+                    </div>
+                    <div className="mt-4 flex items-center">
+                      <span className="font-semibold text-sm text-gray-700 dark:text-gray-300 mr-2">Status:</span>
+                      <select
+                        value={idea.status || 'New'}
+                        onChange={(e) => updateLeadStatus(idea.id, e.target.value)}
+                        disabled={!canEdit}
+                        className={`p-2 rounded-xl text-xs font-medium ${STATUS_BADGE_CLASSES[idea.status] || STATUS_BADGE_CLASSES['New']} transition-colors duration-200`}
+                      >
+                        {LEAD_STATUSES.map(status => (
+                          <option key={status} value={status}>{status}</option>
                         ))}
-                      </ul>
+                      </select>
+                      <UnderwritingBadge idea={idea} className="ml-3" />
                     </div>
-                  )}
-                  <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2 mt-4">
-                    <button
-                      onClick={() => generateOfferLetter(idea)}
-                      disabled={isGeneratingOffer}
-                      className="flex-1 bg-blue-600 text-white font-bold py-2 px-4 rounded-full shadow-lg hover:bg-blue-700 transition-all duration-300 flex items-center justify-center space-x-2 disabled:bg-gray-400"
-                    >
-                      {isGeneratingOffer ? 'Generating...' : <>
-                        <FileText className="w-5 h-5" />
-                        <span>Generate Offer</span>
-                      </>}
+                    <div className="mt-3">
+                      <DealScoreBadge result={scoresById[idea.id]} />
+                    </div>
+                  </div>
+                  <div className="flex-shrink-0 flex space-x-2">
+                    <button onClick={() => onAnalyze(idea)} className="p-2 rounded-full hover:bg-green-100 dark:hover:bg-green-800 transition-colors" title="Analyze">
+                      <DollarSign className="w-5 h-5 text-green-500" />
                     </button>
-                    <button
-                      onClick={() => syncToCalendar(idea)}
-                      className="flex-1 bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-gray-200 font-bold py-2 px-4 rounded-full shadow-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-all duration-300 flex items-center justify-center space-x-2"
-                    >
-                      <Calendar className="w-5 h-5" />
-                      <span>Sync to Calendar</span>
+                    <button onClick={() => togglePropertyDetails(idea.id)} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors">
+                      <MapPin className="w-5 h-5 text-gray-500" />
                     </button>
+                    {canEdit && (
+                      <button onClick={() => toggleIdeaDeleteModal(idea)} className="p-2 rounded-full hover:bg-red-100 dark:hover:bg-red-800 transition-colors">
+                        <Trash2 className="w-5 h-5 text-red-500" />
+                      </button>
+                    )}
                   </div>
                 </div>
-              )}
-            </Card>
-          ))
-        ) : (
-          <div className="text-center text-gray-500 dark:text-gray-400 py-12">
-            <Lightbulb className="w-12 h-12 mx-auto mb-4" />
-            <p className="text-lg">No leads saved yet. Generate one in the AI Lead Generator tab!</p>
-          </div>
-        )}
-      </div>
+                {showPropertyDetails[idea.id] && (
+                  <div className="mt-4 border-t border-gray-200 dark:border-gray-700 pt-4 space-y-4">
+                    {idea.generatedResults && (
+                      <div className="prose dark:prose-invert max-w-none">
+                        <h4 className="font-semibold text-lg">Detailed Summary</h4>
+                        <p>{parseGeneratedResults(idea.generatedResults).detailedPropertySummary}</p>
+                        <h4 className="font-semibold text-lg mt-4">Due Diligence Checklist</h4>
+                        <ul className="list-disc list-inside">
+                          {parseGeneratedResults(idea.generatedResults).dueDiligenceChecklist.map((item, idx) => (
+                            <li key={idx}>{item}</li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                    <LeadContacts
+                      idea={idea}
+                      savedContacts={savedContacts}
+                      linkContactToLead={linkContactToLead}
+                      unlinkContactFromLead={unlinkContactFromLead}
+                      canEdit={canEdit}
+                    />
+                    <StatusTimeline idea={idea} subscribeToStatusHistory={subscribeToStatusHistory} memberNames={memberNames} />
+                    <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2 mt-4">
+                      {/* Letters and calendar events are only kept in Firestore */}
+                      {!isLocalMode && (
+                        <>
+                          <button
+                            onClick={() => generateOfferLetter(idea)}
+                            className="flex-1 bg-blue-600 text-white font-bold py-2 px-4 rounded-full shadow-lg hover:bg-blue-700 transition-all duration-300 flex items-center justify-center space-x-2"
+                          >
+                            <FileText className="w-5 h-5" />
+                            <span>Generate Offer</span>
+                          </button>
+                          <button
+                            onClick={() => syncToCalendar(idea)}
+                            className="flex-1 bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-gray-200 font-bold py-2 px-4 rounded-full shadow-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-all duration-300 flex items-center justify-center space-x-2"
+                          >
+                            <Calendar className="w-5 h-5" />
+                            <span>Sync to Calendar</span>
+                          </button>
+                        </>
+                      )}
+                      <button
+                        onClick={() => exportDealMemo(idea)}
+                        className="flex-1 bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-gray-200 font-bold py-2 px-4 rounded-full shadow-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-all duration-300 flex items-center justify-center space-x-2"
+                      >
+                        <FileDown className="w-5 h-5" />
+                        <span>Deal Memo</span>
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </Card>
+            ))
+          ) : (
+            <div className="text-center text-gray-500 dark:text-gray-400 py-12">
+              <Lightbulb className="w-12 h-12 mx-auto mb-4" />
+              <p className="text-lg">
+                {savedIdeas.length > 0 ? 'No leads match these filters.' : 'No leads saved yet. Generate one in the AI Lead Generator tab!'}
+              </p>
+            </div>
+          )}
+        </div>
+      )}
       <ConfirmationModal
         show={showIdeaDeleteModal}
         title="Confirm Deletion"
@@ -463,170 +662,11 @@ const DealFlowManager = ({
   );
 };
 
-// Component for Financial Analysis
-const FinancialAnalysis = ({
-  purchasePrice, setPurchasePrice, salesPrice, setSalesPrice,
-  closingCosts, setClosingCosts, rehabCosts, setRehabCosts,
-  holdingCosts, setHoldingCosts, dealScore, advancedScore,
-  marketTrendAnalysis, isMarketAnalysisLoading, runMarketAnalysis,
-  compsData, setCompsData, compsInput, setCompsInput,
-  compsResults, isCompsLoading, findComparables, showAdvancedAnalysis, setShowAdvancedAnalysis
-}) => {
-  const [profit, setProfit] = useState(0);
-  const [roi, setRoi] = useState(0);
-
-  useEffect(() => {
-    const p = parseFloat(purchasePrice) || 0;
-    const s = parseFloat(salesPrice) || 0;
-    const c = parseFloat(closingCosts) || 0;
-    const r = parseFloat(rehabCosts) || 0;
-    const h = parseFloat(holdingCosts) || 0;
-
-    const totalCosts = p + c + r + h;
-    const calculatedProfit = s - totalCosts;
-    const calculatedRoi = totalCosts > 0 ? (calculatedProfit / totalCosts) * 100 : 0;
-
-    setProfit(calculatedProfit);
-    setRoi(calculatedRoi);
-
-  }, [purchasePrice, salesPrice, closingCosts, rehabCosts, holdingCosts]);
-
-  const addComp = () => {
-    if (compsInput) {
-      const newComps = [...compsData, { name: `Comp ${compsData.length + 1}`, price: parseFloat(compsInput), date: new Date().toISOString().slice(0, 10) }];
-      setCompsData(newComps);
-      setCompsInput('');
-    }
-  };
-
-  const pieData = [
-    { name: 'Purchase Price', value: parseFloat(purchasePrice) || 0, color: '#4B5563' },
-    { name: 'Closing Costs', value: parseFloat(closingCosts) || 0, color: '#3B82F6' },
-    { name: 'Rehab Costs', value: parseFloat(rehabCosts) || 0, color: '#10B981' },
-    { name: 'Holding Costs', value: parseFloat(holdingCosts) || 0, color: '#F97316' },
-  ];
-  const COLORS = ['#4B5563', '#3B82F6', '#10B981', '#F97316'];
-
-  const lineData = compsData.map(comp => ({
-    name: comp.date,
-    price: comp.price
-  })).sort((a,b) => new Date(a.name) - new Date(b.name));
-
-  return (
-    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-      <Card>
-        <h2 className="text-3xl font-extrabold text-gray-900 dark:text-white mb-6 flex items-center">
-          <DollarSign className="w-8 h-8 mr-3 text-green-400" />
-          Financial Analysis
-        </h2>
-        <div className="space-y-4">
-          <input type="number" placeholder="Purchase Price" value={purchasePrice} onChange={(e) => setPurchasePrice(e.target.value)} className="w-full p-4 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700" />
-          <input type="number" placeholder="Estimated Sales Price" value={salesPrice} onChange={(e) => setSalesPrice(e.target.value)} className="w-full p-4 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700" />
-          <input type="number" placeholder="Closing Costs" value={closingCosts} onChange={(e) => setClosingCosts(e.target.value)} className="w-full p-4 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700" />
-          <input type="number" placeholder="Rehab Costs" value={rehabCosts} onChange={(e) => setRehabCosts(e.target.value)} className="w-full p-4 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700" />
-          <input type="number" placeholder="Holding Costs" value={holdingCosts} onChange={(e) => setHoldingCosts(e.target.value)} className="w-full p-4 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700" />
-        </div>
-        <div className="mt-6 space-y-4 text-gray-900 dark:text-white">
-          <div className={`p-4 rounded-xl font-bold text-xl flex justify-between ${profit > 0 ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200' : 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'}`}>
-            <span>Total Profit</span>
-            <span>{`$${profit.toLocaleString()}`}</span>
-          </div>
-          <div className="p-4 rounded-xl bg-gray-100 dark:bg-gray-700 font-bold text-xl flex justify-between">
-            <span>ROI</span>
-            <span>{`${roi.toFixed(2)}%`}</span>
-          </div>
-        </div>
-        <div className="mt-6 text-center">
-          <button
-            onClick={() => setShowAdvancedAnalysis(!showAdvancedAnalysis)}
-            className="text-blue-500 hover:text-blue-700 font-bold flex items-center justify-center mx-auto"
-          >
-            {showAdvancedAnalysis ? 'Hide Advanced Analysis' : 'Show Advanced Analysis'}
-            {showAdvancedAnalysis ? <ArrowUp className="w-4 h-4 ml-2" /> : <ArrowDown className="w-4 h-4 ml-2" />}
-          </button>
-        </div>
-      </Card>
-      {showAdvancedAnalysis && (
-        <div className="space-y-6">
-          <Card>
-            <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4">Cost Breakdown</h3>
-            <div className="h-64 flex justify-center items-center">
-              <ResponsiveContainer width="100%" height="100%">
-                <PieChart>
-                  <Pie
-                    data={pieData.filter(d => d.value > 0)}
-                    dataKey="value"
-                    nameKey="name"
-                    cx="50%"
-                    cy="50%"
-                    outerRadius={80}
-                    fill="#8884d8"
-                    label
-                  >
-                    {pieData.map((entry, index) => (
-                      <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                    ))}
-                  </Pie>
-                  <Tooltip formatter={(value) => `$${value.toLocaleString()}`} />
-                  <Legend />
-                </PieChart>
-              </ResponsiveContainer>
-            </div>
-          </Card>
-          <Card>
-            <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4">Market Trend Analysis</h3>
-            <div className="flex space-x-2 mb-4">
-              <input
-                type="number"
-                className="flex-1 p-2 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700"
-                placeholder="Add recent comp price"
-                value={compsInput}
-                onChange={(e) => setCompsInput(e.target.value)}
-              />
-              <button
-                onClick={addComp}
-                className="bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-gray-200 font-bold py-2 px-4 rounded-full shadow-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-all duration-300"
-              >
-                Add Comp
-              </button>
-            </div>
-            <button
-              onClick={runMarketAnalysis}
-              disabled={isMarketAnalysisLoading || compsData.length === 0}
-              className="w-full bg-blue-600 text-white font-bold py-2 px-4 rounded-full shadow-lg hover:bg-blue-700 transition-all duration-300 disabled:bg-gray-400 mb-4 flex items-center justify-center space-x-2"
-            >
-              <TrendingUp className="w-5 h-5" />
-              <span>{isMarketAnalysisLoading ? 'Analyzing...' : 'Run Market Analysis'}</span>
-            </button>
-            {marketTrendAnalysis && (
-              <div className="prose dark:prose-invert max-w-none mt-4 p-4 bg-gray-50 dark:bg-gray-900 rounded-xl">
-                <p>{marketTrendAnalysis}</p>
-              </div>
-            )}
-            <h4 className="text-lg font-bold text-gray-900 dark:text-white mt-6 mb-2">Comps Trend</h4>
-            <div className="h-64">
-              <ResponsiveContainer width="100%" height="100%">
-                <LineChart data={lineData} margin={{ top: 5, right: 20, left: -20, bottom: 5 }}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#ccc" />
-                  <XAxis dataKey="name" stroke="#888" />
-                  <YAxis stroke="#888" />
-                  <Tooltip />
-                  <Line type="monotone" dataKey="price" stroke="#8884d8" />
-                </LineChart>
-              </ResponsiveContainer>
-            </div>
-          </Card>
-        </div>
-      )}
-    </div>
-  );
-};
-
 // Component for managing contacts
 const ContactManager = ({
   sellerName, setSellerName, sellerPhone, setSellerPhone, sellerEmail, setSellerEmail,
   savedContacts, saveContact, deleteContact, showContactDeleteModal, contactToDelete,
-  toggleContactDeleteModal
+  toggleContactDeleteModal, savedIdeas, onOpenLead, canEdit
 }) => {
   const [contactSearchTerm, setContactSearchTerm] = useState('');
   const filteredContacts = savedContacts.filter(contact =>
@@ -647,19 +687,21 @@ const ContactManager = ({
         <Users className="w-8 h-8 mr-3 text-cyan-400" />
         Contact Manager
       </h2>
-      <div className="space-y-4">
-        <input type="text" placeholder="Seller Name" value={sellerName} onChange={(e) => setSellerName(e.target.value)} className="w-full p-4 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700" />
-        <input type="tel" placeholder="Phone Number" value={sellerPhone} onChange={(e) => setSellerPhone(e.target.value)} className="w-full p-4 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700" />
-        <input type="email" placeholder="Email Address" value={sellerEmail} onChange={(e) => setSellerEmail(e.target.value)} className="w-full p-4 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700" />
-        <button
-          onClick={handleSaveContact}
-          className="w-full bg-cyan-600 text-white font-bold py-4 px-6 rounded-full shadow-lg hover:bg-cyan-700 transition-all duration-300 flex items-center justify-center space-x-2"
-        >
-          <Save className="w-5 h-5" />
-          <span>Save Contact</span>
-        </button>
-      </div>
-      <div className="mt-8">
+      {canEdit && (
+        <div className="space-y-4">
+          <input type="text" placeholder="Seller Name" value={sellerName} onChange={(e) => setSellerName(e.target.value)} className="w-full p-4 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700" />
+          <input type="tel" placeholder="Phone Number" value={sellerPhone} onChange={(e) => setSellerPhone(e.target.value)} className="w-full p-4 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700" />
+          <input type="email" placeholder="Email Address" value={sellerEmail} onChange={(e) => setSellerEmail(e.target.value)} className="w-full p-4 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700" />
+          <button
+            onClick={handleSaveContact}
+            className="w-full bg-cyan-600 text-white font-bold py-4 px-6 rounded-full shadow-lg hover:bg-cyan-700 transition-all duration-300 flex items-center justify-center space-x-2"
+          >
+            <Save className="w-5 h-5" />
+            <span>Save Contact</span>
+          </button>
+        </div>
+      )}
+      <div className={canEdit ? 'mt-8' : ''}>
         <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4 flex items-center">
           <ListTodo className="w-6 h-6 mr-2" />
           Saved Contacts
@@ -694,10 +736,27 @@ const ContactManager = ({
                         </div>
                       )}
                     </div>
+                    {getContactDeals(contact, savedIdeas).length > 0 && (
+                      <div className="mt-3">
+                        <p className="text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1">Deals</p>
+                        <ul className="space-y-1">
+                          {getContactDeals(contact, savedIdeas).map(({ idea, role }) => (
+                            <li key={`${idea.id}-${role}`} className="flex items-center space-x-2 text-sm">
+                              <span className={`text-xs font-semibold px-2 py-0.5 rounded-full ${ROLE_BADGE_CLASSES[role] || 'bg-gray-200 text-gray-800'}`}>{role}</span>
+                              <button onClick={() => onOpenLead(idea.id)} className="text-blue-500 hover:text-blue-700 hover:underline text-left">
+                                {idea.propertyDetails}
+                              </button>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
                   </div>
-                  <button onClick={() => toggleContactDeleteModal(contact)} className="p-2 rounded-full hover:bg-red-100 dark:hover:bg-red-800 transition-colors">
-                    <Trash2 className="w-5 h-5 text-red-500" />
-                  </button>
+                  {canEdit && (
+                    <button onClick={() => toggleContactDeleteModal(contact)} className="p-2 rounded-full hover:bg-red-100 dark:hover:bg-red-800 transition-colors">
+                      <Trash2 className="w-5 h-5 text-red-500" />
+                    </button>
+                  )}
                 </div>
               </Card>
             ))
@@ -721,8 +780,76 @@ const ContactManager = ({
 };
 
 
+// Component for configuring the AI provider at runtime
+const AISettings = ({ aiSettings, updateAiSettings }) => {
+  const [draft, setDraft] = useState(aiSettings);
+
+  const handleProviderChange = (provider) => {
+    const defaults = AI_PROVIDERS[provider];
+    setDraft({ ...draft, provider, model: defaults.defaultModel, endpoint: defaults.defaultEndpoint });
+  };
+
+  const handleSave = () => {
+    updateAiSettings(draft);
+    showToast(`AI provider set to ${AI_PROVIDERS[draft.provider].label}.`);
+  };
+
+  const isOffline = draft.provider === 'offline';
+
+  return (
+    <Card className="flex-1">
+      <h2 className="text-3xl font-extrabold text-gray-900 dark:text-white mb-6 flex items-center">
+        <Settings className="w-8 h-8 mr-3 text-gray-400" />
+        AI Settings
+      </h2>
+      <div className="space-y-4">
+        <label className="block">
+          <span className="font-semibold text-sm text-gray-700 dark:text-gray-300">Provider</span>
+          <select
+            value={draft.provider}
+            onChange={(e) => handleProviderChange(e.target.value)}
+            className="w-full mt-1 p-4 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700"
+          >
+            {Object.keys(AI_PROVIDERS).map(provider => (
+              <option key={provider} value={provider}>{AI_PROVIDERS[provider].label}</option>
+            ))}
+          </select>
+        </label>
+        {!isOffline && (
+          <>
+            <label className="block">
+              <span className="font-semibold text-sm text-gray-700 dark:text-gray-300">Model</span>
+              <input type="text" value={draft.model} onChange={(e) => setDraft({ ...draft, model: e.target.value })} className="w-full mt-1 p-4 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700" />
+            </label>
+            <label className="block">
+              <span className="font-semibold text-sm text-gray-700 dark:text-gray-300">Endpoint</span>
+              <input type="url" placeholder={AI_PROVIDERS[draft.provider].defaultEndpoint} value={draft.endpoint} onChange={(e) => setDraft({ ...draft, endpoint: e.target.value })} className="w-full mt-1 p-4 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700" />
+            </label>
+            <label className="block">
+              <span className="font-semibold text-sm text-gray-700 dark:text-gray-300">API Key</span>
+              <input type="password" placeholder="Leave empty for local servers" value={draft.apiKey} onChange={(e) => setDraft({ ...draft, apiKey: e.target.value })} className="w-full mt-1 p-4 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700" />
+            </label>
+          </>
+        )}
+        {isOffline && (
+          <p className="text-gray-600 dark:text-gray-400">
+            The offline provider returns deterministic sample results without any network access. Use it for demos and tests.
+          </p>
+        )}
+        <button
+          onClick={handleSave}
+          className="w-full bg-blue-600 text-white font-bold py-4 px-6 rounded-full shadow-lg hover:bg-blue-700 transition-all duration-300 flex items-center justify-center space-x-2"
+        >
+          <Save className="w-5 h-5" />
+          <span>Save Settings</span>
+        </button>
+      </div>
+    </Card>
+  );
+};
+
 // Dashboard Component
-const Dashboard = ({ savedIdeas, savedContacts }) => {
+const Dashboard = ({ savedIdeas, savedContacts, statusHistoryByIdea }) => {
   // Aggregate data for charts
   const leadStatuses = savedIdeas.reduce((acc, idea) => {
     const status = idea.status || 'New';
@@ -734,13 +861,21 @@ const Dashboard = ({ savedIdeas, savedContacts }) => {
     name: status,
     value: leadStatuses[status]
   }));
-  const pieColors = {
-    'New': '#94a3b8', // blue-gray
-    'Contacted': '#fbbf24', // yellow
-    'Offer Made': '#60a5fa', // blue
-    'Under Contract': '#a855f7', // purple
-    'Sold': '#34d399', // green
-  };
+
+  // Stage timing and conversion, to find where deals stall
+  const { averageDaysInStage, conversionRates } = computeStageMetrics(savedIdeas, statusHistoryByIdea);
+  const stageDaysData = LEAD_STATUSES.slice(0, -1).map(status => ({
+    name: status,
+    days: averageDaysInStage[status] === null ? 0 : Number(averageDaysInStage[status].toFixed(1))
+  }));
+
+  // Projected profit and ROI from each lead's saved underwriting
+  const underwrittenDeals = savedIdeas
+    .map(idea => ({ idea, summary: getUnderwritingSummary(idea) }))
+    .filter(({ summary }) => summary)
+    .sort((a, b) => b.summary.profit - a.summary.profit);
+  const totalProjectedProfit = underwrittenDeals.reduce((sum, { summary }) => sum + summary.profit, 0);
+  const totalInvested = underwrittenDeals.reduce((sum, { summary }) => sum + summary.totalCosts, 0);
 
   return (
     <Card className="flex-1">
@@ -772,7 +907,53 @@ const Dashboard = ({ savedIdeas, savedContacts }) => {
             {savedIdeas.filter(idea => idea.status === 'Under Contract').length}
           </p>
         </Card>
+        <Card className="bg-emerald-100 dark:bg-emerald-900 border-emerald-200 dark:border-emerald-700">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-bold text-emerald-800 dark:text-emerald-200">Projected Profit</h3>
+            <DollarSign className="w-8 h-8 text-emerald-600 dark:text-emerald-400" />
+          </div>
+          <p className="text-4xl font-extrabold text-emerald-900 dark:text-emerald-100">{formatCurrency(totalProjectedProfit)}</p>
+          <p className="text-sm text-emerald-700 dark:text-emerald-300 mt-1">across {underwrittenDeals.length} underwritten lead{underwrittenDeals.length === 1 ? '' : 's'}</p>
+        </Card>
+        <Card className="bg-amber-100 dark:bg-amber-900 border-amber-200 dark:border-amber-700">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-bold text-amber-800 dark:text-amber-200">Portfolio ROI</h3>
+            <TrendingUp className="w-8 h-8 text-amber-600 dark:text-amber-400" />
+          </div>
+          <p className="text-4xl font-extrabold text-amber-900 dark:text-amber-100">
+            {totalInvested > 0 ? `${((totalProjectedProfit / totalInvested) * 100).toFixed(1)}%` : '—'}
+          </p>
+        </Card>
       </div>
+      {underwrittenDeals.length > 0 && (
+        <Card className="mt-6">
+          <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4">Projected Returns by Deal</h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left text-gray-700 dark:text-gray-300">
+              <thead className="text-xs uppercase text-gray-500 dark:text-gray-400">
+                <tr>
+                  <th className="py-2 pr-4">Property</th>
+                  <th className="py-2 pr-4">Scenario</th>
+                  <th className="py-2 pr-4 text-right">Total Cost</th>
+                  <th className="py-2 pr-4 text-right">Profit</th>
+                  <th className="py-2 text-right">ROI</th>
+                </tr>
+              </thead>
+              <tbody>
+                {underwrittenDeals.map(({ idea, summary }) => (
+                  <tr key={idea.id} className="border-t border-gray-200 dark:border-gray-700">
+                    <td className="py-2 pr-4 font-semibold text-gray-900 dark:text-white">{idea.propertyDetails}</td>
+                    <td className="py-2 pr-4">{summary.scenarioName}</td>
+                    <td className="py-2 pr-4 text-right">{formatCurrency(summary.totalCosts)}</td>
+                    <td className={`py-2 pr-4 text-right font-semibold ${summary.profit > 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>{formatCurrency(summary.profit)}</td>
+                    <td className="py-2 text-right">{summary.roi.toFixed(1)}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </Card>
+      )}
       <Card className="mt-6">
         <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4">Lead Status Distribution</h3>
         <div className="h-64 flex justify-center items-center">
@@ -789,7 +970,7 @@ const Dashboard = ({ savedIdeas, savedContacts }) => {
                 label
               >
                 {pieData.map((entry, index) => (
-                  <Cell key={`cell-${index}`} fill={pieColors[entry.name]} />
+                  <Cell key={`cell-${index}`} fill={STATUS_COLORS[entry.name]} />
                 ))}
               </Pie>
               <Tooltip />
@@ -798,6 +979,44 @@ const Dashboard = ({ savedIdeas, savedContacts }) => {
           </ResponsiveContainer>
         </div>
       </Card>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-6">
+        <Card>
+          <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4">Average Days in Stage</h3>
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={stageDaysData} margin={{ top: 5, right: 20, left: -20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#ccc" />
+                <XAxis dataKey="name" stroke="#888" />
+                <YAxis stroke="#888" />
+                <Tooltip formatter={(value) => `${value} days`} />
+                <Bar dataKey="days">
+                  {stageDaysData.map((entry, index) => (
+                    <Cell key={`cell-${index}`} fill={STATUS_COLORS[entry.name]} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </Card>
+        <Card>
+          <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4">Stage Conversion</h3>
+          <div className="space-y-4">
+            {conversionRates.map(({ from, to, reached, converted, rate }) => (
+              <div key={from}>
+                <div className="flex justify-between text-sm text-gray-700 dark:text-gray-300 mb-1">
+                  <span>{from} → {to}</span>
+                  <span className="font-semibold">
+                    {rate === null ? '—' : `${(rate * 100).toFixed(0)}%`} ({converted}/{reached})
+                  </span>
+                </div>
+                <div className="w-full h-3 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                  <div className="h-full rounded-full" style={{ width: `${(rate || 0) * 100}%`, backgroundColor: STATUS_COLORS[to] }}></div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </Card>
+      </div>
     </Card>
   );
 };
@@ -813,22 +1032,70 @@ const App = () => {
   const [longitude, setLongitude] = useState('');
   const [imageFile, setImageFile] = useState(null);
   const [results, setResults] = useState(null);
+  const [resultIssues, setResultIssues] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [showPropertyDetails, setShowPropertyDetails] = useState({});
-  const [showOfferLetterModal, setShowOfferLetterModal] = useState(false);
-  const [offerLetterContent, setOfferLetterContent] = useState('');
-  const [isGeneratingOffer, setIsGeneratingOffer] = useState(false);
+  const [offerLetterIdeaId, setOfferLetterIdeaId] = useState(null);
+  const [memoIdeaId, setMemoIdeaId] = useState(null);
+  const [documentTemplates, setDocumentTemplates] = useState([]);
   const [isAutoGenerating, setIsAutoGenerating] = useState(false);
   const [autoGenProgress, setAutoGenProgress] = useState('');
+  const [showCountyImport, setShowCountyImport] = useState(false);
+  const [areaFilter, setAreaFilter] = useState(null);
+  const [leadFilters, setLeadFilters] = useState(EMPTY_LEAD_FILTERS);
+  const [pendingLocalChanges, setPendingLocalChanges] = useState(0);
+  const [isSyncingLocal, setIsSyncingLocal] = useState(false);
+  const [bulkProgress, setBulkProgress] = useState(null); // { label, done, total } while a batch action runs
+  const [leadSortOrder, setLeadSortOrder] = useState('default');
+  const [allSavedViews, setAllSavedViews] = useState([]); // the user's views in every workspace
+  const [focusedLeadId, setFocusedLeadId] = useState(null);
+  const [statusHistoryByIdea, setStatusHistoryByIdea] = useState({});
+  const [calendarIdeaId, setCalendarIdeaId] = useState(null);
+  const [calendarFeed, setCalendarFeed] = useState(null); // { workspaceId, token } of the active workspace's feed
+  const [eventsWorkspaceId, setEventsWorkspaceId] = useState(null); // the workspace savedEvents were loaded from
+  const publishedFeedRef = useRef(null);
+  const pendingLeadLinkRef = useRef(new URLSearchParams(window.location.search).get('lead'));
 
   // Firestore data state
   const [savedIdeas, setSavedIdeas] = useState([]);
   const [savedContacts, setSavedContacts] = useState([]);
+  const [savedEvents, setSavedEvents] = useState([]);
   const [userId, setUserId] = useState(null);
   const [isAuthReady, setIsAuthReady] = useState(false);
   const [dbInstance, setDbInstance] = useState(null);
   const [authInstance, setAuthInstance] = useState(null);
+  const [account, setAccount] = useState(null); // the signed-in user's profile, from toAccount()
+  const [showAccountUpgrade, setShowAccountUpgrade] = useState(false);
+
+  // Team workspaces: the one chosen in Settings (persisted in localStorage), the user's
+  // memberships and invitations, and the chosen workspace's members
+  const [selectedWorkspaceId, setSelectedWorkspaceId] = useState(loadActiveWorkspaceId);
+  const [memberships, setMemberships] = useState([]);
+  const [myInvites, setMyInvites] = useState([]);
+  const [workspaceMembers, setWorkspaceMembers] = useState([]);
+  const [pendingInvites, setPendingInvites] = useState([]);
+
+  // Until memberships load, or after leaving a team, the personal workspace is used
+  const activeMembership = memberships.find(membership => membership.workspaceId === selectedWorkspaceId) || null;
+  const workspaceId = activeMembership?.workspaceId || null;
+  const activeWorkspace = activeMembership && { id: activeMembership.workspaceId, name: activeMembership.workspaceName };
+  const workspaceRole = activeMembership?.role || 'owner';
+  const canEdit = canEditWorkspace(workspaceRole);
+  const memberNames = useMemo(
+    () => (workspaceId ? buildMemberNames(workspaceMembers, userId) : { [userId]: 'You' }),
+    [workspaceId, workspaceMembers, userId]
+  );
+  const savedViews = useMemo(() => allSavedViews.filter(view => isViewInWorkspace(view, workspaceId)), [allSavedViews, workspaceId]);
+  // Until the active workspace's own token loads, no feed is shown or published
+  const calendarFeedToken = calendarFeed?.workspaceId === (workspaceId || PERSONAL_WORKSPACE_ID) ? calendarFeed.token : null;
+
+  // Data access for the signed-in user's active workspace; calls fail with a RepositoryError until Firestore and the user are ready
+  const leadRepository = useMemo(() => createLeadRepository({ db: dbInstance, appId, userId, workspaceId }), [dbInstance, userId, workspaceId]);
+  const contactRepository = useMemo(() => createContactRepository({ db: dbInstance, appId, userId, workspaceId }), [dbInstance, userId, workspaceId]);
+  const documentRepository = useMemo(() => createDocumentRepository({ db: dbInstance, appId, userId, workspaceId }), [dbInstance, userId, workspaceId]);
+  const workspaceRepository = useMemo(() => createWorkspaceRepository({ db: dbInstance, appId, userId }), [dbInstance, userId]);
+  const calendarRepository = useMemo(() => createCalendarRepository({ db: dbInstance, appId, userId, workspaceId }), [dbInstance, userId, workspaceId]);
 
   // Modals state
   const [showIdeaDeleteModal, setShowIdeaDeleteModal] = useState(false);
@@ -846,7 +1113,23 @@ const App = () => {
   const [marketTrendAnalysis, setMarketTrendAnalysis] = useState('');
   const [isMarketAnalysisLoading, setIsMarketAnalysisLoading] = useState(false);
   const [compsData, setCompsData] = useState([]);
-  const [compsInput, setCompsInput] = useState('');
+  const [compSubject, setCompSubject] = useState(EMPTY_COMP_SUBJECT);
+  const [compAdjustments, setCompAdjustments] = useState(DEFAULT_COMP_ADJUSTMENTS);
+  const [compsResults, setCompsResults] = useState([]);
+  const [isCompsLoading, setIsCompsLoading] = useState(false);
+  const [analysisIdeaId, setAnalysisIdeaId] = useState(null);
+  const [analysisScenarioId, setAnalysisScenarioId] = useState(null);
+  const [scenarioName, setScenarioName] = useState('');
+  const [rentalInputs, setRentalInputs] = useState(DEFAULT_RENTAL_INPUTS);
+  const [strategyInputs, setStrategyInputs] = useState(DEFAULT_STRATEGY_INPUTS);
+  const [rehabBudget, setRehabBudget] = useState(EMPTY_REHAB_BUDGET);
+  const [holdingInputs, setHoldingInputs] = useState(DEFAULT_HOLDING_INPUTS);
+
+  // AI provider settings (persisted in localStorage)
+  const [aiSettings, setAiSettings] = useState(loadAiSettings);
+
+  // Deal score factor weights (persisted in localStorage)
+  const [scoreWeights, setScoreWeights] = useState(loadScoreWeights);
 
   // Contact Manager state
   const [sellerName, setSellerName] = useState('');
@@ -861,46 +1144,39 @@ const App = () => {
     reader.onerror = error => reject(error);
   });
 
-  // API Call function for text generation (with exponential backoff)
-  const callGeminiApi = async (payload) => {
-    let delay = 1000; // 1 second
-    const maxRetries = 5;
-    for (let i = 0; i < maxRetries; i++) {
-      try {
-        const apiKey = "";
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${apiKey}`;
-        const response = await fetch(apiUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload)
-        });
+  // AI call routed through the configured provider (retry/backoff lives in the provider layer)
+  const callAi = (request) => generateText(aiSettings, request);
 
-        if (!response.ok) {
-          if (response.status === 429 && i < maxRetries - 1) { // Rate limit error
-            console.warn(`Rate limit hit. Retrying in ${delay / 1000}s...`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-            delay *= 2; // Exponential backoff
-            continue;
-          }
-          throw new Error(`API error: ${response.statusText}`);
-        }
+  const updateAiSettings = (settings) => {
+    setAiSettings(settings);
+    saveAiSettings(settings);
+  };
 
-        const result = await response.json();
-        if (result.candidates && result.candidates.length > 0 &&
-          result.candidates[0].content && result.candidates[0].content.parts &&
-          result.candidates[0].content.parts.length > 0) {
-          return result.candidates[0].content.parts[0].text;
-        } else {
-          throw new Error('Unexpected API response format');
-        }
-      } catch (e) {
-        if (i === maxRetries - 1) {
-          throw e; // Re-throw if all retries fail
-        }
-        await new Promise(resolve => setTimeout(resolve, delay));
-        delay *= 2;
-      }
-    }
+  const updateScoreWeights = (weights) => {
+    setScoreWeights(weights);
+    saveScoreWeights(weights);
+  };
+
+  // Work in another workspace; its leads replace the current ones once they load
+  const switchWorkspace = (id) => {
+    if (id === (workspaceId || PERSONAL_WORKSPACE_ID)) return;
+    saveActiveWorkspaceId(id);
+    setSelectedWorkspaceId(id);
+    setSavedIdeas([]);
+    setSavedContacts([]);
+    setSavedEvents([]);
+    setStatusHistoryByIdea({});
+    setLeadFilters(EMPTY_LEAD_FILTERS);
+    setFocusedLeadId(null);
+  };
+
+  // After signing in, upgrading a guest session or editing the profile. Upgrading keeps the
+  // user id, so no auth state change fires and the new profile is picked up here.
+  const handleAccountChange = (user) => {
+    const isUpgrade = showAccountUpgrade && user.uid === userId && !user.isAnonymous;
+    setAccount(toAccount(user));
+    setShowAccountUpgrade(false);
+    if (isUpgrade) showToast('Account created. Everything from your guest session is saved to it.');
   };
 
   // --- Core Application Logic ---
@@ -909,26 +1185,48 @@ const App = () => {
   useEffect(() => {
     // Initialize auth and firestore instances
     if (!app) {
-      console.error("Firebase not initialized. Check your configuration.");
-      return;
+      if (isLocalMode) {
+        console.warn("Firebase is not configured; saving leads and contacts on this device.");
+        setUserId(LOCAL_USER_ID);
+        setIsAuthReady(true);
+      } else {
+        console.error("Firebase not initialized. Check your configuration.");
+      }
+      return;
     }
     setDbInstance(db);
     setAuthInstance(auth);
 
+    let hasTriedInitialToken = false;
     const unsubscribe = onAuthStateChanged(auth, async (user) => {
       if (user) {
         setUserId(user.uid);
-      } else {
-        // Sign in anonymously if no user is authenticated
-        if (initialAuthToken) {
-          try {
-            await signInWithCustomToken(auth, initialAuthToken);
-          } catch (error) {
-            console.error("Error signing in with custom token:", error);
-            await signInAnonymously(auth);
-          }
-        } else {
-          await signInAnonymously(auth);
+        setAccount(toAccount(user));
+        setIsAuthReady(true);
+        return;
+      }
+      // Signed out: drop the previous user's data before showing the sign-in screen
+      setUserId(null);
+      setAccount(null);
+      setSavedIdeas([]);
+      setSavedContacts([]);
+      setSavedEvents([]);
+      setDocumentTemplates([]);
+      setAllSavedViews([]);
+      setStatusHistoryByIdea({});
+      setCalendarFeed(null);
+      setEventsWorkspaceId(null);
+      setMemberships([]);
+      setMyInvites([]);
+      publishedFeedRef.current = null;
+      // A session token from the hosting environment signs in once; otherwise the user picks how to sign in
+      if (initialAuthToken && !hasTriedInitialToken) {
+        hasTriedInitialToken = true;
+        try {
+          await signInWithCustomToken(auth, initialAuthToken);
+          return;
+        } catch (error) {
+          console.error("Error signing in with custom token:", error);
         }
       }
       setIsAuthReady(true);
@@ -937,83 +1235,156 @@ const App = () => {
     return () => unsubscribe();
   }, []);
 
+  // Local (IndexedDB) listeners when running without Firebase
+  useEffect(() => {
+    if (!isLocalMode || !isAuthReady) return;
+    const unsubscribeIdeas = localStore.subscribe('ideas', ideas => setSavedIdeas(ideas.map(decodeLead)));
+    const unsubscribeContacts = localStore.subscribe('contacts', setSavedContacts);
+    return () => {
+      unsubscribeIdeas();
+      unsubscribeContacts();
+    };
+  }, [isAuthReady]);
+
+  // Count changes made in local mode that haven't reached Firestore yet
+  useEffect(() => {
+    if (isLocalMode || !localStore || !dbInstance || !userId) return;
+    localStore.getPendingChanges()
+      .then(changes => setPendingLocalChanges(changes.length))
+      .catch(e => console.error("Error reading local changes: ", e));
+  }, [dbInstance, userId]);
+
   // Firestore onSnapshot listeners for real-time data
   useEffect(() => {
     // Only proceed if authenticated and Firebase instances are ready
     if (!isAuthReady || !dbInstance || !userId) return;
 
     // Listen for saved ideas
-    const ideasCollectionRef = collection(dbInstance, `artifacts/${appId}/users/${userId}/ideas`);
-    const unsubscribeIdeas = onSnapshot(ideasCollectionRef, (snapshot) => {
-      const ideasData = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
-      setSavedIdeas(ideasData);
-    });
+    const unsubscribeIdeas = leadRepository.subscribe(setSavedIdeas, e => console.error("Error loading leads: ", e.cause || e));
 
     // Listen for saved contacts
-    const contactsCollectionRef = collection(dbInstance, `artifacts/${appId}/users/${userId}/contacts`);
-    const unsubscribeContacts = onSnapshot(contactsCollectionRef, (snapshot) => {
-      const contactsData = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
-      setSavedContacts(contactsData);
+    const unsubscribeContacts = contactRepository.subscribe(setSavedContacts, e => console.error("Error loading contacts: ", e.cause || e));
+
+    // Listen for scheduled deal events
+    const dataPath = dataRootPath(appId, userId, workspaceId);
+    const eventsCollectionRef = collection(dbInstance, `${dataPath}/events`);
+    const unsubscribeEvents = onSnapshot(eventsCollectionRef, (snapshot) => {
+      setSavedEvents(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      setEventsWorkspaceId(workspaceId || PERSONAL_WORKSPACE_ID);
+    });
+
+    // Listen for the user's own document templates
+    const unsubscribeTemplates = documentRepository.subscribeToTemplates(setDocumentTemplates, e => console.error("Error loading templates: ", e.cause || e));
+
+    // Listen for the user's own saved Deal Flow views, which are kept with their data in every workspace
+    const viewsCollectionRef = collection(dbInstance, `${userRootPath(appId, userId)}/savedViews`);
+    const unsubscribeViews = onSnapshot(viewsCollectionRef, (snapshot) => {
+      const views = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      setAllSavedViews(views.sort((a, b) => a.name.localeCompare(b.name)));
     });
 
+    // Listen for this workspace's calendar feed token, creating one on first use
+    const feedWorkspaceId = workspaceId || PERSONAL_WORKSPACE_ID;
+    const unsubscribeCalendarSettings = calendarRepository.subscribeToFeedToken(
+      (token) => setCalendarFeed({ workspaceId: feedWorkspaceId, token }),
+      e => console.error("Error loading calendar feed token: ", e.cause || e)
+    );
+
     return () => {
       unsubscribeIdeas();
       unsubscribeContacts();
+      unsubscribeEvents();
+      unsubscribeTemplates();
+      unsubscribeViews();
+      unsubscribeCalendarSettings();
+    };
+  }, [isAuthReady, dbInstance, userId, workspaceId, leadRepository, contactRepository, documentRepository, calendarRepository]);
+
+  // The user's team memberships, and invitations to their verified email
+  useEffect(() => {
+    if (!isAuthReady || !workspaceRepository.isReady || account?.isAnonymous) return;
+    const unsubscribeMemberships = workspaceRepository.subscribeToMemberships(
+      (records) => setMemberships(records.sort((a, b) => a.workspaceName.localeCompare(b.workspaceName))),
+      e => console.error("Error loading workspaces: ", e.cause || e)
+    );
+    const unsubscribeInvites = account?.emailVerified
+      ? workspaceRepository.subscribeToInvites(account.email, setMyInvites, e => console.error("Error loading invitations: ", e.cause || e))
+      : () => {};
+    return () => {
+      unsubscribeMemberships();
+      unsubscribeInvites();
     };
-  }, [isAuthReady, dbInstance, userId]);
+  }, [isAuthReady, workspaceRepository, account?.isAnonymous, account?.emailVerified, account?.email]);
+
+  // Members of the active team workspace, and its open invitations for the owner
+  useEffect(() => {
+    if (!workspaceId) {
+      setWorkspaceMembers([]);
+      setPendingInvites([]);
+      return;
+    }
+    const unsubscribeMembers = workspaceRepository.subscribeToMembers(workspaceId, setWorkspaceMembers, e => console.error("Error loading members: ", e.cause || e));
+    const unsubscribePendingInvites = canManageMembers(workspaceRole)
+      ? workspaceRepository.subscribeToPendingInvites(workspaceId, setPendingInvites, e => console.error("Error loading invitations: ", e.cause || e))
+      : () => {};
+    return () => {
+      unsubscribeMembers();
+      unsubscribePendingInvites();
+    };
+  }, [workspaceRepository, workspaceId, workspaceRole]);
+
+  // Publish the active workspace's upcoming events to its feed whenever they change; events still
+  // loaded from the previous workspace are never published under the new workspace's token
+  useEffect(() => {
+    if (!calendarFeedToken || eventsWorkspaceId !== (workspaceId || PERSONAL_WORKSPACE_ID)) return;
+    const upcomingEvents = getUpcomingEvents(savedEvents);
+    // Compare with a fixed DTSTAMP so unchanged events don't trigger a rewrite
+    const feedKey = `${calendarFeedToken}|${buildDealCalendar(upcomingEvents, savedIdeas, { stamp: new Date(0) })}`;
+    if (publishedFeedRef.current === feedKey) return;
+    publishedFeedRef.current = feedKey;
+    calendarRepository.publishFeed(calendarFeedToken, buildDealCalendar(upcomingEvents, savedIdeas)).catch(e => {
+      publishedFeedRef.current = null;
+      console.error("Error publishing calendar feed: ", e.cause || e);
+    });
+  }, [savedEvents, savedIdeas, calendarFeedToken, eventsWorkspaceId, workspaceId, calendarRepository]);
+
+  // Keep every lead's status history for the Dashboard stage metrics while it is open
+  useEffect(() => {
+    if (activeTab !== 'dashboard') return;
+    return leadRepository.subscribeToAllHistory(setStatusHistoryByIdea, e => console.error("Error loading status history: ", e.cause || e));
+  }, [activeTab, leadRepository]);
 
   // Main Lead Generation function
   const findLeads = async (details, lat, lng, image) => {
     setIsLoading(true);
     setError(null);
     setResults(null);
-    let prompt = `Analyze the following property for potential real estate flipping or development. 
-    Property Details: "${details}".`;
-
-    if (lat && lng) {
-      prompt += `\nLocation Coordinates: Latitude ${lat}, Longitude ${lng}.`;
-    }
-
-    prompt += `\n\nGenerate a detailed response in JSON format with the following keys: 
-    "detailedPropertySummary": a comprehensive analysis of the property, its potential, and surrounding market.
-    "suggestedOfferRange": a calculated offer range based on the analysis (e.g., "$150,000 - $180,000").
-    "buyerProfiles": an array of ideal buyer profiles for this property.
-    "sellerOutreachAngles": an array of persuasive angles for contacting the seller.
-    "dueDiligenceChecklist": an array of critical items for due diligence.`;
-
-    const payload = {
-      generationConfig: {
-        responseMimeType: "application/json",
-      },
-      contents: [{
-        parts: [{ text: prompt }]
-      }]
+    setResultIssues([]);
+    const request = {
+      task: 'leadAnalysis',
+      prompt: buildLeadAnalysisPrompt(details, lat, lng),
+      json: true,
+      responseSchema: LEAD_RESULT_SCHEMA,
+      context: { propertyDetails: details }
     };
 
     if (image) {
       try {
         const base64Image = await toBase64(image);
-        payload.contents[0].parts.push({
-          inlineData: {
-            mimeType: image.type,
-            data: base64Image
-          }
-        });
+        request.image = {
+          mimeType: image.type,
+          data: base64Image
+        };
       } catch (e) {
         showToast('Error processing image.', true);
       }
     }
 
     try {
-      const responseText = await callGeminiApi(payload);
-      const parsedResults = JSON.parse(responseText.replace(/```json|```/g, '').trim());
-      setResults(parsedResults);
+      const responseText = await callAi(request);
+      const { result, issues } = validateLeadResult(responseText);
+      setResults(result);
+      setResultIssues(issues);
     } catch (e) {
       setError(`Failed to generate leads: ${e.message}`);
       console.error(e);
@@ -1025,116 +1396,245 @@ const App = () => {
   // Save a lead to Firestore
   const saveIdea = async (details, genResults, lat, lng) => {
     try {
-      if (!dbInstance || !userId) {
-        throw new Error("Firestore or User ID not available.");
-      }
-      const ideasCollectionRef = collection(dbInstance, `artifacts/${appId}/users/${userId}/ideas`);
-      await addDoc(ideasCollectionRef, {
+      const lead = {
         propertyDetails: details,
         latitude: lat,
         longitude: lng,
-        generatedResults: JSON.stringify(genResults),
-        timestamp: serverTimestamp(),
-        userId: userId,
+        generatedResults: genResults,
+        source: 'manual',
         status: 'New'
-      });
+      };
+      if (isLocalMode) {
+        await localStore.saveIdea({ ...encodeLead(lead), userId: userId });
+      } else {
+        await leadRepository.create(lead);
+      }
       showToast('Lead saved successfully!');
     } catch (e) {
       console.error("Error adding document: ", e);
-      showToast('Failed to save lead.', true);
+      showToast(describeFailure('Failed to save lead.', e), true);
     }
   };
 
   // Delete a lead from Firestore
   const deleteIdea = async (id) => {
     try {
-      if (!dbInstance || !userId) {
-        throw new Error("Firestore or User ID not available.");
+      if (isLocalMode) {
+        await localStore.deleteIdea(id);
+      } else {
+        // Deletes the lead together with its scheduled events
+        await leadRepository.remove(id);
       }
-      const ideaDocRef = doc(dbInstance, `artifacts/${appId}/users/${userId}/ideas`, id);
-      await deleteDoc(ideaDocRef);
       showToast('Lead deleted successfully!');
       setShowIdeaDeleteModal(false);
     } catch (e) {
       console.error("Error deleting document: ", e);
-      showToast('Failed to delete lead.', true);
+      showToast(describeFailure('Failed to delete lead.', e), true);
     }
   };
 
-  // Update a lead's status
+  // Update a lead's status and record the transition in its history subcollection
   const updateLeadStatus = async (id, newStatus) => {
     try {
-      if (!dbInstance || !userId) {
-        throw new Error("Firestore or User ID not available.");
+      const previousStatus = savedIdeas.find(idea => idea.id === id)?.status || 'New';
+      if (previousStatus === newStatus) return;
+      if (isLocalMode) {
+        await localStore.updateLeadStatus(id, previousStatus, newStatus, userId);
+      } else {
+        await leadRepository.changeStatus(id, previousStatus, newStatus);
       }
-      const ideaDocRef = doc(dbInstance, `artifacts/${appId}/users/${userId}/ideas`, id);
-      await updateDoc(ideaDocRef, {
-        status: newStatus
-      });
       showToast(`Lead status updated to "${newStatus}"!`);
     } catch (e) {
       console.error("Error updating document: ", e);
-      showToast('Failed to update status.', true);
+      showToast(describeFailure('Failed to update status.', e), true);
     }
   };
 
-  // Generate offer letter with AI
-  const generateOfferLetter = async (idea) => {
-    setIsGeneratingOffer(true);
-    const { propertyDetails, generatedResults } = idea;
-    const { suggestedOfferRange } = JSON.parse(generatedResults);
-    const prompt = `Write a professional and persuasive real estate offer letter for the property described as "${propertyDetails}". The suggested offer range is ${suggestedOfferRange}. The letter should be addressed to the seller, be polite, and include a call to action to contact the buyer for further discussion. It should have placeholders for the seller's name, buyer's name, and contact information. Do not use an exact dollar amount, but reference a competitive offer.`;
-
-    const payload = {
-      contents: [{
-        parts: [{ text: prompt }]
-      }]
-    };
+  // Give a lead to a teammate, or null to leave it unassigned
+  const assignLead = async (id, assigneeId) => {
+    try {
+      await leadRepository.assign(id, assigneeId);
+      showToast(assigneeId ? `Lead assigned to ${memberNames[assigneeId]}.` : 'Lead unassigned.');
+    } catch (e) {
+      console.error("Error assigning lead: ", e);
+      showToast(describeFailure('Failed to assign lead.', e), true);
+    }
+  };
 
+  // Link a contact to a lead under a role (seller, buyer, agent, title company)
+  const linkContactToLead = async (ideaId, contactId, role) => {
     try {
-      const responseText = await callGeminiApi(payload);
-      setOfferLetterContent(responseText);
-      setShowOfferLetterModal(true);
+      if (isLocalMode) {
+        const links = savedIdeas.find(idea => idea.id === ideaId)?.contactLinks || [];
+        if (links.some(link => link.contactId === contactId && link.role === role)) return;
+        await localStore.updateIdea(ideaId, { contactLinks: [...links, { contactId, role }] });
+      } else {
+        await leadRepository.linkContact(ideaId, contactId, role);
+      }
+      showToast(`Contact linked as ${role}!`);
     } catch (e) {
-      showToast(`Failed to generate offer letter: ${e.message}`, true);
-    } finally {
-      setIsGeneratingOffer(false);
+      console.error("Error linking contact: ", e);
+      showToast(describeFailure('Failed to link contact.', e), true);
     }
   };
 
+  // Remove a single contact link from a lead
+  const unlinkContactFromLead = async (ideaId, link) => {
+    try {
+      if (isLocalMode) {
+        const links = savedIdeas.find(idea => idea.id === ideaId)?.contactLinks || [];
+        await localStore.updateIdea(ideaId, {
+          contactLinks: links.filter(existing => existing.contactId !== link.contactId || existing.role !== link.role),
+        });
+      } else {
+        await leadRepository.unlinkContact(ideaId, link);
+      }
+      showToast('Contact unlinked.');
+    } catch (e) {
+      console.error("Error unlinking contact: ", e);
+      showToast(describeFailure('Failed to unlink contact.', e), true);
+    }
+  };
+
+  // Live status history for one lead; returns the unsubscribe function
+  const subscribeToStatusHistory = useCallback((ideaId, callback) => {
+    if (isLocalMode) return localStore.subscribe('history', callback, entry => entry.ideaId === ideaId);
+    return leadRepository.subscribeToHistory(ideaId, callback, e => console.error("Error loading status history: ", e.cause || e));
+  }, [leadRepository]);
+
+  // Open the offer letter composer for a lead
+  const generateOfferLetter = (idea) => {
+    setOfferLetterIdeaId(idea.id);
+  };
+
+  // Saved letters for one lead; returns the unsubscribe function
+  const subscribeToLeadDocuments = useCallback((ideaId, callback) => (
+    documentRepository.subscribe(ideaId, callback, e => console.error("Error loading letters: ", e.cause || e))
+  ), [documentRepository]);
+
+  // Save a generated letter as a new version on the lead; saved versions are never edited
+  const saveLeadDocument = async (ideaId, document) => {
+    try {
+      const { title } = await documentRepository.create(ideaId, document);
+      showToast(`Saved ${title}${document.status === 'sent' ? ' as sent' : ''}.`);
+      return true;
+    } catch (e) {
+      console.error("Error saving document: ", e);
+      showToast(describeFailure('Failed to save letter.', e), true);
+      return false;
+    }
+  };
+
+  const markDocumentSent = async (ideaId, documentId) => {
+    try {
+      await documentRepository.markSent(ideaId, documentId);
+      showToast('Letter marked as sent.');
+    } catch (e) {
+      console.error("Error updating document: ", e);
+      showToast(describeFailure('Failed to mark letter as sent.', e), true);
+    }
+  };
+
+  // Create or update one of the user's templates; returns its id
+  const saveDocumentTemplate = async ({ id, name, type, body }) => {
+    try {
+      const templateId = await documentRepository.saveTemplate({ id, name, type, body });
+      showToast(`Template "${name}" saved.`);
+      return templateId;
+    } catch (e) {
+      console.error("Error saving template: ", e);
+      showToast(describeFailure('Failed to save template.', e), true);
+      return null;
+    }
+  };
+
+  const deleteDocumentTemplate = async (id) => {
+    try {
+      await documentRepository.removeTemplate(id);
+      showToast('Template deleted.');
+    } catch (e) {
+      console.error("Error deleting template: ", e);
+      showToast(describeFailure('Failed to delete template.', e), true);
+    }
+  };
+
+  // Save the current Deal Flow filters under a name; returns the view's id
+  const saveFilterView = async (view) => {
+    try {
+      if (!dbInstance || !userId) {
+        throw new Error("Firestore or User ID not available.");
+      }
+      const viewRef = await addDoc(collection(dbInstance, `${userRootPath(appId, userId)}/savedViews`), {
+        ...serializeView(view),
+        workspaceId: workspaceId || PERSONAL_WORKSPACE_ID,
+        createdAt: serverTimestamp(),
+      });
+      showToast(`View "${view.name}" saved.`);
+      return viewRef.id;
+    } catch (e) {
+      console.error("Error saving view: ", e);
+      showToast('Failed to save view.', true);
+      return null;
+    }
+  };
+
+  const deleteFilterView = async (id) => {
+    try {
+      if (!dbInstance || !userId) {
+        throw new Error("Firestore or User ID not available.");
+      }
+      await deleteDoc(doc(dbInstance, `${userRootPath(appId, userId)}/savedViews`, id));
+      showToast('View deleted.');
+    } catch (e) {
+      console.error("Error deleting view: ", e);
+      showToast('Failed to delete view.', true);
+    }
+  };
+
+  // AI rewrite of a filled-in letter; names, amounts and dates must survive unchanged
+  const rewriteDocument = (content, tone) => {
+    const prompt = `Rewrite the following real estate offer letter to be ${tone.toLowerCase()}. Keep every name, address, dollar amount, date, phone number and email address exactly as written, keep any [bracketed] placeholders unchanged, and return only the letter text.\n\n${content}`;
+    return callAi({ task: 'offerRewrite', prompt, context: { letter: content } });
+  };
+
   // Run automated lead search (with AI)
+  // Add new leads (status 'New' unless given one); returns the number written. On this device they
+  // are saved in one transaction, so onProgress only reports the end.
+  const createLeads = async (leads, { onProgress } = {}) => {
+    if (!isLocalMode) return leadRepository.createMany(leads, { onProgress });
+    await localStore.saveIdeas(leads.map(lead => ({ status: 'New', ...encodeLead(lead), userId: userId })));
+    if (onProgress) onProgress(leads.length);
+    return leads.length;
+  };
+
   const runAutomatedLeadSearch = async () => {
     setIsAutoGenerating(true);
     setAutoGenProgress('Generating new leads...');
     const prompt = `Generate 5 detailed real estate investment leads, each with a property description, location, and potential value. For each lead, provide the data in a JSON object with the keys "propertyDetails", "latitude", "longitude", and "generatedResults". The "generatedResults" key should contain another JSON object with "detailedPropertySummary", "suggestedOfferRange", "buyerProfiles" (array), "sellerOutreachAngles" (array), and "dueDiligenceChecklist" (array). The full response should be a JSON array of these objects. Ensure all details are highly realistic and varied.`;
 
-    const payload = {
-      generationConfig: {
-        responseMimeType: "application/json",
-      },
-      contents: [{
-        parts: [{ text: prompt }]
-      }]
-    };
-
     try {
-      const responseText = await callGeminiApi(payload);
-      const newLeads = JSON.parse(responseText.replace(/```json|```/g, '').trim());
+      // Check before spending an AI call on leads that couldn't be saved
+      if (!isLocalMode) leadRepository.requireReady();
+      const responseText = await callAi({ task: 'leadBatch', prompt, json: true, responseSchema: LEAD_BATCH_SCHEMA });
+      const { leads: newLeads, rejected, repaired } = validateLeadBatch(responseText);
+      if (newLeads.length === 0) {
+        throw new Error('The AI response did not contain any valid leads.');
+      }
 
       setAutoGenProgress('Saving generated leads to Deal Flow...');
-      const ideasCollectionRef = collection(dbInstance, `artifacts/${appId}/users/${userId}/ideas`);
-      for (const lead of newLeads) {
-        await addDoc(ideasCollectionRef, {
-          propertyDetails: lead.propertyDetails,
-          latitude: lead.latitude,
-          longitude: lead.longitude,
-          generatedResults: JSON.stringify(lead.generatedResults),
-          timestamp: serverTimestamp(),
-          userId: userId,
-          status: 'New'
-        });
-      }
-      showToast('Successfully generated and saved 5 new leads!');
+      await createLeads(newLeads.map(lead => ({
+        propertyDetails: lead.propertyDetails,
+        latitude: lead.latitude,
+        longitude: lead.longitude,
+        generatedResults: lead.generatedResults,
+        source: 'ai',
+        status: 'New'
+      })));
+      const skippedNote = rejected > 0 ? ` (${rejected} invalid skipped)` : '';
+      const repairedNote = repaired > 0
+        ? ` ${repaired} had missing or invalid fields that were cleared or filled with defaults.`
+        : '';
+      showToast(`Successfully generated and saved ${newLeads.length} new leads${skippedNote}!${repairedNote}`, repaired > 0);
     } catch (e) {
       showToast(`Failed to auto-generate leads: ${e.message}`, true);
       console.error(e);
@@ -1144,51 +1644,285 @@ const App = () => {
     }
   };
 
-  // Import mock county properties
-  const importCountyProperties = async () => {
+  // Batch-write validated county list rows as county leads; returns the number imported, or null if the
+  // import failed. Batches already committed stay saved, so the failure toast says how many made it in.
+  const importCountyLeads = async (leads, { listType, importFile, onProgress }) => {
+    let saved = 0;
+    try {
+      await createLeads(leads.map(lead => ({
+        ...lead,
+        source: 'county',
+        listType,
+        importFile,
+        status: 'New'
+      })), {
+        onProgress: (done) => {
+          saved = done;
+          if (onProgress) onProgress(done);
+        }
+      });
+    } catch (e) {
+      console.error('Error importing county properties: ', e);
+      const savedNote = saved > 0 ? ` ${saved} of ${leads.length} were saved before the error; check your leads before importing the file again.` : '';
+      showToast(`${describeFailure('Failed to import county properties.', e)}${savedNote}`, true);
+      return null;
+    }
+    showToast(`Successfully imported ${leads.length} county properties!`);
+    return leads.length;
+  };
+
+  // Run a batch action on selected leads behind the Deal Flow progress bar; returns true on success.
+  // Work committed before a failure stays saved, so the failure toast says how much of it was done.
+  const runBulkAction = async (label, total, action, failureMessage) => {
+    let completed = 0;
+    setBulkProgress({ label, done: 0, total });
+    try {
+      await action((done) => {
+        completed = done;
+        setBulkProgress({ label, done, total });
+      });
+      return true;
+    } catch (e) {
+      console.error(`Error during "${label}": `, e);
+      const completedNote = completed > 0 ? ` ${completed} of ${total} were completed before the error.` : '';
+      showToast(`${describeFailure(failureMessage, e)}${completedNote}`, true);
+      return false;
+    } finally {
+      setBulkProgress(null);
+    }
+  };
+
+  const bulkUpdateStatus = (ids, newStatus) => {
+    const changed = savedIdeas.filter(idea => ids.includes(idea.id) && (idea.status || 'New') !== newStatus);
+    return runBulkAction(`Moving leads to "${newStatus}"`, changed.length, async (onProgress) => {
+      const changes = changed.map(idea => ({ id: idea.id, fromStatus: idea.status || 'New' }));
+      await leadRepository.changeStatuses(changes, newStatus, { onProgress });
+      showToast(`Moved ${changed.length} lead${changed.length === 1 ? '' : 's'} to "${newStatus}".`);
+    }, 'Failed to update lead statuses.');
+  };
+
+  const bulkAssignLeads = (ids, assigneeId) => {
+    const assigneeName = assigneeId ? memberNames[assigneeId] : 'nobody';
+    return runBulkAction(`Assigning ${ids.length} leads`, ids.length, async (onProgress) => {
+      await leadRepository.assignMany(ids, assigneeId, { onProgress });
+      showToast(`Assigned ${ids.length} lead${ids.length === 1 ? '' : 's'} to ${assigneeName}.`);
+    }, 'Failed to assign leads.');
+  };
+
+  const bulkDeleteIdeas = (ids) => {
+    // Each lead goes together with its scheduled events, as in deleteIdea
+    return runBulkAction(`Deleting ${ids.length} leads`, ids.length, async (onProgress) => {
+      await leadRepository.removeMany(ids, { onProgress });
+      showToast(`Deleted ${ids.length} lead${ids.length === 1 ? '' : 's'}.`);
+    }, 'Failed to delete leads.');
+  };
+
+  // Draft an offer letter from the default template for each lead, saved as its next version
+  const bulkGenerateOfferLetters = (ids) => {
+    const template = DEFAULT_DOCUMENT_TEMPLATES[0];
+    const ideas = savedIdeas.filter(idea => ids.includes(idea.id));
+    return runBulkAction('Generating offer letters', ideas.length, async (onProgress) => {
+      const buyerProfile = loadBuyerProfile();
+      const letters = ideas.map(idea => {
+        const values = getMergeValues(idea, savedContacts, buyerProfile);
+        return {
+          ideaId: idea.id,
+          missingFields: findMissingFields(template.body, values),
+          document: {
+            type: 'offerLetter',
+            templateId: template.id,
+            templateName: template.name,
+            content: renderTemplate(template.body, values),
+            mergeValues: values,
+            aiRewritten: false,
+            status: 'draft',
+          },
+        };
+      });
+      await documentRepository.createMany(letters, { onProgress });
+      const incomplete = letters.filter(letter => letter.missingFields.length > 0).length;
+      const incompleteNote = incomplete > 0 ? ` ${incomplete} have [placeholders] to fill in.` : '';
+      showToast(`Saved ${letters.length} draft offer letter${letters.length === 1 ? '' : 's'}.${incompleteNote}`);
+    }, 'Failed to generate offer letters.');
+  };
+
+  // Run the AI analysis on each lead in turn, then save the results in batches. A result that
+  // had to be repaired (see validateLeadResult) is not saved, so it can't blank out the lead's
+  // existing analysis; those leads are reported as partial instead.
+  const bulkAnalyzeLeads = (ids) => {
+    const ideas = savedIdeas.filter(idea => ids.includes(idea.id));
+    return runBulkAction('Running AI analysis', ideas.length, async (onProgress) => {
+      const analyzed = [];
+      let partialCount = 0;
+      const partialIssues = new Set();
+      for (const [index, idea] of ideas.entries()) {
+        try {
+          const responseText = await callAi({
+            task: 'leadAnalysis',
+            prompt: buildLeadAnalysisPrompt(idea.propertyDetails, idea.latitude, idea.longitude),
+            json: true,
+            responseSchema: LEAD_RESULT_SCHEMA,
+            context: { propertyDetails: idea.propertyDetails }
+          });
+          const { result, issues } = validateLeadResult(responseText);
+          if (issues.length > 0) {
+            console.warn(`Partial AI analysis for lead ${idea.id}: `, issues);
+            partialCount += 1;
+            issues.forEach(issue => partialIssues.add(issue));
+          } else {
+            analyzed.push({ id: idea.id, result });
+          }
+        } catch (e) {
+          console.error(`Error analyzing lead ${idea.id}: `, e);
+        }
+        onProgress(index + 1);
+      }
+      if (analyzed.length === 0 && partialCount === 0) {
+        throw new Error('The AI provider did not return any analyses.');
+      }
+      if (analyzed.length > 0) {
+        await leadRepository.updateMany(analyzed.map(({ id, result }) => ({ id, fields: { generatedResults: result } })));
+      }
+      const failed = ideas.length - analyzed.length - partialCount;
+      const partialNote = partialCount > 0
+        ? ` Partial result for ${partialCount} lead${partialCount === 1 ? '' : 's'}, left unchanged: ${[...partialIssues].join(' ')}`
+        : '';
+      const failedNote = failed > 0 ? ` ${failed} failed.` : '';
+      showToast(`Analyzed ${analyzed.length} lead${analyzed.length === 1 ? '' : 's'}.${partialNote}${failedNote}`, partialCount + failed > 0);
+    }, 'Failed to run the AI analysis.');
+  };
+
+  // Push changes made in local mode up to Firestore, in the order they were made
+  const syncLocalChanges = async () => {
+    setIsSyncingLocal(true);
+    let changes = [];
+    let synced = 0;
     try {
       if (!dbInstance || !userId) {
         throw new Error("Firestore or User ID not available.");
       }
-      const mockCountyLeads = [
-        {
-          propertyDetails: "419 S Main St, Elkton, MD",
-          latitude: 39.6083,
-          longitude: -75.8364,
-          taxAmount: 7500,
-          propertyType: "Residential",
-          source: 'county',
-          timestamp: serverTimestamp(),
-          userId: userId,
-          status: 'New'
-        },
-        {
-          propertyDetails: "Vacant lot near Big Elk Creek, Elkton, MD",
-          latitude: 39.6150,
-          longitude: -75.8200,
-          taxAmount: 2500,
-          propertyType: "Vacant Land",
-          source: 'county',
-          timestamp: serverTimestamp(),
-          userId: userId,
-          status: 'New'
-        }
-      ];
+      changes = await localStore.getPendingChanges();
+      const userPath = userRootPath(appId, userId);
+      await commitInBatches(dbInstance, changes, (batch, change) => {
+        const { type, collection: path, id, data } = prepareChangeForSync(change, userId);
+        const ref = doc(dbInstance, `${userPath}/${path}`, id);
+        if (type === 'delete') batch.delete(ref);
+        else batch.set(ref, data, { merge: type === 'update' });
+      }, { onProgress: (done) => { synced = done; } });
+      showToast(`Uploaded ${changes.length} change${changes.length === 1 ? '' : 's'} from this device.`);
+    } catch (e) {
+      console.error("Error syncing local changes: ", e);
+      showToast('Failed to upload some local changes. Try again to send the rest.', true);
+    } finally {
+      // Only committed batches leave the queue
+      await localStore.clearPendingChanges(changes.slice(0, synced).map(change => change.seq))
+        .catch(e => console.error("Error clearing synced changes: ", e));
+      setPendingLocalChanges(changes.length - synced);
+      setIsSyncingLocal(false);
+    }
+  };
+
+  // Read the whole workspace, including each lead's status history and letters, as a backup
+  const exportWorkspace = async () => {
+    try {
+      if (!dbInstance || !userId) {
+        throw new Error("Firestore or User ID not available.");
+      }
+      const userPath = dataRootPath(appId, userId, workspaceId);
+      const readCollection = async (path) => (await getDocs(collection(dbInstance, path))).docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      // Saved views are the user's own, kept with their personal data
+      const [ideas, contacts, events, documentTemplates, allViews] = await Promise.all(
+        WORKSPACE_COLLECTIONS.map(key => readCollection(key === 'savedViews' ? `${userRootPath(appId, userId)}/savedViews` : `${userPath}/${key}`))
+      );
+      const views = allViews.filter(view => isViewInWorkspace(view, workspaceId));
+      const ideasWithDetails = await Promise.all(ideas.map(async (idea) => {
+        const [history, documents] = await Promise.all(LEAD_SUBCOLLECTIONS.map(key => readCollection(`${userPath}/ideas/${idea.id}/${key}`)));
+        return { ...idea, history, documents };
+      }));
+      showToast(`Exported ${ideas.length} leads and ${contacts.length} contacts.`);
+      return buildWorkspaceExport({ ideas: ideasWithDetails, contacts, events, documentTemplates, savedViews: views }, { appId, userId });
+    } catch (e) {
+      console.error("Error exporting workspace: ", e);
+      showToast('Failed to export workspace.', true);
+      return null;
+    }
+  };
 
-      const ideasCollectionRef = collection(dbInstance, `artifacts/${appId}/users/${userId}/ideas`);
-      for (const lead of mockCountyLeads) {
-        await addDoc(ideasCollectionRef, lead);
+  // Commit a planned backup import; returns true on success
+  const importWorkspace = async (plan, onProgress) => {
+    try {
+      if (!dbInstance || !userId) {
+        throw new Error("Firestore or User ID not available.");
       }
-      showToast('Successfully imported tax delinquent properties!');
+      const userPath = dataRootPath(appId, userId, workspaceId);
+      const viewsPath = `${userRootPath(appId, userId)}/savedViews`;
+      // View ids are shared across the user's workspaces; a backup's view that matches another workspace's gets a new id
+      const otherViewIds = new Set(allSavedViews.filter(view => !isViewInWorkspace(view, workspaceId)).map(view => view.id));
+      await commitInBatches(dbInstance, plan.writes, (batch, { path, id, data }) => {
+        if (path === 'savedViews') {
+          const viewRef = otherViewIds.has(id) ? doc(collection(dbInstance, viewsPath)) : doc(dbInstance, viewsPath, id);
+          batch.set(viewRef, { ...data, workspaceId: workspaceId || PERSONAL_WORKSPACE_ID });
+          return;
+        }
+        batch.set(doc(dbInstance, `${userPath}/${path}`, id), path.endsWith('/history') ? scopeHistoryEntry(data, appId, workspaceId) : data);
+      }, { onProgress });
+      showToast(`Imported ${plan.writes.length} records from the backup.`);
+      return true;
     } catch (e) {
-      console.error("Error importing county properties: ", e);
-      showToast('Failed to import county properties.', true);
+      console.error("Error importing workspace: ", e);
+      showToast('Failed to import the backup. Records written before the error were kept.', true);
+      return false;
     }
   };
 
-  // Mock function for calendar sync
+  // Open the calendar modal for a lead
   const syncToCalendar = (idea) => {
-    showToast(`Successfully mocked calendar sync for "${idea.propertyDetails}"!`);
+    setCalendarIdeaId(idea.id);
+  };
+
+  // Open the PDF deal memo export for a lead
+  const exportDealMemo = (idea) => {
+    setMemoIdeaId(idea.id);
+  };
+
+  // Save a dated event (seller call, walkthrough, deadline, closing) for a lead
+  const addCalendarEvent = async (event) => {
+    try {
+      if (!dbInstance || !userId) {
+        throw new Error("Firestore or User ID not available.");
+      }
+      await addDoc(collection(dbInstance, `${dataRootPath(appId, userId, workspaceId)}/events`), {
+        ...event,
+        createdAt: serverTimestamp(),
+      });
+      showToast(`${event.title} scheduled for ${event.date}.`);
+    } catch (e) {
+      console.error("Error adding event: ", e);
+      showToast('Failed to save event.', true);
+    }
+  };
+
+  const deleteCalendarEvent = async (id) => {
+    try {
+      if (!dbInstance || !userId) {
+        throw new Error("Firestore or User ID not available.");
+      }
+      await deleteDoc(doc(dbInstance, `${dataRootPath(appId, userId, workspaceId)}/events`, id));
+    } catch (e) {
+      console.error("Error deleting event: ", e);
+      showToast('Failed to delete event.', true);
+    }
+  };
+
+  // Issue a new feed token and remove the feed published under the old one
+  const regenerateFeedToken = async () => {
+    try {
+      await calendarRepository.regenerateFeedToken(calendarFeedToken);
+      showToast('Calendar feed URL regenerated. Update your calendar subscriptions.');
+    } catch (e) {
+      console.error("Error regenerating feed token: ", e);
+      showToast('Failed to regenerate feed URL.', true);
+    }
   };
 
   // Toggle property details
@@ -1199,6 +1933,30 @@ const App = () => {
     }));
   };
 
+  // Jump from the portfolio map to a lead's expanded deal card
+  const openLeadCard = (id) => {
+    // Drop Deal Flow filters that would hide the lead
+    const idea = savedIdeas.find(savedIdea => savedIdea.id === id);
+    if (idea && filterLeads([idea], { ...leadFilters, area: areaFilter }, { userId }).length === 0) {
+      setLeadFilters(EMPTY_LEAD_FILTERS);
+      setAreaFilter(null);
+    }
+    setShowPropertyDetails(prev => ({ ...prev, [id]: true }));
+    setFocusedLeadId(id);
+    setActiveTab('dealflow');
+  };
+
+  // Open the lead from a calendar event's ?lead= link once leads have loaded
+  useEffect(() => {
+    const leadId = pendingLeadLinkRef.current;
+    if (!leadId || !savedIdeas.some(idea => idea.id === leadId)) return;
+    pendingLeadLinkRef.current = null;
+    window.history.replaceState(null, '', window.location.pathname);
+    setShowPropertyDetails(prev => ({ ...prev, [leadId]: true }));
+    setFocusedLeadId(leadId);
+    setActiveTab('dealflow');
+  }, [savedIdeas]);
+
   // Toggle idea deletion modal
   const toggleIdeaDeleteModal = (idea) => {
     setIdeaToDelete(idea);
@@ -1208,35 +1966,32 @@ const App = () => {
   // Save a contact to Firestore
   const saveContact = async (contact) => {
     try {
-      if (!dbInstance || !userId) {
-        throw new Error("Firestore or User ID not available.");
+      if (isLocalMode) {
+        await localStore.saveContact({ ...contact, userId: userId });
+      } else {
+        await contactRepository.create(contact);
       }
-      const contactsCollectionRef = collection(dbInstance, `artifacts/${appId}/users/${userId}/contacts`);
-      await addDoc(contactsCollectionRef, {
-        ...contact,
-        timestamp: serverTimestamp(),
-        userId: userId,
-      });
       showToast('Contact saved successfully!');
     } catch (e) {
       console.error("Error adding contact: ", e);
-      showToast('Failed to save contact.', true);
+      showToast(describeFailure('Failed to save contact.', e), true);
     }
   };
 
   // Delete a contact from Firestore
   const deleteContact = async (id) => {
     try {
-      if (!dbInstance || !userId) {
-        throw new Error("Firestore or User ID not available.");
+      // Removes the contact from any deals it is linked to, along with the contact itself
+      if (isLocalMode) {
+        await localStore.deleteContact(id, savedIdeas);
+      } else {
+        await contactRepository.remove(id, savedIdeas);
       }
-      const contactDocRef = doc(dbInstance, `artifacts/${appId}/users/${userId}/contacts`, id);
-      await deleteDoc(contactDocRef);
       showToast('Contact deleted successfully!');
       setShowContactDeleteModal(false);
     } catch (e) {
       console.error("Error deleting contact: ", e);
-      showToast('Failed to delete contact.', true);
+      showToast(describeFailure('Failed to delete contact.', e), true);
     }
   };
 
@@ -1249,14 +2004,31 @@ const App = () => {
   // Run Market Analysis
   const runMarketAnalysis = async () => {
     setIsMarketAnalysisLoading(true);
-    const prompt = `Analyze the following real estate comps and provide a detailed market trend analysis. Comps data: ${JSON.stringify(compsData)}. Conclude with a clear recommendation on whether the market is trending up, down, or stable.`;
-
-    const payload = {
-      contents: [{ parts: [{ text: prompt }] }]
+    const analysisIdea = savedIdeas.find(idea => idea.id === analysisIdeaId);
+    const estimate = estimateArv(compsData, compSubject, getCoordinates(analysisIdea), compAdjustments);
+    // Structured comps with their adjustments, so the model can reason about size, age and distance
+    const comps = (estimate?.rows || []).map(row => ({
+      address: row.comp.address,
+      salePrice: row.comp.price,
+      saleDate: row.comp.saleDate || null,
+      sqft: row.comp.sqft,
+      beds: row.comp.beds,
+      baths: row.comp.baths,
+      lotSizeSqft: row.comp.lotSize,
+      pricePerSqft: row.pricePerSqft === null ? null : Math.round(row.pricePerSqft),
+      distanceMiles: row.distance === null ? null : Number(row.distance.toFixed(2)),
+      adjustedPrice: Math.round(row.adjustedPrice),
+    }));
+    const subject = {
+      property: analysisIdea?.propertyDetails || null,
+      ...Object.fromEntries(Object.entries(compSubject).map(([key, value]) => [key, parseFloat(value) || null])),
+      estimatedArv: estimate ? Math.round(estimate.arv) : null,
+      arvConfidence: estimate?.confidenceLabel || null,
     };
+    const prompt = `Analyze the following real estate comps and provide a detailed market trend analysis. Subject property: ${JSON.stringify(subject)}. Comps data: ${JSON.stringify(comps)}. Comment on price-per-square-foot trends over time and whether the estimated ARV is supported. Conclude with a clear recommendation on whether the market is trending up, down, or stable.`;
 
     try {
-      const responseText = await callGeminiApi(payload);
+      const responseText = await callAi({ task: 'marketAnalysis', prompt });
       setMarketTrendAnalysis(responseText);
     } catch (e) {
       showToast(`Failed to run market analysis: ${e.message}`, true);
@@ -1265,6 +2037,187 @@ const App = () => {
     }
   };
 
+  // --- Per-lead underwriting ---
+
+  const calculatorSetters = {
+    purchasePrice: setPurchasePrice,
+    salesPrice: setSalesPrice,
+    closingCosts: setClosingCosts,
+    rehabCosts: setRehabCosts,
+    holdingCosts: setHoldingCosts,
+  };
+
+  // Load a saved scenario (or blank figures) into the calculator. Property tax
+  // for holding costs starts from the lead's county tax amount when there is one.
+  const loadScenario = (scenario, idea) => {
+    UNDERWRITING_FIELDS.forEach(field => calculatorSetters[field](scenario?.[field] ? String(scenario[field]) : ''));
+    setRentalInputs({ ...DEFAULT_RENTAL_INPUTS, ...scenario?.rental });
+    setStrategyInputs({ ...DEFAULT_STRATEGY_INPUTS, ...scenario?.strategy });
+    setRehabBudget({ ...EMPTY_REHAB_BUDGET, ...scenario?.rehab });
+    const taxAmount = parseFloat(idea?.taxAmount);
+    setHoldingInputs({
+      ...DEFAULT_HOLDING_INPUTS,
+      ...(taxAmount > 0 ? { annualTax: String(taxAmount) } : {}),
+      ...scenario?.holding,
+    });
+    setAnalysisScenarioId(scenario?.id || null);
+    setScenarioName(scenario?.name || '');
+  };
+
+  // Once the rehab budget has line items, its total drives the calculators' rehab costs
+  const updateRehabBudget = (budget) => {
+    setRehabBudget(budget);
+    if (budget.items.length > 0) {
+      setRehabCosts(String(Math.round(calculateRehabBudget(budget).total)));
+    }
+  };
+
+  const selectAnalysisIdea = (id) => {
+    const idea = savedIdeas.find(item => item.id === id);
+    setAnalysisIdeaId(idea ? idea.id : null);
+    setMarketTrendAnalysis('');
+    if (idea) {
+      loadScenario(getActiveScenario(idea), idea);
+      setCompsData((idea.underwriting?.compsData || []).map(normalizeComp));
+      setCompSubject({ ...EMPTY_COMP_SUBJECT, ...idea.underwriting?.compSubject });
+      setCompAdjustments({ ...DEFAULT_COMP_ADJUSTMENTS, ...idea.underwriting?.compAdjustments });
+      setCompsResults([]);
+    }
+  };
+
+  // "Analyze" on a deal card: open the lead's saved numbers in Financial Analysis
+  const openAnalysis = (idea) => {
+    selectAnalysisIdea(idea.id);
+    setActiveTab('financials');
+  };
+
+  const selectScenario = (scenarioId) => {
+    const idea = savedIdeas.find(item => item.id === analysisIdeaId);
+    loadScenario(getScenarios(idea).find(scenario => scenario.id === scenarioId) || null, idea);
+  };
+
+  const writeUnderwriting = (ideaId, underwriting) => (
+    isLocalMode ? localStore.updateIdea(ideaId, { underwriting }) : leadRepository.update(ideaId, { underwriting })
+  );
+
+  // Save the calculator figures and comps as a scenario on the lead being analyzed
+  const saveScenario = async (asNew) => {
+    const idea = savedIdeas.find(item => item.id === analysisIdeaId);
+    if (!idea) return;
+    const scenarioId = asNew || !analysisScenarioId ? createScenarioId() : analysisScenarioId;
+    const defaultName = `Scenario ${getScenarios(idea).length + 1}`;
+    const name = asNew && scenarioName ? `${scenarioName} (copy)` : (scenarioName || defaultName);
+    const scenario = buildScenario(scenarioId, name, { purchasePrice, salesPrice, closingCosts, rehabCosts, holdingCosts }, { rental: rentalInputs, strategy: strategyInputs, rehab: rehabBudget, holding: holdingInputs });
+    try {
+      await writeUnderwriting(idea.id, { ...upsertScenario(idea.underwriting, scenario), compsData, compSubject, compAdjustments });
+      setAnalysisScenarioId(scenario.id);
+      setScenarioName(scenario.name);
+      showToast(`Saved "${scenario.name}" for ${idea.propertyDetails}.`);
+    } catch (e) {
+      console.error("Error saving underwriting: ", e);
+      showToast('Failed to save scenario.', true);
+    }
+  };
+
+  const deleteScenario = async () => {
+    const idea = savedIdeas.find(item => item.id === analysisIdeaId);
+    if (!idea || !analysisScenarioId) return;
+    try {
+      const underwriting = removeScenario(idea.underwriting, analysisScenarioId);
+      await writeUnderwriting(idea.id, underwriting);
+      loadScenario(underwriting.scenarios.find(scenario => scenario.id === underwriting.activeScenarioId) || null, idea);
+      showToast('Scenario deleted.');
+    } catch (e) {
+      console.error("Error deleting scenario: ", e);
+      showToast('Failed to delete scenario.', true);
+    }
+  };
+
+  // Score the calculator's current figures (unsaved edits included) for Financial Analysis
+  const analysisIdea = savedIdeas.find(idea => idea.id === analysisIdeaId);
+  const liveScore = computeDealScore({
+    ...analysisIdea,
+    underwriting: {
+      ...analysisIdea?.underwriting,
+      compsData,
+      compSubject,
+      compAdjustments,
+      activeScenarioId: 'live',
+      scenarios: [buildScenario('live', scenarioName, { purchasePrice, salesPrice, closingCosts, rehabCosts, holdingCosts }, {})],
+    },
+  }, scoreWeights);
+
+  // --- Comparable sales ---
+
+  // Replace the working comps and save them to the lead being analyzed
+  const updateComps = async (comps) => {
+    setCompsData(comps);
+    if (!analysisIdeaId) return;
+    try {
+      if (isLocalMode) {
+        await writeUnderwriting(analysisIdeaId, { ...analysisIdea?.underwriting, compsData: comps });
+      } else {
+        await leadRepository.update(analysisIdeaId, { 'underwriting.compsData': comps });
+      }
+    } catch (e) {
+      console.error("Error saving comps: ", e);
+      showToast('Failed to save comps.', true);
+    }
+  };
+
+  const saveCompsToLead = async () => {
+    if (!analysisIdeaId) return;
+    try {
+      if (isLocalMode) {
+        await writeUnderwriting(analysisIdeaId, { ...analysisIdea?.underwriting, compsData, compSubject, compAdjustments });
+      } else {
+        await leadRepository.update(analysisIdeaId, {
+          'underwriting.compsData': compsData,
+          'underwriting.compSubject': compSubject,
+          'underwriting.compAdjustments': compAdjustments,
+        });
+      }
+      showToast('Comps saved to the lead.');
+    } catch (e) {
+      console.error("Error saving comps: ", e);
+      showToast('Failed to save comps.', true);
+    }
+  };
+
+  // Ask the AI provider for candidate comps near the lead being analyzed
+  const findComparables = async () => {
+    const idea = savedIdeas.find(item => item.id === analysisIdeaId);
+    if (!idea) return;
+    setIsCompsLoading(true);
+    setCompsResults([]);
+    const coords = getCoordinates(idea);
+    const prompt = `Suggest up to 6 recent comparable residential sales for the following subject property.
+    Subject: "${idea.propertyDetails}"${coords ? ` at latitude ${coords.lat}, longitude ${coords.lng}` : ''}.
+    Subject details: ${JSON.stringify(compSubject)}.
+    Respond with a JSON array of objects with the keys "address", "price", "saleDate" (YYYY-MM-DD), "sqft", "beds", "baths", "lotSize" (square feet), "latitude" and "longitude".`;
+    try {
+      const responseText = await callAi({ task: 'comparables', prompt, json: true, context: { propertyDetails: idea.propertyDetails, ...coords } });
+      const parsed = parseModelJson(responseText);
+      const comps = (Array.isArray(parsed) ? parsed : parsed?.comps || [])
+        .map(normalizeComp)
+        .filter(comp => comp.price > 0);
+      setCompsResults(comps);
+      if (comps.length === 0) {
+        showToast('No usable comps were returned.', true);
+      }
+    } catch (e) {
+      showToast(`Failed to find comps: ${e.message}`, true);
+    } finally {
+      setIsCompsLoading(false);
+    }
+  };
+
+  // Keep the deal's holding costs in step with the holding cost calculator when it's in use
+  useEffect(() => {
+    if (!holdingInputs.enabled) return;
+    setHoldingCosts(String(Math.round(calculateHoldingCosts({ purchasePrice, rehabCosts, holding: holdingInputs }).total)));
+  }, [holdingInputs, purchasePrice, rehabCosts]);
+
   // Main UI render
   useEffect(() => {
     if (darkMode) {
@@ -1274,6 +2227,11 @@ const App = () => {
     }
   }, [darkMode]);
 
+  // Nobody signed in: the sign-in screen replaces the app
+  if (app && isAuthReady && !userId) {
+    return <AuthScreen auth={authInstance} onSignedIn={handleAccountChange} />;
+  }
+
   return (
     <div className="font-sans antialiased text-gray-900 dark:text-gray-200 bg-gray-100 dark:bg-gray-900 transition-colors duration-300 min-h-screen">
       <script src="https://cdn.tailwindcss.com"></script>
@@ -1331,6 +2289,10 @@ const App = () => {
               <ListTodo className="w-5 h-5" />
               <span className="hidden lg:inline">Deal Flow</span>
             </button>
+            <button onClick={() => setActiveTab('map')} className={`flex items-center space-x-3 p-3 rounded-full font-semibold transition-colors duration-200 ${activeTab === 'map' ? 'bg-blue-100 text-blue-600 dark:bg-blue-700 dark:text-white' : 'text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}>
+              <Globe className="w-5 h-5" />
+              <span className="hidden lg:inline">Portfolio Map</span>
+            </button>
             <button onClick={() => setActiveTab('financials')} className={`flex items-center space-x-3 p-3 rounded-full font-semibold transition-colors duration-200 ${activeTab === 'financials' ? 'bg-blue-100 text-blue-600 dark:bg-blue-700 dark:text-white' : 'text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}>
               <DollarSign className="w-5 h-5" />
               <span className="hidden lg:inline">Financial Analysis</span>
@@ -1339,9 +2301,23 @@ const App = () => {
               <Users className="w-5 h-5" />
               <span className="hidden lg:inline">Contacts</span>
             </button>
+            <button onClick={() => setActiveTab('settings')} className={`flex items-center space-x-3 p-3 rounded-full font-semibold transition-colors duration-200 ${activeTab === 'settings' ? 'bg-blue-100 text-blue-600 dark:bg-blue-700 dark:text-white' : 'text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}>
+              <Settings className="w-5 h-5" />
+              <span className="hidden lg:inline">Settings</span>
+            </button>
           </div>
           <div className="flex items-center space-x-2 mt-4 lg:mt-auto">
-            <span className="text-xs text-gray-400">User ID: {userId}</span>
+            <div className="flex flex-col">
+              <span className="text-xs text-gray-400 truncate max-w-xs" title={account?.email || undefined}>{isLocalMode ? 'Saved on this device' : getAccountLabel(account)}</span>
+              {activeWorkspace && (
+                <span className="text-xs font-semibold text-gray-500 dark:text-gray-300 truncate max-w-xs" title="Team workspace">{activeWorkspace.name}</span>
+              )}
+              {account?.isAnonymous && (
+                <button onClick={() => setShowAccountUpgrade(true)} className="text-xs font-semibold text-blue-600 dark:text-blue-400 hover:underline text-left">
+                  Create account
+                </button>
+              )}
+            </div>
             <button onClick={() => setDarkMode(!darkMode)} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors">
               {darkMode ? <Sun className="w-5 h-5" /> : <Moon className="w-5 h-5" />}
             </button>
@@ -1350,7 +2326,24 @@ const App = () => {
 
         {/* Main Content Area */}
         <main className="flex-1 overflow-y-auto p-4 sm:p-8 space-y-6">
-          {activeTab === 'dashboard' && <Dashboard savedIdeas={savedIdeas} savedContacts={savedContacts} />}
+          {isLocalMode && (
+            <div className="bg-blue-50 dark:bg-blue-950 border-l-4 border-blue-500 text-blue-800 dark:text-blue-200 p-4 rounded-xl text-sm">
+              Local mode: Firebase is not configured, so leads, statuses, scenarios and contacts are saved in this browser. They will be uploaded once the app runs with a Firebase configuration. Offer letters, calendar events and batch actions other than export need Firebase.
+            </div>
+          )}
+          {pendingLocalChanges > 0 && (
+            <div className="bg-yellow-100 dark:bg-yellow-900 border-l-4 border-yellow-500 text-yellow-800 dark:text-yellow-200 p-4 rounded-xl text-sm flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+              <span>{pendingLocalChanges} change{pendingLocalChanges === 1 ? ' was' : 's were'} saved on this device while Firebase was unavailable.</span>
+              <button
+                onClick={syncLocalChanges}
+                disabled={isSyncingLocal}
+                className="px-4 py-2 rounded-full font-semibold text-white bg-yellow-600 hover:bg-yellow-700 disabled:bg-gray-400 transition-colors"
+              >
+                {isSyncingLocal ? 'Uploading...' : 'Upload to Cloud'}
+              </button>
+            </div>
+          )}
+          {activeTab === 'dashboard' && <Dashboard savedIdeas={savedIdeas} savedContacts={savedContacts} statusHistoryByIdea={statusHistoryByIdea} />}
           {activeTab === 'generator' && (
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               <LeadGenerator
@@ -1359,7 +2352,7 @@ const App = () => {
                 longitude={longitude} setLongitude={setLongitude}
                 imageFile={imageFile} setImageFile={setImageFile}
                 findLeads={findLeads} isLoading={isLoading}
-                results={results} error={error}
+                results={results} resultIssues={resultIssues} error={error}
                 showPropertyDetails={showPropertyDetails} togglePropertyDetails={togglePropertyDetails}
                 saveIdea={saveIdea} userId={userId}
               />
@@ -1373,16 +2366,53 @@ const App = () => {
               togglePropertyDetails={togglePropertyDetails}
               showPropertyDetails={showPropertyDetails}
               generateOfferLetter={generateOfferLetter}
-              isGeneratingOffer={isGeneratingOffer}
               toggleIdeaDeleteModal={toggleIdeaDeleteModal}
               ideaToDelete={ideaToDelete}
               showIdeaDeleteModal={showIdeaDeleteModal}
               syncToCalendar={syncToCalendar}
+              exportDealMemo={exportDealMemo}
               runAutomatedLeadSearch={runAutomatedLeadSearch}
               isAutoGenerating={isAutoGenerating}
               autoGenProgress={autoGenProgress}
-              importCountyProperties={importCountyProperties}
+              openCountyImport={() => setShowCountyImport(true)}
               updateLeadStatus={updateLeadStatus}
+              assignLead={assignLead}
+              userId={userId}
+              isTeamWorkspace={Boolean(workspaceId)}
+              workspaceMembers={workspaceMembers}
+              memberNames={memberNames}
+              canEdit={canEdit}
+              areaFilter={areaFilter}
+              setAreaFilter={setAreaFilter}
+              focusedLeadId={focusedLeadId}
+              onOpenLead={openLeadCard}
+              subscribeToStatusHistory={subscribeToStatusHistory}
+              savedContacts={savedContacts}
+              linkContactToLead={linkContactToLead}
+              unlinkContactFromLead={unlinkContactFromLead}
+              onAnalyze={openAnalysis}
+              scoreWeights={scoreWeights}
+              leadFilters={leadFilters}
+              setLeadFilters={setLeadFilters}
+              sortOrder={leadSortOrder}
+              setSortOrder={setLeadSortOrder}
+              savedViews={savedViews}
+              saveFilterView={saveFilterView}
+              deleteFilterView={deleteFilterView}
+              bulkProgress={bulkProgress}
+              bulkUpdateStatus={bulkUpdateStatus}
+              bulkAssignLeads={bulkAssignLeads}
+              bulkDeleteIdeas={bulkDeleteIdeas}
+              bulkGenerateOfferLetters={bulkGenerateOfferLetters}
+              bulkAnalyzeLeads={bulkAnalyzeLeads}
+            />
+          )}
+          {activeTab === 'map' && (
+            <PortfolioMap
+              savedIdeas={savedIdeas}
+              areaFilter={areaFilter}
+              setAreaFilter={setAreaFilter}
+              onOpenLead={openLeadCard}
             />
           )}
           {activeTab === 'financials' && (
@@ -1395,8 +2425,21 @@ const App = () => {
               showAdvancedAnalysis={showAdvancedAnalysis} setShowAdvancedAnalysis={setShowAdvancedAnalysis}
               marketTrendAnalysis={marketTrendAnalysis} isMarketAnalysisLoading={isMarketAnalysisLoading}
               runMarketAnalysis={runMarketAnalysis}
-              compsData={compsData} setCompsData={setCompsData}
-              compsInput={compsInput} setCompsInput={setCompsInput}
+              compsData={compsData} updateComps={updateComps}
+              compSubject={compSubject} setCompSubject={setCompSubject}
+              compAdjustments={compAdjustments} setCompAdjustments={setCompAdjustments}
+              saveCompsToLead={saveCompsToLead}
+              findComparables={findComparables} compsResults={compsResults} isCompsLoading={isCompsLoading}
+              savedIdeas={savedIdeas}
+              analysisIdeaId={analysisIdeaId} selectAnalysisIdea={selectAnalysisIdea}
+              analysisScenarioId={analysisScenarioId} selectScenario={selectScenario}
+              scenarioName={scenarioName} setScenarioName={setScenarioName}
+              saveScenario={saveScenario} deleteScenario={deleteScenario}
+              rentalInputs={rentalInputs} setRentalInputs={setRentalInputs}
+              strategyInputs={strategyInputs} setStrategyInputs={setStrategyInputs}
+              rehabBudget={rehabBudget} updateRehabBudget={updateRehabBudget}
+              holdingInputs={holdingInputs} setHoldingInputs={setHoldingInputs}
+              dealScore={liveScore.score} advancedScore={liveScore.factors}
             />
           )}
           {activeTab === 'contacts' && (
@@ -1410,15 +2453,103 @@ const App = () => {
               showContactDeleteModal={showContactDeleteModal}
               contactToDelete={contactToDelete}
               toggleContactDeleteModal={toggleContactDeleteModal}
+              savedIdeas={savedIdeas}
+              onOpenLead={openLeadCard}
+              canEdit={canEdit}
             />
           )}
+          {activeTab === 'settings' && (
+            <div className="space-y-8">
+              {account && (
+                <AccountSettings
+                  key={account.uid}
+                  auth={authInstance}
+                  account={account}
+                  onAccountChange={handleAccountChange}
+                  onCreateAccount={() => setShowAccountUpgrade(true)}
+                />
+              )}
+              {account && (
+                <WorkspaceSettings
+                  auth={authInstance}
+                  account={account}
+                  userId={userId}
+                  workspaceRepository={workspaceRepository}
+                  memberships={memberships}
+                  activeWorkspace={activeWorkspace}
+                  role={workspaceRole}
+                  members={workspaceMembers}
+                  pendingInvites={pendingInvites}
+                  myInvites={myInvites}
+                  switchWorkspace={switchWorkspace}
+                  onAccountChange={handleAccountChange}
+                />
+              )}
+              <AISettings aiSettings={aiSettings} updateAiSettings={updateAiSettings} />
+              <ScoreWeightsSettings scoreWeights={scoreWeights} updateScoreWeights={updateScoreWeights} />
+              <CalendarFeedSettings
+                feedToken={calendarFeedToken}
+                appId={appId}
+                savedEvents={savedEvents}
+                savedIdeas={savedIdeas}
+                regenerateFeedToken={regenerateFeedToken}
+              />
+              <WorkspaceBackup
+                userId={userId}
+                existingRecords={{ ideas: savedIdeas, contacts: savedContacts, events: savedEvents, documentTemplates, savedViews }}
+                canEdit={canEdit}
+                exportWorkspace={exportWorkspace}
+                importWorkspace={importWorkspace}
+              />
+            </div>
+          )}
         </main>
       </div>
-      <DocumentModal
-        show={showOfferLetterModal}
-        title="Generated Offer Letter"
-        content={offerLetterContent}
-        onClose={() => setShowOfferLetterModal(false)}
+      {showAccountUpgrade && (
+        <AuthScreen
+          auth={authInstance}
+          isGuest={!!account?.isAnonymous}
+          initialMode="signUp"
+          onSignedIn={handleAccountChange}
+          onClose={() => setShowAccountUpgrade(false)}
+        />
+      )}
+      {memoIdeaId && savedIdeas.some(idea => idea.id === memoIdeaId) && (
+        <DealMemoModal
+          idea={savedIdeas.find(idea => idea.id === memoIdeaId)}
+          savedContacts={savedContacts}
+          scoreWeights={scoreWeights}
+          onClose={() => setMemoIdeaId(null)}
+        />
+      )}
+      {offerLetterIdeaId && savedIdeas.some(idea => idea.id === offerLetterIdeaId) && (
+        <OfferLetterModal
+          idea={savedIdeas.find(idea => idea.id === offerLetterIdeaId)}
+          savedContacts={savedContacts}
+          documentTemplates={documentTemplates}
+          saveDocumentTemplate={saveDocumentTemplate}
+          deleteDocumentTemplate={deleteDocumentTemplate}
+          subscribeToLeadDocuments={subscribeToLeadDocuments}
+          saveLeadDocument={saveLeadDocument}
+          markDocumentSent={markDocumentSent}
+          rewriteDocument={rewriteDocument}
+          onClose={() => setOfferLetterIdeaId(null)}
+        />
+      )}
+      <CountyImportWizard
+        show={showCountyImport}
+        onClose={() => setShowCountyImport(false)}
+        existingParcelIds={savedIdeas.map(idea => idea.parcelId)}
+        importCountyLeads={importCountyLeads}
+      />
+      <CalendarEventsModal
+        key={calendarIdeaId}
+        show={!!calendarIdeaId}
+        idea={savedIdeas.find(idea => idea.id === calendarIdeaId)}
+        events={savedEvents.filter(event => event.ideaId === calendarIdeaId)}
+        addCalendarEvent={addCalendarEvent}
+        deleteCalendarEvent={deleteCalendarEvent}
+        onClose={() => setCalendarIdeaId(null)}
       />
     </div>
   );
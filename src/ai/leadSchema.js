@@ -0,0 +1,180 @@
+// Schema for AI lead results.
+// The schema objects are sent to the provider as `responseSchema` (Gemini's
+// OpenAPI subset), and the validators below enforce the same shape on the
+// client so a malformed response is repaired instead of crashing the UI.
+
+export const LEAD_RESULT_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    detailedPropertySummary: { type: 'STRING' },
+    suggestedOfferRange: { type: 'STRING' },
+    buyerProfiles: { type: 'ARRAY', items: { type: 'STRING' } },
+    sellerOutreachAngles: { type: 'ARRAY', items: { type: 'STRING' } },
+    dueDiligenceChecklist: { type: 'ARRAY', items: { type: 'STRING' } },
+  },
+  required: ['detailedPropertySummary', 'suggestedOfferRange', 'buyerProfiles', 'sellerOutreachAngles', 'dueDiligenceChecklist'],
+};
+
+export const LEAD_BATCH_SCHEMA = {
+  type: 'ARRAY',
+  items: {
+    type: 'OBJECT',
+    properties: {
+      propertyDetails: { type: 'STRING' },
+      latitude: { type: 'NUMBER' },
+      longitude: { type: 'NUMBER' },
+      generatedResults: LEAD_RESULT_SCHEMA,
+    },
+    required: ['propertyDetails', 'latitude', 'longitude', 'generatedResults'],
+  },
+};
+
+const STRING_DEFAULTS = {
+  detailedPropertySummary: 'No property summary was provided.',
+  suggestedOfferRange: 'Not available',
+};
+
+const ARRAY_FIELDS = ['buyerProfiles', 'sellerOutreachAngles', 'dueDiligenceChecklist'];
+
+// Parse model output as JSON, tolerating code fences and surrounding prose
+export const parseModelJson = (text) => {
+  const cleaned = String(text ?? '').replace(/```json|```/g, '').trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch (e) {
+    // Fall back to the outermost object or array embedded in the text
+    const start = cleaned.search(/[[{]/);
+    const end = Math.max(cleaned.lastIndexOf('}'), cleaned.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      return JSON.parse(cleaned.slice(start, end + 1));
+    }
+    throw e;
+  }
+};
+
+const repairString = (value, field, issues) => {
+  if (typeof value === 'string' && value.trim()) {
+    return value;
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    issues.push(`"${field}" was not text and has been converted.`);
+    return String(value);
+  }
+  if (Array.isArray(value) && value.length > 0) {
+    issues.push(`"${field}" was a list and has been joined.`);
+    return value.map(String).join(' ');
+  }
+  issues.push(`"${field}" was missing and has been defaulted.`);
+  return STRING_DEFAULTS[field];
+};
+
+const repairStringArray = (value, field, issues) => {
+  if (Array.isArray(value)) {
+    const items = value
+      .map(item => (item && typeof item === 'object' ? Object.values(item).join(' - ') : item))
+      .filter(item => item !== null && item !== undefined && String(item).trim() !== '')
+      .map(String);
+    if (items.length !== value.length || value.some(item => typeof item !== 'string')) {
+      issues.push(`"${field}" contained invalid entries that were converted or removed.`);
+    }
+    return items;
+  }
+  if (typeof value === 'string' && value.trim()) {
+    issues.push(`"${field}" was text instead of a list and has been split.`);
+    return value.split(/\n|;/).map(item => item.replace(/^\s*[-*\d.]+\s*/, '').trim()).filter(Boolean);
+  }
+  issues.push(`"${field}" was missing and has been defaulted to an empty list.`);
+  return [];
+};
+
+// Validate and repair a single lead result.
+// Returns { result, issues }; a non-empty `issues` list means the result is partial.
+export const validateLeadResult = (raw) => {
+  const issues = [];
+  let source = raw;
+
+  if (typeof source === 'string') {
+    try {
+      source = parseModelJson(source);
+    } catch (e) {
+      issues.push('The response was not valid JSON; the raw text is shown as the summary.');
+      source = { detailedPropertySummary: raw };
+    }
+  }
+  if (source === null || source === undefined) {
+    issues.push('The result was empty.');
+    source = {};
+  } else if (typeof source !== 'object' || Array.isArray(source)) {
+    issues.push('The response was not a JSON object.');
+    source = {};
+  }
+
+  const result = {
+    detailedPropertySummary: repairString(source.detailedPropertySummary, 'detailedPropertySummary', issues),
+    suggestedOfferRange: repairString(source.suggestedOfferRange, 'suggestedOfferRange', issues),
+  };
+  ARRAY_FIELDS.forEach(field => {
+    result[field] = repairStringArray(source[field], field, issues);
+  });
+  return { result, issues };
+};
+
+// Safely read the `generatedResults` JSON string stored on an idea
+export const parseGeneratedResults = (generatedResults) => {
+  if (!generatedResults) {
+    return null;
+  }
+  return validateLeadResult(generatedResults).result;
+};
+
+const toCoordinate = (value, limit) => {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) && Math.abs(number) <= limit ? number : null;
+};
+
+// Validate a batch of generated leads before anything is written.
+// Leads without a property description are rejected; everything else is repaired.
+// Returns { leads, rejected, repaired, issues }, `repaired` counting the kept leads that had issues.
+export const validateLeadBatch = (raw) => {
+  const issues = [];
+  let source = typeof raw === 'string' ? parseModelJson(raw) : raw;
+
+  // Some providers can only return objects, e.g. { "leads": [...] }
+  if (source && !Array.isArray(source) && typeof source === 'object') {
+    const nested = Object.values(source).find(Array.isArray);
+    if (nested) {
+      source = nested;
+    }
+  }
+  if (!Array.isArray(source)) {
+    throw new Error('Expected a JSON array of leads.');
+  }
+
+  const leads = [];
+  let rejected = 0;
+  let repaired = 0;
+  source.forEach((lead, index) => {
+    const label = `Lead ${index + 1}`;
+    if (!lead || typeof lead !== 'object' || typeof lead.propertyDetails !== 'string' || !lead.propertyDetails.trim()) {
+      rejected++;
+      issues.push(`${label} was rejected because it has no property details.`);
+      return;
+    }
+    const latitude = toCoordinate(lead.latitude, 90);
+    const longitude = toCoordinate(lead.longitude, 180);
+    if (latitude === null || longitude === null) {
+      issues.push(`${label} has invalid coordinates; they were cleared.`);
+    }
+    const { result, issues: resultIssues } = validateLeadResult(lead.generatedResults);
+    resultIssues.forEach(issue => issues.push(`${label}: ${issue}`));
+    if (latitude === null || longitude === null || resultIssues.length > 0) repaired++;
+    leads.push({
+      propertyDetails: lead.propertyDetails.trim(),
+      latitude: latitude === null || longitude === null ? null : latitude,
+      longitude: latitude === null || longitude === null ? null : longitude,
+      generatedResults: result,
+    });
+  });
+
+  return { leads, rejected, repaired, issues };
+};
@@ -0,0 +1,167 @@
+// Deterministic offline AI stub used for demos and tests.
+// Responses are derived from a hash of the prompt, so the same request
+// always produces the same output and no network access is needed.
+
+// FNV-1a string hash
+const hashString = (str) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Small seeded PRNG (mulberry32) so every pick is reproducible
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const pick = (random, list) => list[Math.floor(random() * list.length)];
+
+const pickSome = (random, list, count) => {
+  const pool = [...list];
+  const picked = [];
+  while (picked.length < count && pool.length > 0) {
+    picked.push(pool.splice(Math.floor(random() * pool.length), 1)[0]);
+  }
+  return picked;
+};
+
+const BUYER_PROFILES = [
+  'Local fix-and-flip investors looking for cosmetic rehabs',
+  'Buy-and-hold landlords targeting stable rental demand',
+  'Small builders seeking infill lots',
+  'First-time homebuyers using renovation loans',
+  'Land bankers holding for long-term appreciation',
+  'Out-of-state turnkey rental buyers',
+];
+
+const OUTREACH_ANGLES = [
+  'Offer a quick, as-is cash close with no repairs or showings',
+  'Relieve the burden of delinquent taxes before a tax sale',
+  'Flexible closing date to fit the seller\'s timeline',
+  'Cover all closing costs and handle the paperwork',
+  'Remove the stress of managing a vacant or inherited property',
+  'Provide a fair offer backed by recent comparable sales',
+];
+
+const CHECKLIST_ITEMS = [
+  'Pull a title report and check for liens or judgments',
+  'Verify outstanding property taxes with the county',
+  'Confirm zoning and permitted uses',
+  'Order an inspection covering roof, foundation and systems',
+  'Check flood zone and environmental records',
+  'Review recent comparable sales within one mile',
+  'Confirm utility access and road frontage',
+  'Survey boundaries and easements',
+];
+
+const STREETS = ['Main St', 'Bridge St', 'High St', 'Elk Mills Rd', 'North St', 'Railroad Ave', 'Delaware Ave', 'Maple Ave'];
+const TOWNS = [
+  { name: 'Elkton, MD', lat: 39.6068, lng: -75.8333 },
+  { name: 'North East, MD', lat: 39.6001, lng: -75.9413 },
+  { name: 'Rising Sun, MD', lat: 39.6976, lng: -76.0627 },
+  { name: 'Newark, DE', lat: 39.6837, lng: -75.7497 },
+  { name: 'Havre de Grace, MD', lat: 39.5493, lng: -76.0916 },
+];
+const PROPERTY_KINDS = [
+  'three-bedroom rancher needing cosmetic updates',
+  'vacant residential lot with utilities at the street',
+  'two-story colonial with an outdated kitchen',
+  'duplex with one unit vacant',
+  'five acres of wooded land zoned agricultural',
+];
+
+const formatMoney = (value) => `$${Math.round(value).toLocaleString('en-US')}`;
+
+const buildLeadAnalysis = (random, details) => {
+  const low = Math.round((60000 + random() * 240000) / 1000) * 1000;
+  const high = Math.round(low * (1.1 + random() * 0.15) / 1000) * 1000;
+  const subject = details ? `"${details}"` : 'the subject property';
+  return {
+    detailedPropertySummary: `Offline analysis of ${subject}. The property sits in a market with steady owner-occupant demand and limited new inventory. Based on typical price-per-square-foot ranges for the area and the condition implied by the description, the deal works best as a value-add acquisition with a disciplined rehab budget. This summary was produced by the offline demo provider and is not based on live market data.`,
+    suggestedOfferRange: `${formatMoney(low)} - ${formatMoney(high)}`,
+    buyerProfiles: pickSome(random, BUYER_PROFILES, 3),
+    sellerOutreachAngles: pickSome(random, OUTREACH_ANGLES, 3),
+    dueDiligenceChecklist: pickSome(random, CHECKLIST_ITEMS, 5),
+  };
+};
+
+const buildLeadBatch = (random) => {
+  const leads = [];
+  for (let i = 0; i < 5; i++) {
+    const town = pick(random, TOWNS);
+    const address = `${100 + Math.floor(random() * 900)} ${pick(random, STREETS)}, ${town.name}`;
+    const propertyDetails = `${address} - ${pick(random, PROPERTY_KINDS)}`;
+    leads.push({
+      propertyDetails,
+      latitude: Number((town.lat + (random() - 0.5) * 0.04).toFixed(4)),
+      longitude: Number((town.lng + (random() - 0.5) * 0.04).toFixed(4)),
+      generatedResults: buildLeadAnalysis(random, propertyDetails),
+    });
+  }
+  return leads;
+};
+
+// Comparable sales scattered within about a mile of the subject, sold in the last year
+const buildComparables = (random, context = {}) => {
+  const town = pick(random, TOWNS);
+  const lat = Number.isFinite(context.lat) ? context.lat : town.lat;
+  const lng = Number.isFinite(context.lng) ? context.lng : town.lng;
+  const basePricePerSqft = 120 + random() * 120;
+  const comps = [];
+  for (let i = 0; i < 5; i++) {
+    const sqft = Math.round((1100 + random() * 1400) / 10) * 10;
+    const saleDate = new Date(Date.now() - Math.floor(random() * 365) * 24 * 60 * 60 * 1000);
+    comps.push({
+      address: `${100 + Math.floor(random() * 900)} ${pick(random, STREETS)}, ${town.name}`,
+      price: Math.round(sqft * basePricePerSqft * (0.9 + random() * 0.2) / 500) * 500,
+      saleDate: saleDate.toISOString().slice(0, 10),
+      sqft,
+      beds: 2 + Math.floor(random() * 3),
+      baths: 1 + Math.floor(random() * 4) / 2,
+      lotSize: Math.round((4000 + random() * 12000) / 100) * 100,
+      latitude: Number((lat + (random() - 0.5) * 0.03).toFixed(4)),
+      longitude: Number((lng + (random() - 0.5) * 0.03).toFixed(4)),
+    });
+  }
+  return comps;
+};
+
+// The offline "rewrite" keeps the letter intact and adds a closing note
+const buildOfferRewrite = (random, letter) => `${(letter || '').trim()}
+
+P.S. ${pick(random, ['I know selling a property is a big decision, and there is no pressure to decide right away.', 'I am local and happy to meet in person at your convenience.', 'Even if now is not the right time, I would be glad to stay in touch.'])}`;
+
+const buildMarketAnalysis = (random) => {
+  const trend = pick(random, ['trending up', 'stable', 'trending down']);
+  return `Offline market analysis: the comparable sales provided show a market that is ${trend}. Price dispersion between comps is within a normal range, so the data supports using the median comp as a baseline for the after-repair value. Recommendation: the market is ${trend}; underwrite conservatively and verify with local sales data before making an offer.`;
+};
+
+// Produce a deterministic response for an AI request
+export const generateOfflineResponse = (request) => {
+  const random = createRandom(hashString(`${request.task || ''}|${request.prompt || ''}`));
+  switch (request.task) {
+    case 'leadAnalysis':
+      return JSON.stringify(buildLeadAnalysis(random, request.context?.propertyDetails));
+    case 'leadBatch':
+      return JSON.stringify(buildLeadBatch(random));
+    case 'offerRewrite':
+      return buildOfferRewrite(random, request.context?.letter);
+    case 'comparables':
+      return JSON.stringify(buildComparables(random, request.context));
+    case 'marketAnalysis':
+      return buildMarketAnalysis(random);
+    default:
+      return request.json
+        ? JSON.stringify({ text: 'Offline demo response.' })
+        : 'Offline demo response.';
+  }
+};
@@ -0,0 +1,176 @@
+import { generateOfflineResponse } from './offlineStub';
+
+// Pluggable AI provider layer.
+// Callers describe *what* they want with a provider-neutral request:
+//   { task, prompt, json, responseSchema, image: { mimeType, data }, context }
+// and each provider adapter turns that into its own wire format.
+
+export const AI_PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    defaultModel: 'gemini-2.5-flash-preview-05-20',
+    defaultEndpoint: 'https://generativelanguage.googleapis.com/v1beta',
+  },
+  openai: {
+    label: 'OpenAI-compatible',
+    defaultModel: 'gpt-4o-mini',
+    defaultEndpoint: 'https://api.openai.com/v1',
+  },
+  offline: {
+    label: 'Offline demo (no network)',
+    defaultModel: 'offline-stub',
+    defaultEndpoint: '',
+  },
+};
+
+const SETTINGS_STORAGE_KEY = 'aip-ai-settings';
+const MAX_RETRIES = 5;
+const INITIAL_RETRY_DELAY = 1000; // 1 second
+
+// Build-time defaults, overridable at runtime from the Settings tab
+export const defaultAiSettings = () => {
+  const provider = AI_PROVIDERS[process.env.REACT_APP_AI_PROVIDER] ? process.env.REACT_APP_AI_PROVIDER : 'gemini';
+  return {
+    provider,
+    model: process.env.REACT_APP_AI_MODEL || AI_PROVIDERS[provider].defaultModel,
+    apiKey: process.env.REACT_APP_AI_API_KEY || '',
+    endpoint: process.env.REACT_APP_AI_ENDPOINT || AI_PROVIDERS[provider].defaultEndpoint,
+  };
+};
+
+export const loadAiSettings = () => {
+  const defaults = defaultAiSettings();
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SETTINGS_STORAGE_KEY));
+    if (stored && AI_PROVIDERS[stored.provider]) {
+      return { ...defaults, ...stored };
+    }
+  } catch (e) {
+    console.warn('Could not read AI settings, using defaults:', e);
+  }
+  return defaults;
+};
+
+export const saveAiSettings = (settings) => {
+  try {
+    window.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn('Could not persist AI settings:', e);
+  }
+};
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// --- Provider adapters ---
+
+const geminiProvider = {
+  buildRequest: (settings, request) => {
+    const parts = [{ text: request.prompt }];
+    if (request.image) {
+      parts.push({ inlineData: { mimeType: request.image.mimeType, data: request.image.data } });
+    }
+    const body = { contents: [{ parts }] };
+    if (request.json) {
+      body.generationConfig = { responseMimeType: 'application/json' };
+      if (request.responseSchema) {
+        body.generationConfig.responseSchema = request.responseSchema;
+      }
+    }
+    const endpoint = trimSlash(settings.endpoint || AI_PROVIDERS.gemini.defaultEndpoint);
+    return {
+      url: `${endpoint}/models/${settings.model}:generateContent?key=${encodeURIComponent(settings.apiKey || '')}`,
+      headers: { 'Content-Type': 'application/json' },
+      body,
+    };
+  },
+  parseResponse: (result) => {
+    const text = result?.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (typeof text !== 'string') {
+      throw new Error('Unexpected API response format');
+    }
+    return text;
+  },
+};
+
+const openAiProvider = {
+  buildRequest: (settings, request) => {
+    const content = request.image
+      ? [
+        { type: 'text', text: request.prompt },
+        { type: 'image_url', image_url: { url: `data:${request.image.mimeType};base64,${request.image.data}` } },
+      ]
+      : request.prompt;
+    const body = {
+      model: settings.model,
+      messages: [{ role: 'user', content }],
+    };
+    if (request.json) {
+      body.response_format = { type: 'json_object' };
+    }
+    const headers = { 'Content-Type': 'application/json' };
+    // Local servers usually run without a key
+    if (settings.apiKey) {
+      headers.Authorization = `Bearer ${settings.apiKey}`;
+    }
+    const endpoint = trimSlash(settings.endpoint || AI_PROVIDERS.openai.defaultEndpoint);
+    return { url: `${endpoint}/chat/completions`, headers, body };
+  },
+  parseResponse: (result) => {
+    const text = result?.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new Error('Unexpected API response format');
+    }
+    return text;
+  },
+};
+
+const providerAdapters = {
+  gemini: geminiProvider,
+  openai: openAiProvider,
+};
+
+// Send a request to the configured provider and return the raw text
+// (with exponential backoff on rate limits and transient failures)
+export const generateText = async (settings, request) => {
+  if (settings.provider === 'offline') {
+    return generateOfflineResponse(request);
+  }
+
+  const adapter = providerAdapters[settings.provider];
+  if (!adapter) {
+    throw new Error(`Unknown AI provider: ${settings.provider}`);
+  }
+  const { url, headers, body } = adapter.buildRequest(settings, request);
+
+  let delay = INITIAL_RETRY_DELAY;
+  for (let i = 0; i < MAX_RETRIES; i++) {
+    const isLastAttempt = i === MAX_RETRIES - 1;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+      });
+
+      if (!response.ok) {
+        if (response.status === 429 && !isLastAttempt) { // Rate limit error
+          console.warn(`Rate limit hit. Retrying in ${delay / 1000}s...`);
+          await sleep(delay);
+          delay *= 2; // Exponential backoff
+          continue;
+        }
+        throw new Error(`API error: ${response.status} ${response.statusText}`);
+      }
+
+      return adapter.parseResponse(await response.json());
+    } catch (e) {
+      if (isLastAttempt) {
+        throw e; // Re-throw if all retries fail
+      }
+      await sleep(delay);
+      delay *= 2;
+    }
+  }
+};
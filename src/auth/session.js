@@ -0,0 +1,109 @@
+import {
+  EmailAuthProvider,
+  GoogleAuthProvider,
+  createUserWithEmailAndPassword,
+  linkWithCredential,
+  linkWithPopup,
+  reload,
+  sendEmailVerification,
+  sendPasswordResetEmail,
+  signInAnonymously,
+  signInWithEmailAndPassword,
+  signInWithPopup,
+  signOut,
+  updateProfile,
+} from 'firebase/auth';
+
+// Account actions for the sign-in screens and Settings. A guest (anonymous) session that
+// signs up is upgraded in place by linking the new credential, so it keeps its user id
+// and with it every lead, contact and event saved so far.
+
+const AUTH_ERROR_MESSAGES = {
+  'auth/invalid-email': 'Enter a valid email address.',
+  'auth/missing-password': 'Enter your password.',
+  'auth/weak-password': 'Choose a password with at least 6 characters.',
+  'auth/invalid-credential': 'The email or password is incorrect.',
+  'auth/wrong-password': 'The email or password is incorrect.',
+  'auth/user-not-found': 'The email or password is incorrect.',
+  'auth/user-disabled': 'This account has been disabled.',
+  'auth/email-already-in-use': 'An account already uses this email. Sign in instead.',
+  'auth/credential-already-in-use': 'That Google account already has an account here. Sign in with it instead.',
+  'auth/account-exists-with-different-credential': 'An account already uses this email with a different sign-in method.',
+  'auth/popup-closed-by-user': 'The sign-in window was closed before finishing.',
+  'auth/cancelled-popup-request': 'The sign-in window was closed before finishing.',
+  'auth/popup-blocked': 'The browser blocked the sign-in window. Allow pop-ups for this site and try again.',
+  'auth/too-many-requests': 'Too many attempts. Wait a moment and try again.',
+  'auth/network-request-failed': 'The sign-in service could not be reached. Check your connection.',
+  'auth/operation-not-allowed': 'This sign-in method is not enabled for the app.',
+  'auth/requires-recent-login': 'Sign in again to make this change.',
+};
+
+// Upgrading can't merge into an account that already exists; its leads would stay behind
+const UPGRADE_CONFLICT_CODES = ['auth/email-already-in-use', 'auth/credential-already-in-use'];
+
+// A message for the sign-in screens; `isUpgrade` when the attempt was linking a guest session
+export const describeAuthError = (error, { isUpgrade = false } = {}) => {
+  if (isUpgrade && UPGRADE_CONFLICT_CODES.includes(error?.code)) {
+    return 'That account already exists. Download a backup of this guest session from Settings, sign in to the account, then import the backup there.';
+  }
+  return AUTH_ERROR_MESSAGES[error?.code] || 'Something went wrong signing in. Try again.';
+};
+
+// The parts of a Firebase user the app shows; a fresh object so React sees profile changes
+export const toAccount = (user) => (user ? {
+  uid: user.uid,
+  displayName: user.displayName || '',
+  email: user.email || '',
+  emailVerified: user.emailVerified,
+  isAnonymous: user.isAnonymous,
+  providers: user.providerData.map(provider => provider.providerId),
+} : null);
+
+export const getAccountLabel = (account) => {
+  if (!account) return '';
+  if (account.isAnonymous) return 'Guest session';
+  return account.displayName || account.email || 'Signed in';
+};
+
+const isGuest = (auth) => Boolean(auth.currentUser?.isAnonymous);
+
+// Creates an account, or upgrades the current guest session into one; resolves with the user.
+// The address is sent a verification link, which team invitations require.
+export const signUpWithEmail = async (auth, { email, password, displayName }) => {
+  const { user } = isGuest(auth)
+    ? await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password))
+    : await createUserWithEmailAndPassword(auth, email, password);
+  if (displayName) await updateProfile(user, { displayName });
+  await sendEmailVerification(user).catch(e => console.error('Error sending verification email: ', e));
+  return user;
+};
+
+export const signInWithEmail = async (auth, { email, password }) => (await signInWithEmailAndPassword(auth, email, password)).user;
+
+// Google sign-in; a guest session is upgraded by linking the Google account to it
+export const signInWithGoogle = async (auth) => {
+  const provider = new GoogleAuthProvider();
+  provider.setCustomParameters({ prompt: 'select_account' });
+  const { user } = isGuest(auth) ? await linkWithPopup(auth.currentUser, provider) : await signInWithPopup(auth, provider);
+  return user;
+};
+
+export const sendPasswordReset = (auth, email) => sendPasswordResetEmail(auth, email);
+
+export const resendVerificationEmail = (auth) => sendEmailVerification(auth.currentUser);
+
+// Picks up a verification completed in another tab; the token is refreshed so security rules see it too
+export const refreshVerification = async (auth) => {
+  await reload(auth.currentUser);
+  await auth.currentUser.getIdToken(true);
+  return auth.currentUser;
+};
+
+export const continueAsGuest = async (auth) => (await signInAnonymously(auth)).user;
+
+export const updateDisplayName = async (auth, displayName) => {
+  await updateProfile(auth.currentUser, { displayName });
+  return auth.currentUser;
+};
+
+export const signOutOfAccount = (auth) => signOut(auth);
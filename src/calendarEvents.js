@@ -0,0 +1,57 @@
+import { buildIcsCalendar } from './utils/ics';
+import { getCoordinates } from './utils/geo';
+
+// Dated deal events (seller calls, walkthroughs, deadlines, closings).
+// Stored per user as { ideaId, type, title, date: 'YYYY-MM-DD', time: 'HH:MM' | '', notes }.
+
+export const CALENDAR_EVENT_TYPES = [
+  { key: 'sellerCall', label: 'Seller Call', durationMinutes: 30 },
+  { key: 'walkthrough', label: 'Walkthrough', durationMinutes: 60 },
+  { key: 'offerDeadline', label: 'Offer Deadline', allDay: true },
+  { key: 'closing', label: 'Closing', durationMinutes: 60 },
+];
+
+export const getEventType = (key) => CALENDAR_EVENT_TYPES.find(type => type.key === key) || CALENDAR_EVENT_TYPES[0];
+
+// Events without a time are all-day; dates are interpreted in the user's local time zone
+export const getEventStart = (event) => {
+  const [year, month, day] = event.date.split('-').map(Number);
+  const [hours, minutes] = event.time ? event.time.split(':').map(Number) : [0, 0];
+  return new Date(year, month - 1, day, hours, minutes);
+};
+
+export const isAllDayEvent = (event) => !event.time || getEventType(event.type).allDay === true;
+
+// Deep link that opens the lead's deal card
+export const buildLeadUrl = (ideaId) => `${window.location.origin}${window.location.pathname}?lead=${encodeURIComponent(ideaId)}`;
+
+// Events from today onward, soonest first
+export const getUpcomingEvents = (events, now = new Date()) => {
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return events
+    .filter(event => event.date && getEventStart(event) >= startOfToday)
+    .sort((a, b) => getEventStart(a) - getEventStart(b));
+};
+
+const toIcsEvent = (event, idea) => {
+  const start = getEventStart(event);
+  const allDay = isAllDayEvent(event);
+  const durationMinutes = getEventType(event.type).durationMinutes || 60;
+  const url = idea ? buildLeadUrl(idea.id) : undefined;
+  const address = idea?.propertyDetails || '';
+  return {
+    uid: `${event.id}@aip-real-estate`,
+    title: `${event.title || getEventType(event.type).label}${address ? ` – ${address}` : ''}`,
+    start,
+    end: allDay ? undefined : new Date(start.getTime() + durationMinutes * 60 * 1000),
+    allDay,
+    description: [event.notes, address && `Property: ${address}`, url && `Open lead: ${url}`].filter(Boolean).join('\n'),
+    location: address,
+    geo: idea ? getCoordinates(idea) : null,
+    url,
+  };
+};
+
+// Build an .ics calendar for the given events, looking up each event's lead
+export const buildDealCalendar = (events, ideas, options) =>
+  buildIcsCalendar(events.map(event => toIcsEvent(event, ideas.find(idea => idea.id === event.ideaId))), options);
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { UserCircle, LogOut, UserPlus, KeyRound } from 'lucide-react';
+import { Card, showToast } from './common';
+import { describeAuthError, updateDisplayName, sendPasswordReset, signOutOfAccount } from '../auth/session';
+
+const PROVIDER_LABELS = {
+  password: 'Email and password',
+  'google.com': 'Google',
+};
+
+const buttonClass = 'flex-1 font-bold py-3 px-6 rounded-full shadow-lg transition-all duration-300 disabled:opacity-50 flex items-center justify-center space-x-2';
+
+// Settings card for the signed-in account: display name, password reset and sign out.
+// Guests are offered an account instead, since signing out would lose their session.
+const AccountSettings = ({ auth, account, onAccountChange, onCreateAccount }) => {
+  const [displayName, setDisplayName] = useState(account.displayName);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const saveDisplayName = async () => {
+    setIsSaving(true);
+    try {
+      onAccountChange(await updateDisplayName(auth, displayName.trim()));
+      showToast('Display name updated.');
+    } catch (e) {
+      console.error('Error updating profile: ', e);
+      showToast(describeAuthError(e), true);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const resetPassword = async () => {
+    try {
+      await sendPasswordReset(auth, account.email);
+      showToast(`Password reset link sent to ${account.email}.`);
+    } catch (e) {
+      console.error('Error sending password reset: ', e);
+      showToast(describeAuthError(e), true);
+    }
+  };
+
+  const signOut = async () => {
+    try {
+      await signOutOfAccount(auth);
+    } catch (e) {
+      console.error('Error signing out: ', e);
+      showToast('Failed to sign out.', true);
+    }
+  };
+
+  return (
+    <Card className="flex-1">
+      <h2 className="text-3xl font-extrabold text-gray-900 dark:text-white mb-2 flex items-center">
+        <UserCircle className="w-8 h-8 mr-3 text-blue-500" />
+        Account
+      </h2>
+      {account.isAnonymous ? (
+        <>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+            You are using a guest session. Its deals are tied to this browser and are lost if its data is cleared. Create an account to keep them; everything saved so far moves into it.
+          </p>
+          <button onClick={onCreateAccount} className={`${buttonClass} w-full bg-blue-600 text-white hover:bg-blue-700`}>
+            <UserPlus className="w-5 h-5" />
+            <span>Create Account</span>
+          </button>
+        </>
+      ) : (
+        <>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+            Signed in as {account.email || 'a Google user'} with {account.providers.map(provider => PROVIDER_LABELS[provider] || provider).join(' and ') || 'a linked account'}.
+          </p>
+          <div className="space-y-4">
+            <label className="block">
+              <span className="font-semibold text-sm text-gray-700 dark:text-gray-300">Display name</span>
+              <div className="flex mt-1 gap-2">
+                <input
+                  type="text"
+                  value={displayName}
+                  onChange={(e) => setDisplayName(e.target.value)}
+                  className="flex-1 p-4 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700"
+                />
+                <button
+                  onClick={saveDisplayName}
+                  disabled={isSaving || displayName.trim() === account.displayName}
+                  className="px-6 rounded-full font-bold bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                >
+                  {isSaving ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </label>
+            <div className="flex flex-col sm:flex-row gap-3">
+              {account.providers.includes('password') && (
+                <button onClick={resetPassword} className={`${buttonClass} bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600`}>
+                  <KeyRound className="w-5 h-5" />
+                  <span>Reset Password</span>
+                </button>
+              )}
+              <button onClick={signOut} className={`${buttonClass} bg-red-600 text-white hover:bg-red-700`}>
+                <LogOut className="w-5 h-5" />
+                <span>Sign Out</span>
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+    </Card>
+  );
+};
+
+export default AccountSettings;
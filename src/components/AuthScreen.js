@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { LogIn, UserPlus, KeyRound, X } from 'lucide-react';
+import { Card, showToast } from './common';
+import { describeAuthError, signUpWithEmail, signInWithEmail, signInWithGoogle, sendPasswordReset, continueAsGuest } from '../auth/session';
+
+const inputClass = 'w-full mt-1 p-4 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700';
+const primaryButtonClass = 'w-full font-bold py-3 px-6 rounded-full shadow-lg transition-all duration-300 disabled:opacity-50 flex items-center justify-center space-x-2 bg-blue-600 text-white hover:bg-blue-700';
+const secondaryButtonClass = 'w-full font-bold py-3 px-6 rounded-full transition-colors duration-200 disabled:opacity-50 bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600';
+const linkClass = 'text-sm font-semibold text-blue-600 dark:text-blue-400 hover:underline';
+
+const TITLES = {
+  signIn: 'Sign In',
+  signUp: 'Create Account',
+  reset: 'Reset Password',
+};
+
+// Sign-in, sign-up and password reset. Shown full screen when nobody is signed in, or as a
+// modal (with `onClose`) when a guest chooses to create an account; signing up or using
+// Google from a guest session upgrades it so its leads carry over.
+const AuthScreen = ({ auth, isGuest = false, onSignedIn, onClose, initialMode = 'signIn' }) => {
+  const [mode, setMode] = useState(initialMode);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [displayName, setDisplayName] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setError('');
+  };
+
+  // Run a sign-in action, reporting failures on the form
+  const attempt = async (action, { isUpgrade = false } = {}) => {
+    setIsBusy(true);
+    setError('');
+    try {
+      const user = await action();
+      if (user) onSignedIn(user);
+    } catch (e) {
+      console.error('Authentication failed: ', e);
+      setError(describeAuthError(e, { isUpgrade }));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (mode === 'signUp') {
+      attempt(() => signUpWithEmail(auth, { email, password, displayName: displayName.trim() }), { isUpgrade: isGuest });
+    } else if (mode === 'signIn') {
+      attempt(() => signInWithEmail(auth, { email, password }));
+    } else {
+      attempt(async () => {
+        await sendPasswordReset(auth, email);
+        showToast('If an account uses that email, a reset link is on its way.');
+        switchMode('signIn');
+        return null;
+      });
+    }
+  };
+
+  const form = (
+    <Card className="w-full max-w-md">
+      <div className="flex justify-between items-start mb-2">
+        <h2 className="text-3xl font-extrabold text-gray-900 dark:text-white flex items-center">
+          {mode === 'signUp' ? <UserPlus className="w-8 h-8 mr-3 text-blue-500" /> : mode === 'reset' ? <KeyRound className="w-8 h-8 mr-3 text-blue-500" /> : <LogIn className="w-8 h-8 mr-3 text-blue-500" />}
+          {TITLES[mode]}
+        </h2>
+        {onClose && (
+          <button onClick={onClose} className="p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors" title="Close">
+            <X className="w-5 h-5 text-gray-500" />
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        {mode === 'reset' && 'We will email you a link to choose a new password.'}
+        {mode === 'signUp' && (isGuest
+          ? 'Your leads, contacts and events from this guest session move into the new account.'
+          : 'Keep your deals safe across browsers and devices.')}
+        {mode === 'signIn' && (isGuest
+          ? 'Signing in to an existing account leaves this guest session\'s leads behind. To keep them, create a new account instead.'
+          : 'Welcome back to AIP Real Estate.')}
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {mode === 'signUp' && (
+          <label className="block">
+            <span className="font-semibold text-sm text-gray-700 dark:text-gray-300">Display name</span>
+            <input type="text" value={displayName} onChange={(e) => setDisplayName(e.target.value)} autoComplete="name" className={inputClass} />
+          </label>
+        )}
+        <label className="block">
+          <span className="font-semibold text-sm text-gray-700 dark:text-gray-300">Email</span>
+          <input type="email" required value={email} onChange={(e) => setEmail(e.target.value)} autoComplete="email" className={inputClass} />
+        </label>
+        {mode !== 'reset' && (
+          <label className="block">
+            <span className="font-semibold text-sm text-gray-700 dark:text-gray-300">Password</span>
+            <input
+              type="password"
+              required
+              minLength={mode === 'signUp' ? 6 : undefined}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete={mode === 'signUp' ? 'new-password' : 'current-password'}
+              className={inputClass}
+            />
+          </label>
+        )}
+        {error && (
+          <div className="bg-red-100 dark:bg-red-900 border-l-4 border-red-500 text-red-700 dark:text-red-200 p-3 rounded-xl text-sm">{error}</div>
+        )}
+        <button type="submit" disabled={isBusy} className={primaryButtonClass}>
+          <span>{isBusy ? 'Please wait...' : mode === 'reset' ? 'Send Reset Link' : TITLES[mode]}</span>
+        </button>
+      </form>
+
+      {mode !== 'reset' && (
+        <button
+          onClick={() => attempt(() => signInWithGoogle(auth), { isUpgrade: isGuest })}
+          disabled={isBusy}
+          className={`${secondaryButtonClass} mt-3`}
+        >
+          Continue with Google
+        </button>
+      )}
+
+      <div className="flex flex-wrap justify-between gap-2 mt-6">
+        {mode === 'signIn' && <button onClick={() => switchMode('signUp')} className={linkClass}>Create an account</button>}
+        {mode === 'signIn' && <button onClick={() => switchMode('reset')} className={linkClass}>Forgot password?</button>}
+        {mode !== 'signIn' && <button onClick={() => switchMode('signIn')} className={linkClass}>Back to sign in</button>}
+      </div>
+
+      {!onClose && mode !== 'reset' && (
+        <div className="mt-6 border-t border-gray-200 dark:border-gray-700 pt-4 text-center">
+          <button onClick={() => attempt(() => continueAsGuest(auth))} disabled={isBusy} className={linkClass}>
+            Continue as guest
+          </button>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Guest data stays in this browser until you create an account.</p>
+        </div>
+      )}
+    </Card>
+  );
+
+  if (onClose) {
+    return (
+      <div className="fixed inset-0 bg-gray-600 bg-opacity-75 z-50 overflow-y-auto h-full w-full flex items-center justify-center p-4">
+        {form}
+      </div>
+    );
+  }
+  return (
+    <div className="font-sans antialiased min-h-screen bg-gray-100 dark:bg-gray-900 flex items-center justify-center p-4">
+      {form}
+    </div>
+  );
+};
+
+export default AuthScreen;
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { Download, FileText, Sparkles, Trash2, XCircle } from 'lucide-react';
+import { ConfirmationModal } from './common';
+import { LEAD_STATUSES } from '../leadStatus';
+import { buildLeadsCsv } from '../export/leadsCsv';
+import { downloadFile } from '../utils/download';
+
+const actionClass = 'px-3 py-2 rounded-full text-sm font-semibold flex items-center space-x-1 transition-colors disabled:opacity-50';
+const selectClass = 'p-2 rounded-xl text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700';
+
+// Select value for clearing the assignee; member uids are used as-is
+const UNASSIGNED = '__unassigned__';
+
+// Batch actions for the leads selected in Deal Flow, with progress while one runs. Viewers
+// (`canEdit` false) can only export; `assignees` ([{ uid, name }]) is given in a team workspace.
+const BulkActionBar = ({
+  selectedIdeas, clearSelection, bulkProgress, canEdit = true, assignees,
+  bulkUpdateStatus, bulkAssignLeads, bulkDeleteIdeas, bulkGenerateOfferLetters, bulkAnalyzeLeads
+}) => {
+  const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const ids = selectedIdeas.map(idea => idea.id);
+  const count = selectedIdeas.length;
+  const isBusy = !!bulkProgress;
+
+  const handleDelete = async () => {
+    setShowDeleteModal(false);
+    if (await bulkDeleteIdeas(ids)) clearSelection();
+  };
+
+  const handleExport = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`leads-${date}.csv`, buildLeadsCsv(selectedIdeas), 'text/csv');
+  };
+
+  const percent = bulkProgress?.total > 0 ? Math.round((bulkProgress.done / bulkProgress.total) * 100) : 0;
+
+  return (
+    <div className="w-full bg-indigo-50 dark:bg-indigo-950 border border-indigo-200 dark:border-indigo-800 p-3 mb-4 rounded-xl">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-semibold text-sm text-indigo-800 dark:text-indigo-200 mr-2">{count} selected</span>
+        {canEdit && (
+          <select
+            value=""
+            onChange={(e) => e.target.value && bulkUpdateStatus(ids, e.target.value)}
+            disabled={isBusy}
+            className={selectClass}
+          >
+            <option value="">Change status...</option>
+            {LEAD_STATUSES.map(status => (
+              <option key={status} value={status}>{status}</option>
+            ))}
+          </select>
+        )}
+        {canEdit && assignees && (
+          <select
+            value=""
+            onChange={(e) => e.target.value && bulkAssignLeads(ids, e.target.value === UNASSIGNED ? null : e.target.value)}
+            disabled={isBusy}
+            className={selectClass}
+          >
+            <option value="">Assign to...</option>
+            <option value={UNASSIGNED}>Unassigned</option>
+            {assignees.map(({ uid, name }) => (
+              <option key={uid} value={uid}>{name}</option>
+            ))}
+          </select>
+        )}
+        <button onClick={handleExport} disabled={isBusy} className={`${actionClass} bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-gray-200 hover:bg-gray-300 dark:hover:bg-gray-600`}>
+          <Download className="w-4 h-4" />
+          <span>Export CSV</span>
+        </button>
+        {canEdit && (
+          <>
+            <button onClick={() => bulkGenerateOfferLetters(ids)} disabled={isBusy} className={`${actionClass} bg-blue-600 text-white hover:bg-blue-700`}>
+              <FileText className="w-4 h-4" />
+              <span>Offer Letters</span>
+            </button>
+            <button onClick={() => bulkAnalyzeLeads(ids)} disabled={isBusy} className={`${actionClass} bg-purple-600 text-white hover:bg-purple-700`}>
+              <Sparkles className="w-4 h-4" />
+              <span>AI Analysis</span>
+            </button>
+            <button onClick={() => setShowDeleteModal(true)} disabled={isBusy} className={`${actionClass} bg-red-600 text-white hover:bg-red-700`}>
+              <Trash2 className="w-4 h-4" />
+              <span>Delete</span>
+            </button>
+          </>
+        )}
+        <button onClick={clearSelection} disabled={isBusy} className="ml-auto p-2 rounded-full hover:bg-indigo-100 dark:hover:bg-indigo-900 transition-colors" title="Clear selection">
+          <XCircle className="w-5 h-5 text-gray-500" />
+        </button>
+      </div>
+      {bulkProgress && (
+        <div className="mt-3">
+          <div className="flex justify-between text-xs text-indigo-800 dark:text-indigo-200 mb-1">
+            <span className="animate-pulse">{bulkProgress.label}...</span>
+            <span>{percent}%</span>
+          </div>
+          <div className="w-full h-2 rounded-full bg-indigo-100 dark:bg-indigo-900">
+            <div className="h-2 rounded-full bg-indigo-600 transition-all duration-300" style={{ width: `${percent}%` }}></div>
+          </div>
+        </div>
+      )}
+      <ConfirmationModal
+        show={showDeleteModal}
+        title="Confirm Deletion"
+        message={`Are you sure you want to delete ${count} lead${count === 1 ? '' : 's'} and their scheduled events? This action cannot be undone.`}
+        onConfirm={handleDelete}
+        onCancel={() => setShowDeleteModal(false)}
+      />
+    </div>
+  );
+};
+
+export default BulkActionBar;
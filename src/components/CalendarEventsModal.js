@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { Calendar, XCircle, Download, Trash2, Save } from 'lucide-react';
+import { downloadFile } from '../utils/download';
+import { CALENDAR_EVENT_TYPES, getEventType, getEventStart, isAllDayEvent, buildDealCalendar } from '../calendarEvents';
+
+const slugify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'lead';
+
+// Modal for scheduling dated events on a lead and exporting them as .ics files
+const CalendarEventsModal = ({ show, idea, events, addCalendarEvent, deleteCalendarEvent, onClose }) => {
+  const [type, setType] = useState(CALENDAR_EVENT_TYPES[0].key);
+  const [date, setDate] = useState('');
+  const [time, setTime] = useState('');
+  const [notes, setNotes] = useState('');
+
+  if (!show || !idea) return null;
+
+  const selectedType = getEventType(type);
+  const leadEvents = [...events].sort((a, b) => getEventStart(a) - getEventStart(b));
+
+  const handleAdd = async () => {
+    if (!date) return;
+    await addCalendarEvent({
+      ideaId: idea.id,
+      type,
+      title: selectedType.label,
+      date,
+      time: selectedType.allDay ? '' : time,
+      notes,
+    });
+    setDate('');
+    setTime('');
+    setNotes('');
+  };
+
+  const downloadEvents = (eventsToExport, suffix) => {
+    const ics = buildDealCalendar(eventsToExport, [idea], { name: idea.propertyDetails });
+    downloadFile(`${slugify(idea.propertyDetails)}-${suffix}.ics`, ics, 'text/calendar');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 z-50 overflow-y-auto h-full w-full flex items-center justify-center p-4">
+      <div className="bg-white dark:bg-gray-900 rounded-2xl shadow-2xl p-8 w-full max-w-2xl border border-gray-200 dark:border-gray-700 relative">
+        <h3 className="text-2xl font-bold text-gray-900 dark:text-white mb-1 flex items-center">
+          <Calendar className="w-6 h-6 mr-2 text-blue-500" />
+          Deal Calendar
+        </h3>
+        <p className="text-gray-600 dark:text-gray-400 mb-6">{idea.propertyDetails}</p>
+        <button onClick={onClose} className="absolute top-4 right-4 text-gray-500 hover:text-gray-900 dark:hover:text-white">
+          <XCircle className="w-6 h-6" />
+        </button>
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <select
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+            className="p-3 rounded-xl bg-gray-50 dark:bg-gray-800 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700"
+          >
+            {CALENDAR_EVENT_TYPES.map(option => <option key={option.key} value={option.key}>{option.label}</option>)}
+          </select>
+          <input
+            type="date"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            className="p-3 rounded-xl bg-gray-50 dark:bg-gray-800 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700"
+          />
+          <input
+            type="time"
+            value={time}
+            disabled={selectedType.allDay}
+            onChange={(e) => setTime(e.target.value)}
+            title={selectedType.allDay ? 'All-day event' : 'Leave empty for an all-day event'}
+            className="p-3 rounded-xl bg-gray-50 dark:bg-gray-800 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700 disabled:opacity-50"
+          />
+        </div>
+        <textarea
+          rows="2"
+          placeholder="Notes (optional)"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          className="w-full mt-3 p-3 rounded-xl bg-gray-50 dark:bg-gray-800 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700"
+        />
+        <button
+          onClick={handleAdd}
+          disabled={!date}
+          className="w-full mt-3 bg-blue-600 text-white font-bold py-3 px-6 rounded-full shadow-lg hover:bg-blue-700 transition-all duration-300 disabled:bg-gray-400 flex items-center justify-center space-x-2"
+        >
+          <Save className="w-5 h-5" />
+          <span>Add Event</span>
+        </button>
+
+        <div className="mt-6">
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="font-semibold text-lg text-gray-900 dark:text-white">Scheduled Events</h4>
+            {leadEvents.length > 0 && (
+              <button onClick={() => downloadEvents(leadEvents, 'events')} className="text-blue-500 hover:text-blue-700 text-sm font-medium flex items-center">
+                <Download className="w-4 h-4 mr-1" />
+                Download all (.ics)
+              </button>
+            )}
+          </div>
+          {leadEvents.length > 0 ? (
+            <ul className="space-y-2 max-h-64 overflow-y-auto">
+              {leadEvents.map(event => (
+                <li key={event.id} className="flex items-center justify-between bg-gray-50 dark:bg-gray-800 rounded-xl p-3">
+                  <div>
+                    <p className="font-semibold text-gray-900 dark:text-white">{event.title}</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {isAllDayEvent(event)
+                        ? getEventStart(event).toLocaleDateString()
+                        : getEventStart(event).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+                      {event.notes && ` · ${event.notes}`}
+                    </p>
+                  </div>
+                  <div className="flex space-x-1">
+                    <button onClick={() => downloadEvents([event], slugify(event.title))} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors" title="Download .ics">
+                      <Download className="w-4 h-4 text-gray-500" />
+                    </button>
+                    <button onClick={() => deleteCalendarEvent(event.id)} className="p-2 rounded-full hover:bg-red-100 dark:hover:bg-red-800 transition-colors" title="Delete event">
+                      <Trash2 className="w-4 h-4 text-red-500" />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No events scheduled for this lead yet.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarEventsModal;
@@ -0,0 +1,88 @@
+import React from 'react';
+import { Calendar, Copy, Download, RefreshCw } from 'lucide-react';
+import { Card, showToast } from './common';
+import { downloadFile } from '../utils/download';
+import { getUpcomingEvents, buildDealCalendar } from '../calendarEvents';
+
+const feedBaseUrl = process.env.REACT_APP_CALENDAR_FEED_URL || '';
+
+// Settings card for the per-user subscribable ICS feed of upcoming deal events
+const CalendarFeedSettings = ({ feedToken, appId, savedEvents, savedIdeas, regenerateFeedToken }) => {
+  const upcomingEvents = getUpcomingEvents(savedEvents);
+  const feedUrl = feedBaseUrl && feedToken
+    ? `${feedBaseUrl}?token=${encodeURIComponent(feedToken)}&app=${encodeURIComponent(appId)}`
+    : '';
+  const webcalUrl = feedUrl.replace(/^https?:/, 'webcal:');
+
+  const copyUrl = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      showToast('Feed URL copied to clipboard.');
+    } catch (e) {
+      showToast('Could not copy the feed URL.', true);
+    }
+  };
+
+  const downloadFeed = () => {
+    downloadFile('deal-calendar.ics', buildDealCalendar(upcomingEvents, savedIdeas), 'text/calendar');
+  };
+
+  return (
+    <Card className="flex-1">
+      <h2 className="text-3xl font-extrabold text-gray-900 dark:text-white mb-2 flex items-center">
+        <Calendar className="w-8 h-8 mr-3 text-blue-500" />
+        Calendar Feed
+      </h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        Subscribe to your {upcomingEvents.length} upcoming deal event{upcomingEvents.length === 1 ? '' : 's'} from Google Calendar or Outlook. The feed updates as you add or remove events.
+      </p>
+      {feedUrl ? (
+        <div className="space-y-3">
+          {[['Subscription URL', feedUrl], ['Outlook / Apple (webcal)', webcalUrl]].map(([label, url]) => (
+            <div key={label}>
+              <span className="font-semibold text-sm text-gray-700 dark:text-gray-300">{label}</span>
+              <div className="flex mt-1 gap-2">
+                <input
+                  readOnly
+                  value={url}
+                  onFocus={(e) => e.target.select()}
+                  className="flex-1 p-3 rounded-xl bg-gray-50 dark:bg-gray-800 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700 text-sm font-mono"
+                />
+                <button onClick={() => copyUrl(url)} className="p-3 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors" title="Copy URL">
+                  <Copy className="w-5 h-5 text-gray-500" />
+                </button>
+              </div>
+            </div>
+          ))}
+          <p className="text-xs text-gray-500 dark:text-gray-400">Anyone with this URL can read your deal events. Regenerate it if it has been shared by mistake.</p>
+        </div>
+      ) : (
+        <p className="text-sm text-yellow-600 dark:text-yellow-400">
+          {feedBaseUrl
+            ? 'Preparing your feed...'
+            : 'Set REACT_APP_CALENDAR_FEED_URL to the deployed calendarFeed function to enable subscriptions. You can still download the feed below.'}
+        </p>
+      )}
+      <div className="flex flex-col sm:flex-row gap-3 mt-6">
+        <button
+          onClick={downloadFeed}
+          disabled={upcomingEvents.length === 0}
+          className="flex-1 bg-blue-600 text-white font-bold py-3 px-6 rounded-full shadow-lg hover:bg-blue-700 transition-all duration-300 disabled:bg-gray-400 flex items-center justify-center space-x-2"
+        >
+          <Download className="w-5 h-5" />
+          <span>Download Upcoming Events (.ics)</span>
+        </button>
+        <button
+          onClick={regenerateFeedToken}
+          disabled={!feedToken}
+          className="flex-1 bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-white font-bold py-3 px-6 rounded-full shadow-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-all duration-300 disabled:opacity-50 flex items-center justify-center space-x-2"
+        >
+          <RefreshCw className="w-5 h-5" />
+          <span>Regenerate Feed URL</span>
+        </button>
+      </div>
+    </Card>
+  );
+};
+
+export default CalendarFeedSettings;
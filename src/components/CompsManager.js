@@ -0,0 +1,281 @@
+import React, { useState, useRef } from 'react';
+import { TrendingUp, Search, Upload, Trash2, Save, Sparkles } from 'lucide-react';
+import { LineChart, Line, Tooltip, ResponsiveContainer, XAxis, YAxis, CartesianGrid } from 'recharts';
+import { Card, showToast } from './common';
+import { createCompId, normalizeComp, estimateArv, COMP_ADJUSTMENT_LABELS } from '../finance/comps';
+import { importCompsFile } from '../import/compsImport';
+import { getCoordinates } from '../utils/geo';
+import { formatCurrency } from '../leadMetrics';
+
+const inputClassName = 'w-full p-2 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700 text-sm';
+
+const EMPTY_COMP = { address: '', price: '', saleDate: '', sqft: '', beds: '', baths: '', lotSize: '', latitude: '', longitude: '' };
+
+const COMP_FORM_FIELDS = [
+  ['address', 'Address', 'text'],
+  ['price', 'Sale Price ($)', 'number'],
+  ['saleDate', 'Sale Date', 'date'],
+  ['sqft', 'Sq Ft', 'number'],
+  ['beds', 'Beds', 'number'],
+  ['baths', 'Baths', 'number'],
+  ['lotSize', 'Lot (sq ft)', 'number'],
+  ['latitude', 'Latitude', 'number'],
+  ['longitude', 'Longitude', 'number'],
+];
+
+const SUBJECT_FIELDS = [['sqft', 'Sq Ft'], ['beds', 'Beds'], ['baths', 'Baths'], ['lotSize', 'Lot (sq ft)']];
+
+const CONFIDENCE_CLASSES = {
+  High: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  Medium: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+  Low: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
+};
+
+const formatAdjustment = (value) => (Math.round(value) === 0 ? '—' : `${value > 0 ? '+' : '−'}${formatCurrency(Math.abs(value))}`);
+
+// Comps tab of Financial Analysis: comparable sales, adjustment grid and ARV estimate
+const CompsManager = ({
+  analysisIdea, compsData, updateComps, compSubject, setCompSubject, compAdjustments, setCompAdjustments,
+  saveCompsToLead, setSalesPrice, findComparables, compsResults, isCompsLoading,
+  marketTrendAnalysis, isMarketAnalysisLoading, runMarketAnalysis
+}) => {
+  const [newComp, setNewComp] = useState(EMPTY_COMP);
+  const fileInputRef = useRef(null);
+
+  const subjectCoords = getCoordinates(analysisIdea);
+  const estimate = estimateArv(compsData, compSubject, subjectCoords, compAdjustments);
+
+  const addComp = () => {
+    const comp = normalizeComp({ ...newComp, id: createCompId() });
+    if (comp.price <= 0) {
+      showToast('Enter the comp\'s sale price.', true);
+      return;
+    }
+    updateComps([...compsData, comp]);
+    setNewComp(EMPTY_COMP);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { comps, skipped } = await importCompsFile(file);
+      updateComps([...compsData, ...comps]);
+      showToast(`Imported ${comps.length} comps${skipped.length ? `, skipped ${skipped.length} rows without a sale price` : ''}.`);
+    } catch (error) {
+      showToast(`Could not import comps: ${error.message}`, true);
+    }
+  };
+
+  const lineData = compsData
+    .map(normalizeComp)
+    .filter(comp => comp.saleDate)
+    .map(comp => ({ name: comp.saleDate, price: comp.price }))
+    .sort((a, b) => new Date(a.name) - new Date(b.name));
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <Card>
+          <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4">Subject Property</h3>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
+            {analysisIdea ? analysisIdea.propertyDetails : 'Scratchpad'}
+            {!subjectCoords && ' · add coordinates to the lead to compute comp distances'}
+          </p>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+            {SUBJECT_FIELDS.map(([field, label]) => (
+              <label key={field} className="block">
+                <span className="text-xs font-semibold text-gray-600 dark:text-gray-400">{label}</span>
+                <input type="number" value={compSubject[field]} onChange={(e) => setCompSubject({ ...compSubject, [field]: e.target.value })} className={inputClassName} />
+              </label>
+            ))}
+          </div>
+          <h4 className="font-semibold text-gray-900 dark:text-white mt-4 mb-2">Adjustment Rates</h4>
+          <div className="grid grid-cols-2 gap-2">
+            {Object.entries(COMP_ADJUSTMENT_LABELS).map(([field, label]) => (
+              <label key={field} className="block">
+                <span className="text-xs font-semibold text-gray-600 dark:text-gray-400">{label}</span>
+                <input type="number" value={compAdjustments[field]} onChange={(e) => setCompAdjustments({ ...compAdjustments, [field]: e.target.value })} className={inputClassName} />
+              </label>
+            ))}
+          </div>
+          {analysisIdea && (
+            <button
+              onClick={saveCompsToLead}
+              className="mt-4 w-full bg-green-600 text-white font-bold py-2 px-4 rounded-full shadow hover:bg-green-700 transition-all duration-300 flex items-center justify-center space-x-2"
+            >
+              <Save className="w-4 h-4" />
+              <span>Save Comps to Lead</span>
+            </button>
+          )}
+        </Card>
+        <Card>
+          <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4">ARV Estimate</h3>
+          {estimate ? (
+            <>
+              <p className="text-4xl font-extrabold text-gray-900 dark:text-white">{formatCurrency(estimate.arv)}</p>
+              <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                Adjusted range {formatCurrency(estimate.low)} – {formatCurrency(estimate.high)} from {estimate.rows.length} comp{estimate.rows.length === 1 ? '' : 's'}
+              </p>
+              <span className={`inline-block mt-3 text-xs font-semibold px-3 py-1 rounded-full ${CONFIDENCE_CLASSES[estimate.confidenceLabel]}`}>
+                {estimate.confidenceLabel} confidence ({Math.round(estimate.confidence * 100)}%)
+              </span>
+              <button
+                onClick={() => setSalesPrice(String(Math.round(estimate.arv)))}
+                className="mt-4 w-full bg-blue-600 text-white font-bold py-2 px-4 rounded-full shadow hover:bg-blue-700 transition-all duration-300"
+              >
+                Use as ARV / Sales Price
+              </button>
+            </>
+          ) : (
+            <p className="text-sm text-gray-500 dark:text-gray-400">Add comps with a sale price to estimate the ARV.</p>
+          )}
+          <div className="mt-6 border-t border-gray-200 dark:border-gray-700 pt-4">
+            <button
+              onClick={runMarketAnalysis}
+              disabled={isMarketAnalysisLoading || compsData.length === 0}
+              className="w-full bg-blue-600 text-white font-bold py-2 px-4 rounded-full shadow-lg hover:bg-blue-700 transition-all duration-300 disabled:bg-gray-400 flex items-center justify-center space-x-2"
+            >
+              <TrendingUp className="w-5 h-5" />
+              <span>{isMarketAnalysisLoading ? 'Analyzing...' : 'Run Market Analysis'}</span>
+            </button>
+            {marketTrendAnalysis && (
+              <div className="prose dark:prose-invert max-w-none mt-4 p-4 bg-gray-50 dark:bg-gray-900 rounded-xl">
+                <p>{marketTrendAnalysis}</p>
+              </div>
+            )}
+          </div>
+        </Card>
+      </div>
+      <Card>
+        <div className="flex flex-col sm:flex-row justify-between sm:items-center gap-2 mb-4">
+          <h3 className="text-xl font-bold text-gray-900 dark:text-white">Comparable Sales</h3>
+          <div className="flex gap-2">
+            <input ref={fileInputRef} type="file" accept=".csv,.xlsx,.xls" onChange={handleImport} className="hidden" />
+            <button
+              onClick={() => fileInputRef.current.click()}
+              className="bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-gray-200 font-bold py-2 px-4 rounded-full shadow hover:bg-gray-300 dark:hover:bg-gray-600 transition-all duration-300 flex items-center space-x-2 text-sm"
+            >
+              <Upload className="w-4 h-4" />
+              <span>Import CSV/Excel</span>
+            </button>
+            <button
+              onClick={findComparables}
+              disabled={isCompsLoading || !analysisIdea}
+              className="bg-purple-600 text-white font-bold py-2 px-4 rounded-full shadow hover:bg-purple-700 transition-all duration-300 disabled:bg-gray-400 flex items-center space-x-2 text-sm"
+              title={analysisIdea ? 'Ask the AI provider for candidate comps' : 'Open a lead to find comps'}
+            >
+              <Search className="w-4 h-4" />
+              <span>{isCompsLoading ? 'Searching...' : 'Find Comps'}</span>
+            </button>
+          </div>
+        </div>
+        <div className="grid grid-cols-3 sm:grid-cols-5 lg:grid-cols-10 gap-2 mb-4 items-end">
+          {COMP_FORM_FIELDS.map(([field, label, type]) => (
+            <label key={field} className={`block ${field === 'address' ? 'col-span-3 sm:col-span-2' : ''}`}>
+              <span className="text-xs font-semibold text-gray-600 dark:text-gray-400">{label}</span>
+              <input type={type} value={newComp[field]} onChange={(e) => setNewComp({ ...newComp, [field]: e.target.value })} className={inputClassName} />
+            </label>
+          ))}
+          <button
+            onClick={addComp}
+            className="col-span-3 sm:col-span-5 lg:col-span-10 bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-gray-200 font-bold py-2 px-4 rounded-full shadow hover:bg-gray-300 dark:hover:bg-gray-600 transition-all duration-300"
+          >
+            Add Comp
+          </button>
+        </div>
+        {compsResults.length > 0 && (
+          <div className="mb-4 p-4 rounded-xl bg-purple-50 dark:bg-purple-950 border border-purple-200 dark:border-purple-800">
+            <p className="text-sm font-semibold text-purple-800 dark:text-purple-200 mb-2 flex items-center">
+              <Sparkles className="w-4 h-4 mr-2" />
+              AI-suggested comps — verify against recorded sales before relying on them
+            </p>
+            <ul className="space-y-1">
+              {compsResults.map(comp => (
+                <li key={comp.id} className="flex items-center justify-between text-sm text-gray-700 dark:text-gray-300">
+                  <span>{comp.address} · {formatCurrency(comp.price)}{comp.saleDate && ` · ${comp.saleDate}`}{comp.sqft && ` · ${comp.sqft} sqft`}</span>
+                  <button
+                    onClick={() => updateComps([...compsData, { ...comp, id: createCompId() }])}
+                    className="text-purple-600 hover:text-purple-800 font-semibold"
+                  >
+                    Add
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {estimate ? (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-right text-gray-700 dark:text-gray-300">
+              <thead className="text-xs uppercase text-gray-500 dark:text-gray-400">
+                <tr>
+                  <th className="py-2 pr-2 text-left">Comp</th>
+                  <th className="py-2 px-2">Sale Price</th>
+                  <th className="py-2 px-2">$/Sq Ft</th>
+                  <th className="py-2 px-2">Size</th>
+                  <th className="py-2 px-2">Beds</th>
+                  <th className="py-2 px-2">Baths</th>
+                  <th className="py-2 px-2">Lot</th>
+                  <th className="py-2 px-2">Time</th>
+                  <th className="py-2 px-2">Adjusted</th>
+                  <th className="py-2 px-2">Distance</th>
+                  <th className="py-2 px-2">Weight</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {estimate.rows.map(row => (
+                  <tr key={row.comp.id} className="border-t border-gray-200 dark:border-gray-700">
+                    <td className="py-2 pr-2 text-left">
+                      <span className="font-semibold text-gray-900 dark:text-white">{row.comp.address || 'Unnamed comp'}</span>
+                      <span className="block text-xs text-gray-500">
+                        {[row.comp.saleDate, row.comp.sqft && `${row.comp.sqft} sqft`, row.comp.beds !== null && `${row.comp.beds} bd`, row.comp.baths !== null && `${row.comp.baths} ba`].filter(Boolean).join(' · ')}
+                      </span>
+                    </td>
+                    <td className="py-2 px-2">{formatCurrency(row.comp.price)}</td>
+                    <td className="py-2 px-2">{row.pricePerSqft === null ? '—' : formatCurrency(row.pricePerSqft)}</td>
+                    <td className="py-2 px-2">{formatAdjustment(row.sizeAdjustment)}</td>
+                    <td className="py-2 px-2">{formatAdjustment(row.bedAdjustment)}</td>
+                    <td className="py-2 px-2">{formatAdjustment(row.bathAdjustment)}</td>
+                    <td className="py-2 px-2">{formatAdjustment(row.lotAdjustment)}</td>
+                    <td className="py-2 px-2">{formatAdjustment(row.timeAdjustment)}</td>
+                    <td className="py-2 px-2 font-semibold text-gray-900 dark:text-white">{formatCurrency(row.adjustedPrice)}</td>
+                    <td className="py-2 px-2">{row.distance === null ? '—' : `${row.distance.toFixed(2)} mi`}</td>
+                    <td className="py-2 px-2">{((row.weight / estimate.rows.reduce((sum, r) => sum + r.weight, 0)) * 100).toFixed(0)}%</td>
+                    <td className="py-2 pl-2">
+                      <button onClick={() => updateComps(compsData.filter(comp => comp.id !== row.comp.id))} className="p-1 rounded-full hover:bg-red-100 dark:hover:bg-red-800 transition-colors" title="Remove comp">
+                        <Trash2 className="w-4 h-4 text-red-500" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500 dark:text-gray-400">No comps yet.</p>
+        )}
+        {lineData.length > 1 && (
+          <>
+            <h4 className="text-lg font-bold text-gray-900 dark:text-white mt-6 mb-2">Comps Trend</h4>
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={lineData} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#ccc" />
+                  <XAxis dataKey="name" stroke="#888" />
+                  <YAxis stroke="#888" />
+                  <Tooltip formatter={(value) => `$${value.toLocaleString()}`} />
+                  <Line type="monotone" dataKey="price" stroke="#8884d8" />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default CompsManager;
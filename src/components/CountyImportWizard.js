@@ -0,0 +1,326 @@
+import React, { useState, useMemo } from 'react';
+import { Cloud, XCircle, ArrowRight, ArrowLeft, CheckCircle, AlertTriangle, Download, Flag } from 'lucide-react';
+import { showToast } from './common';
+import { downloadFile } from '../utils/download';
+import {
+  COUNTY_LEAD_FIELDS, COUNTY_LIST_TYPES, readSpreadsheetFile, extractTable,
+  guessColumnMapping, validateCountyRows, buildImportReport
+} from '../import/countyImport';
+
+const STEPS = [
+  { key: 'upload', label: 'Upload' },
+  { key: 'map', label: 'Map Columns' },
+  { key: 'preview', label: 'Preview' },
+  { key: 'report', label: 'Report' },
+];
+
+const PREVIEW_ROW_LIMIT = 50;
+
+// Multi-step wizard for importing county delinquent-tax and code-violation lists
+const CountyImportWizard = ({ show, onClose, existingParcelIds, importCountyLeads }) => {
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [table, setTable] = useState({ headers: [], rows: [] });
+  const [mapping, setMapping] = useState({});
+  const [listType, setListType] = useState(COUNTY_LIST_TYPES[0]);
+  const [isReading, setIsReading] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  // { done, total } while importing; the total is fixed, since saved rows drop out of validation as they arrive
+  const [importProgress, setImportProgress] = useState(null);
+  const [importedCount, setImportedCount] = useState(0);
+  // Validation snapshot taken at import time, so the report isn't re-validated against the new leads
+  const [report, setReport] = useState(null);
+
+  const validation = useMemo(
+    () => (step === 'preview' ? validateCountyRows(table.rows, mapping, { existingParcelIds }) : null),
+    [step, table, mapping, existingParcelIds]
+  );
+
+  if (!show) return null;
+
+  const reset = () => {
+    setStep('upload');
+    setFileName('');
+    setTable({ headers: [], rows: [] });
+    setMapping({});
+    setImportedCount(0);
+    setReport(null);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    setIsReading(true);
+    try {
+      const parsed = extractTable(await readSpreadsheetFile(file));
+      if (parsed.headers.length === 0 || parsed.rows.length === 0) {
+        throw new Error('The file has no data rows.');
+      }
+      setFileName(file.name);
+      setTable(parsed);
+      setMapping(guessColumnMapping(parsed.headers));
+      setStep('map');
+    } catch (e) {
+      console.error('Error reading county file:', e);
+      showToast(`Could not read file: ${e.message}`, true);
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  // On failure importCountyLeads reports what was saved; the preview then skips saved rows by parcel ID
+  const handleImport = async () => {
+    const leads = validation.valid.map(row => row.lead);
+    setIsImporting(true);
+    setImportProgress({ done: 0, total: leads.length });
+    try {
+      const count = await importCountyLeads(leads, {
+        listType,
+        importFile: fileName,
+        onProgress: (done) => setImportProgress({ done, total: leads.length }),
+      });
+      if (count === null) return;
+      setImportedCount(count);
+      setReport(validation);
+      setStep('report');
+    } finally {
+      setIsImporting(false);
+      setImportProgress(null);
+    }
+  };
+
+  const downloadReport = () => {
+    downloadFile(`${fileName.replace(/\.[^.]+$/, '')}-import-report.csv`, buildImportReport(report), 'text/csv');
+  };
+
+  const isAddressMapped = mapping.address !== '' && mapping.address !== undefined;
+  const stepIndex = STEPS.findIndex(s => s.key === step);
+  const invalidByRow = validation ? Object.fromEntries(validation.invalid.map(row => [row.rowNumber, row.errors])) : {};
+  const skippedByRow = validation ? Object.fromEntries(validation.skipped.map(row => [row.rowNumber, row.reason])) : {};
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 z-50 overflow-y-auto h-full w-full flex items-center justify-center p-4">
+      <div className="bg-white dark:bg-gray-900 rounded-2xl shadow-2xl p-8 w-full max-w-5xl border border-gray-200 dark:border-gray-700 relative">
+        <h3 className="text-2xl font-bold text-gray-900 dark:text-white mb-4 flex items-center">
+          <Flag className="w-6 h-6 mr-2 text-teal-500" />
+          Import County List
+        </h3>
+        <button onClick={handleClose} className="absolute top-4 right-4 text-gray-500 hover:text-gray-900 dark:hover:text-white">
+          <XCircle className="w-6 h-6" />
+        </button>
+
+        <ol className="flex space-x-2 mb-6 text-sm">
+          {STEPS.map((s, index) => (
+            <li
+              key={s.key}
+              className={`px-3 py-1 rounded-full ${index === stepIndex ? 'bg-teal-600 text-white' : index < stepIndex ? 'bg-teal-100 text-teal-800 dark:bg-teal-900 dark:text-teal-200' : 'bg-gray-200 text-gray-600 dark:bg-gray-700 dark:text-gray-300'}`}
+            >
+              {index + 1}. {s.label}
+            </li>
+          ))}
+        </ol>
+
+        {step === 'upload' && (
+          <div className="space-y-4">
+            <label className="block">
+              <span className="font-semibold text-sm text-gray-700 dark:text-gray-300">List Type</span>
+              <select
+                value={listType}
+                onChange={(e) => setListType(e.target.value)}
+                className="w-full mt-1 p-3 rounded-xl bg-gray-50 dark:bg-gray-800 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700"
+              >
+                {COUNTY_LIST_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center space-x-2 p-8 border-2 border-dashed border-gray-300 dark:border-gray-700 rounded-xl cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors">
+              <input
+                type="file"
+                className="hidden"
+                accept=".csv,.txt,.xlsx,.xls"
+                onChange={(e) => handleFile(e.target.files[0])}
+              />
+              <Cloud className="w-6 h-6 text-gray-500" />
+              <span className="text-gray-600 dark:text-gray-400">
+                {isReading ? 'Reading file...' : 'Upload a county CSV or Excel file'}
+              </span>
+            </label>
+          </div>
+        )}
+
+        {step === 'map' && (
+          <div className="space-y-4">
+            <p className="text-gray-600 dark:text-gray-400">
+              Match the columns in <span className="font-semibold">{fileName}</span> ({table.rows.length} rows) to lead fields.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {COUNTY_LEAD_FIELDS.map(field => (
+                <label key={field.key} className="block">
+                  <span className="font-semibold text-sm text-gray-700 dark:text-gray-300">
+                    {field.label}{field.required && <span className="text-red-500"> *</span>}
+                  </span>
+                  <select
+                    value={mapping[field.key]}
+                    onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value === '' ? '' : Number(e.target.value) })}
+                    className="w-full mt-1 p-3 rounded-xl bg-gray-50 dark:bg-gray-800 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700"
+                  >
+                    <option value="">— Not mapped —</option>
+                    {table.headers.map((header, index) => (
+                      <option key={index} value={index}>{header}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {step === 'preview' && validation && (
+          <div className="space-y-4">
+            <div className="flex flex-wrap gap-2 text-sm font-semibold">
+              <span className="px-3 py-1 rounded-full bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200">{validation.valid.length} ready</span>
+              <span className="px-3 py-1 rounded-full bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200">{validation.invalid.length} invalid</span>
+              <span className="px-3 py-1 rounded-full bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-200">{validation.skipped.length} skipped</span>
+            </div>
+            <div className="overflow-auto max-h-[50vh] border border-gray-200 dark:border-gray-700 rounded-xl">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-100 dark:bg-gray-800 sticky top-0">
+                  <tr>
+                    <th className="p-2 text-left">Row</th>
+                    {COUNTY_LEAD_FIELDS.filter(field => mapping[field.key] !== '').map(field => (
+                      <th key={field.key} className="p-2 text-left">{field.label}</th>
+                    ))}
+                    <th className="p-2 text-left">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {table.rows.slice(0, PREVIEW_ROW_LIMIT).map(({ rowNumber, cells }) => {
+                    const errors = invalidByRow[rowNumber];
+                    const skipReason = skippedByRow[rowNumber];
+                    return (
+                      <tr key={rowNumber} className={`border-t border-gray-200 dark:border-gray-700 ${errors ? 'bg-red-50 dark:bg-red-950' : skipReason ? 'bg-gray-50 dark:bg-gray-800 text-gray-400' : ''}`}>
+                        <td className="p-2">{rowNumber}</td>
+                        {COUNTY_LEAD_FIELDS.filter(field => mapping[field.key] !== '').map(field => (
+                          <td key={field.key} className="p-2">{cells[mapping[field.key]]}</td>
+                        ))}
+                        <td className="p-2">
+                          {errors ? (
+                            <span className="text-red-600 dark:text-red-300 flex items-center"><AlertTriangle className="w-4 h-4 mr-1 flex-shrink-0" />{errors.join('; ')}</span>
+                          ) : skipReason ? (
+                            <span>{skipReason}</span>
+                          ) : (
+                            <CheckCircle className="w-4 h-4 text-green-500" />
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            {table.rows.length > PREVIEW_ROW_LIMIT && (
+              <p className="text-sm text-gray-500 dark:text-gray-400">Showing the first {PREVIEW_ROW_LIMIT} of {table.rows.length} rows. All rows are validated.</p>
+            )}
+          </div>
+        )}
+
+        {step === 'report' && report && (
+          <div className="space-y-4">
+            <div className="p-4 rounded-xl bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200 font-semibold">
+              Imported {importedCount} {listType.toLowerCase()} properties from {fileName}.
+            </div>
+            {report.invalid.length + report.skipped.length > 0 ? (
+              <div className="overflow-auto max-h-[40vh] border border-gray-200 dark:border-gray-700 rounded-xl">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-gray-100 dark:bg-gray-800 sticky top-0">
+                    <tr>
+                      <th className="p-2 text-left">Row</th>
+                      <th className="p-2 text-left">Status</th>
+                      <th className="p-2 text-left">Reason</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.invalid.map(({ rowNumber, errors }) => (
+                      <tr key={`invalid-${rowNumber}`} className="border-t border-gray-200 dark:border-gray-700">
+                        <td className="p-2">{rowNumber}</td>
+                        <td className="p-2 text-red-600 dark:text-red-300">Invalid</td>
+                        <td className="p-2">{errors.join('; ')}</td>
+                      </tr>
+                    ))}
+                    {report.skipped.map(({ rowNumber, reason }) => (
+                      <tr key={`skipped-${rowNumber}`} className="border-t border-gray-200 dark:border-gray-700">
+                        <td className="p-2">{rowNumber}</td>
+                        <td className="p-2">Skipped</td>
+                        <td className="p-2">{reason}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <p className="text-gray-600 dark:text-gray-400">Every row was imported.</p>
+            )}
+          </div>
+        )}
+
+        <div className="mt-6 flex justify-between">
+          <div>
+            {(step === 'map' || step === 'preview') && (
+              <button
+                onClick={() => setStep(step === 'preview' ? 'map' : 'upload')}
+                className="px-6 py-2 rounded-full text-gray-700 dark:text-gray-300 bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors duration-200 flex items-center"
+              >
+                <ArrowLeft className="w-4 h-4 mr-2" />
+                Back
+              </button>
+            )}
+          </div>
+          <div className="flex space-x-2">
+            {step === 'map' && (
+              <button
+                onClick={() => setStep('preview')}
+                disabled={!isAddressMapped}
+                className="px-6 py-2 rounded-full text-white bg-teal-600 hover:bg-teal-700 transition-colors duration-200 disabled:bg-gray-400 flex items-center"
+              >
+                Preview
+                <ArrowRight className="w-4 h-4 ml-2" />
+              </button>
+            )}
+            {step === 'preview' && (
+              <button
+                onClick={handleImport}
+                disabled={isImporting || validation.valid.length === 0}
+                className="px-6 py-2 rounded-full text-white bg-teal-600 hover:bg-teal-700 transition-colors duration-200 disabled:bg-gray-400 flex items-center"
+              >
+                {isImporting ? `Importing ${importProgress.done} of ${importProgress.total}...` : `Import ${validation.valid.length} Properties`}
+              </button>
+            )}
+            {step === 'report' && (
+              <>
+                <button
+                  onClick={downloadReport}
+                  disabled={report.invalid.length + report.skipped.length === 0}
+                  className="px-6 py-2 rounded-full text-gray-700 dark:text-gray-300 bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors duration-200 disabled:opacity-50 flex items-center"
+                >
+                  <Download className="w-4 h-4 mr-2" />
+                  Download Report
+                </button>
+                <button
+                  onClick={handleClose}
+                  className="px-6 py-2 rounded-full text-white bg-teal-600 hover:bg-teal-700 transition-colors duration-200"
+                >
+                  Done
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CountyImportWizard;
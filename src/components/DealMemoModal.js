@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { FileDown, XCircle, Image, Trash2 } from 'lucide-react';
+import { showToast } from './common';
+import { downloadFile } from '../utils/download';
+import { MEMO_SECTIONS, buildDealMemo, loadPhoto } from '../export/dealMemo';
+
+const slugify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'lead';
+
+// Modal for exporting a lead as a PDF deal memo for lenders and partners
+const DealMemoModal = ({ idea, savedContacts, scoreWeights, onClose }) => {
+  const [sections, setSections] = useState(MEMO_SECTIONS.map(({ key }) => key));
+  const [photos, setPhotos] = useState([]);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const toggleSection = (key) => setSections(sections.includes(key) ? sections.filter(section => section !== key) : [...sections, key]);
+
+  const addPhotos = async (files) => {
+    try {
+      const loaded = await Promise.all(Array.from(files).map(file => loadPhoto(file)));
+      setPhotos([...photos, ...loaded]);
+    } catch (e) {
+      showToast(e.message, true);
+    }
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const pdf = await buildDealMemo(idea, { contacts: savedContacts, photos, sections, scoreWeights });
+      downloadFile(`${slugify(idea.propertyDetails)}-deal-memo.pdf`, pdf.output('blob'));
+      onClose();
+    } catch (e) {
+      console.error('Error building deal memo: ', e);
+      showToast('Failed to build the deal memo PDF.', true);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 z-50 overflow-y-auto h-full w-full flex items-center justify-center p-4">
+      <div className="bg-white dark:bg-gray-900 rounded-2xl shadow-2xl p-8 w-full max-w-lg border border-gray-200 dark:border-gray-700 relative">
+        <h3 className="text-2xl font-bold text-gray-900 dark:text-white mb-1 flex items-center">
+          <FileDown className="w-6 h-6 mr-2 text-green-500" />
+          Deal Memo PDF
+        </h3>
+        <p className="text-gray-600 dark:text-gray-400 mb-6">{idea.propertyDetails}</p>
+        <button onClick={onClose} className="absolute top-4 right-4 text-gray-500 hover:text-gray-900 dark:hover:text-white">
+          <XCircle className="w-6 h-6" />
+        </button>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 mb-6">
+          {MEMO_SECTIONS.map(({ key, label }) => (
+            <label key={key} className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+              <input type="checkbox" checked={sections.includes(key)} onChange={() => toggleSection(key)} className="rounded" />
+              <span>{label}</span>
+            </label>
+          ))}
+        </div>
+
+        {sections.includes('photos') && (
+          <div className="mb-6">
+            <label className="flex items-center justify-center w-full p-3 border-2 border-dashed rounded-xl cursor-pointer text-sm text-gray-500 dark:text-gray-400 border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-800">
+              <Image className="w-5 h-5 mr-2" />
+              Add property photos
+              <input type="file" accept="image/*" multiple className="hidden" onChange={(e) => { addPhotos(e.target.files); e.target.value = ''; }} />
+            </label>
+            {photos.length > 0 && (
+              <div className="grid grid-cols-4 gap-2 mt-3">
+                {photos.map((photo, index) => (
+                  <div key={`${photo.name}-${index}`} className="relative">
+                    <img src={photo.dataUrl} alt={photo.name} className="w-full h-16 object-cover rounded-lg" />
+                    <button
+                      onClick={() => setPhotos(photos.filter((_, photoIndex) => photoIndex !== index))}
+                      className="absolute top-1 right-1 p-1 rounded-full bg-white bg-opacity-80 hover:bg-red-100"
+                      title="Remove photo"
+                    >
+                      <Trash2 className="w-3 h-3 text-red-500" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        <p className="text-xs text-gray-500 dark:text-gray-400 mb-4">The PDF is built on this device and works offline. Without a connection the map shows the location without street tiles.</p>
+        <div className="flex justify-end space-x-4">
+          <button onClick={onClose} className="px-6 py-2 rounded-full text-gray-700 dark:text-gray-300 bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors duration-200">
+            Cancel
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={isExporting || sections.length === 0}
+            className="px-6 py-2 rounded-full text-white bg-green-600 hover:bg-green-700 transition-colors duration-200 flex items-center disabled:bg-gray-400"
+          >
+            <FileDown className="w-5 h-5 mr-2" />
+            {isExporting ? 'Building PDF...' : 'Download PDF'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DealMemoModal;
@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+import { ArrowUp, ArrowDown } from 'lucide-react';
+import { getScoreColor } from '../dealScore';
+
+// Per-factor contribution to a deal score
+export const ScoreBreakdown = ({ factors }) => (
+  <ul className="space-y-2">
+    {factors.map(factor => (
+      <li key={factor.key} className="text-sm">
+        <div className="flex justify-between text-gray-700 dark:text-gray-300">
+          <span className="font-semibold">{factor.label} <span className="font-normal text-xs text-gray-500">(weight {factor.weight})</span></span>
+          <span>{factor.value === null ? '—' : `+${factor.points.toFixed(1)}`}</span>
+        </div>
+        <div className="flex items-center space-x-2">
+          <div className="flex-1 h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+            <div className="h-full bg-indigo-500 rounded-full" style={{ width: `${(factor.value || 0) * 100}%` }}></div>
+          </div>
+          <span className="text-xs text-gray-500 dark:text-gray-400 w-40 text-right truncate">{factor.detail}</span>
+        </div>
+      </li>
+    ))}
+  </ul>
+);
+
+// 0–100 score pill that expands into its factor breakdown
+const DealScoreBadge = ({ result }) => {
+  const [expanded, setExpanded] = useState(false);
+  return (
+    <div>
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className={`text-xs font-bold px-3 py-1 rounded-full flex items-center ${getScoreColor(result.score)}`}
+        title="Show score breakdown"
+      >
+        Score {result.score === null ? '—' : result.score}
+        {expanded ? <ArrowUp className="w-3 h-3 ml-1" /> : <ArrowDown className="w-3 h-3 ml-1" />}
+      </button>
+      {expanded && (
+        <div className="mt-3 p-3 rounded-xl bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-700 max-w-md">
+          <ScoreBreakdown factors={result.factors} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DealScoreBadge;
@@ -0,0 +1,268 @@
+import React, { useState, useEffect } from 'react';
+import { DollarSign, ArrowUp, ArrowDown, Save, Trash2, Copy } from 'lucide-react';
+import { PieChart, Pie, Cell, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import { Card } from './common';
+import RentalAnalysis from './RentalAnalysis';
+import StrategyCalculators from './StrategyCalculators';
+import CompsManager from './CompsManager';
+import RiskAnalysis from './RiskAnalysis';
+import RehabEstimator from './RehabEstimator';
+import HoldingCostCalculator from './HoldingCostCalculator';
+import { ScoreBreakdown } from './DealScoreBadge';
+import { calculateFlip, getScenarios } from '../underwriting';
+import { getScoreColor } from '../dealScore';
+
+const ANALYSIS_MODES = [
+  { key: 'flip', label: 'Fix & Flip' },
+  { key: 'rehab', label: 'Rehab Budget' },
+  { key: 'holding', label: 'Holding Costs' },
+  { key: 'rental', label: 'Buy & Hold' },
+  { key: 'strategies', label: 'Strategies & MAO' },
+  { key: 'comps', label: 'Comps & ARV' },
+  { key: 'risk', label: 'Sensitivity & Risk' },
+];
+
+// Component for Financial Analysis
+const FinancialAnalysis = ({
+  purchasePrice, setPurchasePrice, salesPrice, setSalesPrice,
+  closingCosts, setClosingCosts, rehabCosts, setRehabCosts,
+  holdingCosts, setHoldingCosts, dealScore, advancedScore,
+  marketTrendAnalysis, isMarketAnalysisLoading, runMarketAnalysis,
+  compsData, updateComps, compSubject, setCompSubject, compAdjustments, setCompAdjustments, saveCompsToLead,
+  compsResults, isCompsLoading, findComparables, showAdvancedAnalysis, setShowAdvancedAnalysis,
+  savedIdeas, analysisIdeaId, selectAnalysisIdea, analysisScenarioId, selectScenario,
+  scenarioName, setScenarioName, saveScenario, deleteScenario, rentalInputs, setRentalInputs,
+  strategyInputs, setStrategyInputs, rehabBudget, updateRehabBudget,
+  holdingInputs, setHoldingInputs
+}) => {
+  const [mode, setMode] = useState('flip');
+  // A rehab budget with items sets the rehab costs, so the field can't be edited directly
+  const isRehabFromBudget = rehabBudget.items.length > 0;
+  const [showScoreBreakdown, setShowScoreBreakdown] = useState(false);
+  const [profit, setProfit] = useState(0);
+  const [roi, setRoi] = useState(0);
+
+  useEffect(() => {
+    const { profit: calculatedProfit, roi: calculatedRoi } = calculateFlip({ purchasePrice, salesPrice, closingCosts, rehabCosts, holdingCosts });
+    setProfit(calculatedProfit);
+    setRoi(calculatedRoi);
+  }, [purchasePrice, salesPrice, closingCosts, rehabCosts, holdingCosts]);
+
+  const analysisIdea = savedIdeas.find(idea => idea.id === analysisIdeaId);
+  const scenarios = getScenarios(analysisIdea);
+
+  const pieData = [
+    { name: 'Purchase Price', value: parseFloat(purchasePrice) || 0, color: '#4B5563' },
+    { name: 'Closing Costs', value: parseFloat(closingCosts) || 0, color: '#3B82F6' },
+    { name: 'Rehab Costs', value: parseFloat(rehabCosts) || 0, color: '#10B981' },
+    { name: 'Holding Costs', value: parseFloat(holdingCosts) || 0, color: '#F97316' },
+  ];
+  const COLORS = ['#4B5563', '#3B82F6', '#10B981', '#F97316'];
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <h2 className="text-3xl font-extrabold text-gray-900 dark:text-white mb-6 flex items-center">
+          <DollarSign className="w-8 h-8 mr-3 text-green-400" />
+          Financial Analysis
+        </h2>
+        <div className="flex flex-wrap gap-2 mb-4">
+          {ANALYSIS_MODES.map(({ key, label }) => (
+            <button
+              key={key}
+              onClick={() => setMode(key)}
+              className={`py-2 px-4 rounded-full font-semibold text-sm transition-colors duration-200 ${mode === key ? 'bg-green-600 text-white' : 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="space-y-3 p-4 rounded-xl bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-700">
+          <select
+            value={analysisIdeaId || ''}
+            onChange={(e) => selectAnalysisIdea(e.target.value || null)}
+            className="w-full p-3 rounded-xl bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700"
+          >
+            <option value="">Scratchpad (not saved to a lead)</option>
+            {savedIdeas.map(idea => <option key={idea.id} value={idea.id}>{idea.propertyDetails}</option>)}
+          </select>
+          {analysisIdea && (
+            <>
+              <div className="flex gap-2">
+                <select
+                  value={analysisScenarioId || ''}
+                  onChange={(e) => selectScenario(e.target.value || null)}
+                  className="flex-1 p-3 rounded-xl bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700"
+                >
+                  <option value="">New scenario</option>
+                  {scenarios.map(scenario => <option key={scenario.id} value={scenario.id}>{scenario.name}</option>)}
+                </select>
+                <input
+                  type="text"
+                  placeholder="Scenario name"
+                  value={scenarioName}
+                  onChange={(e) => setScenarioName(e.target.value)}
+                  className="flex-1 p-3 rounded-xl bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700"
+                />
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => saveScenario(false)}
+                  className="flex-1 bg-green-600 text-white font-bold py-2 px-4 rounded-full shadow hover:bg-green-700 transition-all duration-300 flex items-center justify-center space-x-2"
+                >
+                  <Save className="w-4 h-4" />
+                  <span>Save Scenario</span>
+                </button>
+                {analysisScenarioId && (
+                  <>
+                    <button onClick={() => saveScenario(true)} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors" title="Save as a new scenario">
+                      <Copy className="w-5 h-5 text-gray-500" />
+                    </button>
+                    <button onClick={deleteScenario} className="p-2 rounded-full hover:bg-red-100 dark:hover:bg-red-800 transition-colors" title="Delete scenario">
+                      <Trash2 className="w-5 h-5 text-red-500" />
+                    </button>
+                  </>
+                )}
+              </div>
+              <p className="text-xs text-gray-500 dark:text-gray-400">Figures and comps are saved on the lead. The last saved scenario drives the profit and ROI shown on the deal card and Dashboard.</p>
+            </>
+          )}
+        </div>
+        {advancedScore && (
+          <div className="mt-4">
+            <button onClick={() => setShowScoreBreakdown(!showScoreBreakdown)} className="flex items-center space-x-3">
+              <span className={`text-lg font-extrabold px-4 py-1 rounded-full ${getScoreColor(dealScore)}`}>{dealScore === null ? '—' : dealScore}</span>
+              <span className="font-semibold text-gray-700 dark:text-gray-300">Deal Score</span>
+              {showScoreBreakdown ? <ArrowUp className="w-4 h-4 text-gray-500" /> : <ArrowDown className="w-4 h-4 text-gray-500" />}
+            </button>
+            {showScoreBreakdown && (
+              <div className="mt-3">
+                <ScoreBreakdown factors={advancedScore} />
+              </div>
+            )}
+          </div>
+        )}
+      </Card>
+      {mode === 'flip' && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <Card>
+            <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4">Fix & Flip</h3>
+            <div className="space-y-4">
+              <input type="number" placeholder="Purchase Price" value={purchasePrice} onChange={(e) => setPurchasePrice(e.target.value)} className="w-full p-4 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700" />
+              <input type="number" placeholder="Estimated Sales Price" value={salesPrice} onChange={(e) => setSalesPrice(e.target.value)} className="w-full p-4 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700" />
+              <input type="number" placeholder="Closing Costs" value={closingCosts} onChange={(e) => setClosingCosts(e.target.value)} className="w-full p-4 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700" />
+              <input type="number" placeholder="Rehab Costs" value={rehabCosts} onChange={(e) => setRehabCosts(e.target.value)} disabled={isRehabFromBudget} className="w-full p-4 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700 disabled:opacity-60" />
+              {isRehabFromBudget && (
+                <button onClick={() => setMode('rehab')} className="text-xs text-blue-500 hover:text-blue-700 -mt-2">
+                  Rehab costs come from the {rehabBudget.items.length}-item rehab budget. Edit it there.
+                </button>
+              )}
+              <input type="number" placeholder="Holding Costs" value={holdingCosts} onChange={(e) => setHoldingCosts(e.target.value)} disabled={holdingInputs.enabled} className="w-full p-4 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700 disabled:opacity-60" />
+              {holdingInputs.enabled && (
+                <button onClick={() => setMode('holding')} className="text-xs text-blue-500 hover:text-blue-700 -mt-2">
+                  Holding costs come from the {holdingInputs.holdMonths || 0}-month holding cost calculator. Edit them there.
+                </button>
+              )}
+            </div>
+            <div className="mt-6 space-y-4 text-gray-900 dark:text-white">
+              <div className={`p-4 rounded-xl font-bold text-xl flex justify-between ${profit > 0 ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200' : 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'}`}>
+                <span>Total Profit</span>
+                <span>{`$${profit.toLocaleString()}`}</span>
+              </div>
+              <div className="p-4 rounded-xl bg-gray-100 dark:bg-gray-700 font-bold text-xl flex justify-between">
+                <span>ROI</span>
+                <span>{`${roi.toFixed(2)}%`}</span>
+              </div>
+            </div>
+            <div className="mt-6 text-center">
+              <button
+                onClick={() => setShowAdvancedAnalysis(!showAdvancedAnalysis)}
+                className="text-blue-500 hover:text-blue-700 font-bold flex items-center justify-center mx-auto"
+              >
+                {showAdvancedAnalysis ? 'Hide Advanced Analysis' : 'Show Advanced Analysis'}
+                {showAdvancedAnalysis ? <ArrowUp className="w-4 h-4 ml-2" /> : <ArrowDown className="w-4 h-4 ml-2" />}
+              </button>
+            </div>
+          </Card>
+          {showAdvancedAnalysis && (
+            <div className="space-y-6">
+              <Card>
+                <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4">Cost Breakdown</h3>
+                <div className="h-64 flex justify-center items-center">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <PieChart>
+                      <Pie
+                        data={pieData.filter(d => d.value > 0)}
+                        dataKey="value"
+                        nameKey="name"
+                        cx="50%"
+                        cy="50%"
+                        outerRadius={80}
+                        fill="#8884d8"
+                        label
+                      >
+                        {pieData.map((entry, index) => (
+                          <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                        ))}
+                      </Pie>
+                      <Tooltip formatter={(value) => `$${value.toLocaleString()}`} />
+                      <Legend />
+                    </PieChart>
+                  </ResponsiveContainer>
+                </div>
+              </Card>
+            </div>
+          )}
+        </div>
+      )}
+      {mode === 'rehab' && (
+        <RehabEstimator rehabBudget={rehabBudget} updateRehabBudget={updateRehabBudget} analysisIdea={analysisIdea} />
+      )}
+      {mode === 'holding' && (
+        <HoldingCostCalculator
+          purchasePrice={purchasePrice} salesPrice={salesPrice} closingCosts={closingCosts}
+          rehabCosts={rehabCosts} holdingCosts={holdingCosts}
+          holdingInputs={holdingInputs} setHoldingInputs={setHoldingInputs}
+          analysisIdea={analysisIdea}
+        />
+      )}
+      {mode === 'rental' && (
+        <RentalAnalysis
+          purchasePrice={purchasePrice} setPurchasePrice={setPurchasePrice}
+          closingCosts={closingCosts} setClosingCosts={setClosingCosts}
+          rehabCosts={rehabCosts} setRehabCosts={setRehabCosts} isRehabFromBudget={isRehabFromBudget}
+          rentalInputs={rentalInputs} setRentalInputs={setRentalInputs}
+        />
+      )}
+      {mode === 'strategies' && (
+        <StrategyCalculators
+          purchasePrice={purchasePrice} salesPrice={salesPrice} setSalesPrice={setSalesPrice}
+          closingCosts={closingCosts} rehabCosts={rehabCosts} setRehabCosts={setRehabCosts} isRehabFromBudget={isRehabFromBudget} holdingCosts={holdingCosts}
+          rentalInputs={rentalInputs}
+          strategyInputs={strategyInputs} setStrategyInputs={setStrategyInputs}
+          analysisIdea={analysisIdea}
+        />
+      )}
+      {mode === 'comps' && (
+        <CompsManager
+          analysisIdea={analysisIdea}
+          compsData={compsData} updateComps={updateComps}
+          compSubject={compSubject} setCompSubject={setCompSubject}
+          compAdjustments={compAdjustments} setCompAdjustments={setCompAdjustments}
+          saveCompsToLead={saveCompsToLead} setSalesPrice={setSalesPrice}
+          findComparables={findComparables} compsResults={compsResults} isCompsLoading={isCompsLoading}
+          marketTrendAnalysis={marketTrendAnalysis} isMarketAnalysisLoading={isMarketAnalysisLoading}
+          runMarketAnalysis={runMarketAnalysis}
+        />
+      )}
+      {mode === 'risk' && (
+        <RiskAnalysis
+          purchasePrice={purchasePrice} salesPrice={salesPrice} closingCosts={closingCosts}
+          rehabCosts={rehabCosts} holdingCosts={holdingCosts}
+        />
+      )}
+    </div>
+  );
+};
+
+export default FinancialAnalysis;
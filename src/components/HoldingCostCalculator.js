@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { Clock } from 'lucide-react';
+import { AreaChart, Area, Tooltip, ResponsiveContainer, XAxis, YAxis, CartesianGrid, ReferenceLine } from 'recharts';
+import { Card } from './common';
+import { DEFAULT_HOLDING_INPUTS, HOLDING_INPUT_LABELS, HOLDING_COST_ITEMS, calculateHoldingCosts } from '../finance/holding';
+import { calculateFlip } from '../underwriting';
+import { formatCurrency } from '../leadMetrics';
+
+const inputClassName = 'w-full p-3 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700';
+
+const Row = ({ label, value, emphasis }) => (
+  <div className={`flex justify-between py-1 ${emphasis ? 'font-bold text-gray-900 dark:text-white' : 'text-gray-700 dark:text-gray-300'}`}>
+    <span>{label}</span>
+    <span>{value}</span>
+  </div>
+);
+
+// Holding Costs tab of Financial Analysis: monthly carrying costs over the hold period and the cost of a delay
+const HoldingCostCalculator = ({
+  purchasePrice, salesPrice, closingCosts, rehabCosts, holdingCosts,
+  holdingInputs, setHoldingInputs, analysisIdea
+}) => {
+  const [delayMonths, setDelayMonths] = useState('3');
+
+  const figures = { purchasePrice, rehabCosts, holding: holdingInputs };
+  const planned = calculateHoldingCosts(figures);
+  const holdMonths = planned.schedule.length;
+  const delay = Math.max(Math.round(parseFloat(delayMonths) || 0), 0);
+  const delayed = calculateHoldingCosts(figures, holdMonths + delay);
+  const delayCost = delayed.total - planned.total;
+
+  // Profit with the planned hold vs. the delayed one, everything else from the Fix & Flip tab
+  const flipValues = { purchasePrice, salesPrice, closingCosts, rehabCosts };
+  const plannedProfit = calculateFlip({ ...flipValues, holdingCosts: holdingInputs.enabled ? planned.total : holdingCosts }).profit;
+  const delayedProfit = plannedProfit - delayCost;
+
+  const chartData = [
+    { month: 0, Cumulative: 0 },
+    ...delayed.schedule.map(({ month, cumulative }) => ({ month, Cumulative: Math.round(cumulative) })),
+  ];
+
+  const updateInput = (field, value) => setHoldingInputs({ ...holdingInputs, [field]: value });
+  const hasTaxAmount = analysisIdea?.taxAmount !== undefined && analysisIdea?.taxAmount !== null;
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      <Card>
+        <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4 flex items-center">
+          <Clock className="w-6 h-6 mr-2 text-orange-500" />
+          Holding Costs
+        </h3>
+        <label className="flex items-center space-x-2 mb-4 text-sm font-semibold text-gray-700 dark:text-gray-300">
+          <input type="checkbox" checked={holdingInputs.enabled} onChange={(e) => updateInput('enabled', e.target.checked)} className="rounded" />
+          <span>Use this total as the deal's Holding Costs</span>
+        </label>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          {Object.keys(HOLDING_INPUT_LABELS).map(field => (
+            <label key={field} className="block">
+              <span className="text-xs font-semibold text-gray-600 dark:text-gray-400">{HOLDING_INPUT_LABELS[field]}</span>
+              <input
+                type="number"
+                value={holdingInputs[field]}
+                placeholder={DEFAULT_HOLDING_INPUTS[field]}
+                onChange={(e) => updateInput(field, e.target.value)}
+                className={inputClassName}
+              />
+            </label>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-3">
+          The loan covers purchase price plus rehab.{hasTaxAmount ? ' Property tax was pre-filled from the county tax amount.' : ''} If you run the Hard Money flip under Strategies, set the loan to 0% here so financing isn't counted twice.
+        </p>
+      </Card>
+      <div className="space-y-6">
+        <Card>
+          <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4">Monthly Carrying Cost</h3>
+          {HOLDING_COST_ITEMS.filter(({ key }) => planned.monthly[key] > 0).map(({ key, label }) => (
+            <Row key={key} label={label} value={`${formatCurrency(planned.monthly[key])}/mo`} />
+          ))}
+          <Row label="Per month" value={`${formatCurrency(planned.monthly.total)}/mo`} emphasis />
+          <div className="border-t border-gray-200 dark:border-gray-700 mt-2 pt-2">
+            <Row label={`Points on ${formatCurrency(planned.loanAmount)} loan`} value={formatCurrency(planned.pointsCost)} />
+            <Row label={`Total over ${holdMonths} month${holdMonths === 1 ? '' : 's'}`} value={formatCurrency(planned.total)} emphasis />
+          </div>
+        </Card>
+        <Card>
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-xl font-bold text-gray-900 dark:text-white">Cumulative Carrying Cost</h3>
+            <label className="flex items-center space-x-2 text-sm text-gray-600 dark:text-gray-400">
+              <span>Delay</span>
+              <input type="number" min="0" value={delayMonths} onChange={(e) => setDelayMonths(e.target.value)} className="w-16 p-2 rounded-lg bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700" />
+              <span>mo</span>
+            </label>
+          </div>
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <AreaChart data={chartData} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#ccc" />
+                <XAxis dataKey="month" stroke="#888" />
+                <YAxis stroke="#888" />
+                <Tooltip formatter={(value) => `$${value.toLocaleString()}`} labelFormatter={(month) => `Month ${month}`} />
+                <Area type="monotone" dataKey="Cumulative" stroke="#F97316" fill="#FED7AA" />
+                <ReferenceLine x={holdMonths} stroke="#10B981" label={{ value: 'Planned sale', position: 'insideTopLeft', fill: '#10B981', fontSize: 12 }} />
+              </AreaChart>
+            </ResponsiveContainer>
+          </div>
+          {delay > 0 && (
+            <div className="mt-4 p-4 rounded-xl text-sm bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200">
+              A {delay}-month delay adds {formatCurrency(delayCost)} in carrying costs, taking profit from {formatCurrency(plannedProfit)} to {formatCurrency(delayedProfit)}.
+            </div>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default HoldingCostCalculator;
@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { Users, Phone, Mail, XCircle, Link } from 'lucide-react';
+import { CONTACT_ROLES, ROLE_BADGE_CLASSES, getLinkedContacts } from '../contactLinks';
+
+// People involved in a deal, shown on the expanded deal card; viewers (`canEdit` false) can't change the links
+const LeadContacts = ({ idea, savedContacts, linkContactToLead, unlinkContactFromLead, canEdit = true }) => {
+  const [contactId, setContactId] = useState('');
+  const [role, setRole] = useState(CONTACT_ROLES[0]);
+
+  const linkedContacts = getLinkedContacts(idea, savedContacts);
+
+  const handleLink = () => {
+    if (!contactId) return;
+    const alreadyLinked = linkedContacts.some(entry => entry.contact.id === contactId && entry.role === role);
+    if (!alreadyLinked) {
+      linkContactToLead(idea.id, contactId, role);
+    }
+    setContactId('');
+  };
+
+  return (
+    <div>
+      <h4 className="font-semibold text-lg text-gray-900 dark:text-white mb-2 flex items-center">
+        <Users className="w-5 h-5 mr-2" />
+        People
+      </h4>
+      {linkedContacts.length > 0 ? (
+        <ul className="space-y-2 mb-3">
+          {linkedContacts.map(({ contact, role: linkRole, link }) => (
+            <li key={`${contact.id}-${linkRole}`} className="flex items-center justify-between bg-gray-50 dark:bg-gray-900 rounded-xl p-3">
+              <div>
+                <div className="flex items-center space-x-2">
+                  <span className="font-semibold text-gray-900 dark:text-white">{contact.sellerName}</span>
+                  <span className={`text-xs font-semibold px-2 py-0.5 rounded-full ${ROLE_BADGE_CLASSES[linkRole] || 'bg-gray-200 text-gray-800'}`}>{linkRole}</span>
+                </div>
+                <div className="flex flex-wrap text-xs text-gray-500 dark:text-gray-400 mt-1 gap-x-4">
+                  {contact.sellerPhone && <span className="flex items-center"><Phone className="w-3 h-3 mr-1" />{contact.sellerPhone}</span>}
+                  {contact.sellerEmail && <span className="flex items-center"><Mail className="w-3 h-3 mr-1" />{contact.sellerEmail}</span>}
+                </div>
+              </div>
+              {canEdit && (
+                <button onClick={() => unlinkContactFromLead(idea.id, link)} className="p-1 rounded-full hover:bg-red-100 dark:hover:bg-red-800 transition-colors" title="Unlink contact">
+                  <XCircle className="w-4 h-4 text-red-500" />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">No contacts linked to this deal yet.</p>
+      )}
+      {!canEdit ? null : savedContacts.length > 0 ? (
+        <div className="flex flex-col sm:flex-row gap-2">
+          <select
+            value={contactId}
+            onChange={(e) => setContactId(e.target.value)}
+            className="flex-1 p-2 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700 text-sm"
+          >
+            <option value="">Select a contact...</option>
+            {savedContacts.map(contact => (
+              <option key={contact.id} value={contact.id}>{contact.sellerName || contact.sellerEmail || contact.sellerPhone}</option>
+            ))}
+          </select>
+          <select
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            className="p-2 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700 text-sm"
+          >
+            {CONTACT_ROLES.map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+          <button
+            onClick={handleLink}
+            disabled={!contactId}
+            className="bg-cyan-600 text-white font-bold py-2 px-4 rounded-full shadow hover:bg-cyan-700 transition-all duration-300 disabled:bg-gray-400 flex items-center justify-center space-x-1 text-sm"
+          >
+            <Link className="w-4 h-4" />
+            <span>Link</span>
+          </button>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Add contacts in the Contacts tab to link them to this deal.</p>
+      )}
+    </div>
+  );
+};
+
+export default LeadContacts;
@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { Bookmark, Trash2, XCircle } from 'lucide-react';
+import { LEAD_STATUSES } from '../leadStatus';
+import { LEAD_SOURCES, EMPTY_LEAD_FILTERS, parseView } from '../leadFilters';
+import { describeArea } from '../utils/geo';
+
+const inputClass = 'w-full p-2 border border-gray-300 dark:border-gray-700 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 text-sm';
+
+const ChipGroup = ({ label, options, selected, onChange }) => (
+  <div>
+    <p className="font-semibold text-xs text-gray-700 dark:text-gray-300 mb-1">{label}</p>
+    <div className="flex flex-wrap gap-1">
+      {options.map(({ key, label: optionLabel }) => {
+        const isSelected = selected.includes(key);
+        return (
+          <button
+            key={key}
+            onClick={() => onChange(isSelected ? selected.filter(value => value !== key) : [...selected, key])}
+            className={`px-3 py-1 rounded-full text-xs font-medium transition-colors ${isSelected ? 'bg-indigo-600 text-white' : 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600'}`}
+          >
+            {optionLabel}
+          </button>
+        );
+      })}
+    </div>
+  </div>
+);
+
+// Combinable Deal Flow filters plus the user's saved views
+const LeadFilterPanel = ({
+  filters, setFilters, areaFilter, setAreaFilter, sortOrder, setSortOrder, propertyTypes,
+  savedViews, saveFilterView, deleteFilterView, matchCount, totalCount
+}) => {
+  const [selectedViewId, setSelectedViewId] = useState('');
+  const [viewName, setViewName] = useState('');
+
+  const updateFilter = (key, value) => setFilters({ ...filters, [key]: value });
+
+  const applyView = (id) => {
+    setSelectedViewId(id);
+    const view = savedViews.find(savedView => savedView.id === id);
+    if (!view) return;
+    const { filters: viewFilters, area, sortOrder: viewSortOrder } = parseView(view);
+    setFilters(viewFilters);
+    setAreaFilter(area);
+    setSortOrder(viewSortOrder);
+  };
+
+  const handleSaveView = async () => {
+    const id = await saveFilterView({ name: viewName.trim(), filters, area: areaFilter, sortOrder });
+    if (id) {
+      setSelectedViewId(id);
+      setViewName('');
+    }
+  };
+
+  const handleDeleteView = () => {
+    deleteFilterView(selectedViewId);
+    setSelectedViewId('');
+  };
+
+  const clearAll = () => {
+    setFilters(EMPTY_LEAD_FILTERS);
+    setAreaFilter(null);
+    setSelectedViewId('');
+  };
+
+  return (
+    <div className="w-full bg-gray-50 dark:bg-gray-800 border border-gray-200 dark:border-gray-700 p-4 mb-4 rounded-xl space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <Bookmark className="w-5 h-5 text-indigo-500" />
+        <select value={selectedViewId} onChange={(e) => applyView(e.target.value)} className={`${inputClass} w-auto`}>
+          <option value="">Saved views...</option>
+          {savedViews.map(view => (
+            <option key={view.id} value={view.id}>{view.name}</option>
+          ))}
+        </select>
+        {selectedViewId && (
+          <button onClick={handleDeleteView} className="p-2 rounded-full hover:bg-red-100 dark:hover:bg-red-800 transition-colors" title="Delete this view">
+            <Trash2 className="w-4 h-4 text-red-500" />
+          </button>
+        )}
+        <input
+          type="text"
+          value={viewName}
+          onChange={(e) => setViewName(e.target.value)}
+          placeholder='Name this view, e.g. "County land owing > $5k"'
+          className={`${inputClass} flex-1 min-w-[12rem]`}
+        />
+        <button
+          onClick={handleSaveView}
+          disabled={!viewName.trim()}
+          className="px-4 py-2 rounded-full text-sm font-semibold text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 transition-colors"
+        >
+          Save View
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <ChipGroup
+          label="Status"
+          options={LEAD_STATUSES.map(status => ({ key: status, label: status }))}
+          selected={filters.statuses}
+          onChange={(value) => updateFilter('statuses', value)}
+        />
+        <ChipGroup label="Source" options={LEAD_SOURCES} selected={filters.sources} onChange={(value) => updateFilter('sources', value)} />
+        {propertyTypes.length > 0 && (
+          <ChipGroup
+            label="Property Type"
+            options={propertyTypes.map(type => ({ key: type, label: type }))}
+            selected={filters.propertyTypes}
+            onChange={(value) => updateFilter('propertyTypes', value)}
+          />
+        )}
+        <div>
+          <p className="font-semibold text-xs text-gray-700 dark:text-gray-300 mb-1">Tax Owed ($)</p>
+          <div className="flex items-center gap-2">
+            <input type="number" min="0" value={filters.minTax} onChange={(e) => updateFilter('minTax', e.target.value)} placeholder="Min" className={inputClass} />
+            <span className="text-gray-500">to</span>
+            <input type="number" min="0" value={filters.maxTax} onChange={(e) => updateFilter('maxTax', e.target.value)} placeholder="Max" className={inputClass} />
+          </div>
+        </div>
+        <div>
+          <p className="font-semibold text-xs text-gray-700 dark:text-gray-300 mb-1">Created</p>
+          <div className="flex items-center gap-2">
+            <input type="date" value={filters.createdFrom} onChange={(e) => updateFilter('createdFrom', e.target.value)} className={inputClass} />
+            <span className="text-gray-500">to</span>
+            <input type="date" value={filters.createdTo} onChange={(e) => updateFilter('createdTo', e.target.value)} className={inputClass} />
+          </div>
+        </div>
+        <div>
+          <p className="font-semibold text-xs text-gray-700 dark:text-gray-300 mb-1">Map Area</p>
+          {areaFilter ? (
+            <div className="flex items-center justify-between text-sm text-teal-800 dark:text-teal-200">
+              <span>{describeArea(areaFilter)}</span>
+              <button onClick={() => setAreaFilter(null)} className="flex items-center font-semibold hover:underline">
+                <XCircle className="w-4 h-4 mr-1" />
+                Clear
+              </button>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500 dark:text-gray-400">Draw an area or use the current view on the Portfolio Map.</p>
+          )}
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between text-sm text-gray-600 dark:text-gray-400">
+        <span>Showing {matchCount} of {totalCount} leads</span>
+        <button onClick={clearAll} className="font-semibold text-indigo-600 dark:text-indigo-300 hover:underline">
+          Clear all filters
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default LeadFilterPanel;
@@ -0,0 +1,350 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FileText, XCircle, Download, Link, Save, Send, Sparkles, Trash2, RotateCcw } from 'lucide-react';
+import { showToast } from './common';
+import { downloadFile } from '../utils/download';
+import { toMillis } from '../leadHistory';
+import {
+  MERGE_FIELDS, DEFAULT_DOCUMENT_TEMPLATES, loadBuyerProfile, saveBuyerProfile,
+  getMergeValues, renderTemplate, findMissingFields
+} from '../documents';
+
+const inputClassName = 'w-full p-2 rounded-lg bg-gray-50 dark:bg-gray-800 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700';
+
+const slugify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'lead';
+
+const REWRITE_TONES = ['More personal', 'More concise', 'More formal', 'More urgent'];
+
+const BUYER_FIELDS = ['buyerEntity', 'buyerName', 'buyerPhone', 'buyerEmail'];
+
+const VIEWS = [
+  { key: 'compose', label: 'Compose' },
+  { key: 'history', label: 'Sent & Saved' },
+  { key: 'templates', label: 'Templates' },
+];
+
+const copyToClipboard = async (content) => {
+  try {
+    await navigator.clipboard.writeText(content);
+    showToast('Content copied to clipboard!');
+  } catch (e) {
+    console.error('Failed to copy to clipboard:', e);
+    // Fallback for older browsers or permission issues
+    try {
+      const el = document.createElement('textarea');
+      el.value = content;
+      document.body.appendChild(el);
+      el.select();
+      document.execCommand('copy');
+      document.body.removeChild(el);
+      showToast('Content copied to clipboard via fallback!');
+    } catch (err) {
+      console.error('Failed to copy using fallback:', err);
+      showToast('Failed to copy. Please copy manually.', true);
+    }
+  }
+};
+
+const formatTimestamp = (value) => {
+  const millis = toMillis(value);
+  return millis === null ? 'just now' : new Date(millis).toLocaleString();
+};
+
+const tabClassName = (active) => `py-1 px-3 rounded-full font-semibold text-xs transition-colors duration-200 ${active ? 'bg-blue-600 text-white' : 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600'}`;
+
+// Offer letter composer for one lead: merge-field templates, optional AI rewrite, and versioned saved letters
+const OfferLetterModal = ({
+  idea, savedContacts, documentTemplates, saveDocumentTemplate, deleteDocumentTemplate,
+  subscribeToLeadDocuments, saveLeadDocument, markDocumentSent, rewriteDocument, onClose
+}) => {
+  const templates = [...DEFAULT_DOCUMENT_TEMPLATES, ...documentTemplates];
+  const [view, setView] = useState('compose');
+  const [templateId, setTemplateId] = useState(templates[0].id);
+  const [values, setValues] = useState(() => getMergeValues(idea, savedContacts, loadBuyerProfile()));
+  const [content, setContent] = useState('');
+  const [isEdited, setIsEdited] = useState(false);
+  const [aiRewritten, setAiRewritten] = useState(false);
+  const [tone, setTone] = useState(REWRITE_TONES[0]);
+  const [isRewriting, setIsRewriting] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [documents, setDocuments] = useState([]);
+  const [openDocumentId, setOpenDocumentId] = useState(null);
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const bodyRef = useRef(null);
+
+  const template = templates.find(({ id }) => id === templateId) || templates[0];
+  const missingFields = findMissingFields(template.body, values);
+
+  useEffect(() => subscribeToLeadDocuments(idea.id, (docs) => {
+    setDocuments(docs.sort((a, b) => (b.version || 0) - (a.version || 0)));
+  }), [idea.id, subscribeToLeadDocuments]);
+
+  // Re-render the letter from the template until the user edits or rewrites it
+  useEffect(() => {
+    if (!isEdited) setContent(renderTemplate(template.body, values));
+  }, [template.body, values, isEdited]);
+
+  const updateValue = (key, value) => {
+    const updated = { ...values, [key]: value };
+    setValues(updated);
+    if (BUYER_FIELDS.includes(key)) {
+      saveBuyerProfile(Object.fromEntries(BUYER_FIELDS.map(field => [field, updated[field]])));
+    }
+  };
+
+  const resetToTemplate = () => {
+    setIsEdited(false);
+    setAiRewritten(false);
+  };
+
+  const handleRewrite = async () => {
+    setIsRewriting(true);
+    try {
+      setContent(await rewriteDocument(content, tone));
+      setIsEdited(true);
+      setAiRewritten(true);
+    } catch (e) {
+      showToast(`Failed to rewrite letter: ${e.message}`, true);
+    } finally {
+      setIsRewriting(false);
+    }
+  };
+
+  const handleSave = async (markSent) => {
+    setIsSaving(true);
+    // The version is allocated when the letter is saved
+    const saved = await saveLeadDocument(idea.id, {
+      type: 'offerLetter',
+      templateId: template.id,
+      templateName: template.name,
+      content,
+      mergeValues: values,
+      aiRewritten,
+      status: markSent ? 'sent' : 'draft',
+    });
+    setIsSaving(false);
+    if (saved) setView('history');
+  };
+
+  const startEditingTemplate = (source) => setEditingTemplate(source.builtIn
+    ? { name: `${source.name} (copy)`, type: source.type, body: source.body }
+    : { id: source.id, name: source.name, type: source.type, body: source.body });
+
+  const insertMergeField = (key) => {
+    const field = `{{${key}}}`;
+    const textarea = bodyRef.current;
+    const { body } = editingTemplate;
+    const start = textarea ? textarea.selectionStart : body.length;
+    const end = textarea ? textarea.selectionEnd : body.length;
+    setEditingTemplate({ ...editingTemplate, body: body.slice(0, start) + field + body.slice(end) });
+  };
+
+  const handleSaveTemplate = async () => {
+    if (!editingTemplate.name.trim() || !editingTemplate.body.trim()) return;
+    const id = await saveDocumentTemplate({ ...editingTemplate, name: editingTemplate.name.trim() });
+    if (id) {
+      setTemplateId(id);
+      setEditingTemplate(null);
+    }
+  };
+
+  const handleDeleteTemplate = async (id) => {
+    await deleteDocumentTemplate(id);
+    if (templateId === id) setTemplateId(DEFAULT_DOCUMENT_TEMPLATES[0].id);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 z-50 overflow-y-auto h-full w-full flex items-center justify-center p-4">
+      <div className="bg-white dark:bg-gray-900 rounded-2xl shadow-2xl p-8 w-full max-w-5xl border border-gray-200 dark:border-gray-700 relative">
+        <h3 className="text-2xl font-bold text-gray-900 dark:text-white mb-1 flex items-center">
+          <FileText className="w-6 h-6 mr-2 text-blue-500" />
+          Offer Letter
+        </h3>
+        <p className="text-gray-600 dark:text-gray-400 mb-4">{idea.propertyDetails}</p>
+        <button onClick={onClose} className="absolute top-4 right-4 text-gray-500 hover:text-gray-900 dark:hover:text-white">
+          <XCircle className="w-6 h-6" />
+        </button>
+        <div className="flex gap-2 mb-6">
+          {VIEWS.map(({ key, label }) => (
+            <button key={key} onClick={() => setView(key)} className={tabClassName(view === key)}>
+              {label}{key === 'history' && documents.length > 0 ? ` (${documents.length})` : ''}
+            </button>
+          ))}
+        </div>
+
+        {view === 'compose' && (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="space-y-3">
+              <label className="block">
+                <span className="text-xs font-semibold text-gray-600 dark:text-gray-400">Template</span>
+                <select value={template.id} onChange={(e) => { setTemplateId(e.target.value); resetToTemplate(); }} className={inputClassName}>
+                  {templates.map(({ id, name }) => <option key={id} value={id}>{name}</option>)}
+                </select>
+              </label>
+              {MERGE_FIELDS.filter(({ key }) => key !== 'date').map(({ key, label }) => (
+                <label key={key} className="block">
+                  <span className={`text-xs font-semibold ${missingFields.includes(key) ? 'text-red-500' : 'text-gray-600 dark:text-gray-400'}`}>{label}</span>
+                  <input
+                    type={key === 'closingDate' ? 'date' : key === 'offerAmount' ? 'number' : 'text'}
+                    value={values[key]}
+                    onChange={(e) => updateValue(key, e.target.value)}
+                    className={inputClassName}
+                  />
+                </label>
+              ))}
+              <p className="text-xs text-gray-500 dark:text-gray-400">Buyer details are remembered for your next letter.</p>
+            </div>
+            <div className="lg:col-span-2 flex flex-col">
+              {isEdited && (
+                <div className="flex items-center justify-between mb-2 text-xs text-gray-500 dark:text-gray-400">
+                  <span>{aiRewritten ? 'Rewritten by AI' : 'Edited by hand'}; merge field changes no longer apply.</span>
+                  <button onClick={resetToTemplate} className="flex items-center text-blue-500 hover:text-blue-700 font-bold">
+                    <RotateCcw className="w-3 h-3 mr-1" />
+                    Reset to template
+                  </button>
+                </div>
+              )}
+              <textarea
+                rows="18"
+                value={content}
+                onChange={(e) => { setContent(e.target.value); setIsEdited(true); }}
+                className="w-full flex-1 p-4 rounded-xl bg-gray-50 dark:bg-gray-800 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700 font-sans text-sm"
+              />
+              {missingFields.length > 0 && !isEdited && (
+                <p className="text-xs text-red-500 mt-2">Missing: {missingFields.map(key => MERGE_FIELDS.find(field => field.key === key)?.label || key).join(', ')}</p>
+              )}
+              <div className="flex flex-wrap items-center gap-2 mt-4">
+                <select value={tone} onChange={(e) => setTone(e.target.value)} className="p-2 rounded-lg bg-gray-50 dark:bg-gray-800 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700 text-sm">
+                  {REWRITE_TONES.map(option => <option key={option} value={option}>{option}</option>)}
+                </select>
+                <button
+                  onClick={handleRewrite}
+                  disabled={isRewriting || !content.trim()}
+                  className="px-4 py-2 rounded-full text-white bg-purple-600 hover:bg-purple-700 transition-colors duration-200 flex items-center disabled:bg-gray-400"
+                >
+                  <Sparkles className="w-4 h-4 mr-2" />
+                  {isRewriting ? 'Rewriting...' : 'AI Rewrite'}
+                </button>
+                <div className="flex-1" />
+                <button onClick={() => copyToClipboard(content)} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors" title="Copy to clipboard">
+                  <Link className="w-5 h-5 text-gray-500" />
+                </button>
+                <button onClick={() => downloadFile(`${slugify(idea.propertyDetails)}-offer-letter.txt`, content)} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors" title="Download as text">
+                  <Download className="w-5 h-5 text-gray-500" />
+                </button>
+                <button
+                  onClick={() => handleSave(false)}
+                  disabled={isSaving || !content.trim()}
+                  className="px-4 py-2 rounded-full text-gray-700 dark:text-gray-300 bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors duration-200 flex items-center disabled:opacity-50"
+                >
+                  <Save className="w-4 h-4 mr-2" />
+                  Save Draft
+                </button>
+                <button
+                  onClick={() => handleSave(true)}
+                  disabled={isSaving || !content.trim()}
+                  className="px-4 py-2 rounded-full text-white bg-blue-600 hover:bg-blue-700 transition-colors duration-200 flex items-center disabled:bg-gray-400"
+                >
+                  <Send className="w-4 h-4 mr-2" />
+                  Save as Sent
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {view === 'history' && (
+          documents.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No letters saved for this lead yet. Saved letters are kept exactly as written, one version per save.</p>
+          ) : (
+            <ul className="space-y-2 max-h-[60vh] overflow-y-auto">
+              {documents.map(document => (
+                <li key={document.id} className="p-3 rounded-xl bg-gray-50 dark:bg-gray-800 border border-gray-200 dark:border-gray-700">
+                  <div className="flex items-center justify-between gap-2">
+                    <button onClick={() => setOpenDocumentId(openDocumentId === document.id ? null : document.id)} className="text-left flex-1">
+                      <span className="font-semibold text-gray-900 dark:text-white">v{document.version} · {document.templateName}</span>
+                      <span className="block text-xs text-gray-500 dark:text-gray-400">
+                        {document.status === 'sent' ? `Sent ${formatTimestamp(document.sentAt)}` : `Draft saved ${formatTimestamp(document.createdAt)}`}
+                        {document.mergeValues?.sellerName ? ` · To ${document.mergeValues.sellerName}` : ''}
+                        {document.aiRewritten ? ' · AI rewritten' : ''}
+                      </span>
+                    </button>
+                    <span className={`px-2 py-1 rounded-full text-xs font-semibold ${document.status === 'sent' ? 'bg-green-200 text-green-800' : 'bg-gray-200 text-gray-700'}`}>
+                      {document.status === 'sent' ? 'Sent' : 'Draft'}
+                    </span>
+                    {document.status !== 'sent' && (
+                      <button onClick={() => markDocumentSent(idea.id, document.id)} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors" title="Mark as sent">
+                        <Send className="w-4 h-4 text-blue-500" />
+                      </button>
+                    )}
+                    <button onClick={() => copyToClipboard(document.content)} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors" title="Copy to clipboard">
+                      <Link className="w-4 h-4 text-gray-500" />
+                    </button>
+                  </div>
+                  {openDocumentId === document.id && (
+                    <pre className="whitespace-pre-wrap font-sans text-sm text-gray-700 dark:text-gray-300 mt-3 p-3 rounded-lg bg-white dark:bg-gray-900">{document.content}</pre>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )
+        )}
+
+        {view === 'templates' && (
+          editingTemplate ? (
+            <div className="space-y-3">
+              <input type="text" placeholder="Template name" value={editingTemplate.name} onChange={(e) => setEditingTemplate({ ...editingTemplate, name: e.target.value })} className={inputClassName} />
+              <div className="flex flex-wrap gap-2">
+                {MERGE_FIELDS.map(({ key, label }) => (
+                  <button key={key} onClick={() => insertMergeField(key)} className="px-2 py-1 rounded-full text-xs font-mono bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200 hover:bg-blue-200" title={`Insert ${label}`}>
+                    {`{{${key}}}`}
+                  </button>
+                ))}
+              </div>
+              <textarea
+                ref={bodyRef}
+                rows="16"
+                value={editingTemplate.body}
+                onChange={(e) => setEditingTemplate({ ...editingTemplate, body: e.target.value })}
+                className="w-full p-4 rounded-xl bg-gray-50 dark:bg-gray-800 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700 font-mono text-sm"
+              />
+              <div className="flex justify-end gap-2">
+                <button onClick={() => setEditingTemplate(null)} className="px-6 py-2 rounded-full text-gray-700 dark:text-gray-300 bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors duration-200">
+                  Cancel
+                </button>
+                <button onClick={handleSaveTemplate} className="px-6 py-2 rounded-full text-white bg-blue-600 hover:bg-blue-700 transition-colors duration-200">
+                  Save Template
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="space-y-2">
+              {templates.map(item => (
+                <div key={item.id} className="flex items-center justify-between p-3 rounded-xl bg-gray-50 dark:bg-gray-800 border border-gray-200 dark:border-gray-700">
+                  <span className="font-semibold text-gray-900 dark:text-white">{item.name}{item.builtIn ? <span className="ml-2 text-xs font-normal text-gray-500">built-in</span> : null}</span>
+                  <div className="flex gap-2">
+                    <button onClick={() => startEditingTemplate(item)} className="text-blue-500 hover:text-blue-700 text-sm font-bold">
+                      {item.builtIn ? 'Copy & Edit' : 'Edit'}
+                    </button>
+                    {!item.builtIn && (
+                      <button onClick={() => handleDeleteTemplate(item.id)} className="p-1 rounded-full hover:bg-red-100 dark:hover:bg-red-800 transition-colors" title="Delete template">
+                        <Trash2 className="w-4 h-4 text-red-500" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+              <button
+                onClick={() => setEditingTemplate({ name: '', type: 'offerLetter', body: '' })}
+                className="mt-2 text-blue-500 hover:text-blue-700 text-sm font-bold"
+              >
+                + New Template
+              </button>
+            </div>
+          )
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OfferLetterModal;
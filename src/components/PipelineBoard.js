@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { Flag } from 'lucide-react';
+import { LEAD_STATUSES, STATUS_BADGE_CLASSES, STATUS_COLORS, getLeadStatus } from '../leadStatus';
+import { getProjectedValue, formatCurrency } from '../leadMetrics';
+import UnderwritingBadge from './UnderwritingBadge';
+
+// Kanban view of the deal pipeline; dragging a card to another column changes its status
+const PipelineBoard = ({ ideas, updateLeadStatus, onOpenLead }) => {
+  const [dragOverStatus, setDragOverStatus] = useState(null);
+  const [draggingId, setDraggingId] = useState(null);
+
+  const columns = LEAD_STATUSES.map(status => {
+    const columnIdeas = ideas.filter(idea => getLeadStatus(idea) === status);
+    return {
+      status,
+      ideas: columnIdeas,
+      totalValue: columnIdeas.reduce((sum, idea) => sum + getProjectedValue(idea), 0),
+    };
+  });
+
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    setDragOverStatus(null);
+    setDraggingId(null);
+    const id = e.dataTransfer.getData('text/plain');
+    const idea = ideas.find(item => item.id === id);
+    if (idea && getLeadStatus(idea) !== status) {
+      updateLeadStatus(id, status);
+    }
+  };
+
+  return (
+    <div className="flex space-x-4 overflow-x-auto pb-4 max-h-[calc(100vh-250px)]">
+      {columns.map(column => (
+        <div
+          key={column.status}
+          onDragOver={(e) => {
+            e.preventDefault();
+            setDragOverStatus(column.status);
+          }}
+          onDragLeave={(e) => {
+            // Ignore leave events fired when moving over the column's own cards
+            if (!e.currentTarget.contains(e.relatedTarget)) {
+              setDragOverStatus(null);
+            }
+          }}
+          onDrop={(e) => handleDrop(e, column.status)}
+          className={`flex-shrink-0 w-72 rounded-2xl p-3 flex flex-col transition-colors duration-200 ${dragOverStatus === column.status ? 'bg-indigo-100 dark:bg-indigo-950' : 'bg-gray-100 dark:bg-gray-900'}`}
+          style={{ borderTop: `4px solid ${STATUS_COLORS[column.status]}` }}
+        >
+          <div className="mb-3 px-1">
+            <div className="flex items-center justify-between">
+              <h3 className="font-bold text-gray-900 dark:text-white">{column.status}</h3>
+              <span className={`text-xs font-semibold px-2 py-1 rounded-full ${STATUS_BADGE_CLASSES[column.status]}`}>{column.ideas.length}</span>
+            </div>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">{formatCurrency(column.totalValue)} projected</p>
+          </div>
+          <div className="space-y-3 overflow-y-auto flex-1 min-h-[4rem]">
+            {column.ideas.map(idea => (
+              <div
+                key={idea.id}
+                draggable
+                onDragStart={(e) => {
+                  e.dataTransfer.setData('text/plain', idea.id);
+                  e.dataTransfer.effectAllowed = 'move';
+                  setDraggingId(idea.id);
+                }}
+                onDragEnd={() => setDraggingId(null)}
+                onClick={() => onOpenLead(idea.id)}
+                className={`bg-white dark:bg-gray-800 rounded-xl shadow p-3 border border-gray-200 dark:border-gray-700 cursor-grab active:cursor-grabbing hover:shadow-lg transition-all ${draggingId === idea.id ? 'opacity-50' : ''}`}
+              >
+                <p className="font-semibold text-sm text-gray-900 dark:text-white line-clamp-2">{idea.propertyDetails}</p>
+                <div className="flex flex-wrap items-center gap-2 mt-2 text-xs text-gray-500 dark:text-gray-400">
+                  {idea.source === 'county' && (
+                    <span className="bg-teal-500 text-white font-semibold px-2 py-0.5 rounded-full flex items-center">
+                      <Flag className="w-3 h-3 mr-1" />
+                      County
+                    </span>
+                  )}
+                  {getProjectedValue(idea) > 0 && (
+                    <span className="font-semibold text-gray-700 dark:text-gray-300">{formatCurrency(getProjectedValue(idea))}</span>
+                  )}
+                  {idea.taxAmount && (
+                    <span className="text-red-500">Tax Due: ${idea.taxAmount.toLocaleString()}</span>
+                  )}
+                  <UnderwritingBadge idea={idea} />
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PipelineBoard;
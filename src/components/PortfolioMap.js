@@ -0,0 +1,256 @@
+/* global L */
+import React, { useState, useEffect, useRef } from 'react';
+import { Globe, XCircle, MapPin, CheckCircle, Square } from 'lucide-react';
+import { Card } from './common';
+import { LEAD_STATUSES, STATUS_COLORS, getLeadStatus } from '../leadStatus';
+import { getCoordinates, isInsideArea, describeArea, METERS_PER_MILE } from '../utils/geo';
+
+const DEFAULT_CENTER = [39.6083, -75.8364]; // Elkton, MD
+const AREA_STYLE = { color: '#0d9488', weight: 2, fillOpacity: 0.1 };
+
+// Popup content is built as DOM nodes so the button can call back into React
+const buildPopup = (idea, onOpen) => {
+  const container = document.createElement('div');
+  const title = document.createElement('div');
+  title.className = 'font-bold';
+  title.textContent = idea.propertyDetails;
+  const status = document.createElement('div');
+  status.className = 'text-xs my-1';
+  status.textContent = `Status: ${getLeadStatus(idea)}${idea.taxAmount ? ` · Tax Due: $${idea.taxAmount.toLocaleString()}` : ''}`;
+  const button = document.createElement('button');
+  button.className = 'mt-1 px-3 py-1 rounded-full text-white bg-indigo-600 hover:bg-indigo-700 text-xs';
+  button.textContent = 'Open deal card';
+  button.addEventListener('click', () => onOpen(idea.id));
+  container.append(title, status, button);
+  return container;
+};
+
+// Map of every saved lead with status-colored, clustered markers and a draw-to-filter tool
+const PortfolioMap = ({ savedIdeas, areaFilter, setAreaFilter, onOpenLead }) => {
+  const mapContainerRef = useRef(null);
+  const mapInstanceRef = useRef(null);
+  const markerLayerRef = useRef(null);
+  const areaLayerRef = useRef(null);
+  const hasFitBoundsRef = useRef(false);
+  const onOpenLeadRef = useRef(onOpenLead);
+  const [drawMode, setDrawMode] = useState(null); // 'polygon' | 'radius' | null
+  const [draftPoints, setDraftPoints] = useState([]);
+  const [radiusMiles, setRadiusMiles] = useState(1);
+
+  onOpenLeadRef.current = onOpenLead;
+
+  const mappedIdeas = savedIdeas.filter(idea => getCoordinates(idea));
+  const ideasInArea = areaFilter ? mappedIdeas.filter(idea => isInsideArea(idea, areaFilter)) : mappedIdeas;
+
+  // Create the map once
+  useEffect(() => {
+    if (typeof L === 'undefined' || !mapContainerRef.current) {
+      return;
+    }
+    const map = L.map(mapContainerRef.current).setView(DEFAULT_CENTER, 11);
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+      maxZoom: 19,
+      attribution: '&copy; <a href="http://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+    }).addTo(map);
+    // Fall back to a plain layer group if the clustering plugin failed to load
+    markerLayerRef.current = (typeof L.markerClusterGroup === 'function'
+      ? L.markerClusterGroup({ showCoverageOnHover: false })
+      : L.layerGroup()).addTo(map);
+    areaLayerRef.current = L.layerGroup().addTo(map);
+    mapInstanceRef.current = map;
+
+    return () => {
+      map.remove();
+      mapInstanceRef.current = null;
+    };
+  }, []);
+
+  // Sync markers with the saved leads
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    const layer = markerLayerRef.current;
+    if (!map || !layer) return;
+
+    layer.clearLayers();
+    const points = [];
+    savedIdeas.forEach(idea => {
+      const coords = getCoordinates(idea);
+      if (!coords) return;
+      const color = STATUS_COLORS[getLeadStatus(idea)];
+      L.circleMarker([coords.lat, coords.lng], {
+        radius: 9,
+        color: '#ffffff',
+        weight: 2,
+        fillColor: color,
+        fillOpacity: 0.9,
+      })
+        .bindPopup(() => buildPopup(idea, (id) => onOpenLeadRef.current(id)))
+        .addTo(layer);
+      points.push([coords.lat, coords.lng]);
+    });
+
+    // Zoom to the portfolio the first time leads arrive
+    if (points.length > 0 && !hasFitBoundsRef.current) {
+      map.fitBounds(points, { padding: [40, 40], maxZoom: 14 });
+      hasFitBoundsRef.current = true;
+    }
+  }, [savedIdeas]);
+
+  // Handle map clicks while drawing
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    if (!map || !drawMode) return;
+
+    const handleClick = (e) => {
+      const point = [e.latlng.lat, e.latlng.lng];
+      if (drawMode === 'polygon') {
+        setDraftPoints(prev => [...prev, point]);
+      } else {
+        setAreaFilter({ type: 'radius', center: point, radiusMiles: parseFloat(radiusMiles) || 1 });
+        setDrawMode(null);
+      }
+    };
+    map.on('click', handleClick);
+    map.getContainer().style.cursor = 'crosshair';
+    return () => {
+      map.off('click', handleClick);
+      map.getContainer().style.cursor = '';
+    };
+  }, [drawMode, radiusMiles, setAreaFilter]);
+
+  // Draw the active area filter and any polygon in progress
+  useEffect(() => {
+    const layer = areaLayerRef.current;
+    if (!layer) return;
+
+    layer.clearLayers();
+    if (areaFilter?.type === 'polygon') {
+      L.polygon(areaFilter.points, AREA_STYLE).addTo(layer);
+    } else if (areaFilter?.type === 'radius') {
+      L.circle(areaFilter.center, { ...AREA_STYLE, radius: areaFilter.radiusMiles * METERS_PER_MILE }).addTo(layer);
+    } else if (areaFilter?.type === 'bounds') {
+      const east = areaFilter.east < areaFilter.west ? areaFilter.east + 360 : areaFilter.east;
+      L.rectangle([[areaFilter.south, areaFilter.west], [areaFilter.north, east]], AREA_STYLE).addTo(layer);
+    }
+    if (draftPoints.length > 0) {
+      L.polyline(draftPoints, { ...AREA_STYLE, dashArray: '4 4' }).addTo(layer);
+      draftPoints.forEach(point => L.circleMarker(point, { radius: 4, color: AREA_STYLE.color }).addTo(layer));
+    }
+  }, [areaFilter, draftPoints]);
+
+  const startDrawing = (mode) => {
+    setDraftPoints([]);
+    setDrawMode(mode);
+  };
+
+  const finishPolygon = () => {
+    if (draftPoints.length >= 3) {
+      setAreaFilter({ type: 'polygon', points: draftPoints });
+    }
+    setDraftPoints([]);
+    setDrawMode(null);
+  };
+
+  // Filter to whatever is currently on screen
+  const useMapView = () => {
+    const map = mapInstanceRef.current;
+    if (!map) return;
+    const bounds = map.getBounds();
+    const wrapLng = (lng) => L.Util.wrapNum(lng, [-180, 180], true);
+    const coversWorld = bounds.getEast() - bounds.getWest() >= 360;
+    setAreaFilter({
+      type: 'bounds',
+      south: Math.max(bounds.getSouth(), -90),
+      west: coversWorld ? -180 : wrapLng(bounds.getWest()),
+      north: Math.min(bounds.getNorth(), 90),
+      east: coversWorld ? 180 : wrapLng(bounds.getEast()),
+    });
+    setDraftPoints([]);
+    setDrawMode(null);
+  };
+
+  const clearArea = () => {
+    setAreaFilter(null);
+    setDraftPoints([]);
+    setDrawMode(null);
+  };
+
+  return (
+    <Card className="flex-1">
+      <div className="flex flex-col sm:flex-row justify-between items-center mb-6 space-y-4 sm:space-y-0">
+        <h2 className="text-3xl font-extrabold text-gray-900 dark:text-white flex items-center">
+          <Globe className="w-8 h-8 mr-3 text-teal-400" />
+          Portfolio Map
+        </h2>
+        <div className="flex flex-wrap items-center gap-2">
+          {drawMode === 'polygon' ? (
+            <>
+              <span className="text-sm text-gray-600 dark:text-gray-400">Click the map to add points ({draftPoints.length})</span>
+              <button
+                onClick={finishPolygon}
+                disabled={draftPoints.length < 3}
+                className="bg-teal-600 text-white font-bold py-2 px-4 rounded-full shadow-lg hover:bg-teal-700 transition-all duration-300 disabled:bg-gray-400 flex items-center space-x-2"
+              >
+                <CheckCircle className="w-5 h-5" />
+                <span>Finish Area</span>
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={() => startDrawing('polygon')}
+              className="bg-teal-600 text-white font-bold py-2 px-4 rounded-full shadow-lg hover:bg-teal-700 transition-all duration-300 flex items-center space-x-2"
+            >
+              <MapPin className="w-5 h-5" />
+              <span>Draw Area</span>
+            </button>
+          )}
+          <input
+            type="number"
+            min="0.1"
+            step="0.1"
+            value={radiusMiles}
+            onChange={(e) => setRadiusMiles(e.target.value)}
+            className="w-20 p-2 border border-gray-300 dark:border-gray-700 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200"
+            title="Radius in miles"
+          />
+          <button
+            onClick={() => startDrawing('radius')}
+            className={`font-bold py-2 px-4 rounded-full shadow-lg transition-all duration-300 ${drawMode === 'radius' ? 'bg-teal-700 text-white' : 'bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-gray-200 hover:bg-gray-300 dark:hover:bg-gray-600'}`}
+          >
+            {drawMode === 'radius' ? 'Click a center point' : 'Radius (mi)'}
+          </button>
+          <button
+            onClick={useMapView}
+            className="bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-gray-200 font-bold py-2 px-4 rounded-full shadow-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-all duration-300 flex items-center space-x-2"
+            title="Filter Deal Flow to the visible part of the map"
+          >
+            <Square className="w-5 h-5" />
+            <span>Use Map View</span>
+          </button>
+          {(areaFilter || drawMode) && (
+            <button onClick={clearArea} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors" title="Clear area">
+              <XCircle className="w-5 h-5 text-gray-500" />
+            </button>
+          )}
+        </div>
+      </div>
+      {areaFilter && (
+        <div className="mb-4 p-3 rounded-xl bg-teal-50 dark:bg-teal-950 text-teal-800 dark:text-teal-200 text-sm">
+          {describeArea(areaFilter)}: {ideasInArea.length} of {mappedIdeas.length} mapped leads. The Deal Flow list is filtered to this area.
+        </div>
+      )}
+      <div ref={mapContainerRef} className="w-full h-[60vh] rounded-2xl shadow-inner"></div>
+      <div className="flex flex-wrap gap-4 mt-4 text-sm text-gray-600 dark:text-gray-400">
+        {LEAD_STATUSES.map(status => (
+          <span key={status} className="flex items-center">
+            <span className="w-3 h-3 rounded-full mr-2" style={{ backgroundColor: STATUS_COLORS[status] }}></span>
+            {status}
+          </span>
+        ))}
+        <span className="ml-auto">{mappedIdeas.length} of {savedIdeas.length} leads have coordinates</span>
+      </div>
+    </Card>
+  );
+};
+
+export default PortfolioMap;
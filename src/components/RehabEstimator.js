@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import { Hammer, PlusCircle, Trash2, Download, Save } from 'lucide-react';
+import { Card, showToast } from './common';
+import {
+  REHAB_CATEGORIES, REGIONAL_MULTIPLIERS, REHAB_TEMPLATES,
+  loadRehabTemplates, saveRehabTemplates, createRehabItemId, instantiateTemplate,
+  calculateRehabBudget, buildBidSheet
+} from '../finance/rehab';
+import { formatCurrency } from '../leadMetrics';
+import { downloadFile } from '../utils/download';
+
+const inputClassName = 'w-full p-2 rounded-lg bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700';
+
+const slugify = (text) => (text || 'rehab').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+
+const Row = ({ label, value, emphasis }) => (
+  <div className={`flex justify-between py-1 ${emphasis ? 'font-bold text-gray-900 dark:text-white' : 'text-gray-700 dark:text-gray-300'}`}>
+    <span>{label}</span>
+    <span>{value}</span>
+  </div>
+);
+
+// Rehab tab of Financial Analysis: line-item scope of work whose total feeds the flip's rehab costs
+const RehabEstimator = ({ rehabBudget, updateRehabBudget, analysisIdea }) => {
+  const [customTemplates, setCustomTemplates] = useState(loadRehabTemplates);
+  const [templateKey, setTemplateKey] = useState(REHAB_TEMPLATES[0].key);
+  const [templateName, setTemplateName] = useState('');
+
+  const templates = [...REHAB_TEMPLATES, ...customTemplates];
+  const totals = calculateRehabBudget(rehabBudget);
+  const lineTotals = Object.fromEntries(totals.lines.map(line => [line.id, line.total]));
+
+  const update = (changes) => updateRehabBudget({ ...rehabBudget, ...changes });
+  const updateItem = (id, field, value) => update({ items: rehabBudget.items.map(line => (line.id === id ? { ...line, [field]: value } : line)) });
+  const removeItem = (id) => update({ items: rehabBudget.items.filter(line => line.id !== id) });
+  const addItem = () => update({ items: [...rehabBudget.items, { id: createRehabItemId(), category: 'Other', description: '', quantity: '1', unit: 'each', unitCost: '' }] });
+
+  const addTemplate = () => {
+    const template = templates.find(({ key }) => key === templateKey);
+    if (template) update({ items: [...rehabBudget.items, ...instantiateTemplate(template)] });
+  };
+
+  const selectRegion = (region) => {
+    const preset = REGIONAL_MULTIPLIERS.find(({ key }) => key === region);
+    update({ region, multiplier: preset ? String(preset.multiplier) : rehabBudget.multiplier });
+  };
+
+  const saveAsTemplate = () => {
+    const label = templateName.trim();
+    if (!label || rehabBudget.items.length === 0) return;
+    const template = {
+      key: `custom-${Date.now().toString(36)}`,
+      label,
+      items: rehabBudget.items.map(({ id, ...line }) => line),
+    };
+    const updated = [...customTemplates.filter(existing => existing.label !== label), template];
+    setCustomTemplates(updated);
+    saveRehabTemplates(updated);
+    setTemplateKey(template.key);
+    setTemplateName('');
+    showToast(`Saved template "${label}".`);
+  };
+
+  const deleteTemplate = () => {
+    const updated = customTemplates.filter(({ key }) => key !== templateKey);
+    setCustomTemplates(updated);
+    saveRehabTemplates(updated);
+    setTemplateKey(REHAB_TEMPLATES[0].key);
+  };
+
+  const exportBidSheet = () => {
+    downloadFile(`${slugify(analysisIdea?.propertyDetails)}-bid-sheet.csv`, buildBidSheet(rehabBudget, analysisIdea?.propertyDetails), 'text/csv');
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <Card>
+          <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4 flex items-center">
+            <Hammer className="w-6 h-6 mr-2 text-orange-500" />
+            Rehab Budget
+          </h3>
+          <div className="space-y-3">
+            <div className="flex gap-2">
+              <select value={templateKey} onChange={(e) => setTemplateKey(e.target.value)} className={inputClassName}>
+                {templates.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+              </select>
+              <button onClick={addTemplate} className="bg-orange-500 text-white font-bold py-2 px-4 rounded-full shadow hover:bg-orange-600 transition-all duration-300 whitespace-nowrap">
+                Add Template
+              </button>
+              {customTemplates.some(({ key }) => key === templateKey) && (
+                <button onClick={deleteTemplate} className="p-2 rounded-full hover:bg-red-100 dark:hover:bg-red-800 transition-colors" title="Delete template">
+                  <Trash2 className="w-5 h-5 text-red-500" />
+                </button>
+              )}
+            </div>
+            <div className="flex gap-2">
+              <input type="text" placeholder="Save current items as template..." value={templateName} onChange={(e) => setTemplateName(e.target.value)} className={inputClassName} />
+              <button
+                onClick={saveAsTemplate}
+                disabled={!templateName.trim() || rehabBudget.items.length === 0}
+                className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors disabled:opacity-50"
+                title="Save as template"
+              >
+                <Save className="w-5 h-5 text-gray-500" />
+              </button>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              <label className="block">
+                <span className="text-xs font-semibold text-gray-600 dark:text-gray-400">Region</span>
+                <select value={rehabBudget.region} onChange={(e) => selectRegion(e.target.value)} className={inputClassName}>
+                  {REGIONAL_MULTIPLIERS.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+                  <option value="custom">Custom</option>
+                </select>
+              </label>
+              <label className="block">
+                <span className="text-xs font-semibold text-gray-600 dark:text-gray-400">Cost Multiplier</span>
+                <input type="number" step="0.05" value={rehabBudget.multiplier} onChange={(e) => update({ region: 'custom', multiplier: e.target.value })} className={inputClassName} />
+              </label>
+              <label className="block">
+                <span className="text-xs font-semibold text-gray-600 dark:text-gray-400">Contingency (%)</span>
+                <input type="number" value={rehabBudget.contingencyPercent} onChange={(e) => update({ contingencyPercent: e.target.value })} className={inputClassName} />
+              </label>
+            </div>
+          </div>
+        </Card>
+        <Card>
+          <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4">Budget Summary</h3>
+          {totals.byCategory.map(({ category, total }) => <Row key={category} label={category} value={formatCurrency(total)} />)}
+          <div className="border-t border-gray-200 dark:border-gray-700 mt-2 pt-2">
+            <Row label="Subtotal" value={formatCurrency(totals.subtotal)} />
+            <Row label={`Regional adjustment (×${parseFloat(rehabBudget.multiplier) || 0})`} value={formatCurrency(totals.regionalAdjustment)} />
+            <Row label={`Contingency (${parseFloat(rehabBudget.contingencyPercent) || 0}%)`} value={formatCurrency(totals.contingency)} />
+            <Row label="Total Rehab" value={formatCurrency(totals.total)} emphasis />
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-3">The total is used as Rehab Costs in the other calculators and is saved with the scenario.</p>
+          <button
+            onClick={exportBidSheet}
+            disabled={rehabBudget.items.length === 0}
+            className="mt-4 w-full bg-blue-600 text-white font-bold py-2 px-4 rounded-full shadow hover:bg-blue-700 transition-all duration-300 flex items-center justify-center space-x-2 disabled:opacity-50"
+          >
+            <Download className="w-4 h-4" />
+            <span>Export Contractor Bid Sheet</span>
+          </button>
+        </Card>
+      </div>
+      <Card>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-gray-900 dark:text-white">Scope of Work</h3>
+          <div className="flex gap-2">
+            {rehabBudget.items.length > 0 && (
+              <button onClick={() => update({ items: [] })} className="text-red-500 hover:text-red-700 text-sm font-bold">Clear</button>
+            )}
+            <button onClick={addItem} className="text-blue-500 hover:text-blue-700 text-sm font-bold flex items-center">
+              <PlusCircle className="w-4 h-4 mr-1" />
+              Add Line Item
+            </button>
+          </div>
+        </div>
+        {rehabBudget.items.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-gray-700 dark:text-gray-300">
+              <thead className="text-xs uppercase text-gray-500 dark:text-gray-400 text-left">
+                <tr>
+                  <th className="py-2">Category</th>
+                  <th className="py-2">Description</th>
+                  <th className="py-2 w-20">Qty</th>
+                  <th className="py-2 w-24">Unit</th>
+                  <th className="py-2 w-28">Unit Cost</th>
+                  <th className="py-2 text-right">Total</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {rehabBudget.items.map(line => (
+                  <tr key={line.id} className="border-t border-gray-200 dark:border-gray-700">
+                    <td className="py-1 pr-2">
+                      <select value={line.category} onChange={(e) => updateItem(line.id, 'category', e.target.value)} className={inputClassName}>
+                        {REHAB_CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+                      </select>
+                    </td>
+                    <td className="py-1 pr-2"><input type="text" value={line.description} onChange={(e) => updateItem(line.id, 'description', e.target.value)} className={inputClassName} /></td>
+                    <td className="py-1 pr-2"><input type="number" value={line.quantity} onChange={(e) => updateItem(line.id, 'quantity', e.target.value)} className={inputClassName} /></td>
+                    <td className="py-1 pr-2"><input type="text" value={line.unit} onChange={(e) => updateItem(line.id, 'unit', e.target.value)} className={inputClassName} /></td>
+                    <td className="py-1 pr-2"><input type="number" value={line.unitCost} onChange={(e) => updateItem(line.id, 'unitCost', e.target.value)} className={inputClassName} /></td>
+                    <td className="py-1 text-right whitespace-nowrap">{formatCurrency(lineTotals[line.id])}</td>
+                    <td className="py-1 pl-2">
+                      <button onClick={() => removeItem(line.id)} className="p-1 rounded-full hover:bg-red-100 dark:hover:bg-red-800 transition-colors" title="Remove line item">
+                        <Trash2 className="w-4 h-4 text-red-500" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500 dark:text-gray-400">Add a template or line items to build the rehab budget.</p>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default RehabEstimator;
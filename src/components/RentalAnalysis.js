@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { Home } from 'lucide-react';
+import { BarChart, Bar, Tooltip, ResponsiveContainer, Legend, XAxis, YAxis, CartesianGrid } from 'recharts';
+import { Card } from './common';
+import { calculateRental, RENTAL_INPUT_LABELS } from '../finance/rental';
+import { amortizationSchedule, summarizeByYear } from '../finance/loan';
+import { formatCurrency } from '../leadMetrics';
+
+const inputClassName = 'w-full p-3 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700';
+
+const formatPercent = (value) => (value === null ? '—' : `${value.toFixed(2)}%`);
+
+const Metric = ({ label, value, positive }) => (
+  <div className={`p-4 rounded-xl font-bold flex justify-between ${positive === undefined ? 'bg-gray-100 dark:bg-gray-700' : positive ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200' : 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'}`}>
+    <span>{label}</span>
+    <span>{value}</span>
+  </div>
+);
+
+// Buy-and-hold tab of Financial Analysis: rental income, financing and amortization
+const RentalAnalysis = ({
+  purchasePrice, setPurchasePrice, closingCosts, setClosingCosts, rehabCosts, setRehabCosts, isRehabFromBudget,
+  rentalInputs, setRentalInputs
+}) => {
+  const [showMonthly, setShowMonthly] = useState(false);
+
+  const metrics = calculateRental({ purchasePrice, closingCosts, rehabCosts, rental: rentalInputs });
+  const schedule = amortizationSchedule(metrics.loanAmount, parseFloat(rentalInputs.interestRate) || 0, parseFloat(rentalInputs.amortizationYears) || 0);
+  const yearlySchedule = summarizeByYear(schedule);
+  const chartData = yearlySchedule.map(row => ({
+    name: `Y${row.year}`,
+    Principal: Math.round(row.principal),
+    Interest: Math.round(row.interest),
+  }));
+
+  const updateInput = (field, value) => setRentalInputs({ ...rentalInputs, [field]: value });
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      <Card>
+        <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4 flex items-center">
+          <Home className="w-6 h-6 mr-2 text-green-400" />
+          Buy & Hold
+        </h3>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <label className="block">
+            <span className="text-xs font-semibold text-gray-600 dark:text-gray-400">Purchase Price ($)</span>
+            <input type="number" value={purchasePrice} onChange={(e) => setPurchasePrice(e.target.value)} className={inputClassName} />
+          </label>
+          <label className="block">
+            <span className="text-xs font-semibold text-gray-600 dark:text-gray-400">Closing Costs ($)</span>
+            <input type="number" value={closingCosts} onChange={(e) => setClosingCosts(e.target.value)} className={inputClassName} />
+          </label>
+          <label className="block">
+            <span className="text-xs font-semibold text-gray-600 dark:text-gray-400">Rehab Costs ($){isRehabFromBudget && ' · from the rehab budget'}</span>
+            <input type="number" value={rehabCosts} onChange={(e) => setRehabCosts(e.target.value)} disabled={isRehabFromBudget} className={`${inputClassName} disabled:opacity-60`} />
+          </label>
+          {Object.entries(RENTAL_INPUT_LABELS).map(([field, label]) => (
+            <label key={field} className="block">
+              <span className="text-xs font-semibold text-gray-600 dark:text-gray-400">{label}</span>
+              <input type="number" value={rentalInputs[field]} onChange={(e) => updateInput(field, e.target.value)} className={inputClassName} />
+            </label>
+          ))}
+        </div>
+        <div className="mt-6 space-y-3 text-gray-900 dark:text-white">
+          <Metric label="Monthly Cash Flow" value={formatCurrency(metrics.monthlyCashFlow)} positive={metrics.monthlyCashFlow > 0} />
+          <Metric label="Net Operating Income (yr)" value={formatCurrency(metrics.noi)} />
+          <Metric label="Cap Rate" value={formatPercent(metrics.capRate)} />
+          <Metric label="Cash-on-Cash Return" value={formatPercent(metrics.cashOnCash)} />
+          <Metric
+            label="DSCR"
+            value={metrics.dscr === null ? '—' : metrics.dscr.toFixed(2)}
+            positive={metrics.dscr === null ? undefined : metrics.dscr >= 1.25}
+          />
+        </div>
+        <div className="mt-4 grid grid-cols-2 gap-2 text-sm text-gray-600 dark:text-gray-400">
+          <span>Effective gross income</span><span className="text-right">{formatCurrency(metrics.effectiveGrossIncome)}</span>
+          <span>Operating expenses</span><span className="text-right">{formatCurrency(metrics.operatingExpenses)}</span>
+          <span>Loan amount</span><span className="text-right">{formatCurrency(metrics.loanAmount)}</span>
+          <span>Mortgage payment (P&I)</span><span className="text-right">{formatCurrency(metrics.monthlyPayment)}/mo</span>
+          <span>Total cash invested</span><span className="text-right">{formatCurrency(metrics.totalCashInvested)}</span>
+        </div>
+      </Card>
+      <div className="space-y-6">
+        <Card>
+          <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4">Principal vs. Interest by Year</h3>
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={chartData} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#ccc" />
+                <XAxis dataKey="name" stroke="#888" />
+                <YAxis stroke="#888" />
+                <Tooltip formatter={(value) => `$${value.toLocaleString()}`} />
+                <Legend />
+                <Bar dataKey="Principal" stackId="payment" fill="#10B981" />
+                <Bar dataKey="Interest" stackId="payment" fill="#F97316" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </Card>
+        <Card>
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-xl font-bold text-gray-900 dark:text-white">Amortization Schedule</h3>
+            <button onClick={() => setShowMonthly(!showMonthly)} className="text-blue-500 hover:text-blue-700 text-sm font-bold">
+              {showMonthly ? 'Show Yearly' : 'Show Monthly'}
+            </button>
+          </div>
+          {schedule.length > 0 ? (
+            <div className="overflow-y-auto max-h-96">
+              <table className="w-full text-sm text-right text-gray-700 dark:text-gray-300">
+                <thead className="text-xs uppercase text-gray-500 dark:text-gray-400 sticky top-0 bg-white dark:bg-gray-800">
+                  <tr>
+                    <th className="py-2 text-left">{showMonthly ? 'Month' : 'Year'}</th>
+                    <th className="py-2">Payment</th>
+                    <th className="py-2">Principal</th>
+                    <th className="py-2">Interest</th>
+                    <th className="py-2">Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {(showMonthly ? schedule : yearlySchedule).map(row => (
+                    <tr key={showMonthly ? row.month : row.year} className="border-t border-gray-200 dark:border-gray-700">
+                      <td className="py-1 text-left">{showMonthly ? row.month : row.year}</td>
+                      <td className="py-1">{formatCurrency(row.payment)}</td>
+                      <td className="py-1">{formatCurrency(row.principal)}</td>
+                      <td className="py-1">{formatCurrency(row.interest)}</td>
+                      <td className="py-1">{formatCurrency(row.balance)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500 dark:text-gray-400">Enter a purchase price and loan terms to see the schedule.</p>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default RentalAnalysis;
@@ -0,0 +1,200 @@
+import React, { useState } from 'react';
+import { Activity, Shuffle } from 'lucide-react';
+import { BarChart, Bar, Tooltip, ResponsiveContainer, Legend, XAxis, YAxis, CartesianGrid, ReferenceLine, Cell } from 'recharts';
+import { Card } from './common';
+import { calculateFlip } from '../underwriting';
+import {
+  RISK_VARIABLES, DISTRIBUTIONS, DEFAULT_RISK_ASSUMPTIONS,
+  buildSensitivityTable, buildTornadoData, runMonteCarlo
+} from '../finance/sensitivity';
+import { formatCurrency } from '../leadMetrics';
+
+const inputClassName = 'w-full p-2 rounded-lg bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700';
+
+const MAX_ITERATIONS = 20000;
+
+const formatChange = (change) => `${change > 0 ? '+' : ''}${change}%`;
+
+const formatShortCurrency = (value) => (Math.abs(value) >= 1000 ? `$${Math.round(value / 1000)}k` : formatCurrency(value));
+
+const profitClassName = (profit) => (profit < 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400');
+
+// Sensitivity & Risk tab of Financial Analysis: what-if table, tornado chart and Monte Carlo simulation of the flip
+const RiskAnalysis = ({ purchasePrice, salesPrice, closingCosts, rehabCosts, holdingCosts }) => {
+  const [changePercent, setChangePercent] = useState('10');
+  const [assumptions, setAssumptions] = useState(DEFAULT_RISK_ASSUMPTIONS);
+  const [iterations, setIterations] = useState('5000');
+  const [simulation, setSimulation] = useState(null);
+
+  const values = { purchasePrice, salesPrice, closingCosts, rehabCosts, holdingCosts };
+  const baseProfit = calculateFlip(values).profit;
+  // At least 1% so the five sensitivity columns stay distinct
+  const percent = Math.max(1, Math.abs(parseFloat(changePercent)) || 0);
+  const steps = [-2 * percent, -percent, 0, percent, 2 * percent];
+  const table = buildSensitivityTable(values, steps);
+  const tornado = buildTornadoData(values, percent);
+  const hasFigures = (parseFloat(salesPrice) || 0) > 0;
+
+  const updateAssumption = (key, field, value) => setAssumptions({ ...assumptions, [key]: { ...assumptions[key], [field]: value } });
+
+  const simulate = () => {
+    const count = Math.min(Math.max(parseInt(iterations, 10) || 0, 100), MAX_ITERATIONS);
+    setIterations(String(count));
+    setSimulation(runMonteCarlo(values, assumptions, { iterations: count }));
+  };
+
+  const histogramData = simulation
+    ? simulation.histogram.map(bin => ({ name: formatShortCurrency((bin.from + bin.to) / 2), from: bin.from, to: bin.to, Trials: bin.count }))
+    : [];
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <Card>
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-xl font-bold text-gray-900 dark:text-white flex items-center">
+              <Activity className="w-6 h-6 mr-2 text-blue-500" />
+              Sensitivity
+            </h3>
+            <label className="flex items-center space-x-2 text-sm text-gray-600 dark:text-gray-400">
+              <span>Change ±</span>
+              <input type="number" min="1" value={changePercent} onChange={(e) => setChangePercent(e.target.value)} className={`${inputClassName} w-20`} />
+              <span>%</span>
+            </label>
+          </div>
+          {hasFigures ? (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-right text-gray-700 dark:text-gray-300">
+                <thead className="text-xs uppercase text-gray-500 dark:text-gray-400">
+                  <tr>
+                    <th className="py-2 text-left">Input</th>
+                    {steps.map(change => <th key={change} className="py-2">{formatChange(change)}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {table.map(row => (
+                    <tr key={row.key} className="border-t border-gray-200 dark:border-gray-700">
+                      <td className="py-1 text-left">{row.label}</td>
+                      {row.results.map(result => (
+                        <td key={result.change} className={`py-1 ${profitClassName(result.profit)} ${result.change === 0 ? 'font-bold' : ''}`}>
+                          {formatShortCurrency(result.profit)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-3">Profit when one input changes and the others stay at the Fix & Flip figures. Hold time is modeled through holding costs.</p>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500 dark:text-gray-400">Enter the Fix & Flip figures to see how profit responds to each input.</p>
+          )}
+        </Card>
+        <Card>
+          <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4">Tornado Chart</h3>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">Change in profit from {formatCurrency(baseProfit)} when each input moves ±{percent}%</p>
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={tornado} layout="vertical" stackOffset="sign" margin={{ top: 5, right: 20, left: 20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#ccc" />
+                <XAxis type="number" stroke="#888" tickFormatter={formatShortCurrency} />
+                <YAxis type="category" dataKey="label" stroke="#888" width={140} tick={{ fontSize: 12 }} />
+                <Tooltip formatter={(value) => formatCurrency(value)} />
+                <Legend />
+                <ReferenceLine x={0} stroke="#888" />
+                <Bar dataKey="decrease" name={`Input −${percent}%`} stackId="swing" fill="#F97316" />
+                <Bar dataKey="increase" name={`Input +${percent}%`} stackId="swing" fill="#3B82F6" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </Card>
+      </div>
+      <Card>
+        <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4 flex items-center">
+          <Shuffle className="w-6 h-6 mr-2 text-purple-500" />
+          Monte Carlo Simulation
+        </h3>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-gray-700 dark:text-gray-300">
+            <thead className="text-xs uppercase text-gray-500 dark:text-gray-400 text-left">
+              <tr>
+                <th className="py-2">Input</th>
+                <th className="py-2">Distribution</th>
+                <th className="py-2">Low (%)</th>
+                <th className="py-2">Most Likely (%)</th>
+                <th className="py-2">High (%)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {RISK_VARIABLES.map(({ key, label }) => (
+                <tr key={key} className="border-t border-gray-200 dark:border-gray-700">
+                  <td className="py-1 pr-2">{label}</td>
+                  <td className="py-1 pr-2">
+                    <select value={assumptions[key].distribution} onChange={(e) => updateAssumption(key, 'distribution', e.target.value)} className={inputClassName}>
+                      {DISTRIBUTIONS.map(distribution => <option key={distribution.key} value={distribution.key}>{distribution.label}</option>)}
+                    </select>
+                  </td>
+                  {['low', 'likely', 'high'].map(field => (
+                    <td key={field} className="py-1 pr-2">
+                      <input
+                        type="number"
+                        value={assumptions[key][field]}
+                        onChange={(e) => updateAssumption(key, field, e.target.value)}
+                        disabled={field === 'likely' && assumptions[key].distribution === 'uniform'}
+                        className={`${inputClassName} disabled:opacity-50`}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">Ranges are percentage changes from the Fix & Flip figures. For a normal distribution, low and high are the 5th and 95th percentiles.</p>
+        <div className="flex flex-wrap items-center gap-3 mt-4">
+          <label className="flex items-center space-x-2 text-sm text-gray-600 dark:text-gray-400">
+            <span>Trials</span>
+            <input type="number" min="100" max={MAX_ITERATIONS} step="1000" value={iterations} onChange={(e) => setIterations(e.target.value)} className={`${inputClassName} w-28`} />
+          </label>
+          <button
+            onClick={simulate}
+            disabled={!hasFigures}
+            className="bg-purple-600 text-white font-bold py-2 px-6 rounded-full shadow hover:bg-purple-700 transition-all duration-300 disabled:opacity-50"
+          >
+            Run Simulation
+          </button>
+        </div>
+        {simulation && (
+          <div className="mt-6 grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="space-y-2 text-gray-700 dark:text-gray-300">
+              <div className={`p-4 rounded-xl font-bold text-xl flex justify-between ${simulation.probabilityOfLoss > 0.2 ? 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200' : 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'}`}>
+                <span>Probability of Loss</span>
+                <span>{`${(simulation.probabilityOfLoss * 100).toFixed(1)}%`}</span>
+              </div>
+              <div className="flex justify-between py-1"><span>P10 (downside)</span><span className={profitClassName(simulation.p10)}>{formatCurrency(simulation.p10)}</span></div>
+              <div className="flex justify-between py-1 font-bold"><span>P50 (median)</span><span className={profitClassName(simulation.p50)}>{formatCurrency(simulation.p50)}</span></div>
+              <div className="flex justify-between py-1"><span>P90 (upside)</span><span className={profitClassName(simulation.p90)}>{formatCurrency(simulation.p90)}</span></div>
+              <div className="flex justify-between py-1"><span>Mean</span><span>{formatCurrency(simulation.mean)}</span></div>
+              <p className="text-xs text-gray-500 dark:text-gray-400">{simulation.iterations.toLocaleString()} trials</p>
+            </div>
+            <div className="lg:col-span-2 h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={histogramData} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#ccc" />
+                  <XAxis dataKey="name" stroke="#888" tick={{ fontSize: 11 }} />
+                  <YAxis stroke="#888" allowDecimals={false} />
+                  <Tooltip labelFormatter={(label, payload) => (payload?.[0] ? `${formatCurrency(payload[0].payload.from)} – ${formatCurrency(payload[0].payload.to)}` : label)} />
+                  <Bar dataKey="Trials">
+                    {histogramData.map(bin => <Cell key={bin.from} fill={bin.to <= 0 ? '#EF4444' : '#10B981'} />)}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default RiskAnalysis;
@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { BarChart3 } from 'lucide-react';
+import { Card, showToast } from './common';
+import { SCORE_FACTORS, DEFAULT_SCORE_WEIGHTS } from '../dealScore';
+
+// Settings card for the relative weight of each deal score factor
+const ScoreWeightsSettings = ({ scoreWeights, updateScoreWeights }) => {
+  const [draft, setDraft] = useState(scoreWeights);
+
+  const totalWeight = SCORE_FACTORS.reduce((sum, { key }) => sum + (parseFloat(draft[key]) || 0), 0);
+
+  const handleSave = () => {
+    updateScoreWeights(Object.fromEntries(SCORE_FACTORS.map(({ key }) => [key, Math.max(parseFloat(draft[key]) || 0, 0)])));
+    showToast('Deal score weights saved.');
+  };
+
+  return (
+    <Card className="flex-1">
+      <h2 className="text-3xl font-extrabold text-gray-900 dark:text-white mb-2 flex items-center">
+        <BarChart3 className="w-8 h-8 mr-3 text-indigo-400" />
+        Deal Score Weights
+      </h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        Weights are relative: each factor's share is its weight divided by the total of the factors a lead has data for. Set a weight to 0 to ignore a factor.
+      </p>
+      <div className="space-y-4">
+        {SCORE_FACTORS.map(({ key, label }) => {
+          const weight = parseFloat(draft[key]) || 0;
+          return (
+            <label key={key} className="block">
+              <div className="flex justify-between text-sm font-semibold text-gray-700 dark:text-gray-300">
+                <span>{label}</span>
+                <span>{weight} ({totalWeight > 0 ? ((weight / totalWeight) * 100).toFixed(0) : 0}%)</span>
+              </div>
+              <input
+                type="range"
+                min="0"
+                max="50"
+                value={weight}
+                onChange={(e) => setDraft({ ...draft, [key]: Number(e.target.value) })}
+                className="w-full"
+              />
+            </label>
+          );
+        })}
+      </div>
+      <div className="flex flex-col sm:flex-row gap-3 mt-6">
+        <button
+          onClick={handleSave}
+          className="flex-1 bg-indigo-600 text-white font-bold py-3 px-6 rounded-full shadow-lg hover:bg-indigo-700 transition-all duration-300"
+        >
+          Save Weights
+        </button>
+        <button
+          onClick={() => setDraft(DEFAULT_SCORE_WEIGHTS)}
+          className="flex-1 bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-white font-bold py-3 px-6 rounded-full shadow-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-all duration-300"
+        >
+          Reset to Defaults
+        </button>
+      </div>
+    </Card>
+  );
+};
+
+export default ScoreWeightsSettings;
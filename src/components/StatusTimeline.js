@@ -0,0 +1,57 @@
+import React, { useState, useEffect } from 'react';
+import { Clock } from 'lucide-react';
+import { STATUS_COLORS } from '../leadStatus';
+import { toMillis } from '../leadHistory';
+
+const formatDuration = (ms) => {
+  const days = ms / (24 * 60 * 60 * 1000);
+  if (days >= 1) return `${days.toFixed(1)} days`;
+  const hours = ms / (60 * 60 * 1000);
+  return hours >= 1 ? `${hours.toFixed(1)} hours` : 'under an hour';
+};
+
+// Timeline of a lead's status changes, shown on the expanded deal card. `memberNames` maps the
+// uid in each change's `changedBy` to a name; changes by someone no longer known show no name.
+const StatusTimeline = ({ idea, subscribeToStatusHistory, memberNames = {} }) => {
+  const [history, setHistory] = useState([]);
+
+  useEffect(() => subscribeToStatusHistory(idea.id, setHistory), [idea.id, subscribeToStatusHistory]);
+
+  const createdAt = toMillis(idea.timestamp);
+  const entries = [...history].sort((a, b) => (toMillis(a.changedAt) ?? Infinity) - (toMillis(b.changedAt) ?? Infinity));
+
+  return (
+    <div>
+      <h4 className="font-semibold text-lg text-gray-900 dark:text-white mb-2 flex items-center">
+        <Clock className="w-5 h-5 mr-2" />
+        Status Timeline
+      </h4>
+      <ol className="relative border-l-2 border-gray-200 dark:border-gray-700 ml-2 space-y-3">
+        <li className="ml-4">
+          <span className="absolute -left-[7px] w-3 h-3 rounded-full" style={{ backgroundColor: STATUS_COLORS['New'] }}></span>
+          <p className="text-sm text-gray-900 dark:text-white">Lead created as <span className="font-semibold">New</span></p>
+          {createdAt && <p className="text-xs text-gray-500 dark:text-gray-400">{new Date(createdAt).toLocaleString()}</p>}
+        </li>
+        {entries.map((entry, index) => {
+          const changedAt = toMillis(entry.changedAt);
+          const previousAt = index === 0 ? createdAt : toMillis(entries[index - 1].changedAt);
+          return (
+            <li key={entry.id} className="ml-4">
+              <span className="absolute -left-[7px] w-3 h-3 rounded-full" style={{ backgroundColor: STATUS_COLORS[entry.toStatus] || STATUS_COLORS['New'] }}></span>
+              <p className="text-sm text-gray-900 dark:text-white">
+                {entry.fromStatus} → <span className="font-semibold">{entry.toStatus}</span>
+              </p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {changedAt ? new Date(changedAt).toLocaleString() : 'Saving...'}
+                {changedAt && previousAt && ` · after ${formatDuration(changedAt - previousAt)} in ${entry.fromStatus}`}
+                {memberNames[entry.changedBy] && ` · by ${memberNames[entry.changedBy]}`}
+              </p>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default StatusTimeline;
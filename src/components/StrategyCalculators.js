@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import { Lightbulb, Flag } from 'lucide-react';
+import { Card } from './common';
+import { calculateWholesale, calculateBrrrr, calculateHardMoneyFlip, compareMaoToOfferRange } from '../finance/strategies';
+import { parseGeneratedResults } from '../ai/leadSchema';
+import { parseOfferRange, formatCurrency } from '../leadMetrics';
+
+const inputClassName = 'w-full p-3 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700';
+
+const STRATEGIES = [
+  { key: 'wholesale', label: 'Wholesale' },
+  { key: 'brrrr', label: 'BRRRR' },
+  { key: 'flip', label: 'Fix & Flip (Hard Money)' },
+];
+
+// Inputs specific to each strategy, on top of ARV and repairs
+const STRATEGY_FIELDS = {
+  wholesale: [['maoPercent', 'MAO Rule (% of ARV)'], ['assignmentFee', 'Assignment Fee ($)']],
+  brrrr: [['refiLtv', 'Refinance LTV (%)'], ['refiRate', 'Refinance Rate (%)'], ['refiYears', 'Refinance Term (years)'], ['refiClosingCosts', 'Refinance Costs ($)']],
+  flip: [['maoPercent', 'MAO Rule (% of ARV)'], ['hardMoneyLtc', 'Loan-to-Cost (%)'], ['hardMoneyRate', 'Interest Rate (%)'], ['hardMoneyPoints', 'Points (%)'], ['holdMonths', 'Hold Period (months)'], ['sellingCostsPercent', 'Selling Costs (% of ARV)']],
+};
+
+const Row = ({ label, value, emphasis }) => (
+  <div className={`flex justify-between py-1 ${emphasis ? 'font-bold text-gray-900 dark:text-white' : 'text-gray-700 dark:text-gray-300'}`}>
+    <span>{label}</span>
+    <span>{value}</span>
+  </div>
+);
+
+const formatPercent = (value) => (value === null ? '—' : `${value.toFixed(2)}%`);
+
+// With no cash left in the deal the return is unbounded, but only if the rental makes money;
+// otherwise the cash flow row above shows the loss
+const brrrrNoCashReturn = (monthlyCashFlow) => (monthlyCashFlow > 0 ? 'Infinite' : 'n/a');
+
+// Highlights when the AI's suggested offer range pays more than the computed MAO
+const OfferRangeCheck = ({ mao, idea }) => {
+  const suggestedOfferRange = parseGeneratedResults(idea?.generatedResults)?.suggestedOfferRange;
+  const comparison = compareMaoToOfferRange(mao, parseOfferRange(suggestedOfferRange));
+  if (!comparison) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        {idea ? 'This lead has no AI suggested offer range to compare against.' : 'Open a lead to compare the MAO with its AI suggested offer range.'}
+      </p>
+    );
+  }
+  const styles = {
+    over: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
+    partial: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+    within: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  };
+  const messages = {
+    over: `The entire AI range is above the MAO — even its low end overpays by ${formatCurrency(comparison.overpayment)}.`,
+    partial: `The top of the AI range is ${formatCurrency(comparison.overpayment)} above the MAO. Stay at or below ${formatCurrency(mao)}.`,
+    within: 'The AI range is at or below the MAO.',
+  };
+  return (
+    <div className={`p-4 rounded-xl text-sm ${styles[comparison.status]}`}>
+      <p className="font-semibold flex items-center"><Flag className="w-4 h-4 mr-2" />AI suggested offer: {suggestedOfferRange}</p>
+      <p className="mt-1">{messages[comparison.status]}</p>
+    </div>
+  );
+};
+
+// Strategies tab of Financial Analysis: wholesale, BRRRR and hard-money flip
+const StrategyCalculators = ({
+  purchasePrice, salesPrice, setSalesPrice, closingCosts, rehabCosts, setRehabCosts, isRehabFromBudget, holdingCosts,
+  rentalInputs, strategyInputs, setStrategyInputs, analysisIdea
+}) => {
+  const [strategy, setStrategy] = useState('wholesale');
+
+  const figures = { purchasePrice, salesPrice, closingCosts, rehabCosts, holdingCosts, rental: rentalInputs, strategy: strategyInputs };
+  const wholesale = calculateWholesale(figures);
+  const brrrr = calculateBrrrr(figures);
+  const flip = calculateHardMoneyFlip(figures);
+  const mao = { wholesale: wholesale.mao, brrrr: brrrr.mao, flip: flip.mao }[strategy];
+
+  const updateInput = (field, value) => setStrategyInputs({ ...strategyInputs, [field]: value });
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      <Card>
+        <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4 flex items-center">
+          <Lightbulb className="w-6 h-6 mr-2 text-yellow-400" />
+          Exit Strategy
+        </h3>
+        <div className="flex flex-wrap gap-2 mb-4">
+          {STRATEGIES.map(({ key, label }) => (
+            <button
+              key={key}
+              onClick={() => setStrategy(key)}
+              className={`py-1 px-3 rounded-full font-semibold text-xs transition-colors duration-200 ${strategy === key ? 'bg-yellow-500 text-white' : 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <label className="block">
+            <span className="text-xs font-semibold text-gray-600 dark:text-gray-400">After-Repair Value ($)</span>
+            <input type="number" value={salesPrice} onChange={(e) => setSalesPrice(e.target.value)} className={inputClassName} />
+          </label>
+          <label className="block">
+            <span className="text-xs font-semibold text-gray-600 dark:text-gray-400">Repairs ($){isRehabFromBudget && ' · from the rehab budget'}</span>
+            <input type="number" value={rehabCosts} onChange={(e) => setRehabCosts(e.target.value)} disabled={isRehabFromBudget} className={`${inputClassName} disabled:opacity-60`} />
+          </label>
+          {STRATEGY_FIELDS[strategy].map(([field, label]) => (
+            <label key={field} className="block">
+              <span className="text-xs font-semibold text-gray-600 dark:text-gray-400">{label}</span>
+              <input type="number" value={strategyInputs[field]} onChange={(e) => updateInput(field, e.target.value)} className={inputClassName} />
+            </label>
+          ))}
+        </div>
+        {strategy !== 'wholesale' && (
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-3">
+            Purchase price, closing and holding costs come from the Fix & Flip tab{strategy === 'brrrr' ? '; rent and expenses come from Buy & Hold' : ''}.
+          </p>
+        )}
+      </Card>
+      <div className="space-y-6">
+        <Card>
+          <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4">Maximum Allowable Offer</h3>
+          <p className={`text-4xl font-extrabold mb-4 ${mao > 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>{formatCurrency(mao)}</p>
+          <OfferRangeCheck mao={mao} idea={analysisIdea} />
+        </Card>
+        <Card>
+          <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4">{STRATEGIES.find(({ key }) => key === strategy).label}</h3>
+          {strategy === 'wholesale' && (
+            <>
+              <Row label="End buyer's price (ARV rule − repairs)" value={formatCurrency(wholesale.buyerPrice)} />
+              <Row label="Assignment fee" value={formatCurrency(wholesale.assignmentFee)} />
+              <Row label="MAO to seller" value={formatCurrency(wholesale.mao)} emphasis />
+            </>
+          )}
+          {strategy === 'brrrr' && (
+            <>
+              <Row label="Total invested (purchase + closing + rehab)" value={formatCurrency(brrrr.totalInvested)} />
+              <Row label="Refinance loan" value={formatCurrency(brrrr.refinanceLoan)} />
+              <Row label="Net refinance proceeds" value={formatCurrency(brrrr.refinanceProceeds)} />
+              <Row
+                label={brrrr.cashLeftInDeal > 0 ? 'Cash left in deal' : 'Cash pulled out'}
+                value={formatCurrency(Math.abs(brrrr.cashLeftInDeal))}
+                emphasis
+              />
+              <Row label="New mortgage payment" value={`${formatCurrency(brrrr.monthlyPayment)}/mo`} />
+              <Row label="Cash flow after refinance" value={`${formatCurrency(brrrr.monthlyCashFlow)}/mo`} />
+              <Row label="Cash-on-cash return" value={brrrr.cashLeftInDeal > 0 ? formatPercent(brrrr.cashOnCash) : brrrrNoCashReturn(brrrr.monthlyCashFlow)} />
+              <Row label="Equity after refinance" value={formatCurrency(brrrr.equityAfterRefinance)} />
+            </>
+          )}
+          {strategy === 'flip' && (
+            <>
+              <Row label="Hard-money loan" value={formatCurrency(flip.loanAmount)} />
+              <Row label="Points" value={formatCurrency(flip.pointsCost)} />
+              <Row label="Interest over hold" value={formatCurrency(flip.interestCost)} />
+              <Row label="Selling costs" value={formatCurrency(flip.sellingCosts)} />
+              <Row label="Total cost" value={formatCurrency(flip.totalCost)} />
+              <Row label="Cash needed" value={formatCurrency(flip.cashNeeded)} />
+              <Row label="Net profit" value={formatCurrency(flip.profit)} emphasis />
+              <Row label="Return on cash" value={formatPercent(flip.cashOnCash)} />
+            </>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default StrategyCalculators;
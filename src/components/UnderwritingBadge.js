@@ -0,0 +1,19 @@
+import React from 'react';
+import { getUnderwritingSummary } from '../underwriting';
+import { formatCurrency } from '../leadMetrics';
+
+// Projected profit and ROI from the lead's saved underwriting
+const UnderwritingBadge = ({ idea, className = '' }) => {
+  const summary = getUnderwritingSummary(idea);
+  if (!summary) return null;
+  return (
+    <span
+      className={`text-xs font-semibold px-2 py-1 rounded-full ${summary.profit > 0 ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200' : 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'} ${className}`}
+      title={`Scenario: ${summary.scenarioName}`}
+    >
+      Profit {formatCurrency(summary.profit)} · ROI {summary.roi.toFixed(1)}%
+    </span>
+  );
+};
+
+export default UnderwritingBadge;
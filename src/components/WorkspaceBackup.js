@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { Archive, Download, Upload, AlertTriangle } from 'lucide-react';
+import { Card, showToast } from './common';
+import { downloadFile } from '../utils/download';
+import { buildLeadsCsv } from '../export/leadsCsv';
+import { buildContactsCsv } from '../export/workspaceExport';
+import { CONFLICT_STRATEGIES, COLLECTION_LABELS, parseWorkspaceFile, planWorkspaceImport } from '../import/workspaceImport';
+
+const MAX_CONFLICTS_SHOWN = 50;
+
+const buttonClass = 'flex-1 font-bold py-3 px-6 rounded-full shadow-lg transition-all duration-300 disabled:opacity-50 flex items-center justify-center space-x-2';
+
+// Settings card for backing up the workspace and restoring or merging a backup. Viewers
+// (`canEdit` false) can only download.
+const WorkspaceBackup = ({ userId, existingRecords, exportWorkspace, importWorkspace, canEdit = true }) => {
+  const [isExporting, setIsExporting] = useState(false);
+  const [backup, setBackup] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [strategy, setStrategy] = useState('skip');
+  const [progress, setProgress] = useState(null); // { done, total } while importing
+
+  const today = new Date().toISOString().slice(0, 10);
+  // The dry run: recomputed from the live workspace until the user confirms
+  const plan = backup ? planWorkspaceImport(backup, existingRecords, { strategy, userId }) : null;
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    const workspace = await exportWorkspace();
+    setIsExporting(false);
+    if (workspace) {
+      downloadFile(`aip-workspace-${today}.json`, JSON.stringify(workspace, null, 2), 'application/json');
+    }
+  };
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    try {
+      setBackup(parseWorkspaceFile(await file.text()));
+      setFileName(file.name);
+    } catch (e) {
+      showToast(e.message, true);
+    }
+  };
+
+  const handleImport = async () => {
+    setProgress({ done: 0, total: plan.writes.length });
+    const imported = await importWorkspace(plan, (done) => setProgress({ done, total: plan.writes.length }));
+    setProgress(null);
+    if (imported) setBackup(null);
+  };
+
+  return (
+    <Card className="flex-1">
+      <h2 className="text-3xl font-extrabold text-gray-900 dark:text-white mb-2 flex items-center">
+        <Archive className="w-8 h-8 mr-3 text-amber-500" />
+        Backup & Restore
+      </h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        The JSON backup holds every lead (with its AI results, status history and letters), contact, calendar event, template and saved view, and can be restored into any account. The CSV files are for spreadsheets.
+      </p>
+      <div className="flex flex-col sm:flex-row gap-3">
+        <button onClick={handleExport} disabled={isExporting} className={`${buttonClass} bg-amber-500 text-white hover:bg-amber-600`}>
+          <Download className="w-5 h-5" />
+          <span>{isExporting ? 'Exporting...' : 'Download Backup (.json)'}</span>
+        </button>
+        <button
+          onClick={() => downloadFile(`aip-leads-${today}.csv`, buildLeadsCsv(existingRecords.ideas), 'text/csv')}
+          className={`${buttonClass} bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600`}
+        >
+          <span>Leads CSV</span>
+        </button>
+        <button
+          onClick={() => downloadFile(`aip-contacts-${today}.csv`, buildContactsCsv(existingRecords.contacts, existingRecords.ideas), 'text/csv')}
+          className={`${buttonClass} bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600`}
+        >
+          <span>Contacts CSV</span>
+        </button>
+      </div>
+
+      {canEdit && (
+        <div className="mt-8 border-t border-gray-200 dark:border-gray-700 pt-6">
+          <label className="flex items-center justify-center w-full p-4 border-2 border-dashed rounded-xl cursor-pointer text-gray-600 dark:text-gray-400 border-gray-300 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors">
+            <Upload className="w-5 h-5 mr-2" />
+            {fileName && backup ? `Backup selected: ${fileName}` : 'Choose a backup file to import'}
+            <input type="file" accept=".json,application/json" className="hidden" onChange={(e) => { handleFile(e.target.files[0]); e.target.value = ''; }} />
+          </label>
+
+          {plan && (
+            <div className="mt-6 space-y-4">
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                Exported {backup.exportedAt ? new Date(backup.exportedAt).toLocaleString() : 'at an unknown time'}. Nothing has been written yet: review what the import would do.
+              </p>
+              <label className="block">
+                <span className="font-semibold text-sm text-gray-700 dark:text-gray-300">When a record already exists</span>
+                <select
+                  value={strategy}
+                  onChange={(e) => setStrategy(e.target.value)}
+                  className="w-full mt-1 p-3 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700"
+                >
+                  {CONFLICT_STRATEGIES.map(({ key, label }) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+                <span className="text-xs text-gray-500 dark:text-gray-400">{CONFLICT_STRATEGIES.find(({ key }) => key === strategy).description}</span>
+              </label>
+
+              <table className="w-full text-sm text-left text-gray-700 dark:text-gray-300">
+                <thead>
+                  <tr className="border-b border-gray-200 dark:border-gray-700">
+                    <th className="py-2 pr-4">Collection</th>
+                    <th className="py-2 pr-4 text-right">In Backup</th>
+                    <th className="py-2 pr-4 text-right">New</th>
+                    <th className="py-2 pr-4 text-right">Overwrite</th>
+                    <th className="py-2 text-right">Skip</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(plan.summary).map(([collection, counts]) => (
+                    <tr key={collection} className="border-b border-gray-100 dark:border-gray-800">
+                      <td className="py-2 pr-4">{COLLECTION_LABELS[collection]}</td>
+                      <td className="py-2 pr-4 text-right">{counts.total}</td>
+                      <td className="py-2 pr-4 text-right">{counts.create}</td>
+                      <td className="py-2 pr-4 text-right">{counts.overwrite}</td>
+                      <td className="py-2 text-right">{counts.skip}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {plan.conflicts.length > 0 && (
+                <div className="bg-yellow-100 dark:bg-yellow-900 border-l-4 border-yellow-500 text-yellow-800 dark:text-yellow-200 p-4 rounded-xl text-sm">
+                  <p className="font-semibold flex items-center mb-2">
+                    <AlertTriangle className="w-4 h-4 mr-2" />
+                    {plan.conflicts.length} record{plan.conflicts.length === 1 ? '' : 's'} match existing data
+                  </p>
+                  <ul className="space-y-1 max-h-48 overflow-y-auto">
+                    {plan.conflicts.slice(0, MAX_CONFLICTS_SHOWN).map((conflict, index) => (
+                      <li key={index}>
+                        {COLLECTION_LABELS[conflict.collection]}: "{conflict.label}" ({conflict.reason}{conflict.existingLabel !== conflict.label ? ` of "${conflict.existingLabel}"` : ''})
+                      </li>
+                    ))}
+                    {plan.conflicts.length > MAX_CONFLICTS_SHOWN && <li>...and {plan.conflicts.length - MAX_CONFLICTS_SHOWN} more</li>}
+                  </ul>
+                </div>
+              )}
+
+              {progress && (
+                <div className="w-full h-2 rounded-full bg-amber-100 dark:bg-amber-900">
+                  <div className="h-2 rounded-full bg-amber-500 transition-all duration-300" style={{ width: `${progress.total > 0 ? (progress.done / progress.total) * 100 : 0}%` }}></div>
+                </div>
+              )}
+              <div className="flex flex-col sm:flex-row gap-3">
+                <button
+                  onClick={handleImport}
+                  disabled={!!progress || plan.writes.length === 0}
+                  className={`${buttonClass} bg-amber-500 text-white hover:bg-amber-600`}
+                >
+                  <Upload className="w-5 h-5" />
+                  <span>{progress ? 'Importing...' : `Import ${plan.writes.length} Record${plan.writes.length === 1 ? '' : 's'}`}</span>
+                </button>
+                <button
+                  onClick={() => setBackup(null)}
+                  disabled={!!progress}
+                  className={`${buttonClass} bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600`}
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default WorkspaceBackup;
@@ -0,0 +1,284 @@
+import React, { useState } from 'react';
+import { Users, UserPlus, Mail, Trash2, CheckCircle, XCircle, LogOut } from 'lucide-react';
+import { Card, showToast } from './common';
+import { describeFailure } from '../repositories/errors';
+import { resendVerificationEmail, refreshVerification, describeAuthError } from '../auth/session';
+import { WORKSPACE_ROLES, INVITE_ROLES, PERSONAL_WORKSPACE_ID, getRoleLabel, getMemberName, canManageMembers, normalizeEmail } from '../workspaces';
+
+const inputClass = 'p-3 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-200 border border-gray-300 dark:border-gray-700';
+const buttonClass = 'px-4 py-2 rounded-full font-bold text-sm transition-colors disabled:opacity-50 flex items-center justify-center space-x-1';
+const linkClass = 'text-sm font-semibold text-blue-600 dark:text-blue-400 hover:underline';
+const headingClass = 'font-semibold text-gray-900 dark:text-white mb-2';
+
+// Settings card for choosing the workspace Deal Flow works in, creating a team, and (for the
+// owner) inviting members and setting their roles. Invitations reach a member through their
+// verified email, so unverified accounts are asked to verify first.
+const WorkspaceSettings = ({
+  auth, account, userId, workspaceRepository, memberships, activeWorkspace, role,
+  members, pendingInvites, myInvites, switchWorkspace, onAccountChange
+}) => {
+  const [workspaceName, setWorkspaceName] = useState('');
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState(INVITE_ROLES[0].key);
+  const [isBusy, setIsBusy] = useState(false);
+  const isOwner = canManageMembers(role);
+
+  // Run a workspace change, toasting `success` or the failure; resolves with whether it worked
+  const attempt = async (action, success, failure) => {
+    setIsBusy(true);
+    try {
+      await action();
+      showToast(success);
+      return true;
+    } catch (e) {
+      console.error('Error updating workspace: ', e);
+      showToast(describeFailure(failure, e), true);
+      return false;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const profile = { email: account.email, displayName: account.displayName };
+
+  const createWorkspace = async (e) => {
+    e.preventDefault();
+    const name = workspaceName.trim();
+    let id = null;
+    if (await attempt(async () => { id = await workspaceRepository.createWorkspace(name, profile); }, `Created ${name}.`, 'Failed to create the workspace.')) {
+      setWorkspaceName('');
+      switchWorkspace(id);
+    }
+  };
+
+  const inviteMember = async (e) => {
+    e.preventDefault();
+    const email = normalizeEmail(inviteEmail);
+    if (members.some(member => member.email === email)) {
+      showToast(`${email} is already a member.`, true);
+      return;
+    }
+    const invited = await attempt(
+      () => workspaceRepository.inviteMember(activeWorkspace, email, inviteRole),
+      `Invited ${email}. They will see the invitation in Settings after signing in with that email.`,
+      'Failed to send the invitation.'
+    );
+    if (invited) setInviteEmail('');
+  };
+
+  const acceptInvite = async (invite) => {
+    const accepted = await attempt(() => workspaceRepository.acceptInvite(invite, profile), `Joined ${invite.workspaceName}.`, 'Failed to accept the invitation.');
+    if (accepted) switchWorkspace(invite.workspaceId);
+  };
+
+  const leaveWorkspace = async () => {
+    const left = await attempt(() => workspaceRepository.removeMember(activeWorkspace.id, userId), `You left ${activeWorkspace.name}.`, 'Failed to leave the workspace.');
+    if (left) switchWorkspace(PERSONAL_WORKSPACE_ID);
+  };
+
+  const resendVerification = async () => {
+    try {
+      await resendVerificationEmail(auth);
+      showToast(`Verification link sent to ${account.email}.`);
+    } catch (e) {
+      console.error('Error sending verification email: ', e);
+      showToast(describeAuthError(e), true);
+    }
+  };
+
+  const checkVerification = async () => {
+    try {
+      const user = await refreshVerification(auth);
+      onAccountChange(user);
+      if (!user.emailVerified) showToast('Your email is not verified yet. Open the link we sent, then try again.', true);
+    } catch (e) {
+      console.error('Error refreshing account: ', e);
+      showToast(describeAuthError(e), true);
+    }
+  };
+
+  if (account.isAnonymous) {
+    return (
+      <Card className="flex-1">
+        <h2 className="text-3xl font-extrabold text-gray-900 dark:text-white mb-2 flex items-center">
+          <Users className="w-8 h-8 mr-3 text-blue-500" />
+          Team Workspace
+        </h2>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Create an account to share a pipeline with your team or join one you were invited to.
+        </p>
+      </Card>
+    );
+  }
+
+  return (
+    <Card className="flex-1">
+      <h2 className="text-3xl font-extrabold text-gray-900 dark:text-white mb-2 flex items-center">
+        <Users className="w-8 h-8 mr-3 text-blue-500" />
+        Team Workspace
+      </h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        Deal Flow, contacts and events come from the workspace you work in. Your personal workspace is private to you.
+      </p>
+
+      <div className="space-y-6">
+        <label className="block">
+          <span className="font-semibold text-sm text-gray-700 dark:text-gray-300">Working in</span>
+          <select
+            value={activeWorkspace?.id || PERSONAL_WORKSPACE_ID}
+            onChange={(e) => switchWorkspace(e.target.value)}
+            className={`${inputClass} w-full mt-1`}
+          >
+            <option value={PERSONAL_WORKSPACE_ID}>Personal</option>
+            {memberships.map(membership => (
+              <option key={membership.workspaceId} value={membership.workspaceId}>
+                {membership.workspaceName} ({getRoleLabel(membership.role)})
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {activeWorkspace ? (
+          <div>
+            <h3 className={headingClass}>Members</h3>
+            <ul className="space-y-2">
+              {members.map(member => (
+                <li key={member.uid} className="flex flex-wrap items-center gap-2 text-sm">
+                  <span className="flex-1 text-gray-900 dark:text-white">
+                    {getMemberName(member)}{member.uid === userId && ' (you)'}
+                    {member.displayName && <span className="block text-xs text-gray-500 dark:text-gray-400">{member.email}</span>}
+                  </span>
+                  {isOwner && member.role !== 'owner' ? (
+                    <>
+                      <select
+                        value={member.role}
+                        onChange={(e) => attempt(() => workspaceRepository.updateMemberRole(activeWorkspace.id, member.uid, e.target.value), `${getMemberName(member)} is now ${getRoleLabel(e.target.value)}.`, 'Failed to change the role.')}
+                        disabled={isBusy}
+                        className={`${inputClass} text-sm`}
+                      >
+                        {INVITE_ROLES.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+                      </select>
+                      <button
+                        onClick={() => attempt(() => workspaceRepository.removeMember(activeWorkspace.id, member.uid), `Removed ${getMemberName(member)}.`, 'Failed to remove the member.')}
+                        disabled={isBusy}
+                        className="p-2 rounded-full hover:bg-red-100 dark:hover:bg-red-800 transition-colors"
+                        title="Remove from workspace"
+                      >
+                        <Trash2 className="w-4 h-4 text-red-500" />
+                      </button>
+                    </>
+                  ) : (
+                    <span className="text-xs font-semibold px-2 py-1 rounded-full bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200">{getRoleLabel(member.role)}</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+            <ul className="mt-3 text-xs text-gray-500 dark:text-gray-400 space-y-1">
+              {WORKSPACE_ROLES.map(({ key, label, description }) => <li key={key}><span className="font-semibold">{label}:</span> {description}</li>)}
+            </ul>
+
+            {isOwner ? (
+              <div className="mt-6">
+                <h3 className={headingClass}>Invite a teammate</h3>
+                <form onSubmit={inviteMember} className="flex flex-wrap gap-2">
+                  <input
+                    type="email"
+                    required
+                    value={inviteEmail}
+                    onChange={(e) => setInviteEmail(e.target.value)}
+                    placeholder="teammate@example.com"
+                    className={`${inputClass} flex-1`}
+                  />
+                  <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value)} className={inputClass}>
+                    {INVITE_ROLES.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+                  </select>
+                  <button type="submit" disabled={isBusy} className={`${buttonClass} bg-blue-600 text-white hover:bg-blue-700`}>
+                    <UserPlus className="w-4 h-4" />
+                    <span>Invite</span>
+                  </button>
+                </form>
+                {pendingInvites.length > 0 && (
+                  <ul className="mt-3 space-y-2">
+                    {pendingInvites.map(invite => (
+                      <li key={invite.id} className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+                        <Mail className="w-4 h-4" />
+                        <span className="flex-1">{invite.email} · {getRoleLabel(invite.role)} · pending</span>
+                        <button
+                          onClick={() => attempt(() => workspaceRepository.revokeInvite(activeWorkspace.id, invite.email), `Cancelled the invitation for ${invite.email}.`, 'Failed to cancel the invitation.')}
+                          disabled={isBusy}
+                          className={linkClass}
+                        >
+                          Cancel
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ) : (
+              <button onClick={leaveWorkspace} disabled={isBusy} className={`${buttonClass} mt-6 bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600`}>
+                <LogOut className="w-4 h-4" />
+                <span>Leave {activeWorkspace.name}</span>
+              </button>
+            )}
+          </div>
+        ) : (
+          <form onSubmit={createWorkspace}>
+            <h3 className={headingClass}>Start a team workspace</h3>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">You will be its owner. Your personal leads stay where they are; back them up and import them into the team if you want to share them.</p>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                required
+                value={workspaceName}
+                onChange={(e) => setWorkspaceName(e.target.value)}
+                placeholder="Team name"
+                className={`${inputClass} flex-1`}
+              />
+              <button type="submit" disabled={isBusy || !workspaceName.trim()} className={`${buttonClass} bg-blue-600 text-white hover:bg-blue-700`}>
+                <span>Create</span>
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div>
+          <h3 className={headingClass}>Invitations for you</h3>
+          {!account.emailVerified ? (
+            <div className="text-sm text-gray-600 dark:text-gray-400">
+              <p>Verify {account.email} to see invitations sent to it.</p>
+              <div className="flex gap-4 mt-2">
+                <button onClick={resendVerification} className={linkClass}>Resend verification link</button>
+                <button onClick={checkVerification} className={linkClass}>I've verified my email</button>
+              </div>
+            </div>
+          ) : myInvites.length > 0 ? (
+            <ul className="space-y-2">
+              {myInvites.map(invite => (
+                <li key={invite.workspaceId} className="flex flex-wrap items-center gap-2 text-sm">
+                  <span className="flex-1 text-gray-900 dark:text-white">{invite.workspaceName} as {getRoleLabel(invite.role)}</span>
+                  <button onClick={() => acceptInvite(invite)} disabled={isBusy} className={`${buttonClass} bg-green-600 text-white hover:bg-green-700`}>
+                    <CheckCircle className="w-4 h-4" />
+                    <span>Join</span>
+                  </button>
+                  <button
+                    onClick={() => attempt(() => workspaceRepository.declineInvite(invite), 'Invitation declined.', 'Failed to decline the invitation.')}
+                    disabled={isBusy}
+                    className={`${buttonClass} bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600`}
+                  >
+                    <XCircle className="w-4 h-4" />
+                    <span>Decline</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No pending invitations.</p>
+          )}
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+export default WorkspaceSettings;
@@ -0,0 +1,47 @@
+import React from 'react';
+
+// shadcn/ui Card component for better structure
+export const Card = ({ children, className, ...props }) => (
+  <div className={`bg-white dark:bg-gray-800 rounded-3xl shadow-xl border border-gray-200 dark:border-gray-700 p-6 sm:p-8 ${className}`} {...props}>
+    {children}
+  </div>
+);
+
+// Reusable custom toast message component
+export const showToast = (message, isError = false) => {
+  const toast = document.createElement('div');
+  toast.className = `fixed bottom-4 right-4 text-white px-4 py-2 rounded-full shadow-lg transition-all duration-300 ${isError ? 'bg-red-500' : 'bg-green-500'}`;
+  toast.textContent = message;
+  document.body.appendChild(toast);
+  setTimeout(() => {
+    toast.classList.add('opacity-0');
+    setTimeout(() => document.body.removeChild(toast), 500);
+  }, 3000);
+};
+
+// Reusable Confirmation modal component
+export const ConfirmationModal = ({ show, title, message, onConfirm, onCancel }) => {
+  if (!show) return null;
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 z-50 overflow-y-auto h-full w-full flex items-center justify-center p-4">
+      <div className="bg-white dark:bg-gray-900 rounded-2xl shadow-2xl p-8 w-11/12 md:w-2/3 lg:w-1/3 border border-gray-200 dark:border-gray-700 transform transition-all duration-300 scale-100">
+        <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4">{title}</h3>
+        <p className="text-gray-600 dark:text-gray-400 mb-6">{message}</p>
+        <div className="flex justify-end space-x-4">
+          <button
+            onClick={onCancel}
+            className="px-6 py-2 rounded-full text-gray-700 dark:text-gray-300 bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors duration-200"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={onConfirm}
+            className="px-6 py-2 rounded-full text-white bg-red-600 hover:bg-red-700 transition-colors duration-200"
+          >
+            Delete
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
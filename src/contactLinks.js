@@ -0,0 +1,30 @@
+// Many-to-many links between contacts and leads.
+// Each idea stores `contactLinks: [{ contactId, role }]`; a contact can be
+// linked to many leads, and to the same lead under more than one role.
+
+export const CONTACT_ROLES = ['Seller', 'Buyer', 'Agent', 'Title Company'];
+
+export const ROLE_BADGE_CLASSES = {
+  'Seller': 'bg-orange-200 text-orange-800',
+  'Buyer': 'bg-green-200 text-green-800',
+  'Agent': 'bg-blue-200 text-blue-800',
+  'Title Company': 'bg-purple-200 text-purple-800',
+};
+
+// Contacts linked to a lead, with their role: [{ contact, role, link }]
+export const getLinkedContacts = (idea, contacts) =>
+  (idea.contactLinks || [])
+    .map(link => ({ contact: contacts.find(contact => contact.id === link.contactId), role: link.role, link }))
+    .filter(entry => entry.contact);
+
+// Leads a contact is linked to, with their role: [{ idea, role }]
+export const getContactDeals = (contact, ideas) =>
+  ideas.flatMap(idea =>
+    (idea.contactLinks || [])
+      .filter(link => link.contactId === contact.id)
+      .map(link => ({ idea, role: link.role }))
+  );
+
+// Name of the first linked contact with the given role, if any
+export const getLinkedContactName = (idea, contacts, role) =>
+  getLinkedContacts(idea, contacts).find(entry => entry.role === role)?.contact.sellerName || null;
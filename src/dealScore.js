@@ -0,0 +1,157 @@
+import { getActiveScenario, getUnderwritingSummary } from './underwriting';
+import { getProjectedValue } from './leadMetrics';
+import { toMillis } from './leadHistory';
+import { estimateArv } from './finance/comps';
+import { getCoordinates } from './utils/geo';
+
+// Deterministic 0–100 deal score. Each factor is normalized to 0..1 (or null
+// when the lead lacks the data), then combined as a weighted average of the
+// factors that are available, so a missing factor doesn't drag the score down.
+
+export const SCORE_FACTORS = [
+  { key: 'margin', label: 'Profit Margin' },
+  { key: 'roi', label: 'ROI' },
+  { key: 'spread', label: 'Offer-to-ARV Spread' },
+  { key: 'taxDistress', label: 'Tax Distress' },
+  { key: 'propertyType', label: 'Property Type' },
+  { key: 'compsConfidence', label: 'Comps Confidence' },
+  { key: 'daysInPipeline', label: 'Pipeline Freshness' },
+];
+
+export const DEFAULT_SCORE_WEIGHTS = {
+  margin: 25,
+  roi: 20,
+  spread: 20,
+  taxDistress: 10,
+  propertyType: 10,
+  compsConfidence: 10,
+  daysInPipeline: 5,
+};
+
+// Property types ranked by how easily they resell or rent
+const PROPERTY_TYPE_SCORES = [
+  [/single|sfr|house|rancher|colonial/i, 1],
+  [/multi|duplex|triplex|fourplex|apartment/i, 0.9],
+  [/town|condo|row/i, 0.7],
+  [/land|lot|acre/i, 0.5],
+  [/commercial|retail|office|industrial|mixed/i, 0.4],
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STALE_AFTER_DAYS = 90;
+
+const WEIGHTS_STORAGE_KEY = 'aip-score-weights';
+
+export const loadScoreWeights = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(WEIGHTS_STORAGE_KEY));
+    if (stored && typeof stored === 'object') {
+      return { ...DEFAULT_SCORE_WEIGHTS, ...stored };
+    }
+  } catch (e) {
+    console.warn('Could not read score weights, using defaults:', e);
+  }
+  return DEFAULT_SCORE_WEIGHTS;
+};
+
+export const saveScoreWeights = (weights) => {
+  try {
+    window.localStorage.setItem(WEIGHTS_STORAGE_KEY, JSON.stringify(weights));
+  } catch (e) {
+    console.warn('Could not persist score weights:', e);
+  }
+};
+
+const clamp01 = (value) => Math.min(Math.max(value, 0), 1);
+
+// Linear ramp: 0 at or below `low`, 1 at or above `high`
+const ramp = (value, low, high) => clamp01((value - low) / (high - low));
+
+const formatPercent = (value) => `${value.toFixed(1)}%`;
+
+// Comps confidence: the confidence of the ARV estimate built from the lead's saved comps
+export const getCompsConfidence = (idea) => {
+  const underwriting = idea.underwriting || {};
+  const estimate = estimateArv(underwriting.compsData || [], underwriting.compSubject, getCoordinates(idea), underwriting.compAdjustments);
+  return estimate ? estimate.confidence : null;
+};
+
+// Each factor returns { value: 0..1 | null, detail }
+const FACTOR_EVALUATORS = {
+  margin: (idea) => {
+    const summary = getUnderwritingSummary(idea);
+    if (!summary || summary.salesPrice <= 0) return { value: null, detail: 'No underwriting' };
+    const margin = (summary.profit / summary.salesPrice) * 100;
+    return { value: ramp(margin, 0, 30), detail: `${formatPercent(margin)} of sale price` };
+  },
+  roi: (idea) => {
+    const summary = getUnderwritingSummary(idea);
+    if (!summary || summary.totalCosts <= 0) return { value: null, detail: 'No underwriting' };
+    return { value: ramp(summary.roi, 0, 50), detail: formatPercent(summary.roi) };
+  },
+  spread: (idea) => {
+    const scenario = getActiveScenario(idea);
+    const arv = scenario?.salesPrice || 0;
+    const offer = scenario?.purchasePrice || getProjectedValue(idea);
+    if (arv <= 0 || offer <= 0) return { value: null, detail: 'Needs offer and ARV' };
+    const spread = ((arv - offer) / arv) * 100;
+    return { value: ramp(spread, 0, 50), detail: `Offer ${formatPercent(spread)} below ARV` };
+  },
+  taxDistress: (idea) => {
+    // Only county imports carry a tax amount, so a missing one means unknown rather than none
+    if (idea.taxAmount === undefined || idea.taxAmount === null) return { value: null, detail: 'No tax data' };
+    const taxAmount = parseFloat(idea.taxAmount) || 0;
+    if (taxAmount <= 0) return { value: 0, detail: 'No taxes due' };
+    const value = getProjectedValue(idea);
+    // Taxes owed relative to value when known; otherwise $20k owed counts as full distress
+    const ratio = value > 0 ? ramp(taxAmount / value, 0, 0.1) : ramp(taxAmount, 0, 20000);
+    return { value: ratio, detail: `$${taxAmount.toLocaleString()} due` };
+  },
+  propertyType: (idea) => {
+    if (!idea.propertyType) return { value: null, detail: 'Unknown type' };
+    const match = PROPERTY_TYPE_SCORES.find(([pattern]) => pattern.test(idea.propertyType));
+    return { value: match ? match[1] : 0.6, detail: idea.propertyType };
+  },
+  compsConfidence: (idea) => {
+    const confidence = getCompsConfidence(idea);
+    return confidence === null
+      ? { value: null, detail: 'No comps' }
+      : { value: confidence, detail: `${Math.round(confidence * 100)}% confidence` };
+  },
+  daysInPipeline: (idea, now) => {
+    const createdAt = toMillis(idea.timestamp);
+    if (createdAt === null) return { value: null, detail: 'Unknown age' };
+    const days = Math.max(0, Math.floor((now - createdAt) / DAY_MS));
+    return { value: 1 - ramp(days, 0, STALE_AFTER_DAYS), detail: `${days} day${days === 1 ? '' : 's'} in pipeline` };
+  },
+};
+
+// Score a lead: { score: 0..100 | null, factors: [{ key, label, weight, value, points, detail }] }
+export const computeDealScore = (idea, weights = DEFAULT_SCORE_WEIGHTS, now = Date.now()) => {
+  const factors = SCORE_FACTORS.map(({ key, label }) => {
+    const weight = Math.max(parseFloat(weights[key]) || 0, 0);
+    const { value, detail } = FACTOR_EVALUATORS[key](idea, now);
+    return { key, label, weight, value, detail };
+  });
+  const scored = factors.filter(factor => factor.value !== null && factor.weight > 0);
+  const totalWeight = scored.reduce((sum, factor) => sum + factor.weight, 0);
+  if (totalWeight === 0) {
+    return { score: null, factors: factors.map(factor => ({ ...factor, points: 0 })) };
+  }
+  const withPoints = factors.map(factor => ({
+    ...factor,
+    // Share of the 100 points this factor contributed
+    points: factor.value !== null && factor.weight > 0 ? (factor.weight / totalWeight) * factor.value * 100 : 0,
+  }));
+  return {
+    score: Math.round(withPoints.reduce((sum, factor) => sum + factor.points, 0)),
+    factors: withPoints,
+  };
+};
+
+export const getScoreColor = (score) => {
+  if (score === null) return 'bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300';
+  if (score >= 70) return 'bg-green-500 text-white';
+  if (score >= 40) return 'bg-yellow-500 text-white';
+  return 'bg-red-500 text-white';
+};
@@ -0,0 +1,164 @@
+import { getActiveScenario } from './underwriting';
+import { parseOfferRange, formatCurrency } from './leadMetrics';
+import { parseGeneratedResults } from './ai/leadSchema';
+import { getLinkedContactName } from './contactLinks';
+
+// Document templates with {{mergeField}} placeholders, and the letters generated from them.
+// Templates are stored per user as { name, type, body }. Generated letters are saved in the
+// lead's `documents` subcollection as immutable versions:
+//   { type, version, title, templateId, templateName, content, mergeValues, aiRewritten, status: 'draft' | 'sent', createdAt, sentAt }
+
+export const MERGE_FIELDS = [
+  { key: 'sellerName', label: "Seller's Name" },
+  { key: 'propertyAddress', label: 'Property Address' },
+  { key: 'offerAmount', label: 'Offer Amount' },
+  { key: 'closingDate', label: 'Closing Date' },
+  { key: 'buyerEntity', label: 'Buyer Entity' },
+  { key: 'buyerName', label: "Buyer's Name" },
+  { key: 'buyerPhone', label: "Buyer's Phone" },
+  { key: 'buyerEmail', label: "Buyer's Email" },
+  { key: 'date', label: "Today's Date" },
+];
+
+export const DEFAULT_DOCUMENT_TEMPLATES = [
+  {
+    id: 'builtin-cash-offer',
+    name: 'Cash Offer',
+    type: 'offerLetter',
+    builtIn: true,
+    body: `{{date}}
+
+Dear {{sellerName}},
+
+I am writing about your property at {{propertyAddress}}. {{buyerEntity}} would like to purchase it for {{offerAmount}} in cash.
+
+We buy properties as-is, so there is nothing to repair or clean out, and there are no agent commissions. We can close on {{closingDate}}, or on a date that works better for you.
+
+If you are open to a conversation, please call me at {{buyerPhone}} or email {{buyerEmail}}.
+
+Sincerely,
+{{buyerName}}
+{{buyerEntity}}`,
+  },
+  {
+    id: 'builtin-tax-relief',
+    name: 'Back Taxes Relief',
+    type: 'offerLetter',
+    builtIn: true,
+    body: `{{date}}
+
+Dear {{sellerName}},
+
+County records show that taxes are past due on {{propertyAddress}}. If the property has become a burden, we may be able to help.
+
+{{buyerEntity}} is prepared to offer {{offerAmount}} and to pay the outstanding taxes at closing, so you walk away with cash in hand. We can close as soon as {{closingDate}}.
+
+There is no obligation. Call {{buyerPhone}} or email {{buyerEmail}} and I will gladly walk you through the numbers.
+
+Respectfully,
+{{buyerName}}
+{{buyerEntity}}`,
+  },
+  {
+    id: 'builtin-land-offer',
+    name: 'Vacant Land Offer',
+    type: 'offerLetter',
+    builtIn: true,
+    body: `{{date}}
+
+Dear {{sellerName}},
+
+{{buyerEntity}} is interested in buying your land at {{propertyAddress}}. We are offering {{offerAmount}}, and we cover all closing costs.
+
+No survey, clearing or listing is needed on your part. We can close by {{closingDate}} through a local title company.
+
+Please reach me at {{buyerPhone}} or {{buyerEmail}} if you would like to move forward.
+
+Best regards,
+{{buyerName}}`,
+  },
+];
+
+const BUYER_PROFILE_STORAGE_KEY = 'aip-buyer-profile';
+
+export const EMPTY_BUYER_PROFILE = { buyerEntity: '', buyerName: '', buyerPhone: '', buyerEmail: '' };
+
+// Buyer details reused across letters, saved in the browser
+export const loadBuyerProfile = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(BUYER_PROFILE_STORAGE_KEY));
+    if (stored && typeof stored === 'object') {
+      return { ...EMPTY_BUYER_PROFILE, ...stored };
+    }
+  } catch (e) {
+    console.warn('Could not read buyer profile:', e);
+  }
+  return EMPTY_BUYER_PROFILE;
+};
+
+export const saveBuyerProfile = (profile) => {
+  try {
+    window.localStorage.setItem(BUYER_PROFILE_STORAGE_KEY, JSON.stringify(profile));
+  } catch (e) {
+    console.warn('Could not persist buyer profile:', e);
+  }
+};
+
+const MERGE_FIELD_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS_TO_CLOSE = 30;
+
+const formatLongDate = (date) => date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+const toDateInputValue = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Offer amount for a lead: the active scenario's purchase price, else the bottom of the AI offer range
+export const getSuggestedOfferAmount = (idea) => {
+  const scenario = getActiveScenario(idea);
+  if (scenario?.purchasePrice > 0) return scenario.purchasePrice;
+  return parseOfferRange(parseGeneratedResults(idea.generatedResults)?.suggestedOfferRange)?.low || null;
+};
+
+// Editable merge values for a lead. Numbers and dates stay raw here
+// ({ offerAmount: 150000, closingDate: 'YYYY-MM-DD' }) and are formatted when rendering.
+export const getMergeValues = (idea, contacts, buyerProfile, now = new Date()) => ({
+  // Prefer the linked seller contact, then the owner of record from a county list
+  sellerName: getLinkedContactName(idea, contacts, 'Seller') || idea.ownerName || '',
+  propertyAddress: idea.propertyDetails || '',
+  offerAmount: getSuggestedOfferAmount(idea) || '',
+  closingDate: toDateInputValue(new Date(now.getTime() + DEFAULT_DAYS_TO_CLOSE * DAY_MS)),
+  ...EMPTY_BUYER_PROFILE,
+  ...buyerProfile,
+});
+
+const formatMergeValue = (key, value, now) => {
+  if (key === 'date') return formatLongDate(now);
+  if (value === undefined || value === null || value === '') return null;
+  if (key === 'offerAmount') {
+    const amount = parseFloat(value);
+    return Number.isFinite(amount) ? formatCurrency(amount) : String(value);
+  }
+  if (key === 'closingDate') {
+    const [year, month, day] = String(value).split('-').map(Number);
+    return year && month && day ? formatLongDate(new Date(year, month - 1, day)) : String(value);
+  }
+  return String(value);
+};
+
+const getFieldLabel = (key) => MERGE_FIELDS.find(field => field.key === key)?.label || key;
+
+// Fill a template's merge fields. Empty or unknown fields become visible [Label] placeholders.
+export const renderTemplate = (body, values, now = new Date()) =>
+  body.replace(MERGE_FIELD_PATTERN, (match, key) => formatMergeValue(key, values[key], now) ?? `[${getFieldLabel(key)}]`);
+
+// Merge fields a template uses that have no value yet
+export const findMissingFields = (body, values) => {
+  const keys = [...body.matchAll(MERGE_FIELD_PATTERN)].map(match => match[1]);
+  return [...new Set(keys)].filter(key => key !== 'date' && formatMergeValue(key, values[key]) === null);
+};
+
+// Next version number for a new document of this type, from the lead's saved documents
+export const getNextVersion = (documents, type) =>
+  documents.filter(document => document.type === type).reduce((max, document) => Math.max(max, document.version || 0), 0) + 1;
@@ -0,0 +1,118 @@
+// Canvas renderings of the Financial Analysis charts for the PDF deal memo.
+// Drawn directly rather than captured from recharts so they work for any lead,
+// without the Financial Analysis tab being open. Each returns a PNG data URL.
+
+const SCALE = 2;
+const FONT = 'Helvetica, Arial, sans-serif';
+
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width * SCALE;
+  canvas.height = height * SCALE;
+  const context = canvas.getContext('2d');
+  context.scale(SCALE, SCALE);
+  context.fillStyle = '#FFFFFF';
+  context.fillRect(0, 0, width, height);
+  return { canvas, context };
+};
+
+const formatShortCurrency = (value) => {
+  if (Math.abs(value) >= 1000000) return `$${(value / 1000000).toFixed(1)}M`;
+  if (Math.abs(value) >= 1000) return `$${Math.round(value / 1000)}k`;
+  return `$${Math.round(value)}`;
+};
+
+// Pie with a legend: slices are [{ name, value, color }]
+export const drawPieChart = (slices, { width = 480, height = 220 } = {}) => {
+  const { canvas, context } = createCanvas(width, height);
+  const visible = slices.filter(slice => slice.value > 0);
+  const total = visible.reduce((sum, slice) => sum + slice.value, 0);
+  const radius = Math.min(height / 2 - 10, width / 4);
+  const centerX = radius + 10;
+  const centerY = height / 2;
+
+  let angle = -Math.PI / 2;
+  visible.forEach(slice => {
+    const sweep = (slice.value / total) * Math.PI * 2;
+    context.beginPath();
+    context.moveTo(centerX, centerY);
+    context.arc(centerX, centerY, radius, angle, angle + sweep);
+    context.closePath();
+    context.fillStyle = slice.color;
+    context.fill();
+    context.strokeStyle = '#FFFFFF';
+    context.lineWidth = 2;
+    context.stroke();
+    angle += sweep;
+  });
+
+  const legendX = centerX + radius + 30;
+  context.font = `13px ${FONT}`;
+  context.textBaseline = 'middle';
+  visible.forEach((slice, index) => {
+    const y = centerY - (visible.length - 1) * 14 + index * 28;
+    context.fillStyle = slice.color;
+    context.fillRect(legendX, y - 6, 12, 12);
+    context.fillStyle = '#111827';
+    context.fillText(`${slice.name}: $${Math.round(slice.value).toLocaleString()} (${((slice.value / total) * 100).toFixed(0)}%)`, legendX + 20, y);
+  });
+  return canvas.toDataURL('image/png');
+};
+
+// Line chart with value axis: points are [{ label, value }] in display order
+export const drawLineChart = (points, { width = 480, height = 220, color = '#10B981' } = {}) => {
+  const { canvas, context } = createCanvas(width, height);
+  const padding = { top: 15, right: 20, bottom: 35, left: 60 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  const values = points.map(point => point.value);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  // Pad the range so a flat series still has a visible line
+  const spread = max - min || Math.abs(max) * 0.1 || 1;
+  const low = min - spread * 0.1;
+  const high = max + spread * 0.1;
+  const xFor = (index) => padding.left + (points.length === 1 ? plotWidth / 2 : (index / (points.length - 1)) * plotWidth);
+  const yFor = (value) => padding.top + (1 - (value - low) / (high - low)) * plotHeight;
+
+  context.font = `11px ${FONT}`;
+  context.textBaseline = 'middle';
+  context.strokeStyle = '#E5E7EB';
+  context.fillStyle = '#6B7280';
+  context.lineWidth = 1;
+  for (let tick = 0; tick <= 4; tick++) {
+    const value = low + ((high - low) * tick) / 4;
+    const y = yFor(value);
+    context.beginPath();
+    context.moveTo(padding.left, y);
+    context.lineTo(width - padding.right, y);
+    context.stroke();
+    context.textAlign = 'right';
+    context.fillText(formatShortCurrency(value), padding.left - 8, y);
+  }
+
+  // Label at most six points along the x axis
+  context.textAlign = 'center';
+  const labelEvery = Math.ceil(points.length / 6);
+  points.forEach((point, index) => {
+    if (index % labelEvery === 0 || index === points.length - 1) {
+      context.fillText(point.label, xFor(index), height - padding.bottom + 18);
+    }
+  });
+
+  context.strokeStyle = color;
+  context.lineWidth = 2;
+  context.beginPath();
+  points.forEach((point, index) => {
+    if (index === 0) context.moveTo(xFor(index), yFor(point.value));
+    else context.lineTo(xFor(index), yFor(point.value));
+  });
+  context.stroke();
+  context.fillStyle = color;
+  points.forEach((point, index) => {
+    context.beginPath();
+    context.arc(xFor(index), yFor(point.value), 3, 0, Math.PI * 2);
+    context.fill();
+  });
+  return canvas.toDataURL('image/png');
+};
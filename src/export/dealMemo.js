@@ -0,0 +1,272 @@
+import { jsPDF } from 'jspdf';
+import { drawPieChart, drawLineChart } from './chartImages';
+import { renderMapImage } from './mapImage';
+import { parseGeneratedResults } from '../ai/leadSchema';
+import { getActiveScenario, calculateFlip } from '../underwriting';
+import { getLeadStatus } from '../leadStatus';
+import { getLinkedContactName } from '../contactLinks';
+import { computeDealScore } from '../dealScore';
+import { estimateArv, normalizeComp } from '../finance/comps';
+import { formatCurrency } from '../leadMetrics';
+import { getCoordinates } from '../utils/geo';
+
+// Client-side PDF deal memo for pitching a lead to lenders and partners.
+// Everything is generated in the browser; only the map tiles need a network,
+// and the map falls back to a locator panel without one.
+
+export const MEMO_SECTIONS = [
+  { key: 'summary', label: 'AI Property Summary' },
+  { key: 'facts', label: 'Property Facts' },
+  { key: 'underwriting', label: 'Underwriting' },
+  { key: 'charts', label: 'Cost Breakdown & Comps Charts' },
+  { key: 'map', label: 'Map' },
+  { key: 'photos', label: 'Photos' },
+  { key: 'checklist', label: 'Due Diligence Checklist' },
+];
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 48;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const LINE_HEIGHT = 14;
+
+const COST_COLORS = ['#4B5563', '#3B82F6', '#10B981', '#F97316'];
+
+// Read an image file as a JPEG data URL no larger than `maxSize` on its long edge
+export const loadPhoto = (file, maxSize = 1200) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onerror = () => reject(reader.error);
+  reader.onload = () => {
+    const image = new Image();
+    image.onerror = () => reject(new Error(`${file.name} is not a readable image.`));
+    image.onload = () => {
+      const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(image.width * scale);
+      canvas.height = Math.round(image.height * scale);
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      resolve({ name: file.name, dataUrl: canvas.toDataURL('image/jpeg', 0.85), width: canvas.width, height: canvas.height });
+    };
+    image.src = reader.result;
+  };
+  reader.readAsDataURL(file);
+});
+
+// Top-to-bottom writer that starts a new page when the next block won't fit
+const createWriter = (pdf, startY) => {
+  let y = startY;
+  const ensureSpace = (height) => {
+    if (y + height > PAGE_HEIGHT - MARGIN) {
+      pdf.addPage();
+      y = MARGIN;
+    }
+  };
+  return {
+    heading: (text) => {
+      ensureSpace(40);
+      y += 10;
+      pdf.setFont('helvetica', 'bold');
+      pdf.setFontSize(14);
+      pdf.setTextColor(17, 24, 39);
+      pdf.text(text, MARGIN, y);
+      pdf.setDrawColor(229, 231, 235);
+      pdf.line(MARGIN, y + 5, PAGE_WIDTH - MARGIN, y + 5);
+      y += 22;
+    },
+    paragraph: (text) => {
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(10);
+      pdf.setTextColor(55, 65, 81);
+      pdf.splitTextToSize(text, CONTENT_WIDTH).forEach(line => {
+        ensureSpace(LINE_HEIGHT);
+        pdf.text(line, MARGIN, y);
+        y += LINE_HEIGHT;
+      });
+      y += 4;
+    },
+    // Bullet list; checkboxes draw an empty box to tick on paper
+    bullets: (items, { checkbox = false } = {}) => {
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(10);
+      pdf.setTextColor(55, 65, 81);
+      pdf.setDrawColor(107, 114, 128);
+      pdf.setFillColor(107, 114, 128);
+      items.forEach(item => {
+        pdf.splitTextToSize(item, CONTENT_WIDTH - 16).forEach((line, index) => {
+          ensureSpace(LINE_HEIGHT);
+          if (index === 0 && checkbox) pdf.rect(MARGIN + 2, y - 7, 8, 8);
+          if (index === 0 && !checkbox) pdf.circle(MARGIN + 6, y - 3, 1.5, 'F');
+          pdf.text(line, MARGIN + 16, y);
+          y += LINE_HEIGHT;
+        });
+      });
+      y += 4;
+    },
+    // Two-column label/value rows
+    rows: (rows, { boldLast = false } = {}) => {
+      pdf.setFontSize(10);
+      rows.forEach(([label, value], index) => {
+        ensureSpace(LINE_HEIGHT + 2);
+        const bold = boldLast && index === rows.length - 1;
+        pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+        pdf.setTextColor(107, 114, 128);
+        pdf.text(label, MARGIN, y);
+        pdf.setTextColor(17, 24, 39);
+        pdf.text(String(value), PAGE_WIDTH - MARGIN, y, { align: 'right' });
+        y += LINE_HEIGHT + 2;
+      });
+      y += 4;
+    },
+    image: (dataUrl, format, width, height) => {
+      ensureSpace(height + 8);
+      pdf.addImage(dataUrl, format, MARGIN + (CONTENT_WIDTH - width) / 2, y, width, height);
+      y += height + 8;
+    },
+    caption: (text) => {
+      ensureSpace(LINE_HEIGHT);
+      pdf.setFont('helvetica', 'italic');
+      pdf.setFontSize(9);
+      pdf.setTextColor(107, 114, 128);
+      pdf.text(text, MARGIN, y);
+      y += LINE_HEIGHT;
+    },
+  };
+};
+
+const addTitle = (pdf, idea) => {
+  pdf.setFillColor(22, 163, 74);
+  pdf.rect(0, 0, PAGE_WIDTH, 6, 'F');
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(20);
+  pdf.setTextColor(17, 24, 39);
+  const titleLines = pdf.splitTextToSize(idea.propertyDetails || 'Untitled lead', CONTENT_WIDTH);
+  pdf.text(titleLines, MARGIN, MARGIN + 8);
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(10);
+  pdf.setTextColor(107, 114, 128);
+  pdf.text(`Deal Memo · ${new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`, MARGIN, MARGIN + 14 + titleLines.length * 22);
+  return MARGIN + 20 + titleLines.length * 22;
+};
+
+const getPropertyFacts = (idea, contacts) => {
+  const coords = getCoordinates(idea);
+  const results = parseGeneratedResults(idea.generatedResults);
+  return [
+    ['Status', getLeadStatus(idea)],
+    ['Source', idea.source === 'county' ? `County list${idea.listType ? ` (${idea.listType})` : ''}` : 'AI lead'],
+    idea.propertyType && ['Property type', idea.propertyType],
+    idea.parcelId && ['Parcel ID', idea.parcelId],
+    idea.ownerName && ['Owner of record', idea.ownerName],
+    getLinkedContactName(idea, contacts, 'Seller') && ['Seller', getLinkedContactName(idea, contacts, 'Seller')],
+    idea.taxAmount && ['Taxes owed', formatCurrency(parseFloat(idea.taxAmount))],
+    results?.suggestedOfferRange && ['AI suggested offer', results.suggestedOfferRange],
+    coords && ['Coordinates', `${coords.lat.toFixed(5)}, ${coords.lng.toFixed(5)}`],
+  ].filter(Boolean);
+};
+
+const getUnderwritingRows = (scenario) => {
+  const { totalCosts, profit, roi } = calculateFlip(scenario);
+  return [
+    ['Purchase price', formatCurrency(scenario.purchasePrice)],
+    ['After-repair value', formatCurrency(scenario.salesPrice)],
+    ['Closing costs', formatCurrency(scenario.closingCosts)],
+    ['Rehab costs', formatCurrency(scenario.rehabCosts)],
+    ['Holding costs', formatCurrency(scenario.holdingCosts)],
+    ['Total project cost', formatCurrency(totalCosts)],
+    ['ROI', `${roi.toFixed(1)}%`],
+    ['Projected profit', formatCurrency(profit)],
+  ];
+};
+
+// Build the memo as a jsPDF document. `photos` are from loadPhoto().
+export const buildDealMemo = async (idea, { contacts = [], photos = [], sections = MEMO_SECTIONS.map(({ key }) => key), scoreWeights } = {}) => {
+  const pdf = new jsPDF({ unit: 'pt', format: 'letter' });
+  pdf.setProperties({ title: `Deal Memo – ${idea.propertyDetails || ''}`, creator: 'AIP Real Estate' });
+  const writer = createWriter(pdf, addTitle(pdf, idea));
+  const include = (key) => sections.includes(key);
+  const results = parseGeneratedResults(idea.generatedResults);
+  const scenario = getActiveScenario(idea);
+  const underwriting = idea.underwriting || {};
+  const coords = getCoordinates(idea);
+
+
+  if (include('summary') && results?.detailedPropertySummary) {
+    writer.heading('Property Summary');
+    writer.paragraph(results.detailedPropertySummary);
+  }
+
+  if (include('facts')) {
+    writer.heading('Property Facts');
+    writer.rows(getPropertyFacts(idea, contacts));
+  }
+
+  if (include('underwriting')) {
+    writer.heading(scenario ? `Underwriting – ${scenario.name}` : 'Underwriting');
+    if (scenario) {
+      writer.rows(getUnderwritingRows(scenario), { boldLast: true });
+      const { score } = computeDealScore(idea, scoreWeights);
+      const arvEstimate = estimateArv(underwriting.compsData || [], underwriting.compSubject, coords, underwriting.compAdjustments);
+      writer.rows([
+        score !== null && ['Deal score', `${score} / 100`],
+        arvEstimate && ['Comps ARV estimate', `${formatCurrency(arvEstimate.arv)} (${arvEstimate.confidenceLabel} confidence, ${arvEstimate.rows.length} comps)`],
+      ].filter(Boolean));
+    } else {
+      writer.paragraph('This lead has not been underwritten yet.');
+    }
+  }
+
+  if (include('charts')) {
+    const costSlices = scenario
+      ? ['purchasePrice', 'closingCosts', 'rehabCosts', 'holdingCosts'].map((key, index) => ({
+        name: ['Purchase Price', 'Closing Costs', 'Rehab Costs', 'Holding Costs'][index],
+        value: scenario[key] || 0,
+        color: COST_COLORS[index],
+      }))
+      : [];
+    const comps = (underwriting.compsData || [])
+      .map(normalizeComp)
+      .filter(comp => comp.price > 0)
+      .sort((a, b) => (Date.parse(a.saleDate) || 0) - (Date.parse(b.saleDate) || 0));
+    if (costSlices.some(slice => slice.value > 0)) {
+      writer.heading('Cost Breakdown');
+      writer.image(drawPieChart(costSlices), 'PNG', 360, 165);
+    }
+    if (comps.length > 0) {
+      writer.heading('Comparable Sales Trend');
+      writer.image(drawLineChart(comps.map(comp => ({ label: comp.saleDate || comp.address, value: comp.price }))), 'PNG', 360, 165);
+      writer.rows(comps.map(comp => [`${comp.address || 'Comp'}${comp.saleDate ? ` · ${comp.saleDate}` : ''}`, formatCurrency(comp.price)]));
+    }
+  }
+
+  if (include('map') && coords) {
+    writer.heading('Location');
+    const { dataUrl, hasTiles } = await renderMapImage(coords);
+    writer.image(dataUrl, 'PNG', 400, 217);
+    if (!hasTiles) writer.caption('Map tiles could not be loaded, so only the location is shown.');
+  }
+
+  if (include('photos') && photos.length > 0) {
+    writer.heading('Photos');
+    photos.forEach(photo => {
+      // Fit within 400 × 450 pt, keeping the aspect ratio
+      const scale = Math.min(400 / photo.width, 450 / photo.height);
+      writer.image(photo.dataUrl, 'JPEG', photo.width * scale, photo.height * scale);
+    });
+  }
+
+  if (include('checklist') && results?.dueDiligenceChecklist?.length > 0) {
+    writer.heading('Due Diligence Checklist');
+    writer.bullets(results.dueDiligenceChecklist, { checkbox: true });
+  }
+
+  const pageCount = pdf.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    pdf.setPage(page);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(8);
+    pdf.setTextColor(156, 163, 175);
+    pdf.text(`Page ${page} of ${pageCount}`, PAGE_WIDTH - MARGIN, PAGE_HEIGHT - 24, { align: 'right' });
+    pdf.text('Projections are estimates for discussion only.', MARGIN, PAGE_HEIGHT - 24);
+  }
+  return pdf;
+};
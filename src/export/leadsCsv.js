@@ -0,0 +1,45 @@
+import { toCsv } from '../utils/csv';
+import { getLeadStatus } from '../leadStatus';
+import { getLeadSource } from '../leadFilters';
+import { getUnderwritingSummary } from '../underwriting';
+import { parseGeneratedResults } from '../ai/leadSchema';
+
+// Flat, spreadsheet-friendly rows for leads. The AI results stored as a JSON string are
+// unpacked into their own columns (list fields joined with "; ") and timestamps are ISO 8601.
+
+export const LEAD_CSV_COLUMNS = [
+  'id', 'propertyDetails', 'status', 'source', 'listType', 'propertyType', 'parcelId', 'ownerName',
+  'taxAmount', 'latitude', 'longitude', 'createdAt', 'statusUpdatedAt',
+  'suggestedOfferRange', 'projectedProfit', 'detailedPropertySummary', 'buyerProfiles',
+  'sellerOutreachAngles', 'dueDiligenceChecklist',
+];
+
+const toIsoString = (timestamp) => (timestamp?.toDate ? timestamp.toDate().toISOString() : '');
+
+export const toLeadCsvRecord = (idea) => {
+  const results = parseGeneratedResults(idea.generatedResults);
+  const summary = getUnderwritingSummary(idea);
+  return {
+    id: idea.id,
+    propertyDetails: idea.propertyDetails,
+    status: getLeadStatus(idea),
+    source: getLeadSource(idea),
+    listType: idea.listType,
+    propertyType: idea.propertyType,
+    parcelId: idea.parcelId,
+    ownerName: idea.ownerName,
+    taxAmount: idea.taxAmount,
+    latitude: idea.latitude,
+    longitude: idea.longitude,
+    createdAt: toIsoString(idea.timestamp),
+    statusUpdatedAt: toIsoString(idea.statusUpdatedAt),
+    suggestedOfferRange: results?.suggestedOfferRange,
+    projectedProfit: summary ? Math.round(summary.profit) : '',
+    detailedPropertySummary: results?.detailedPropertySummary,
+    buyerProfiles: results?.buyerProfiles.join('; '),
+    sellerOutreachAngles: results?.sellerOutreachAngles.join('; '),
+    dueDiligenceChecklist: results?.dueDiligenceChecklist.join('; '),
+  };
+};
+
+export const buildLeadsCsv = (ideas) => toCsv(ideas.map(toLeadCsvRecord), LEAD_CSV_COLUMNS);
@@ -0,0 +1,115 @@
+// Static map image of a lead for the PDF deal memo. Uses OpenStreetMap tiles
+// when they can be fetched; offline (or if any tile fails) it falls back to a
+// plain locator panel with the coordinates, so the memo still generates.
+
+const TILE_SIZE = 256;
+const TILE_URL = (zoom, x, y) => `https://tile.openstreetmap.org/${zoom}/${x}/${y}.png`;
+
+const lngToTileX = (lng, zoom) => ((lng + 180) / 360) * 2 ** zoom;
+const latToTileY = (lat, zoom) => {
+  const radians = (lat * Math.PI) / 180;
+  return ((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2) * 2 ** zoom;
+};
+
+const loadImage = (url, timeoutMs) => new Promise((resolve, reject) => {
+  const image = new Image();
+  const timer = setTimeout(() => reject(new Error(`Timed out loading ${url}`)), timeoutMs);
+  image.crossOrigin = 'anonymous';
+  image.onload = () => {
+    clearTimeout(timer);
+    resolve(image);
+  };
+  image.onerror = () => {
+    clearTimeout(timer);
+    reject(new Error(`Could not load ${url}`));
+  };
+  image.src = url;
+});
+
+const drawMarker = (context, x, y) => {
+  context.fillStyle = '#DC2626';
+  context.strokeStyle = '#FFFFFF';
+  context.lineWidth = 2;
+  context.beginPath();
+  context.arc(x, y - 14, 8, Math.PI, 0);
+  context.lineTo(x, y);
+  context.closePath();
+  context.fill();
+  context.stroke();
+  context.fillStyle = '#FFFFFF';
+  context.beginPath();
+  context.arc(x, y - 14, 3, 0, Math.PI * 2);
+  context.fill();
+};
+
+const drawTiles = async (context, { lat, lng }, width, height, zoom, timeoutMs) => {
+  const centerX = lngToTileX(lng, zoom) * TILE_SIZE;
+  const centerY = latToTileY(lat, zoom) * TILE_SIZE;
+  const left = centerX - width / 2;
+  const top = centerY - height / 2;
+  const tiles = [];
+  for (let x = Math.floor(left / TILE_SIZE); x <= Math.floor((left + width) / TILE_SIZE); x++) {
+    for (let y = Math.floor(top / TILE_SIZE); y <= Math.floor((top + height) / TILE_SIZE); y++) {
+      tiles.push({ x, y });
+    }
+  }
+  const images = await Promise.all(tiles.map(({ x, y }) => loadImage(TILE_URL(zoom, x, y), timeoutMs)));
+  images.forEach((image, index) => {
+    context.drawImage(image, tiles[index].x * TILE_SIZE - left, tiles[index].y * TILE_SIZE - top);
+  });
+  context.font = '10px Helvetica, Arial, sans-serif';
+  context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+  context.fillRect(width - 150, height - 16, 150, 16);
+  context.fillStyle = '#374151';
+  context.textAlign = 'right';
+  context.textBaseline = 'middle';
+  context.fillText('© OpenStreetMap contributors', width - 6, height - 8);
+};
+
+const drawLocator = (context, { lat, lng }, width, height) => {
+  context.fillStyle = '#EEF2F7';
+  context.fillRect(0, 0, width, height);
+  context.strokeStyle = '#D1D9E6';
+  context.lineWidth = 1;
+  for (let x = 0; x <= width; x += 40) {
+    context.beginPath();
+    context.moveTo(x, 0);
+    context.lineTo(x, height);
+    context.stroke();
+  }
+  for (let y = 0; y <= height; y += 40) {
+    context.beginPath();
+    context.moveTo(0, y);
+    context.lineTo(width, y);
+    context.stroke();
+  }
+  context.font = '12px Helvetica, Arial, sans-serif';
+  context.fillStyle = '#374151';
+  context.textAlign = 'center';
+  context.textBaseline = 'top';
+  context.fillText(`${lat.toFixed(5)}, ${lng.toFixed(5)}`, width / 2, height / 2 + 8);
+  context.fillText('Map tiles unavailable offline', width / 2, height - 22);
+};
+
+// { dataUrl, hasTiles } for a map centered on the coordinates
+export const renderMapImage = async (coords, { width = 480, height = 260, zoom = 15, timeoutMs = 4000 } = {}) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  let hasTiles = false;
+  if (navigator.onLine !== false) {
+    try {
+      await drawTiles(context, coords, width, height, zoom, timeoutMs);
+      // Throws if a tile tainted the canvas despite the CORS request
+      canvas.toDataURL('image/png');
+      hasTiles = true;
+    } catch (e) {
+      console.warn('Falling back to an offline locator map:', e);
+      context.clearRect(0, 0, width, height);
+    }
+  }
+  if (!hasTiles) drawLocator(context, coords, width, height);
+  drawMarker(context, width / 2, height / 2);
+  return { dataUrl: canvas.toDataURL('image/png'), hasTiles };
+};
@@ -0,0 +1,61 @@
+import { toCsv } from '../utils/csv';
+import { getContactDeals } from '../contactLinks';
+
+// Full workspace backup as versioned JSON:
+//   { format: 'aip-workspace', version, exportedAt, source: { appId, userId },
+//     ideas: [{ id, ...fields, history: [...], documents: [...] }], contacts, events, documentTemplates, savedViews }
+// Every record keeps its document id. Firestore timestamps are written as { "$timestamp": ISO 8601 }
+// so they restore exactly, and each lead's `generatedResults` JSON string is stored parsed.
+
+export const WORKSPACE_FORMAT = 'aip-workspace';
+export const WORKSPACE_VERSION = 1;
+export const WORKSPACE_COLLECTIONS = ['ideas', 'contacts', 'events', 'documentTemplates', 'savedViews'];
+export const LEAD_SUBCOLLECTIONS = ['history', 'documents'];
+
+const isTimestamp = (value) => value && typeof value.toDate === 'function' && 'seconds' in value;
+
+const encodeValue = (value) => {
+  if (isTimestamp(value)) return { $timestamp: value.toDate().toISOString() };
+  if (value instanceof Date) return { $timestamp: value.toISOString() };
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encodeValue(item)]));
+  }
+  return value;
+};
+
+// Stored results that aren't valid JSON are kept as the original string
+const parseStoredResults = (generatedResults) => {
+  if (typeof generatedResults !== 'string') return generatedResults;
+  try {
+    return JSON.parse(generatedResults);
+  } catch (e) {
+    return generatedResults;
+  }
+};
+
+export const buildWorkspaceExport = ({ ideas, contacts, events, documentTemplates, savedViews }, { appId, userId }, now = new Date()) => ({
+  format: WORKSPACE_FORMAT,
+  version: WORKSPACE_VERSION,
+  exportedAt: now.toISOString(),
+  source: { appId, userId },
+  ideas: ideas.map(idea => encodeValue({
+    ...idea,
+    ...(idea.generatedResults !== undefined && { generatedResults: parseStoredResults(idea.generatedResults) }),
+  })),
+  contacts: contacts.map(encodeValue),
+  events: events.map(encodeValue),
+  documentTemplates: documentTemplates.map(encodeValue),
+  savedViews: savedViews.map(encodeValue),
+});
+
+export const CONTACT_CSV_COLUMNS = ['id', 'sellerName', 'sellerPhone', 'sellerEmail', 'createdAt', 'linkedLeads'];
+
+export const buildContactsCsv = (contacts, ideas) => toCsv(contacts.map(contact => ({
+  id: contact.id,
+  sellerName: contact.sellerName,
+  sellerPhone: contact.sellerPhone,
+  sellerEmail: contact.sellerEmail,
+  createdAt: isTimestamp(contact.timestamp) ? contact.timestamp.toDate().toISOString() : '',
+  linkedLeads: getContactDeals(contact, ideas).map(({ idea, role }) => `${role}: ${idea.propertyDetails}`).join('; '),
+})), CONTACT_CSV_COLUMNS);
@@ -0,0 +1,144 @@
+import { getCoordinates, distanceInMiles } from '../utils/geo';
+
+// Comparable sales and the ARV (after-repair value) estimate built from them.
+// A comp is { id, address, price, saleDate: 'YYYY-MM-DD', sqft, beds, baths, lotSize, latitude, longitude };
+// the subject is { sqft, beds, baths, lotSize } plus the lead's coordinates. Lot sizes are in square feet.
+
+export const DEFAULT_COMP_ADJUSTMENTS = {
+  perBed: 10000,
+  perBath: 7500,
+  perLotSqft: 2,
+  monthlyAppreciation: 0.3,
+};
+
+export const EMPTY_COMP_SUBJECT = { sqft: '', beds: '', baths: '', lotSize: '' };
+
+export const COMP_ADJUSTMENT_LABELS = {
+  perBed: 'Per Bedroom ($)',
+  perBath: 'Per Bathroom ($)',
+  perLotSqft: 'Per Lot Sq Ft ($)',
+  monthlyAppreciation: 'Market Change (%/month)',
+};
+
+const MONTH_MS = 30.44 * 24 * 60 * 60 * 1000;
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const clamp01 = (value) => Math.min(Math.max(value, 0), 1);
+const ramp = (value, low, high) => clamp01((value - low) / (high - low));
+
+export const createCompId = () => `comp-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+// Comps saved before the comps manager only had { name, price, date }
+export const normalizeComp = (comp) => ({
+  id: comp.id || createCompId(),
+  address: comp.address || comp.name || '',
+  price: toNumber(comp.price) || 0,
+  saleDate: comp.saleDate || comp.date || '',
+  sqft: toNumber(comp.sqft),
+  beds: toNumber(comp.beds),
+  baths: toNumber(comp.baths),
+  lotSize: toNumber(comp.lotSize),
+  latitude: toNumber(comp.latitude),
+  longitude: toNumber(comp.longitude),
+});
+
+const monthsSince = (saleDate, now) => {
+  const saleTime = Date.parse(saleDate);
+  return Number.isNaN(saleTime) ? null : Math.max((now - saleTime) / MONTH_MS, 0);
+};
+
+// Adjustment grid row for one comp: each adjustment moves the comp's price
+// toward what it would have sold for if it matched the subject.
+export const adjustComp = (comp, subject, subjectCoords, adjustments = DEFAULT_COMP_ADJUSTMENTS, now = Date.now()) => {
+  const rates = { ...DEFAULT_COMP_ADJUSTMENTS, ...adjustments };
+  const subjectSqft = toNumber(subject?.sqft);
+  const pricePerSqft = comp.sqft > 0 ? comp.price / comp.sqft : null;
+
+  // Price-per-sqft normalization to the subject's size
+  const sizeAdjustment = pricePerSqft !== null && subjectSqft > 0 ? pricePerSqft * subjectSqft - comp.price : 0;
+  const difference = (key) => {
+    const subjectValue = toNumber(subject?.[key]);
+    return subjectValue !== null && comp[key] !== null ? subjectValue - comp[key] : 0;
+  };
+  const bedAdjustment = difference('beds') * toNumber(rates.perBed);
+  const bathAdjustment = difference('baths') * toNumber(rates.perBath);
+  const lotAdjustment = difference('lotSize') * toNumber(rates.perLotSqft);
+  const months = monthsSince(comp.saleDate, now);
+  const timeAdjustment = months === null ? 0 : comp.price * (toNumber(rates.monthlyAppreciation) / 100) * months;
+
+  const compCoords = getCoordinates(comp);
+  const distance = subjectCoords && compCoords ? distanceInMiles(subjectCoords, compCoords) : null;
+
+  return {
+    comp,
+    pricePerSqft,
+    sizeAdjustment,
+    bedAdjustment,
+    bathAdjustment,
+    lotAdjustment,
+    timeAdjustment,
+    adjustedPrice: comp.price + sizeAdjustment + bedAdjustment + bathAdjustment + lotAdjustment + timeAdjustment,
+    distance,
+    monthsSinceSale: months,
+  };
+};
+
+// Closer, more recent and more similar-sized comps count for more
+const compWeight = (row, subjectSqft) => {
+  const distanceWeight = row.distance === null ? 0.5 : 1 / (1 + row.distance);
+  const recencyWeight = row.monthsSinceSale === null ? 0.5 : 1 / (1 + row.monthsSinceSale / 6);
+  const sizeWeight = row.comp.sqft > 0 && subjectSqft > 0
+    ? Math.min(row.comp.sqft, subjectSqft) / Math.max(row.comp.sqft, subjectSqft)
+    : 0.75;
+  return distanceWeight * recencyWeight * sizeWeight;
+};
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+export const getConfidenceLabel = (confidence) => {
+  if (confidence >= 0.7) return 'High';
+  if (confidence >= 0.4) return 'Medium';
+  return 'Low';
+};
+
+// Weighted ARV estimate:
+//   { arv, low, high, confidence: 0..1, confidenceLabel, rows: [adjustment rows with weight] } or null without usable comps
+export const estimateArv = (comps, subject, subjectCoords, adjustments, now = Date.now()) => {
+  const subjectSqft = toNumber(subject?.sqft);
+  const rows = comps
+    .map(normalizeComp)
+    .filter(comp => comp.price > 0)
+    .map(comp => adjustComp(comp, subject, subjectCoords, adjustments, now))
+    .map(row => ({ ...row, weight: compWeight(row, subjectSqft) }));
+  if (rows.length === 0) return null;
+
+  const totalWeight = rows.reduce((sum, row) => sum + row.weight, 0);
+  const arv = rows.reduce((sum, row) => sum + row.adjustedPrice * row.weight, 0) / totalWeight;
+
+  // Confidence blends comp count, agreement between adjusted prices, proximity and recency
+  const adjustedPrices = rows.map(row => row.adjustedPrice);
+  const mean = average(adjustedPrices);
+  const deviation = Math.sqrt(average(adjustedPrices.map(price => (price - mean) ** 2)));
+  const variation = mean > 0 ? deviation / mean : 1;
+  const distances = rows.map(row => row.distance).filter(distance => distance !== null);
+  const ages = rows.map(row => row.monthsSinceSale).filter(months => months !== null);
+
+  const countScore = clamp01(rows.length / 5);
+  const agreementScore = rows.length > 1 ? 1 - ramp(variation, 0.05, 0.25) : 0.3;
+  const proximityScore = distances.length > 0 ? 1 - ramp(average(distances), 0.5, 3) : 0.3;
+  const recencyScore = ages.length > 0 ? 1 - ramp(average(ages), 3, 12) : 0.3;
+  const confidence = 0.35 * countScore + 0.3 * agreementScore + 0.2 * proximityScore + 0.15 * recencyScore;
+
+  return {
+    arv,
+    low: Math.min(...adjustedPrices),
+    high: Math.max(...adjustedPrices),
+    confidence,
+    confidenceLabel: getConfidenceLabel(confidence),
+    rows,
+  };
+};
@@ -0,0 +1,71 @@
+import { normalizeComp, adjustComp, estimateArv, getConfidenceLabel } from './comps';
+
+const MONTH_MS = 30.44 * 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2024-07-01');
+
+describe('normalizeComp', () => {
+  test('reads comps saved before the comps manager', () => {
+    expect(normalizeComp({ id: 'c1', name: '12 Oak St', price: '250000', date: '2024-01-15' })).toMatchObject({
+      id: 'c1', address: '12 Oak St', price: 250000, saleDate: '2024-01-15', sqft: null, beds: null,
+    });
+  });
+});
+
+describe('adjustComp', () => {
+  test('moves the comp toward the subject by size, rooms, lot and time', () => {
+    const comp = normalizeComp({ price: 200000, saleDate: '2024-07-01', sqft: 1000, beds: 3, baths: 2, lotSize: 5000 });
+    const row = adjustComp(comp, { sqft: '1100', beds: '4', baths: '2', lotSize: '6000' }, null, undefined, NOW + 6 * MONTH_MS);
+    expect(row.sizeAdjustment).toBe(20000);
+    expect(row.bedAdjustment).toBe(10000);
+    expect(row.bathAdjustment).toBe(0);
+    expect(row.lotAdjustment).toBe(2000);
+    expect(row.timeAdjustment).toBeCloseTo(200000 * 0.003 * 6, 6);
+    expect(row.adjustedPrice).toBeCloseTo(235600, 6);
+  });
+});
+
+describe('estimateArv', () => {
+  const noAppreciation = { monthlyAppreciation: 0 };
+
+  test('weights recent comps more heavily', () => {
+    const comps = [
+      { price: 200000, saleDate: '2024-07-01' },
+      { price: 300000, saleDate: '2024-01-01' },
+    ];
+    const estimate = estimateArv(comps, {}, null, noAppreciation, NOW);
+    // About six months old, so it counts about half as much as the comp sold today
+    const olderWeight = 1 / (1 + (NOW - Date.parse('2024-01-01')) / MONTH_MS / 6);
+    expect(olderWeight).toBeCloseTo(0.5, 1);
+    expect(estimate.arv).toBeCloseTo((200000 + 300000 * olderWeight) / (1 + olderWeight), 6);
+    expect(estimate.low).toBe(200000);
+    expect(estimate.high).toBe(300000);
+  });
+
+  test('weights closer and similar-sized comps more heavily', () => {
+    const subjectCoords = { lat: 40, lng: -75 };
+    const near = estimateArv([
+      { price: 200000, saleDate: '2024-07-01', latitude: 40, longitude: -75 },
+      { price: 300000, saleDate: '2024-07-01', latitude: 40.1, longitude: -75 },
+    ], {}, subjectCoords, noAppreciation, NOW);
+    expect(near.rows[0].weight).toBeGreaterThan(near.rows[1].weight);
+    expect(near.arv).toBeLessThan(250000);
+
+    const sized = estimateArv([
+      { price: 200000, saleDate: '2024-07-01', sqft: 1000 },
+      { price: 400000, saleDate: '2024-07-01', sqft: 2000 },
+    ], { sqft: '1000' }, null, noAppreciation, NOW);
+    expect(sized.rows[0].weight).toBe(2 * sized.rows[1].weight);
+    // Both sold at $200/sq ft, so normalized to the subject's size they agree
+    expect(sized.arv).toBeCloseTo(200000, 6);
+  });
+
+  test('ignores comps without a price', () => {
+    expect(estimateArv([{ price: 0 }, { price: '' }], {}, null, noAppreciation, NOW)).toBeNull();
+  });
+
+  test('labels confidence', () => {
+    expect(getConfidenceLabel(0.7)).toBe('High');
+    expect(getConfidenceLabel(0.4)).toBe('Medium');
+    expect(getConfidenceLabel(0.39)).toBe('Low');
+  });
+});
@@ -0,0 +1,74 @@
+// Carrying costs of a flip, built up month by month over the hold period.
+// Percentages are entered as whole numbers (12 = 12%). When `enabled` is set
+// the total replaces the hand-entered holding costs.
+
+export const DEFAULT_HOLDING_INPUTS = {
+  enabled: false,
+  holdMonths: '6',
+  loanToCost: '90',
+  interestRate: '12',
+  points: '2',
+  annualTax: '',
+  annualInsurance: '1800',
+  monthlyUtilities: '250',
+  monthlyHoa: '',
+  monthlyLawnSecurity: '150',
+};
+
+export const HOLDING_INPUT_LABELS = {
+  holdMonths: 'Hold Period (months)',
+  loanToCost: 'Loan-to-Cost (%)',
+  interestRate: 'Interest Rate (%)',
+  points: 'Points (%)',
+  annualTax: 'Property Tax ($/yr)',
+  annualInsurance: 'Insurance ($/yr)',
+  monthlyUtilities: 'Utilities ($/mo)',
+  monthlyHoa: 'HOA ($/mo)',
+  monthlyLawnSecurity: 'Lawn & Security ($/mo)',
+};
+
+export const HOLDING_COST_ITEMS = [
+  { key: 'interest', label: 'Loan interest', color: '#EF4444' },
+  { key: 'taxes', label: 'Property tax', color: '#F97316' },
+  { key: 'insurance', label: 'Insurance', color: '#3B82F6' },
+  { key: 'utilities', label: 'Utilities', color: '#10B981' },
+  { key: 'hoa', label: 'HOA', color: '#8B5CF6' },
+  { key: 'lawnSecurity', label: 'Lawn & security', color: '#6B7280' },
+];
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+// Holding costs over `months` (defaults to the hold period):
+//   { loanAmount, pointsCost, monthly: { interest, taxes, ..., total }, schedule: [{ month, cost, cumulative }], total }
+// Points are paid up front, so they land in month 1.
+export const calculateHoldingCosts = ({ purchasePrice, rehabCosts, holding }, months) => {
+  const inputs = { ...DEFAULT_HOLDING_INPUTS, ...holding };
+  const holdMonths = Math.max(Math.round(months === undefined ? toNumber(inputs.holdMonths) : months), 0);
+  const loanAmount = (toNumber(purchasePrice) + toNumber(rehabCosts)) * toNumber(inputs.loanToCost) / 100;
+  const pointsCost = loanAmount * toNumber(inputs.points) / 100;
+  const monthly = {
+    // Hard-money loans are typically interest-only
+    interest: loanAmount * toNumber(inputs.interestRate) / 100 / 12,
+    taxes: toNumber(inputs.annualTax) / 12,
+    insurance: toNumber(inputs.annualInsurance) / 12,
+    utilities: toNumber(inputs.monthlyUtilities),
+    hoa: toNumber(inputs.monthlyHoa),
+    lawnSecurity: toNumber(inputs.monthlyLawnSecurity),
+  };
+  monthly.total = HOLDING_COST_ITEMS.reduce((sum, { key }) => sum + monthly[key], 0);
+
+  const schedule = [];
+  let cumulative = 0;
+  for (let month = 1; month <= holdMonths; month++) {
+    const cost = monthly.total + (month === 1 ? pointsCost : 0);
+    cumulative += cost;
+    schedule.push({ month, cost, cumulative });
+  }
+  return {
+    loanAmount,
+    pointsCost: holdMonths > 0 ? pointsCost : 0,
+    monthly,
+    schedule,
+    total: cumulative,
+  };
+};
@@ -0,0 +1,22 @@
+import { calculateHoldingCosts } from './holding';
+
+describe('calculateHoldingCosts', () => {
+  const deal = { purchasePrice: '100000', rehabCosts: '20000', holding: {} };
+
+  test('adds up the monthly carrying costs, with points paid in month 1', () => {
+    const result = calculateHoldingCosts(deal);
+    expect(result.loanAmount).toBe(108000);
+    expect(result.monthly.interest).toBeCloseTo(1080, 6);
+    expect(result.monthly.total).toBeCloseTo(1630, 6);
+    expect(result.schedule).toHaveLength(6);
+    expect(result.schedule[0].cost).toBeCloseTo(1630 + 2160, 6);
+    expect(result.total).toBeCloseTo(1630 * 6 + 2160, 6);
+  });
+
+  test('costs nothing over a zero-month hold', () => {
+    const result = calculateHoldingCosts(deal, 0);
+    expect(result.schedule).toEqual([]);
+    expect(result.pointsCost).toBe(0);
+    expect(result.total).toBe(0);
+  });
+});
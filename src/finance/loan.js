@@ -0,0 +1,43 @@
+// Fixed-rate mortgage math shared by the rental and strategy calculators
+
+// Monthly principal and interest payment; a 0% rate is a straight-line payoff
+export const monthlyPayment = (principal, annualRatePercent, years) => {
+  const months = Math.round(years * 12);
+  if (principal <= 0 || months <= 0) return 0;
+  const rate = annualRatePercent / 100 / 12;
+  if (rate === 0) return principal / months;
+  return (principal * rate) / (1 - Math.pow(1 + rate, -months));
+};
+
+// Month-by-month schedule: [{ month, payment, principal, interest, balance }]
+export const amortizationSchedule = (principal, annualRatePercent, years) => {
+  const months = Math.round(years * 12);
+  const payment = monthlyPayment(principal, annualRatePercent, years);
+  const rate = annualRatePercent / 100 / 12;
+  const schedule = [];
+  let balance = principal;
+  for (let month = 1; month <= months && balance > 0; month++) {
+    const interest = balance * rate;
+    // The last payment absorbs rounding drift so the balance ends at zero
+    const principalPaid = month === months ? balance : Math.min(payment - interest, balance);
+    balance -= principalPaid;
+    schedule.push({ month, payment: principalPaid + interest, principal: principalPaid, interest, balance: Math.max(balance, 0) });
+  }
+  return schedule;
+};
+
+// Roll a monthly schedule up into years: [{ year, payment, principal, interest, balance }]
+export const summarizeByYear = (schedule) => {
+  const years = [];
+  schedule.forEach(row => {
+    const index = Math.ceil(row.month / 12) - 1;
+    if (!years[index]) {
+      years[index] = { year: index + 1, payment: 0, principal: 0, interest: 0, balance: 0 };
+    }
+    years[index].payment += row.payment;
+    years[index].principal += row.principal;
+    years[index].interest += row.interest;
+    years[index].balance = row.balance;
+  });
+  return years;
+};
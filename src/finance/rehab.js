@@ -0,0 +1,133 @@
+import { toCsv } from '../utils/csv';
+
+// Line-item rehab budget saved on a scenario as
+//   rehab: { region, multiplier, contingencyPercent, items: [{ id, category, description, quantity, unit, unitCost }] }
+// Unit costs are national averages; the regional multiplier and contingency are applied to the subtotal.
+
+export const REHAB_CATEGORIES = [
+  'Demolition', 'Roof', 'Exterior', 'Windows & Doors', 'Foundation', 'Framing', 'HVAC', 'Plumbing', 'Electrical',
+  'Kitchen', 'Bathrooms', 'Flooring', 'Drywall & Paint', 'Landscaping', 'Site Work', 'Permits', 'Other',
+];
+
+export const REGIONAL_MULTIPLIERS = [
+  { key: 'national', label: 'National Average', multiplier: 1 },
+  { key: 'rural', label: 'Rural / Low Cost', multiplier: 0.85 },
+  { key: 'south', label: 'South', multiplier: 0.9 },
+  { key: 'midwest', label: 'Midwest', multiplier: 0.95 },
+  { key: 'midAtlantic', label: 'Mid-Atlantic', multiplier: 1.1 },
+  { key: 'northeast', label: 'Northeast Metro', multiplier: 1.25 },
+  { key: 'westCoast', label: 'West Coast Metro', multiplier: 1.35 },
+];
+
+export const EMPTY_REHAB_BUDGET = { region: 'national', multiplier: '1', contingencyPercent: '10', items: [] };
+
+const item = (category, description, quantity, unit, unitCost) => ({ category, description, quantity: String(quantity), unit, unitCost: String(unitCost) });
+
+export const REHAB_TEMPLATES = [
+  {
+    key: 'cosmetic',
+    label: 'Cosmetic',
+    items: [
+      item('Drywall & Paint', 'Interior paint, walls and ceilings', 1500, 'sq ft', 3),
+      item('Flooring', 'LVP flooring', 1000, 'sq ft', 5),
+      item('Kitchen', 'Cabinet paint, hardware and counters', 1, 'each', 6000),
+      item('Bathrooms', 'Vanity, fixtures and regrout', 2, 'each', 2500),
+      item('Electrical', 'Light fixtures and outlets', 1, 'lot', 1500),
+      item('Landscaping', 'Cleanup and curb appeal', 1, 'lot', 1500),
+    ],
+  },
+  {
+    key: 'fullGut',
+    label: 'Full Gut',
+    items: [
+      item('Demolition', 'Interior demo and dumpsters', 1, 'lot', 8000),
+      item('Roof', 'Tear-off and architectural shingles', 20, 'square', 500),
+      item('HVAC', 'New furnace, AC and ductwork', 1, 'each', 12000),
+      item('Plumbing', 'Repipe and new water heater', 1, 'lot', 10000),
+      item('Electrical', 'Rewire and 200A panel', 1, 'lot', 12000),
+      item('Drywall & Paint', 'Hang, finish and paint', 1500, 'sq ft', 6),
+      item('Kitchen', 'New cabinets, counters and appliances', 1, 'each', 25000),
+      item('Bathrooms', 'Full bathroom remodel', 2, 'each', 12000),
+      item('Flooring', 'LVP and tile', 1500, 'sq ft', 7),
+      item('Windows & Doors', 'Replacement windows', 15, 'each', 600),
+      item('Permits', 'Building permits and inspections', 1, 'lot', 3000),
+    ],
+  },
+  {
+    key: 'landClearing',
+    label: 'Land Clearing',
+    items: [
+      item('Site Work', 'Brush and tree clearing', 1, 'acre', 4000),
+      item('Site Work', 'Stump grinding', 10, 'each', 150),
+      item('Demolition', 'Debris haul-off', 3, 'load', 600),
+      item('Site Work', 'Grading', 1, 'acre', 3000),
+      item('Permits', 'Survey and permits', 1, 'lot', 1500),
+    ],
+  },
+];
+
+const TEMPLATES_STORAGE_KEY = 'aip-rehab-templates';
+
+// User-saved templates: [{ key, label, items }]
+export const loadRehabTemplates = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(TEMPLATES_STORAGE_KEY));
+    if (Array.isArray(stored)) return stored;
+  } catch (e) {
+    console.warn('Could not read rehab templates:', e);
+  }
+  return [];
+};
+
+export const saveRehabTemplates = (templates) => {
+  try {
+    window.localStorage.setItem(TEMPLATES_STORAGE_KEY, JSON.stringify(templates));
+  } catch (e) {
+    console.warn('Could not persist rehab templates:', e);
+  }
+};
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+export const createRehabItemId = () => `rhb-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+// Copy a template's items into a budget, each with a fresh id
+export const instantiateTemplate = (template) => template.items.map(templateItem => ({ ...templateItem, id: createRehabItemId() }));
+
+// Totals for a budget:
+//   { lines: [{ ...item, total }], byCategory: [{ category, total }], subtotal, regionalAdjustment, contingency, total }
+export const calculateRehabBudget = (budget) => {
+  const lines = (budget?.items || []).map(line => ({ ...line, total: toNumber(line.quantity) * toNumber(line.unitCost) }));
+  const subtotal = lines.reduce((sum, line) => sum + line.total, 0);
+  const multiplier = budget?.multiplier === undefined ? 1 : toNumber(budget.multiplier);
+  const regionalAdjustment = subtotal * (multiplier - 1);
+  const contingency = (subtotal + regionalAdjustment) * toNumber(budget?.contingencyPercent) / 100;
+  const categoryTotals = lines.reduce((totals, line) => ({ ...totals, [line.category]: (totals[line.category] || 0) + line.total }), {});
+  return {
+    lines,
+    byCategory: REHAB_CATEGORIES
+      .filter(category => categoryTotals[category])
+      .map(category => ({ category, total: categoryTotals[category] })),
+    subtotal,
+    regionalAdjustment,
+    contingency,
+    total: subtotal + regionalAdjustment + contingency,
+  };
+};
+
+// Contractor bid sheet: the scope of work with blank columns for the contractor's pricing.
+// Our own estimate is left off so bids aren't anchored to it.
+export const buildBidSheet = (budget, propertyDetails) => {
+  const lines = (budget?.items || []).slice().sort((a, b) => REHAB_CATEGORIES.indexOf(a.category) - REHAB_CATEGORIES.indexOf(b.category));
+  const records = lines.map((line, index) => ({
+    Item: index + 1,
+    Category: line.category,
+    Description: line.description,
+    Quantity: line.quantity,
+    Unit: line.unit,
+  }));
+  const header = toCsv([{ Property: propertyDetails || '' }], ['Property', 'Contractor', 'Bid Date']);
+  const scope = toCsv(records, ['Item', 'Category', 'Description', 'Quantity', 'Unit', 'Unit Price', 'Line Total', 'Notes']);
+  const total = toCsv([], ['', '', '', '', '', 'Bid Total', '', '']);
+  return `${header}\r\n\r\n${scope}\r\n${total}`;
+};
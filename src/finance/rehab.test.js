@@ -0,0 +1,34 @@
+import { calculateRehabBudget, buildBidSheet } from './rehab';
+
+const BUDGET = {
+  multiplier: '1.1',
+  contingencyPercent: '10',
+  items: [
+    { id: 'a', category: 'Kitchen', description: 'New cabinets', quantity: '1', unit: 'each', unitCost: '10000' },
+    { id: 'b', category: 'Roof', description: 'Shingles', quantity: '20', unit: 'square', unitCost: '500' },
+  ],
+};
+
+describe('calculateRehabBudget', () => {
+  test('applies the regional multiplier, then contingency on the adjusted subtotal', () => {
+    const result = calculateRehabBudget(BUDGET);
+    expect(result.subtotal).toBe(20000);
+    expect(result.regionalAdjustment).toBeCloseTo(2000, 6);
+    expect(result.contingency).toBeCloseTo(2200, 6);
+    expect(result.total).toBeCloseTo(24200, 6);
+    expect(result.byCategory).toEqual([{ category: 'Roof', total: 10000 }, { category: 'Kitchen', total: 10000 }]);
+  });
+
+  test('treats a missing budget as empty', () => {
+    expect(calculateRehabBudget(undefined).total).toBe(0);
+  });
+});
+
+describe('buildBidSheet', () => {
+  test('lists the scope in category order without our unit costs', () => {
+    const sheet = buildBidSheet(BUDGET, '12 Oak St');
+    expect(sheet).toContain('12 Oak St');
+    expect(sheet.indexOf('Shingles')).toBeLessThan(sheet.indexOf('New cabinets'));
+    expect(sheet).not.toContain('10000');
+  });
+});
@@ -0,0 +1,77 @@
+import { monthlyPayment } from './loan';
+
+// Buy-and-hold rental underwriting. Percentages are entered as whole numbers (8 = 8%).
+
+export const DEFAULT_RENTAL_INPUTS = {
+  monthlyRent: '',
+  vacancyRate: '5',
+  managementRate: '8',
+  annualTaxes: '',
+  annualInsurance: '',
+  capexRate: '5',
+  otherMonthlyExpenses: '',
+  downPaymentPercent: '20',
+  interestRate: '7',
+  amortizationYears: '30',
+  points: '1',
+};
+
+export const RENTAL_INPUT_LABELS = {
+  monthlyRent: 'Monthly Rent ($)',
+  vacancyRate: 'Vacancy (%)',
+  managementRate: 'Management (% of collected rent)',
+  annualTaxes: 'Property Taxes ($/yr)',
+  annualInsurance: 'Insurance ($/yr)',
+  capexRate: 'CapEx Reserves (% of rent)',
+  otherMonthlyExpenses: 'Other Expenses ($/mo)',
+  downPaymentPercent: 'Down Payment (%)',
+  interestRate: 'Interest Rate (%)',
+  amortizationYears: 'Amortization (years)',
+  points: 'Points (% of loan)',
+};
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+// Income, expenses, financing and return metrics for a rental
+export const calculateRental = ({ purchasePrice, closingCosts, rehabCosts, rental }) => {
+  const price = toNumber(purchasePrice);
+  const inputs = { ...DEFAULT_RENTAL_INPUTS, ...rental };
+
+  const grossAnnualRent = toNumber(inputs.monthlyRent) * 12;
+  const vacancyLoss = grossAnnualRent * toNumber(inputs.vacancyRate) / 100;
+  const effectiveGrossIncome = grossAnnualRent - vacancyLoss;
+  const management = effectiveGrossIncome * toNumber(inputs.managementRate) / 100;
+  const capexReserves = grossAnnualRent * toNumber(inputs.capexRate) / 100;
+  const operatingExpenses = toNumber(inputs.annualTaxes) + toNumber(inputs.annualInsurance) + management + capexReserves + toNumber(inputs.otherMonthlyExpenses) * 12;
+  const noi = effectiveGrossIncome - operatingExpenses;
+
+  const downPayment = price * toNumber(inputs.downPaymentPercent) / 100;
+  const loanAmount = Math.max(price - downPayment, 0);
+  const pointsCost = loanAmount * toNumber(inputs.points) / 100;
+  const payment = monthlyPayment(loanAmount, toNumber(inputs.interestRate), toNumber(inputs.amortizationYears));
+  const annualDebtService = payment * 12;
+
+  const annualCashFlow = noi - annualDebtService;
+  const totalCashInvested = downPayment + pointsCost + toNumber(closingCosts) + toNumber(rehabCosts);
+
+  return {
+    grossAnnualRent,
+    vacancyLoss,
+    effectiveGrossIncome,
+    management,
+    capexReserves,
+    operatingExpenses,
+    noi,
+    downPayment,
+    loanAmount,
+    pointsCost,
+    monthlyPayment: payment,
+    annualDebtService,
+    annualCashFlow,
+    monthlyCashFlow: annualCashFlow / 12,
+    totalCashInvested,
+    capRate: price > 0 ? (noi / price) * 100 : null,
+    cashOnCash: totalCashInvested > 0 ? (annualCashFlow / totalCashInvested) * 100 : null,
+    dscr: annualDebtService > 0 ? noi / annualDebtService : null,
+  };
+};
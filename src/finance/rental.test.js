@@ -0,0 +1,51 @@
+import { calculateRental } from './rental';
+import { monthlyPayment, amortizationSchedule, summarizeByYear } from './loan';
+
+describe('loan math', () => {
+  test('computes the fixed-rate payment, with 0% as a straight-line payoff', () => {
+    expect(monthlyPayment(200000, 6, 30)).toBeCloseTo(1199.10, 2);
+    expect(monthlyPayment(120000, 0, 10)).toBe(1000);
+    expect(monthlyPayment(0, 6, 30)).toBe(0);
+  });
+
+  test('pays the balance off exactly over the term', () => {
+    const schedule = amortizationSchedule(100000, 7, 15);
+    expect(schedule).toHaveLength(180);
+    expect(schedule[179].balance).toBe(0);
+    expect(schedule.reduce((sum, row) => sum + row.principal, 0)).toBeCloseTo(100000, 6);
+    expect(summarizeByYear(schedule).map(year => year.year)).toEqual(Array.from({ length: 15 }, (_, index) => index + 1));
+  });
+});
+
+describe('calculateRental', () => {
+  const deal = {
+    purchasePrice: '100000',
+    closingCosts: '3000',
+    rehabCosts: '7000',
+    rental: { monthlyRent: '1000', annualTaxes: '1200', annualInsurance: '600', interestRate: '0', amortizationYears: '30' },
+  };
+
+  test('takes vacancy, management and reserves out of the rent', () => {
+    const result = calculateRental(deal);
+    expect(result.effectiveGrossIncome).toBe(11400);
+    expect(result.management).toBeCloseTo(912, 6);
+    expect(result.operatingExpenses).toBeCloseTo(3312, 6);
+    expect(result.noi).toBeCloseTo(8088, 6);
+    expect(result.capRate).toBeCloseTo(8.088, 6);
+  });
+
+  test('measures cash-on-cash against the down payment, points, closing and rehab', () => {
+    const result = calculateRental(deal);
+    expect(result.totalCashInvested).toBe(30800);
+    expect(result.annualDebtService).toBeCloseTo(80000 / 30, 6);
+    expect(result.cashOnCash).toBeCloseTo((8088 - 80000 / 30) / 30800 * 100, 6);
+    expect(result.dscr).toBeCloseTo(8088 / (80000 / 30), 6);
+  });
+
+  test('leaves ratios empty when there is nothing to divide by', () => {
+    const result = calculateRental({ purchasePrice: '', rental: {} });
+    expect(result.capRate).toBeNull();
+    expect(result.cashOnCash).toBeNull();
+    expect(result.dscr).toBeNull();
+  });
+});
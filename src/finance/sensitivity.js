@@ -0,0 +1,138 @@
+import { calculateFlip } from '../underwriting';
+
+// Sensitivity and Monte Carlo risk analysis of the fix-and-flip figures.
+// Changes are percentages of the base input (-10 = 10% lower), so the
+// assumptions keep working as the calculator inputs change.
+
+export const RISK_VARIABLES = [
+  { key: 'salesPrice', label: 'Resale Price (ARV)' },
+  { key: 'rehabCosts', label: 'Rehab Costs' },
+  { key: 'holdingCosts', label: 'Hold Time (Holding Costs)' },
+  { key: 'purchasePrice', label: 'Purchase Price' },
+  { key: 'closingCosts', label: 'Closing Costs' },
+];
+
+export const DISTRIBUTIONS = [
+  { key: 'triangular', label: 'Triangular' },
+  { key: 'uniform', label: 'Uniform' },
+  { key: 'normal', label: 'Normal' },
+];
+
+// Typical flip risks: resale comes in soft, rehab and hold time overrun
+export const DEFAULT_RISK_ASSUMPTIONS = {
+  salesPrice: { distribution: 'triangular', low: '-10', likely: '0', high: '5' },
+  rehabCosts: { distribution: 'triangular', low: '-5', likely: '10', high: '40' },
+  holdingCosts: { distribution: 'triangular', low: '0', likely: '15', high: '60' },
+  purchasePrice: { distribution: 'uniform', low: '0', likely: '0', high: '0' },
+  closingCosts: { distribution: 'uniform', low: '-5', likely: '0', high: '10' },
+};
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+const applyChange = (values, key, percent) => ({
+  ...values,
+  [key]: toNumber(values[key]) * (1 + percent / 100),
+});
+
+// Profit at each step change of each variable, the others held at base:
+//   [{ key, label, results: [{ change, profit, roi }] }]
+export const buildSensitivityTable = (values, steps) => RISK_VARIABLES.map(({ key, label }) => ({
+  key,
+  label,
+  results: steps.map(change => {
+    const { profit, roi } = calculateFlip(applyChange(values, key, change));
+    return { change, profit, roi };
+  }),
+}));
+
+// Tornado chart rows, widest profit swing first:
+//   [{ key, label, decrease, increase, swing }] with decrease/increase as profit change vs. base
+export const buildTornadoData = (values, percent) => {
+  const baseProfit = calculateFlip(values).profit;
+  return RISK_VARIABLES
+    .map(({ key, label }) => {
+      const decrease = calculateFlip(applyChange(values, key, -percent)).profit - baseProfit;
+      const increase = calculateFlip(applyChange(values, key, percent)).profit - baseProfit;
+      return { key, label, decrease, increase, swing: Math.abs(increase - decrease) };
+    })
+    .sort((a, b) => b.swing - a.swing);
+};
+
+// Small seeded PRNG (mulberry32) so a simulation can be reproduced
+export const createRandom = (seed = Date.now()) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Draw a percentage change from an assumption { distribution, low, likely, high }.
+// For the normal distribution, low and high are treated as the 5th and 95th percentiles.
+export const sampleChange = (assumption, random) => {
+  const low = toNumber(assumption.low);
+  const high = Math.max(toNumber(assumption.high), low);
+  const likely = Math.min(Math.max(toNumber(assumption.likely), low), high);
+  if (high === low) return low;
+  const u = random();
+  switch (assumption.distribution) {
+    case 'uniform':
+      return low + u * (high - low);
+    case 'normal': {
+      // Box-Muller transform
+      const z = Math.sqrt(-2 * Math.log(1 - u)) * Math.cos(2 * Math.PI * random());
+      return likely + z * ((high - low) / (2 * 1.645));
+    }
+    default: {
+      const split = (likely - low) / (high - low);
+      return u < split
+        ? low + Math.sqrt(u * (high - low) * (likely - low))
+        : high - Math.sqrt((1 - u) * (high - low) * (high - likely));
+    }
+  }
+};
+
+const percentile = (sorted, p) => {
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+const buildHistogram = (sorted, binCount) => {
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const width = (max - min) / binCount || 1;
+  const bins = Array.from({ length: binCount }, (_, index) => ({ from: min + index * width, to: min + (index + 1) * width, count: 0 }));
+  sorted.forEach(profit => {
+    bins[Math.min(Math.floor((profit - min) / width), binCount - 1)].count += 1;
+  });
+  return bins;
+};
+
+// Simulate the flip `iterations` times, drawing each variable from its assumption:
+//   { iterations, mean, probabilityOfLoss, p10, p50, p90, histogram: [{ from, to, count }] }
+export const runMonteCarlo = (values, assumptions = DEFAULT_RISK_ASSUMPTIONS, { iterations = 5000, seed, bins = 30 } = {}) => {
+  const count = Math.max(Math.round(iterations) || 0, 1);
+  const random = createRandom(seed);
+  const profits = [];
+  for (let i = 0; i < count; i++) {
+    const trial = RISK_VARIABLES.reduce((current, { key }) => (
+      assumptions[key] ? applyChange(current, key, sampleChange(assumptions[key], random)) : current
+    ), values);
+    profits.push(calculateFlip(trial).profit);
+  }
+  profits.sort((a, b) => a - b);
+  return {
+    iterations: count,
+    mean: profits.reduce((sum, profit) => sum + profit, 0) / count,
+    probabilityOfLoss: profits.filter(profit => profit < 0).length / count,
+    p10: percentile(profits, 0.1),
+    p50: percentile(profits, 0.5),
+    p90: percentile(profits, 0.9),
+    histogram: buildHistogram(profits, bins),
+  };
+};
@@ -0,0 +1,55 @@
+import { buildSensitivityTable, buildTornadoData, createRandom, sampleChange, runMonteCarlo } from './sensitivity';
+
+// $60,000 profit on $140,000 of costs
+const BASE = { purchasePrice: '100000', closingCosts: '5000', rehabCosts: '30000', holdingCosts: '5000', salesPrice: '200000' };
+
+describe('buildSensitivityTable', () => {
+  test('gives one column per step, changing only the row\'s variable', () => {
+    const table = buildSensitivityTable(BASE, [-10, 0, 10]);
+    const profits = (key) => table.find(row => row.key === key).results.map(result => Math.round(result.profit));
+    expect(table.map(row => row.results.map(result => result.change))).toEqual(table.map(() => [-10, 0, 10]));
+    expect(profits('salesPrice')).toEqual([40000, 60000, 80000]);
+    expect(profits('rehabCosts')).toEqual([63000, 60000, 57000]);
+    expect(table.every(row => Math.round(row.results[1].profit) === 60000)).toBe(true);
+    expect(table[0].results[1].roi).toBeCloseTo(60000 / 140000 * 100, 6);
+  });
+});
+
+describe('buildTornadoData', () => {
+  test('puts the widest profit swing first', () => {
+    const rows = buildTornadoData(BASE, 10);
+    expect(rows.map(row => row.key).slice(0, 3)).toEqual(['salesPrice', 'purchasePrice', 'rehabCosts']);
+    expect(rows[0].decrease).toBeCloseTo(-20000, 6);
+    expect(rows[0].increase).toBeCloseTo(20000, 6);
+    expect(rows[0].swing).toBeCloseTo(40000, 6);
+  });
+});
+
+describe('Monte Carlo simulation', () => {
+  test('draws changes within the assumption\'s range', () => {
+    const random = createRandom(42);
+    for (let i = 0; i < 200; i++) {
+      const uniform = sampleChange({ distribution: 'uniform', low: '-5', likely: '0', high: '10' }, random);
+      const triangular = sampleChange({ distribution: 'triangular', low: '-5', likely: '10', high: '40' }, random);
+      expect(uniform).toBeGreaterThanOrEqual(-5);
+      expect(uniform).toBeLessThanOrEqual(10);
+      expect(triangular).toBeGreaterThanOrEqual(-5);
+      expect(triangular).toBeLessThanOrEqual(40);
+    }
+  });
+
+  test('is reproducible from a seed', () => {
+    const first = runMonteCarlo(BASE, undefined, { iterations: 500, seed: 7 });
+    expect(runMonteCarlo(BASE, undefined, { iterations: 500, seed: 7 })).toEqual(first);
+    expect(first.p10).toBeLessThanOrEqual(first.p50);
+    expect(first.p50).toBeLessThanOrEqual(first.p90);
+    expect(first.histogram.reduce((sum, bin) => sum + bin.count, 0)).toBe(500);
+  });
+
+  test('returns the base profit when nothing varies', () => {
+    const fixed = { distribution: 'uniform', low: '0', likely: '0', high: '0' };
+    const result = runMonteCarlo(BASE, { salesPrice: fixed, rehabCosts: fixed }, { iterations: 10, seed: 1 });
+    expect(result.mean).toBe(60000);
+    expect(result.probabilityOfLoss).toBe(0);
+  });
+});
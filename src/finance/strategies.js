@@ -0,0 +1,99 @@
+import { monthlyPayment } from './loan';
+import { calculateRental } from './rental';
+
+// Exit-strategy calculators driven by ARV (after-repair value) and repairs.
+// Percentages are entered as whole numbers (70 = 70%).
+
+export const DEFAULT_STRATEGY_INPUTS = {
+  maoPercent: '70',
+  assignmentFee: '10000',
+  refiLtv: '75',
+  refiRate: '7',
+  refiYears: '30',
+  refiClosingCosts: '3000',
+  hardMoneyLtc: '90',
+  hardMoneyRate: '12',
+  hardMoneyPoints: '2',
+  holdMonths: '6',
+  sellingCostsPercent: '8',
+};
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+// The "70% rule": pay at most ARV × 70% minus repairs
+export const maximumAllowableOffer = (arv, repairs, maoPercent) => arv * maoPercent / 100 - repairs;
+
+// Wholesale: the end buyer pays the 70%-rule price; our MAO to the seller leaves room for the assignment fee
+export const calculateWholesale = ({ salesPrice, rehabCosts, strategy }) => {
+  const inputs = { ...DEFAULT_STRATEGY_INPUTS, ...strategy };
+  const buyerPrice = maximumAllowableOffer(toNumber(salesPrice), toNumber(rehabCosts), toNumber(inputs.maoPercent));
+  const assignmentFee = toNumber(inputs.assignmentFee);
+  return {
+    buyerPrice,
+    assignmentFee,
+    mao: buyerPrice - assignmentFee,
+  };
+};
+
+// BRRRR: buy, rehab, rent, refinance at a percentage of ARV, repeat with the cash pulled out
+export const calculateBrrrr = ({ purchasePrice, closingCosts, rehabCosts, salesPrice, rental, strategy }) => {
+  const inputs = { ...DEFAULT_STRATEGY_INPUTS, ...strategy };
+  const totalInvested = toNumber(purchasePrice) + toNumber(closingCosts) + toNumber(rehabCosts);
+  const refinanceLoan = toNumber(salesPrice) * toNumber(inputs.refiLtv) / 100;
+  const refinanceProceeds = refinanceLoan - toNumber(inputs.refiClosingCosts);
+  // Negative cash left means the refinance pulled out more than was put in
+  const cashLeftInDeal = totalInvested - refinanceProceeds;
+  const payment = monthlyPayment(refinanceLoan, toNumber(inputs.refiRate), toNumber(inputs.refiYears));
+  const { noi } = calculateRental({ purchasePrice, closingCosts, rehabCosts, rental });
+  const monthlyCashFlow = noi / 12 - payment;
+  return {
+    totalInvested,
+    refinanceLoan,
+    refinanceProceeds,
+    cashLeftInDeal,
+    monthlyPayment: payment,
+    monthlyCashFlow,
+    cashOnCash: cashLeftInDeal > 0 ? (monthlyCashFlow * 12 / cashLeftInDeal) * 100 : null,
+    equityAfterRefinance: toNumber(salesPrice) - refinanceLoan,
+    // Highest purchase price that still returns all invested cash at refinance
+    mao: refinanceProceeds - toNumber(closingCosts) - toNumber(rehabCosts),
+  };
+};
+
+// Fix-and-flip financed with a hard-money loan on purchase plus repairs
+export const calculateHardMoneyFlip = ({ purchasePrice, closingCosts, rehabCosts, holdingCosts, salesPrice, strategy }) => {
+  const inputs = { ...DEFAULT_STRATEGY_INPUTS, ...strategy };
+  const projectCost = toNumber(purchasePrice) + toNumber(rehabCosts);
+  const loanAmount = projectCost * toNumber(inputs.hardMoneyLtc) / 100;
+  const pointsCost = loanAmount * toNumber(inputs.hardMoneyPoints) / 100;
+  // Hard-money loans are typically interest-only
+  const interestCost = loanAmount * toNumber(inputs.hardMoneyRate) / 100 / 12 * toNumber(inputs.holdMonths);
+  const sellingCosts = toNumber(salesPrice) * toNumber(inputs.sellingCostsPercent) / 100;
+  const financingCosts = pointsCost + interestCost;
+  const totalCost = projectCost + toNumber(closingCosts) + toNumber(holdingCosts) + financingCosts + sellingCosts;
+  const profit = toNumber(salesPrice) - totalCost;
+  const cashNeeded = projectCost - loanAmount + toNumber(closingCosts) + toNumber(holdingCosts) + financingCosts;
+  return {
+    loanAmount,
+    pointsCost,
+    interestCost,
+    financingCosts,
+    sellingCosts,
+    totalCost,
+    profit,
+    cashNeeded,
+    cashOnCash: cashNeeded > 0 ? (profit / cashNeeded) * 100 : null,
+    // The rule's margin covers financing, selling costs and profit, so the MAO doesn't depend on the purchase price
+    mao: maximumAllowableOffer(toNumber(salesPrice), toNumber(rehabCosts), toNumber(inputs.maoPercent)),
+  };
+};
+
+// Compare an MAO with the AI's suggested offer range ({ low, high }).
+// 'over' means even the bottom of the AI range pays more than the MAO, by `overpayment`;
+// 'partial' means only the top of the range does.
+export const compareMaoToOfferRange = (mao, range) => {
+  if (!range) return null;
+  if (range.low > mao) return { status: 'over', overpayment: range.low - mao };
+  if (range.high > mao) return { status: 'partial', overpayment: range.high - mao };
+  return { status: 'within', overpayment: 0 };
+};
@@ -0,0 +1,66 @@
+import { maximumAllowableOffer, calculateWholesale, calculateBrrrr, calculateHardMoneyFlip, compareMaoToOfferRange } from './strategies';
+
+describe('maximum allowable offer', () => {
+  test('applies the rule percentage to the ARV before taking off repairs', () => {
+    expect(maximumAllowableOffer(200000, 30000, 70)).toBe(110000);
+  });
+
+  test('takes the assignment fee off the wholesale offer', () => {
+    expect(calculateWholesale({ salesPrice: '200000', rehabCosts: '30000', strategy: {} }))
+      .toEqual({ buyerPrice: 110000, assignmentFee: 10000, mao: 100000 });
+  });
+});
+
+describe('calculateBrrrr', () => {
+  const deal = {
+    purchasePrice: '100000',
+    closingCosts: '3000',
+    rehabCosts: '27000',
+    salesPrice: '160000',
+    rental: { monthlyRent: '1500' },
+    strategy: { refiRate: '0' },
+  };
+
+  test('measures cash-on-cash against the cash left in after the refinance', () => {
+    const result = calculateBrrrr(deal);
+    expect(result.refinanceLoan).toBe(120000);
+    expect(result.cashLeftInDeal).toBe(13000);
+    // NOI 14,832 a year less the 0% refinance payment of 120,000 over 360 months
+    expect(result.monthlyCashFlow).toBeCloseTo(14832 / 12 - 120000 / 360, 6);
+    expect(result.cashOnCash).toBeCloseTo((14832 - 4000) / 13000 * 100, 6);
+    expect(result.mao).toBe(87000);
+  });
+
+  test('has no cash-on-cash once the refinance returns everything invested', () => {
+    const result = calculateBrrrr({ ...deal, salesPrice: '200000' });
+    expect(result.cashLeftInDeal).toBe(-17000);
+    expect(result.cashOnCash).toBeNull();
+  });
+});
+
+describe('calculateHardMoneyFlip', () => {
+  const deal = { purchasePrice: '100000', closingCosts: '3000', rehabCosts: '30000', holdingCosts: '2000', salesPrice: '200000', strategy: {} };
+
+  test('adds points, interest and selling costs to the project cost', () => {
+    const result = calculateHardMoneyFlip(deal);
+    expect(result.loanAmount).toBe(117000);
+    expect(result.financingCosts).toBeCloseTo(2340 + 7020, 6);
+    expect(result.totalCost).toBeCloseTo(160360, 6);
+    expect(result.profit).toBeCloseTo(39640, 6);
+    expect(result.cashOnCash).toBeCloseTo(39640 / 27360 * 100, 6);
+  });
+
+  test('returns the plain rule-based MAO whatever the purchase price', () => {
+    expect(calculateHardMoneyFlip(deal).mao).toBe(110000);
+    expect(calculateHardMoneyFlip({ ...deal, purchasePrice: '150000' }).mao).toBe(110000);
+  });
+});
+
+describe('compareMaoToOfferRange', () => {
+  test('measures an over-MAO range from its low end and a partial one from its high end', () => {
+    expect(compareMaoToOfferRange(100000, { low: 110000, high: 120000 })).toEqual({ status: 'over', overpayment: 10000 });
+    expect(compareMaoToOfferRange(100000, { low: 90000, high: 105000 })).toEqual({ status: 'partial', overpayment: 5000 });
+    expect(compareMaoToOfferRange(100000, { low: 80000, high: 95000 })).toEqual({ status: 'within', overpayment: 0 });
+    expect(compareMaoToOfferRange(100000, null)).toBeNull();
+  });
+});
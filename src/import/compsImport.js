@@ -0,0 +1,85 @@
+import { guessColumnMapping, readSpreadsheetFile, extractTable, parseMoney } from './countyImport';
+import { createCompId } from '../finance/comps';
+
+// Comparable-sales import from MLS or county sales exports (CSV or Excel)
+
+export const COMP_FIELDS = [
+  { key: 'address', label: 'Address', hints: ['property address', 'address', 'street', 'location'] },
+  { key: 'price', label: 'Sale Price', required: true, hints: ['sale price', 'sold price', 'close price', 'closed price', 'price', 'amount'] },
+  { key: 'saleDate', label: 'Sale Date', hints: ['sale date', 'sold date', 'close date', 'closing date', 'date'] },
+  { key: 'sqft', label: 'Square Feet', hints: ['sqft', 'sq ft', 'square feet', 'living area', 'gla', 'size'] },
+  { key: 'beds', label: 'Beds', hints: ['beds', 'bedrooms', 'br', 'bed'] },
+  { key: 'baths', label: 'Baths', hints: ['baths', 'bathrooms', 'ba', 'bath'] },
+  { key: 'lotSize', label: 'Lot Size (sq ft)', hints: ['lot size', 'lot sqft', 'lot sq ft', 'lot', 'land area'] },
+  { key: 'latitude', label: 'Latitude', hints: ['latitude', 'lat'] },
+  { key: 'longitude', label: 'Longitude', hints: ['longitude', 'long', 'lng', 'lon'] },
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// YYYY-MM-DD for a calendar day, or '' if there is no such day (e.g. 02/30)
+const formatDay = (year, month, day) => {
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return '';
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// A sale date as YYYY-MM-DD, keeping the calendar day the file shows whatever the browser's timezone
+export const toIsoDate = (value) => {
+  const text = String(value ?? '').trim();
+  if (!text) return '';
+  // Excel serial dates (days since 1899-12-30)
+  if (/^\d{5}$/.test(text)) {
+    return new Date(Date.UTC(1899, 11, 30) + Number(text) * 86400000).toISOString().slice(0, 10);
+  }
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ]|$)/);
+  if (iso) return formatDay(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  // US month/day/year, as MLS and county exports write dates; two-digit years are 2000s
+  const us = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4}|\d{2})$/);
+  if (us) {
+    const year = Number(us[3]);
+    return formatDay(year < 100 ? 2000 + year : year, Number(us[1]), Number(us[2]));
+  }
+  // Anything else, e.g. "March 5, 2024", is read as a local date
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? '' : formatDay(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+};
+
+const toNumberOrNull = (value) => {
+  const number = parseMoney(value);
+  return number === null || Number.isNaN(number) ? null : number;
+};
+
+// Read a comps file and map its columns automatically.
+// Returns { comps, skipped: [{ rowNumber, reason }] }
+export const importCompsFile = async (file) => {
+  const { headers, rows } = extractTable(await readSpreadsheetFile(file));
+  const mapping = guessColumnMapping(headers, COMP_FIELDS);
+  if (mapping.price === '') {
+    throw new Error('No sale price column found. Expected a header such as "Sale Price".');
+  }
+  const cell = (cells, key) => (mapping[key] === '' ? '' : cells[mapping[key]]);
+  const comps = [];
+  const skipped = [];
+  rows.forEach(({ rowNumber, cells }) => {
+    if (cells.every(value => String(value ?? '').trim() === '')) return;
+    const price = toNumberOrNull(cell(cells, 'price'));
+    if (!price || price <= 0) {
+      skipped.push({ rowNumber, reason: 'Missing or invalid sale price' });
+      return;
+    }
+    comps.push({
+      id: createCompId(),
+      address: String(cell(cells, 'address') ?? '').trim() || `Comp row ${rowNumber}`,
+      price,
+      saleDate: toIsoDate(cell(cells, 'saleDate')),
+      sqft: toNumberOrNull(cell(cells, 'sqft')),
+      beds: toNumberOrNull(cell(cells, 'beds')),
+      baths: toNumberOrNull(cell(cells, 'baths')),
+      lotSize: toNumberOrNull(cell(cells, 'lotSize')),
+      latitude: toNumberOrNull(cell(cells, 'latitude')),
+      longitude: toNumberOrNull(cell(cells, 'longitude')),
+    });
+  });
+  return { comps, skipped };
+};
@@ -0,0 +1,30 @@
+import { toIsoDate } from './compsImport';
+
+// jest.globalSetup.js runs the tests ahead of UTC, where reading dates as UTC moves them back a day
+describe('sale dates', () => {
+  test('keeps the calendar day of US and ISO dates', () => {
+    expect(toIsoDate('03/05/2024')).toBe('2024-03-05');
+    expect(toIsoDate('3-5-24')).toBe('2024-03-05');
+    expect(toIsoDate('2024-03-05')).toBe('2024-03-05');
+    expect(toIsoDate('2024-03-05T00:00:00Z')).toBe('2024-03-05');
+    expect(toIsoDate('2024-3-5 10:30')).toBe('2024-03-05');
+    expect(toIsoDate('March 5, 2024')).toBe('2024-03-05');
+  });
+
+  test('reads two-digit years as 2000s', () => {
+    expect(toIsoDate('12/31/99')).toBe('2099-12-31');
+  });
+
+  test('converts Excel serial dates and dates read from the workbook', () => {
+    expect(toIsoDate(45356)).toBe('2024-03-05');
+    expect(toIsoDate('45356')).toBe('2024-03-05');
+    expect(toIsoDate(new Date(2024, 2, 5))).toBe('2024-03-05');
+  });
+
+  test('leaves blank, impossible and unreadable dates empty', () => {
+    expect(toIsoDate('')).toBe('');
+    expect(toIsoDate(null)).toBe('');
+    expect(toIsoDate('02/30/2024')).toBe('');
+    expect(toIsoDate('sometime')).toBe('');
+  });
+});
@@ -0,0 +1,190 @@
+import { parseCsv, toCsv } from '../utils/csv';
+
+// County delinquent-tax / code-violation list import.
+// Turns an uploaded CSV or Excel sheet into validated lead records.
+
+export const COUNTY_LIST_TYPES = ['Tax Delinquent', 'Code Violation'];
+
+// Lead fields a county column can be mapped to, with header-name hints
+export const COUNTY_LEAD_FIELDS = [
+  { key: 'address', label: 'Property Address', required: true, hints: ['property address', 'site address', 'situs address', 'address', 'situs', 'location', 'street'] },
+  { key: 'parcelId', label: 'Parcel ID', hints: ['parcel id', 'parcel number', 'parcel', 'account number', 'account', 'apn', 'pin', 'tax id'] },
+  { key: 'taxAmount', label: 'Tax Amount Owed', hints: ['tax amount', 'amount due', 'total due', 'balance due', 'delinquent amount', 'balance', 'amount', 'tax'] },
+  { key: 'propertyType', label: 'Property Type', hints: ['property type', 'land use', 'use code', 'property class', 'class', 'type'] },
+  { key: 'ownerName', label: 'Owner', hints: ['owner name', 'owner', 'taxpayer', 'name'] },
+  { key: 'latitude', label: 'Latitude', hints: ['latitude', 'lat', 'y'] },
+  { key: 'longitude', label: 'Longitude', hints: ['longitude', 'long', 'lng', 'lon', 'x'] },
+];
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[_\-.#]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Suggest a column for each lead field from the sheet headers.
+// Returns { [fieldKey]: columnIndex } with '' for unmapped fields.
+export const guessColumnMapping = (headers, fields = COUNTY_LEAD_FIELDS) => {
+  const normalized = headers.map(normalizeHeader);
+  const used = new Set();
+  const mapping = {};
+  const claim = (field, predicate) => {
+    if (mapping[field.key] !== '') {
+      return;
+    }
+    for (const hint of field.hints) {
+      const index = normalized.findIndex((header, i) => !used.has(i) && predicate(header, hint));
+      if (index !== -1) {
+        mapping[field.key] = index;
+        used.add(index);
+        return;
+      }
+    }
+  };
+
+  fields.forEach(field => { mapping[field.key] = ''; });
+  // Exact matches first so "Owner Name" doesn't steal a plain "Name" column, then partial matches
+  fields.forEach(field => claim(field, (header, hint) => header === hint));
+  fields.forEach(field => claim(field, (header, hint) => hint.length > 2 && header.includes(hint)));
+  return mapping;
+};
+
+const isExcelFile = (file) => /\.(xlsx|xlsm|xls)$/i.test(file.name);
+
+// Read an uploaded CSV or Excel file into an array of rows
+export const readSpreadsheetFile = async (file) => {
+  if (isExcelFile(file)) {
+    // Loaded on demand so the spreadsheet parser isn't part of the main bundle
+    const XLSX = await import('xlsx');
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' });
+  }
+  return parseCsv(await file.text());
+};
+
+const isBlankRow = (cells) => !cells || cells.every(cell => String(cell ?? '').trim() === '');
+
+// Split raw rows into headers and numbered data rows (row numbers match the spreadsheet)
+export const extractTable = (rows) => {
+  const headerIndex = rows.findIndex(cells => !isBlankRow(cells));
+  if (headerIndex === -1) {
+    return { headers: [], rows: [] };
+  }
+  const headers = rows[headerIndex].map((header, i) => String(header).trim() || `Column ${i + 1}`);
+  // Ignore trailing blank lines, which most exports end with
+  let lastIndex = rows.length - 1;
+  while (lastIndex > headerIndex && isBlankRow(rows[lastIndex])) {
+    lastIndex--;
+  }
+  const dataRows = rows.slice(headerIndex + 1, lastIndex + 1).map((cells, i) => ({
+    rowNumber: headerIndex + i + 2,
+    cells,
+  }));
+  return { headers, rows: dataRows };
+};
+
+// Parse county money formats such as "$1,234.56", "-$1,234.56" or "(1,234.56)". Only currency
+// symbols, thousands commas and spacing are ignored; anything else (ranges, letters, a second
+// decimal point) makes the value NaN rather than a different number.
+export const parseMoney = (value) => {
+  const text = String(value ?? '').trim();
+  if (!text) {
+    return null;
+  }
+  const parenthesized = text.match(/^\((.*)\)$/);
+  const digits = (parenthesized ? parenthesized[1] : text).replace(/[\s$€£,]/g, '');
+  const match = digits.match(/^(-?)(\d+\.?\d*|\.\d+)$/);
+  if (!match || (parenthesized && match[1])) {
+    return NaN;
+  }
+  const number = Number(match[2]);
+  return parenthesized || match[1] ? -number : number;
+};
+
+const parseCoordinate = (value) => {
+  const text = String(value ?? '').trim();
+  return text ? Number(text) : null;
+};
+
+const cellValue = (cells, mapping, key) => {
+  const index = mapping[key];
+  if (index === '' || index === undefined || index === null) {
+    return '';
+  }
+  return String(cells[index] ?? '').trim();
+};
+
+// Validate mapped rows.
+// Returns { valid: [{ rowNumber, lead }], invalid: [{ rowNumber, errors }], skipped: [{ rowNumber, reason }] }
+export const validateCountyRows = (tableRows, mapping, { existingParcelIds = [] } = {}) => {
+  const seenParcels = new Set(existingParcelIds.filter(Boolean).map(id => String(id).toLowerCase()));
+  const valid = [];
+  const invalid = [];
+  const skipped = [];
+
+  tableRows.forEach(({ rowNumber, cells }) => {
+    if (isBlankRow(cells)) {
+      skipped.push({ rowNumber, reason: 'Empty row' });
+      return;
+    }
+
+    const errors = [];
+    const address = cellValue(cells, mapping, 'address');
+    const parcelId = cellValue(cells, mapping, 'parcelId');
+    const propertyType = cellValue(cells, mapping, 'propertyType');
+    const ownerName = cellValue(cells, mapping, 'ownerName');
+    const taxAmount = parseMoney(cellValue(cells, mapping, 'taxAmount'));
+    const latitude = parseCoordinate(cellValue(cells, mapping, 'latitude'));
+    const longitude = parseCoordinate(cellValue(cells, mapping, 'longitude'));
+
+    if (!address) {
+      errors.push('Missing property address');
+    }
+    if (Number.isNaN(taxAmount)) {
+      errors.push(`Tax amount "${cellValue(cells, mapping, 'taxAmount')}" is not a number`);
+    } else if (taxAmount !== null && taxAmount < 0) {
+      errors.push('Tax amount cannot be negative');
+    }
+    if ((latitude === null) !== (longitude === null)) {
+      errors.push('Latitude and longitude must both be provided');
+    } else if (latitude !== null && (Number.isNaN(latitude) || Math.abs(latitude) > 90)) {
+      errors.push('Latitude must be between -90 and 90');
+    } else if (longitude !== null && (Number.isNaN(longitude) || Math.abs(longitude) > 180)) {
+      errors.push('Longitude must be between -180 and 180');
+    }
+
+    if (errors.length > 0) {
+      invalid.push({ rowNumber, errors });
+      return;
+    }
+
+    if (parcelId) {
+      const parcelKey = parcelId.toLowerCase();
+      if (seenParcels.has(parcelKey)) {
+        skipped.push({ rowNumber, reason: `Duplicate parcel ID ${parcelId}` });
+        return;
+      }
+      seenParcels.add(parcelKey);
+    }
+
+    // Firestore rejects undefined values, so only set the fields that are present
+    const lead = { propertyDetails: address };
+    if (parcelId) lead.parcelId = parcelId;
+    if (taxAmount !== null) lead.taxAmount = taxAmount;
+    if (propertyType) lead.propertyType = propertyType;
+    if (ownerName) lead.ownerName = ownerName;
+    if (latitude !== null) {
+      lead.latitude = latitude;
+      lead.longitude = longitude;
+    }
+    valid.push({ rowNumber, lead });
+  });
+
+  return { valid, invalid, skipped };
+};
+
+// Build a downloadable CSV report of skipped and invalid rows
+export const buildImportReport = ({ invalid, skipped }) => {
+  const records = [
+    ...invalid.map(({ rowNumber, errors }) => ({ row: rowNumber, status: 'Invalid', reason: errors.join('; ') })),
+    ...skipped.map(({ rowNumber, reason }) => ({ row: rowNumber, status: 'Skipped', reason })),
+  ].sort((a, b) => a.row - b.row);
+  return toCsv(records, ['row', 'status', 'reason']);
+};
@@ -0,0 +1,81 @@
+import { parseMoney, guessColumnMapping, extractTable, validateCountyRows, buildImportReport } from './countyImport';
+
+describe('parseMoney', () => {
+  test('reads county money formats', () => {
+    expect(parseMoney('$1,234.56')).toBe(1234.56);
+    expect(parseMoney(' 1 200 ')).toBe(1200);
+    expect(parseMoney('(1,234.56)')).toBe(-1234.56);
+    expect(parseMoney('-$50')).toBe(-50);
+    expect(parseMoney('$-50')).toBe(-50);
+    expect(parseMoney('.5')).toBe(0.5);
+    expect(parseMoney(900)).toBe(900);
+  });
+
+  test('treats blank values as missing', () => {
+    expect(parseMoney('')).toBeNull();
+    expect(parseMoney('  ')).toBeNull();
+    expect(parseMoney(null)).toBeNull();
+  });
+
+  test('rejects anything that is not a single amount', () => {
+    ['12abc', '$1,200 - $1,500', '1.2.3', 'N/A', '(-5)', '5-', '--5'].forEach(text => {
+      expect(parseMoney(text)).toBeNaN();
+    });
+  });
+});
+
+describe('guessColumnMapping', () => {
+  test('prefers exact header matches and leaves unknown fields unmapped', () => {
+    const mapping = guessColumnMapping(['Name', 'Owner Name', 'Situs_Address', 'Parcel #', 'Amount Due']);
+    expect(mapping).toMatchObject({ ownerName: 1, address: 2, parcelId: 3, taxAmount: 4, propertyType: '', latitude: '' });
+  });
+});
+
+describe('extractTable', () => {
+  test('numbers rows as the spreadsheet does and drops trailing blank lines', () => {
+    const { headers, rows } = extractTable([[''], ['Address', ''], ['12 Oak St', '100'], [''], ['', '']]);
+    expect(headers).toEqual(['Address', 'Column 2']);
+    expect(rows).toEqual([{ rowNumber: 3, cells: ['12 Oak St', '100'] }]);
+  });
+});
+
+describe('validateCountyRows', () => {
+  const mapping = { address: 0, parcelId: 1, taxAmount: 2, propertyType: '', ownerName: '', latitude: '', longitude: '' };
+  const row = (rowNumber, cells) => ({ rowNumber, cells });
+
+  test('sorts rows into valid, invalid and skipped', () => {
+    const { valid, invalid, skipped } = validateCountyRows([
+      row(2, ['12 Oak St', 'P-1', '$1,200.50']),
+      row(3, ['14 Oak St', 'P-2', '12abc']),
+      row(4, ['', 'P-3', '100']),
+      row(5, ['16 Oak St', 'p-1', '']),
+      row(6, ['18 Oak St', 'P-4', '-5']),
+      row(7, ['', '', '']),
+    ], mapping);
+    expect(valid).toEqual([{ rowNumber: 2, lead: { propertyDetails: '12 Oak St', parcelId: 'P-1', taxAmount: 1200.5 } }]);
+    expect(invalid).toEqual([
+      { rowNumber: 3, errors: ['Tax amount "12abc" is not a number'] },
+      { rowNumber: 4, errors: ['Missing property address'] },
+      { rowNumber: 6, errors: ['Tax amount cannot be negative'] },
+    ]);
+    expect(skipped).toEqual([
+      { rowNumber: 5, reason: 'Duplicate parcel ID p-1' },
+      { rowNumber: 7, reason: 'Empty row' },
+    ]);
+  });
+
+  test('skips parcels that are already leads', () => {
+    const { skipped } = validateCountyRows([row(2, ['12 Oak St', 'P-1', ''])], mapping, { existingParcelIds: ['p-1'] });
+    expect(skipped).toHaveLength(1);
+  });
+});
+
+describe('buildImportReport', () => {
+  test('lists invalid and skipped rows in sheet order', () => {
+    const report = buildImportReport({
+      invalid: [{ rowNumber: 4, errors: ['Missing property address', 'Bad tax'] }],
+      skipped: [{ rowNumber: 2, reason: 'Empty row' }],
+    });
+    expect(report).toBe('row,status,reason\r\n2,Skipped,Empty row\r\n4,Invalid,Missing property address; Bad tax');
+  });
+});
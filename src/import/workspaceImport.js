@@ -0,0 +1,170 @@
+import { WORKSPACE_FORMAT, WORKSPACE_VERSION, WORKSPACE_COLLECTIONS, LEAD_SUBCOLLECTIONS } from '../export/workspaceExport';
+
+// Restores a workspace backup into the current account. Nothing is written while planning:
+// planWorkspaceImport() returns a preview (per-collection counts and the conflicts found)
+// together with the flat list of writes to commit if the user goes ahead.
+
+export const CONFLICT_STRATEGIES = [
+  { key: 'skip', label: 'Keep existing', description: 'Records already in this workspace stay as they are.' },
+  { key: 'overwrite', label: 'Overwrite with backup', description: 'Matching records are replaced by the version in the backup.' },
+  { key: 'keepBoth', label: 'Keep both', description: 'Backup records are added alongside the matching ones.' },
+];
+
+export const COLLECTION_LABELS = {
+  contacts: 'Contacts',
+  documentTemplates: 'Document Templates',
+  savedViews: 'Saved Views',
+  ideas: 'Leads',
+  events: 'Calendar Events',
+};
+
+// Referenced collections come first so ids can be remapped: leads link contacts,
+// lead documents name their template, and events belong to a lead
+const IMPORT_ORDER = ['contacts', 'documentTemplates', 'savedViews', 'ideas', 'events'];
+
+const decodeValue = (value) => {
+  if (Array.isArray(value)) return value.map(decodeValue);
+  if (value && typeof value === 'object') {
+    if (typeof value.$timestamp === 'string' && Object.keys(value).length === 1) return new Date(value.$timestamp);
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decodeValue(item)]));
+  }
+  return value;
+};
+
+const isRecord = (value) => value && typeof value === 'object' && !Array.isArray(value) && typeof value.id === 'string' && value.id !== '';
+
+// Parse and validate a backup file; throws with a readable message if it can't be used
+export const parseWorkspaceFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (data?.format !== WORKSPACE_FORMAT) {
+    throw new Error('This file is not a workspace backup.');
+  }
+  if (!Number.isInteger(data.version) || data.version > WORKSPACE_VERSION) {
+    throw new Error(`Backup version ${data.version} is not supported by this version of the app (up to ${WORKSPACE_VERSION}).`);
+  }
+  const backup = { exportedAt: data.exportedAt, source: data.source || {} };
+  WORKSPACE_COLLECTIONS.forEach(key => {
+    backup[key] = (Array.isArray(data[key]) ? data[key] : []).filter(isRecord).map(decodeValue);
+  });
+  return backup;
+};
+
+const normalize = (text) => String(text ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Records that are the same thing under a different id (e.g. a lead imported twice)
+const MATCH_KEYS = {
+  contacts: (contact) => contact.sellerName && `${normalize(contact.sellerName)}|${String(contact.sellerPhone ?? '').replace(/\D/g, '')}|${normalize(contact.sellerEmail)}`,
+  documentTemplates: (template) => template.name && normalize(template.name),
+  savedViews: (view) => view.name && normalize(view.name),
+  ideas: (idea) => idea.propertyDetails && `${normalize(idea.propertyDetails)}|${normalize(idea.parcelId)}`,
+  events: (event) => `${event.ideaId}|${event.type}|${event.date}|${event.time || ''}|${normalize(event.title)}`,
+};
+
+export const describeRecord = (collection, record) => {
+  switch (collection) {
+    case 'contacts':
+      return record.sellerName || record.id;
+    case 'ideas':
+      return record.propertyDetails || record.id;
+    case 'events':
+      return [record.title, record.date].filter(Boolean).join(' on ') || record.id;
+    default:
+      return record.name || record.id;
+  }
+};
+
+// Point a record's references at the ids its targets were given in this workspace
+const remapReferences = (collection, record, idMaps) => {
+  if (collection === 'ideas') {
+    return {
+      ...record,
+      ...(Array.isArray(record.contactLinks) && {
+        contactLinks: record.contactLinks.map(link => ({ ...link, contactId: idMaps.contacts[link.contactId] || link.contactId })),
+      }),
+      ...(Array.isArray(record.documents) && {
+        documents: record.documents.map(document => ({ ...document, templateId: idMaps.documentTemplates[document.templateId] || document.templateId })),
+      }),
+    };
+  }
+  if (collection === 'events') {
+    return { ...record, ideaId: idMaps.ideas[record.ideaId] || record.ideaId };
+  }
+  return record;
+};
+
+// Firestore data for a record: no id, results back to a JSON string, owned by the importing user
+const toDocumentData = (collection, { id, ...data }, userId) => {
+  if (collection === 'ideas') {
+    LEAD_SUBCOLLECTIONS.forEach(key => delete data[key]);
+    if (data.generatedResults !== undefined && typeof data.generatedResults !== 'string') {
+      data.generatedResults = JSON.stringify(data.generatedResults);
+    }
+  }
+  if ((collection === 'ideas' || collection === 'contacts') && userId) {
+    data.userId = userId;
+  }
+  return data;
+};
+
+const defaultCreateId = () => `imp${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+
+// `existing` holds the workspace's current records by collection. Returns
+//   { strategy, summary: { [collection]: { total, create, overwrite, skip } }, conflicts, writes: [{ path, id, data }] }
+// where each write path is relative to the user's root, e.g. 'ideas' or 'ideas/{id}/history'.
+export const planWorkspaceImport = (backup, existing, { strategy = 'skip', userId, createId = defaultCreateId } = {}) => {
+  const idMaps = {};
+  const summary = {};
+  const conflicts = [];
+  const writes = [];
+
+  IMPORT_ORDER.forEach(collection => {
+    const current = existing[collection] || [];
+    const byId = new Map(current.map(record => [record.id, record]));
+    const byMatch = new Map(current.map(record => [MATCH_KEYS[collection](record), record]).filter(([key]) => key));
+    const counts = { total: backup[collection].length, create: 0, overwrite: 0, skip: 0 };
+    idMaps[collection] = {};
+
+    backup[collection].forEach(original => {
+      const record = remapReferences(collection, original, idMaps);
+      const matchKey = MATCH_KEYS[collection](record);
+      const match = byId.get(record.id) || (matchKey && byMatch.get(matchKey));
+      let targetId = record.id;
+      if (match) {
+        conflicts.push({
+          collection,
+          label: describeRecord(collection, record),
+          existingLabel: describeRecord(collection, match),
+          reason: match.id === record.id ? 'Same record already exists' : 'Looks like a duplicate',
+        });
+        if (strategy === 'skip') {
+          idMaps[collection][record.id] = match.id;
+          counts.skip += 1;
+          return;
+        }
+        if (strategy === 'overwrite') {
+          targetId = match.id;
+        } else if (byId.has(record.id)) {
+          targetId = createId();
+        }
+      }
+      idMaps[collection][record.id] = targetId;
+      counts[match && strategy === 'overwrite' ? 'overwrite' : 'create'] += 1;
+      writes.push({ path: collection, id: targetId, data: toDocumentData(collection, record, userId) });
+      if (collection === 'ideas') {
+        LEAD_SUBCOLLECTIONS.forEach(key => {
+          (Array.isArray(record[key]) ? record[key] : []).filter(isRecord).forEach(({ id, ...data }) => {
+            writes.push({ path: `ideas/${targetId}/${key}`, id, data });
+          });
+        });
+      }
+    });
+    summary[collection] = counts;
+  });
+
+  return { strategy, summary, conflicts, writes };
+};
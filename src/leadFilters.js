@@ -0,0 +1,151 @@
+import { LEAD_STATUSES, getLeadStatus } from './leadStatus';
+import { getUnderwritingSummary } from './underwriting';
+import { isInsideArea } from './utils/geo';
+
+// Deal Flow filters, sort orders and saved views. Filters combine with AND; an empty
+// list or blank bound means "any". The map area lives in App state (shared with the
+// Portfolio Map) and is passed in as `area`. In a team workspace `assignment` narrows
+// the pipeline to the signed-in user's leads or to those nobody has picked up yet.
+
+export const LEAD_SOURCES = [
+  { key: 'county', label: 'County List' },
+  { key: 'ai', label: 'AI Auto-Generated' },
+  { key: 'manual', label: 'Manual' },
+];
+
+export const EMPTY_LEAD_FILTERS = {
+  search: '',
+  statuses: [],
+  sources: [],
+  propertyTypes: [],
+  minTax: '',
+  maxTax: '',
+  createdFrom: '', // 'YYYY-MM-DD'
+  createdTo: '',
+  assignment: 'all', // one of ASSIGNMENT_VIEWS
+};
+
+export const ASSIGNMENT_VIEWS = [
+  { key: 'all', label: 'All Leads' },
+  { key: 'mine', label: 'My Leads' },
+  { key: 'unassigned', label: 'Unassigned' },
+];
+
+export const SORT_OPTIONS = [
+  { key: 'default', label: 'Sort: Default' },
+  { key: 'dateDesc', label: 'Newest First' },
+  { key: 'dateAsc', label: 'Oldest First' },
+  { key: 'taxDesc', label: 'Tax Owed: High to Low' },
+  { key: 'taxAsc', label: 'Tax Owed: Low to High' },
+  { key: 'profitDesc', label: 'Projected Profit: High to Low' },
+  { key: 'profitAsc', label: 'Projected Profit: Low to High' },
+  { key: 'status', label: 'Status (Pipeline Order)' },
+  { key: 'scoreDesc', label: 'Score: High to Low' },
+  { key: 'scoreAsc', label: 'Score: Low to High' },
+];
+
+// Leads saved before sources were recorded were entered by hand unless they came from a county list
+export const getLeadSource = (idea) => (LEAD_SOURCES.some(({ key }) => key === idea.source) ? idea.source : 'manual');
+
+// Creation time in ms; a lead whose server timestamp hasn't resolved yet was just created
+export const getLeadCreatedAt = (idea) => (idea.timestamp?.toMillis ? idea.timestamp.toMillis() : Date.now());
+
+export const getPropertyTypes = (ideas) =>
+  [...new Set(ideas.map(idea => idea.propertyType).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+const toNumberOrNull = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Local midnight of a 'YYYY-MM-DD' date, shifted by whole days
+const parseDay = (value, addDays = 0) => {
+  const [year, month, day] = String(value).split('-').map(Number);
+  return year && month && day ? new Date(year, month - 1, day + addDays).getTime() : null;
+};
+
+const matchesSearch = (idea, term) => {
+  if (!term) return true;
+  const needle = term.toLowerCase();
+  return [idea.propertyDetails, idea.ownerName, idea.parcelId]
+    .some(value => value && String(value).toLowerCase().includes(needle));
+};
+
+const matchesAssignment = (idea, assignment, userId) => {
+  if (assignment === 'mine') return Boolean(userId) && idea.assignedTo === userId;
+  if (assignment === 'unassigned') return !idea.assignedTo;
+  return true;
+};
+
+// `userId` is who "My Leads" means
+export const filterLeads = (ideas, { area, ...filters }, { userId } = {}) => {
+  const minTax = toNumberOrNull(filters.minTax);
+  const maxTax = toNumberOrNull(filters.maxTax);
+  const createdFrom = parseDay(filters.createdFrom);
+  const createdBefore = parseDay(filters.createdTo, 1);
+  return ideas.filter(idea => {
+    if (!matchesSearch(idea, filters.search)) return false;
+    if (!matchesAssignment(idea, filters.assignment, userId)) return false;
+    if (filters.statuses.length > 0 && !filters.statuses.includes(getLeadStatus(idea))) return false;
+    if (filters.sources.length > 0 && !filters.sources.includes(getLeadSource(idea))) return false;
+    if (filters.propertyTypes.length > 0 && !filters.propertyTypes.includes(idea.propertyType)) return false;
+    if (minTax !== null || maxTax !== null) {
+      // A tax range only matches leads that have a tax amount
+      const tax = toNumberOrNull(idea.taxAmount);
+      if (tax === null || (minTax !== null && tax < minTax) || (maxTax !== null && tax > maxTax)) return false;
+    }
+    const createdAt = getLeadCreatedAt(idea);
+    if (createdFrom !== null && createdAt < createdFrom) return false;
+    if (createdBefore !== null && createdAt >= createdBefore) return false;
+    return isInsideArea(idea, area);
+  });
+};
+
+// Leads without a value for the sort key (no tax amount, not underwritten, not scored) sort last either way
+const compareWithMissing = (a, b, descending) => {
+  if (a === null || b === null) return (a === null) - (b === null);
+  return descending ? b - a : a - b;
+};
+
+export const sortLeads = (ideas, sortOrder, scoresById = {}) => {
+  const sorters = {
+    dateDesc: (a, b) => getLeadCreatedAt(b) - getLeadCreatedAt(a),
+    dateAsc: (a, b) => getLeadCreatedAt(a) - getLeadCreatedAt(b),
+    taxDesc: (a, b) => compareWithMissing(toNumberOrNull(a.taxAmount), toNumberOrNull(b.taxAmount), true),
+    taxAsc: (a, b) => compareWithMissing(toNumberOrNull(a.taxAmount), toNumberOrNull(b.taxAmount), false),
+    profitDesc: (a, b) => compareWithMissing(getUnderwritingSummary(a)?.profit ?? null, getUnderwritingSummary(b)?.profit ?? null, true),
+    profitAsc: (a, b) => compareWithMissing(getUnderwritingSummary(a)?.profit ?? null, getUnderwritingSummary(b)?.profit ?? null, false),
+    status: (a, b) => LEAD_STATUSES.indexOf(getLeadStatus(a)) - LEAD_STATUSES.indexOf(getLeadStatus(b)),
+    scoreDesc: (a, b) => compareWithMissing(scoresById[a.id]?.score ?? null, scoresById[b.id]?.score ?? null, true),
+    scoreAsc: (a, b) => compareWithMissing(scoresById[a.id]?.score ?? null, scoresById[b.id]?.score ?? null, false),
+  };
+  return sorters[sortOrder] ? [...ideas].sort(sorters[sortOrder]) : ideas;
+};
+
+// Number of filters in use, not counting the search box or the assignment view
+export const countActiveFilters = (filters, area) =>
+  [filters.statuses.length, filters.sources.length, filters.propertyTypes.length].filter(Boolean).length +
+  [filters.minTax || filters.maxTax, filters.createdFrom || filters.createdTo, area].filter(Boolean).length;
+
+// Saved views are stored per user as { name, filters, area, sortOrder, createdAt }. Firestore can't
+// hold nested arrays (polygon points), so the area is kept as a JSON string.
+export const serializeView = ({ name, filters, area, sortOrder }) => ({
+  name,
+  filters: { ...EMPTY_LEAD_FILTERS, ...filters },
+  area: area ? JSON.stringify(area) : null,
+  sortOrder,
+});
+
+export const parseView = (view) => {
+  let area = null;
+  try {
+    area = view.area ? JSON.parse(view.area) : null;
+  } catch (e) {
+    console.warn(`Ignoring the unreadable map area of view "${view.name}":`, e);
+  }
+  return {
+    filters: { ...EMPTY_LEAD_FILTERS, ...view.filters },
+    area,
+    sortOrder: SORT_OPTIONS.some(({ key }) => key === view.sortOrder) ? view.sortOrder : 'default',
+  };
+};
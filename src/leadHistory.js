@@ -0,0 +1,84 @@
+import { LEAD_STATUSES, getLeadStatus } from './leadStatus';
+
+// Status history analytics: time spent in each pipeline stage and
+// stage-to-stage conversion, built from each idea's history entries
+// ({ fromStatus, toStatus, changedAt, changedBy }).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Firestore Timestamps, Dates, ISO strings and epoch millis all become millis
+export const toMillis = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+const sortHistory = (history = []) =>
+  history
+    .filter(entry => toMillis(entry.changedAt) !== null)
+    .sort((a, b) => toMillis(a.changedAt) - toMillis(b.changedAt));
+
+// Split an idea's life into stage intervals: [{ status, enteredAt, exitedAt }]
+// The last interval is open (exitedAt === null) while the idea sits in that stage.
+export const buildStageIntervals = (idea, history) => {
+  const entries = sortHistory(history);
+  const intervals = [];
+  let status = entries.length > 0 ? entries[0].fromStatus || 'New' : getLeadStatus(idea);
+  let enteredAt = toMillis(idea.timestamp) ?? (entries.length > 0 ? toMillis(entries[0].changedAt) : null);
+
+  entries.forEach(entry => {
+    const changedAt = toMillis(entry.changedAt);
+    if (enteredAt !== null) {
+      intervals.push({ status, enteredAt, exitedAt: changedAt });
+    }
+    status = entry.toStatus;
+    enteredAt = changedAt;
+  });
+  if (enteredAt !== null) {
+    intervals.push({ status, enteredAt, exitedAt: null });
+  }
+  return intervals;
+};
+
+// Average days per stage and funnel conversion between consecutive stages.
+// Open intervals are measured up to `now` so stalled deals count; the final
+// stage is excluded since deals are expected to stay there.
+export const computeStageMetrics = (ideas, historyByIdea, now = Date.now()) => {
+  const durations = Object.fromEntries(LEAD_STATUSES.map(status => [status, []]));
+  const furthestStage = [];
+
+  ideas.forEach(idea => {
+    const history = historyByIdea[idea.id] || [];
+    const intervals = buildStageIntervals(idea, history);
+    intervals.forEach(({ status, enteredAt, exitedAt }) => {
+      if (durations[status] && status !== LEAD_STATUSES[LEAD_STATUSES.length - 1]) {
+        durations[status].push(((exitedAt ?? now) - enteredAt) / DAY_MS);
+      }
+    });
+
+    const visited = [getLeadStatus(idea), ...history.flatMap(entry => [entry.fromStatus, entry.toStatus])];
+    furthestStage.push(Math.max(...visited.map(status => LEAD_STATUSES.indexOf(status))));
+  });
+
+  const averageDaysInStage = Object.fromEntries(LEAD_STATUSES.map(status => {
+    const values = durations[status];
+    return [status, values.length > 0 ? values.reduce((sum, days) => sum + days, 0) / values.length : null];
+  }));
+
+  const conversionRates = LEAD_STATUSES.slice(0, -1).map((from, index) => {
+    const reached = furthestStage.filter(stage => stage >= index).length;
+    const converted = furthestStage.filter(stage => stage >= index + 1).length;
+    return {
+      from,
+      to: LEAD_STATUSES[index + 1],
+      reached,
+      converted,
+      rate: reached > 0 ? converted / reached : null,
+    };
+  });
+
+  return { averageDaysInStage, conversionRates };
+};
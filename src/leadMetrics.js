@@ -0,0 +1,34 @@
+import { parseGeneratedResults } from './ai/leadSchema';
+import { getActiveScenario } from './underwriting';
+
+// Derived numbers for leads, shared by Deal Flow and the Dashboard
+
+// Parse a single money amount such as "$150,000", "150k" or "$1.2M"
+export const parseMoneyAmount = (text) => {
+  const match = String(text).replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([kKmM])?/);
+  if (!match) return null;
+  const multiplier = { k: 1e3, m: 1e6 }[(match[2] || '').toLowerCase()] || 1;
+  return parseFloat(match[1]) * multiplier;
+};
+
+// Parse an AI offer range like "$150,000 - $180,000" into { low, high }
+export const parseOfferRange = (range) => {
+  if (!range) return null;
+  const amounts = String(range)
+    .split(/\s*(?:-|–|—|\bto\b)\s*(?=\$?\d)/i)
+    .map(parseMoneyAmount)
+    .filter(amount => amount !== null);
+  if (amounts.length === 0) return null;
+  return { low: Math.min(...amounts), high: Math.max(...amounts) };
+};
+
+// Projected value of a lead: the saved underwriting's sales price, falling back
+// to the midpoint of the AI suggested offer range
+export const getProjectedValue = (idea) => {
+  const scenario = getActiveScenario(idea);
+  if (scenario?.salesPrice > 0) return scenario.salesPrice;
+  const range = parseOfferRange(parseGeneratedResults(idea.generatedResults)?.suggestedOfferRange);
+  return range ? (range.low + range.high) / 2 : 0;
+};
+
+export const formatCurrency = (value) => `$${Math.round(value || 0).toLocaleString()}`;
@@ -0,0 +1,21 @@
+// Deal pipeline stages, in order, with their badge and chart colors
+
+export const LEAD_STATUSES = ['New', 'Contacted', 'Offer Made', 'Under Contract', 'Sold'];
+
+export const STATUS_BADGE_CLASSES = {
+  'New': 'bg-gray-200 text-gray-800',
+  'Contacted': 'bg-yellow-200 text-yellow-800',
+  'Offer Made': 'bg-blue-200 text-blue-800',
+  'Under Contract': 'bg-purple-200 text-purple-800',
+  'Sold': 'bg-green-200 text-green-800',
+};
+
+export const STATUS_COLORS = {
+  'New': '#94a3b8', // blue-gray
+  'Contacted': '#fbbf24', // yellow
+  'Offer Made': '#60a5fa', // blue
+  'Under Contract': '#a855f7', // purple
+  'Sold': '#34d399', // green
+};
+
+export const getLeadStatus = (idea) => (LEAD_STATUSES.includes(idea.status) ? idea.status : 'New');
@@ -0,0 +1,16 @@
+import { writeBatch } from 'firebase/firestore';
+
+// Firestore batches are capped at 500 writes; bulk writes are chunked below that
+export const BATCH_WRITE_LIMIT = 400;
+
+// Commit `addToBatch(batch, item)` for every item, chunked so no batch exceeds BATCH_WRITE_LIMIT writes.
+// onProgress(done) is called with the number of items committed after each batch.
+export const commitInBatches = async (db, items, addToBatch, { writesPerItem = 1, onProgress } = {}) => {
+  const chunkSize = Math.max(Math.floor(BATCH_WRITE_LIMIT / writesPerItem), 1);
+  for (let start = 0; start < items.length; start += chunkSize) {
+    const batch = writeBatch(db);
+    items.slice(start, start + chunkSize).forEach(item => addToBatch(batch, item));
+    await batch.commit();
+    if (onProgress) onProgress(Math.min(start + chunkSize, items.length));
+  }
+};
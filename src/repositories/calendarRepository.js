@@ -0,0 +1,43 @@
+import { doc, setDoc, onSnapshot, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { createRepositoryContext, userRootPath } from './context';
+import { toRepositoryError } from './errors';
+
+// Each workspace's upcoming events are published as their own subscribable feed at
+// `calendarFeeds/{token}`, served by the calendarFeed function. The user keeps one token per
+// workspace in their settings (`settings/calendar` for personal data, `settings/calendar-{workspaceId}`
+// for a team), so working in another workspace never overwrites a feed already subscribed to.
+
+export const calendarSettingsId = (workspaceId) => (workspaceId ? `calendar-${workspaceId}` : 'calendar');
+
+export const createCalendarRepository = ({ db, appId, userId, workspaceId }) => {
+  const context = createRepositoryContext({ db, appId, userId, workspaceId });
+  const { run } = context;
+  const settingsRef = () => doc(db, `${userRootPath(appId, userId)}/settings`, calendarSettingsId(workspaceId));
+  const feedRef = (token) => doc(db, `artifacts/${appId}/calendarFeeds`, token);
+
+  // Calls onChange with the workspace's feed token, creating one on first use; returns the unsubscribe function
+  const subscribeToFeedToken = (onChange, onError = () => {}) => {
+    if (!context.isReady) return () => {};
+    return onSnapshot(settingsRef(), (snapshot) => {
+      if (snapshot.exists() && snapshot.data().feedToken) {
+        onChange(snapshot.data().feedToken);
+      } else {
+        setDoc(settingsRef(), { feedToken: crypto.randomUUID() }).catch(error => onError(toRepositoryError(error)));
+      }
+    }, (error) => onError(toRepositoryError(error)));
+  };
+
+  const publishFeed = (token, ics) => run(() => setDoc(feedRef(token), {
+    userId,
+    ics,
+    updatedAt: serverTimestamp(),
+  }));
+
+  // Issues a new token and removes the feed published under the old one
+  const regenerateFeedToken = (token) => run(() => writeBatch(db)
+    .delete(feedRef(token))
+    .set(settingsRef(), { feedToken: crypto.randomUUID() })
+    .commit());
+
+  return { isReady: context.isReady, subscribeToFeedToken, publishFeed, regenerateFeedToken };
+};
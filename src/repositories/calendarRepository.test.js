@@ -0,0 +1,50 @@
+/**
+ * @jest-environment node
+ */
+import { doc, getDoc } from 'firebase/firestore';
+import { createCalendarRepository, calendarSettingsId } from './calendarRepository';
+import { describeWithEmulator, connectTestFirestore, clearFirestore, nextValue, TEST_APP_ID } from './testEmulator';
+
+const USER_ID = 'alice';
+
+describe('calendar settings', () => {
+  test('each workspace keeps its own feed token', () => {
+    expect(calendarSettingsId(null)).toBe('calendar');
+    expect(calendarSettingsId('team1')).toBe('calendar-team1');
+  });
+});
+
+describeWithEmulator('calendar repository (Firestore emulator)', () => {
+  let connection;
+  const calendarFor = (workspaceId) => createCalendarRepository({ db: connection.db, appId: TEST_APP_ID, userId: USER_ID, workspaceId });
+  const readFeed = async (token) => (await getDoc(doc(connection.db, `artifacts/${TEST_APP_ID}/calendarFeeds`, token))).data();
+
+  beforeEach(async () => {
+    await clearFirestore();
+    connection = connectTestFirestore(USER_ID);
+  });
+
+  afterEach(() => connection.close());
+
+  test('switching workspace does not erase the other workspace\'s events from its feed', async () => {
+    const personal = calendarFor(null);
+    const team = calendarFor('team1');
+    const personalToken = await nextValue(personal.subscribeToFeedToken);
+    const teamToken = await nextValue(team.subscribeToFeedToken);
+    expect(teamToken).not.toBe(personalToken);
+
+    await personal.publishFeed(personalToken, 'SUMMARY:Closing on 12 Oak St');
+    await team.publishFeed(teamToken, 'SUMMARY:Walkthrough at 14 Elm St');
+    expect(await readFeed(personalToken)).toMatchObject({ userId: USER_ID, ics: 'SUMMARY:Closing on 12 Oak St' });
+    expect((await readFeed(teamToken)).ics).toBe('SUMMARY:Walkthrough at 14 Elm St');
+  });
+
+  test('regenerating a token removes the old feed', async () => {
+    const personal = calendarFor(null);
+    const token = await nextValue(personal.subscribeToFeedToken);
+    await personal.publishFeed(token, 'SUMMARY:Closing');
+    await personal.regenerateFeedToken(token);
+    expect(await readFeed(token)).toBeUndefined();
+    expect(await nextValue(personal.subscribeToFeedToken, (next) => next !== token)).toBeTruthy();
+  });
+});
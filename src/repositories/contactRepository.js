@@ -0,0 +1,40 @@
+import { collection, doc, addDoc, writeBatch, serverTimestamp, arrayRemove } from 'firebase/firestore';
+import { createRepositoryContext } from './context';
+
+// Contacts live in the `contacts` collection of the user's data or team workspace, and are
+// linked to leads through each lead's `contactLinks` array of { contactId, role }.
+
+export const createContactRepository = ({ db, appId, userId, workspaceId }) => {
+  const context = createRepositoryContext({ db, appId, userId, workspaceId });
+  const { run, path, listen } = context;
+
+  // Live list of contacts; returns the unsubscribe function
+  const subscribe = (onChange, onError) => listen(path('contacts'), onChange, onError);
+
+  // Returns the new contact's id
+  const create = (contact) => run(async () => {
+    const ref = await addDoc(collection(db, path('contacts')), {
+      ...contact,
+      timestamp: serverTimestamp(),
+      userId,
+    });
+    return ref.id;
+  });
+
+  // Removes the contact from any of `ideas` it is linked to, along with the contact itself
+  const remove = (id, ideas) => run(async () => {
+    const batch = writeBatch(db);
+    ideas.forEach(idea => {
+      const links = (idea.contactLinks || []).filter(link => link.contactId === id);
+      if (links.length > 0) {
+        batch.update(doc(db, path('ideas'), idea.id), {
+          contactLinks: arrayRemove(...links.map(link => ({ contactId: link.contactId, role: link.role }))),
+        });
+      }
+    });
+    batch.delete(doc(db, path('contacts'), id));
+    await batch.commit();
+  });
+
+  return { isReady: context.isReady, subscribe, create, remove };
+};
@@ -0,0 +1,52 @@
+/**
+ * @jest-environment node
+ */
+import { doc, getDoc } from 'firebase/firestore';
+import { createContactRepository } from './contactRepository';
+import { createLeadRepository } from './leadRepository';
+import { userRootPath } from './context';
+import { describeWithEmulator, connectTestFirestore, clearFirestore, nextValue, TEST_APP_ID } from './testEmulator';
+
+const USER_ID = 'alice';
+
+describeWithEmulator('contact repository (Firestore emulator)', () => {
+  let connection;
+  let contacts;
+  let leads;
+
+  beforeEach(async () => {
+    await clearFirestore();
+    connection = connectTestFirestore(USER_ID);
+    contacts = createContactRepository({ db: connection.db, appId: TEST_APP_ID, userId: USER_ID });
+    leads = createLeadRepository({ db: connection.db, appId: TEST_APP_ID, userId: USER_ID });
+  });
+
+  afterEach(() => connection.close());
+
+  test('creates a contact owned by the user', async () => {
+    const id = await contacts.create({ sellerName: 'Jane Doe', sellerPhone: '555-0100', sellerEmail: '' });
+    const stored = (await getDoc(doc(connection.db, `${userRootPath(TEST_APP_ID, USER_ID)}/contacts`, id))).data();
+    expect(stored).toMatchObject({ sellerName: 'Jane Doe', userId: USER_ID });
+    expect(stored.timestamp).toBeTruthy();
+  });
+
+  test('subscribe delivers the contacts', async () => {
+    await contacts.create({ sellerName: 'Jane Doe' });
+    const records = await nextValue(contacts.subscribe, (list) => list.length === 1);
+    expect(records[0]).toMatchObject({ sellerName: 'Jane Doe' });
+    expect(records[0].id).toBeTruthy();
+  });
+
+  test('remove unlinks the contact from its leads', async () => {
+    const contactId = await contacts.create({ sellerName: 'Jane Doe' });
+    const ideaId = await leads.create({ propertyDetails: '12 Oak St' });
+    await leads.linkContact(ideaId, contactId, 'Seller');
+    await leads.linkContact(ideaId, contactId, 'Buyer');
+    await leads.linkContact(ideaId, 'other', 'Agent');
+
+    await contacts.remove(contactId, [await leads.get(ideaId)]);
+
+    expect((await leads.get(ideaId)).contactLinks).toEqual([{ contactId: 'other', role: 'Agent' }]);
+    expect((await getDoc(doc(connection.db, `${userRootPath(TEST_APP_ID, USER_ID)}/contacts`, contactId))).exists()).toBe(false);
+  });
+});
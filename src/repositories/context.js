@@ -0,0 +1,46 @@
+import { collection, onSnapshot } from 'firebase/firestore';
+import { RepositoryError, toRepositoryError } from './errors';
+
+// Every user's data lives under artifacts/{appId}/users/{userId}
+export const userRootPath = (appId, userId) => `artifacts/${appId}/users/${userId}`;
+
+// A team workspace's shared data lives under artifacts/{appId}/workspaces/{workspaceId}
+export const workspaceRootPath = (appId, workspaceId) => `artifacts/${appId}/workspaces/${workspaceId}`;
+
+// Where leads, contacts and events are read and written: the team workspace if one is given, else the user's own
+export const dataRootPath = (appId, userId, workspaceId) => (
+  workspaceId ? workspaceRootPath(appId, workspaceId) : userRootPath(appId, userId)
+);
+
+// Query results as plain records with their document ids
+export const toRecords = (snapshot) => snapshot.docs.map(snapshotDoc => ({ id: snapshotDoc.id, ...snapshotDoc.data() }));
+
+// What each repository is built on: the paths of the user's data (or of `workspaceId`'s), run() to check the database and
+// signed-in user are available before an operation and map whatever it throws, and
+// listen() for live queries
+export const createRepositoryContext = ({ db, appId, userId, workspaceId = null }) => {
+  const isReady = Boolean(db && userId);
+
+  const requireReady = () => {
+    if (!isReady) throw new RepositoryError('not-ready');
+  };
+
+  const path = (...segments) => [dataRootPath(appId, userId, workspaceId), ...segments].join('/');
+
+  const run = async (operation) => {
+    try {
+      requireReady();
+      return await operation();
+    } catch (e) {
+      throw toRepositoryError(e);
+    }
+  };
+
+  // Calls onChange with the collection's records now and after every change; returns the unsubscribe function
+  const listen = (collectionPath, onChange, onError = () => {}) => {
+    if (!isReady) return () => {};
+    return onSnapshot(collection(db, collectionPath), (snapshot) => onChange(toRecords(snapshot)), (error) => onError(toRepositoryError(error)));
+  };
+
+  return { db, userId, isReady, requireReady, path, run, listen };
+};
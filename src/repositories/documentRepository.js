@@ -0,0 +1,86 @@
+import { collection, doc, setDoc, getDocs, updateDoc, deleteDoc, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { createRepositoryContext, toRecords } from './context';
+import { RepositoryError } from './errors';
+import { getNextVersion } from '../documents';
+
+// Generated letters are saved as versions in `ideas/{id}/documents` and never edited afterwards,
+// except to mark them sent. The user's own letter templates live in `documentTemplates`.
+// Version numbers come from a per-type counter on the lead, `documentVersions.{type}`, which is
+// advanced in the same transaction that saves the letter so two saves never get the same version.
+
+export const createDocumentRepository = ({ db, appId, userId, workspaceId }) => {
+  const context = createRepositoryContext({ db, appId, userId, workspaceId });
+  const { run, path, listen } = context;
+  const documentsRef = (ideaId) => collection(db, path('ideas', ideaId, 'documents'));
+
+  const toNewDocument = (document, version) => ({
+    ...document,
+    version,
+    title: `${document.templateName} v${version}`,
+    createdAt: serverTimestamp(),
+    createdBy: userId,
+    sentAt: document.status === 'sent' ? serverTimestamp() : null,
+  });
+
+  // Saved letters for one lead; returns the unsubscribe function
+  const subscribe = (ideaId, onChange, onError) => listen(path('ideas', ideaId, 'documents'), onChange, onError);
+
+  const list = (ideaId) => run(async () => toRecords(await getDocs(documentsRef(ideaId))));
+
+  // Saves the letter as the next version of its type; letters saved before the lead had a
+  // counter start it from their highest version
+  const saveVersion = (ideaId, document) => runTransaction(db, async (transaction) => {
+    const leadRef = doc(db, path('ideas'), ideaId);
+    const lead = await transaction.get(leadRef);
+    if (!lead.exists()) throw new RepositoryError('not-found');
+    const latest = lead.data().documentVersions?.[document.type];
+    const version = latest === undefined ? getNextVersion(toRecords(await getDocs(documentsRef(ideaId))), document.type) : latest + 1;
+    const documentRef = doc(documentsRef(ideaId));
+    const saved = toNewDocument(document, version);
+    transaction.update(leadRef, { [`documentVersions.${document.type}`]: version });
+    transaction.set(documentRef, saved);
+    return { id: documentRef.id, version, title: saved.title };
+  });
+
+  // `document` has no version or title; returns { id, version, title } as saved
+  const create = (ideaId, document) => run(() => saveVersion(ideaId, document));
+
+  // letters: [{ ideaId, document }], saved one at a time; onProgress(done) counts saved letters.
+  // Letters saved before a failure are kept, so callers report the last count they were given.
+  const createMany = (letters, { onProgress } = {}) => run(async () => {
+    for (const [index, { ideaId, document }] of letters.entries()) {
+      await saveVersion(ideaId, document);
+      if (onProgress) onProgress(index + 1);
+    }
+  });
+
+  const markSent = (ideaId, documentId) => run(() => updateDoc(doc(documentsRef(ideaId), documentId), {
+    status: 'sent',
+    sentAt: serverTimestamp(),
+  }));
+
+  // The user's templates; returns the unsubscribe function
+  const subscribeToTemplates = (onChange, onError) => listen(path('documentTemplates'), onChange, onError);
+
+  // Creates the template, or replaces it when `id` is given; returns its id
+  const saveTemplate = ({ id, name, type, body }) => run(async () => {
+    const templatesRef = collection(db, path('documentTemplates'));
+    const templateRef = id ? doc(templatesRef, id) : doc(templatesRef);
+    await setDoc(templateRef, { name, type, body, updatedAt: serverTimestamp() });
+    return templateRef.id;
+  });
+
+  const removeTemplate = (id) => run(() => deleteDoc(doc(db, path('documentTemplates'), id)));
+
+  return {
+    isReady: context.isReady,
+    subscribe,
+    list,
+    create,
+    createMany,
+    markSent,
+    subscribeToTemplates,
+    saveTemplate,
+    removeTemplate,
+  };
+};
@@ -0,0 +1,80 @@
+/**
+ * @jest-environment node
+ */
+import { doc, setDoc } from 'firebase/firestore';
+import { createDocumentRepository } from './documentRepository';
+import { userRootPath } from './context';
+import { describeWithEmulator, connectTestFirestore, clearFirestore, nextValue, TEST_APP_ID } from './testEmulator';
+
+const USER_ID = 'alice';
+const LETTER = { type: 'offerLetter', templateName: 'Offer Letter', content: 'Dear Jane', status: 'draft' };
+
+describeWithEmulator('document repository (Firestore emulator)', () => {
+  let connection;
+  let documents;
+  const addLead = (id) => setDoc(doc(connection.db, `${userRootPath(TEST_APP_ID, USER_ID)}/ideas`, id), { propertyDetails: id, userId: USER_ID });
+
+  beforeEach(async () => {
+    await clearFirestore();
+    connection = connectTestFirestore(USER_ID);
+    documents = createDocumentRepository({ db: connection.db, appId: TEST_APP_ID, userId: USER_ID });
+    await Promise.all(['lead1', 'lead2'].map(addLead));
+  });
+
+  afterEach(() => connection.close());
+
+  test('saves letters as versions on the lead', async () => {
+    expect(await documents.create('lead1', LETTER)).toMatchObject({ version: 1, title: 'Offer Letter v1' });
+    expect(await documents.create('lead1', { ...LETTER, status: 'sent' })).toMatchObject({ version: 2, title: 'Offer Letter v2' });
+    const saved = await documents.list('lead1');
+    expect(saved).toHaveLength(2);
+    const sent = saved.find(letter => letter.version === 2);
+    expect(sent).toMatchObject({ createdBy: USER_ID, status: 'sent', title: 'Offer Letter v2' });
+    expect(sent.sentAt).toBeTruthy();
+    expect(saved.find(letter => letter.version === 1).sentAt).toBeNull();
+    expect(await documents.list('lead2')).toEqual([]);
+  });
+
+  test('letters saved at the same time get different versions', async () => {
+    await Promise.all([1, 2, 3].map(() => documents.create('lead1', LETTER)));
+    const versions = (await documents.list('lead1')).map(letter => letter.version);
+    expect(versions.sort()).toEqual([1, 2, 3]);
+  });
+
+  test('continues from letters saved before the lead had a version counter', async () => {
+    await setDoc(doc(connection.db, `${userRootPath(TEST_APP_ID, USER_ID)}/ideas/lead1/documents`, 'old'), { ...LETTER, version: 4 });
+    expect((await documents.create('lead1', LETTER)).version).toBe(5);
+  });
+
+  test('saving a letter for a missing lead fails with not-found', async () => {
+    await expect(documents.create('missing', LETTER)).rejects.toMatchObject({ code: 'not-found' });
+  });
+
+  test('createMany saves a letter for each lead', async () => {
+    const progress = [];
+    await documents.createMany([{ ideaId: 'lead1', document: LETTER }, { ideaId: 'lead2', document: LETTER }], { onProgress: (done) => progress.push(done) });
+    expect(await documents.list('lead1')).toHaveLength(1);
+    expect(await documents.list('lead2')).toHaveLength(1);
+    expect(progress).toEqual([1, 2]);
+  });
+
+  test('markSent records when the letter went out', async () => {
+    const { id } = await documents.create('lead1', LETTER);
+    await documents.markSent('lead1', id);
+    const [letter] = await nextValue((onChange, onError) => documents.subscribe('lead1', onChange, onError), (list) => list[0]?.status === 'sent');
+    expect(letter.sentAt).toBeTruthy();
+  });
+
+  test('saves, replaces and removes templates', async () => {
+    const id = await documents.saveTemplate({ name: 'Cash Offer', type: 'offerLetter', body: 'Hi {{sellerName}}' });
+    await documents.saveTemplate({ id, name: 'Cash Offer', type: 'offerLetter', body: 'Hello {{sellerName}}' });
+    const templates = await nextValue(documents.subscribeToTemplates, (list) => list.length === 1 && list[0].body.startsWith('Hello'));
+    expect(templates[0]).toMatchObject({ id, name: 'Cash Offer' });
+    await documents.removeTemplate(id);
+    await nextValue(documents.subscribeToTemplates, (list) => list.length === 0);
+  });
+
+  test('marking a missing letter as sent fails with not-found', async () => {
+    await expect(documents.markSent('lead1', 'missing')).rejects.toMatchObject({ code: 'not-found' });
+  });
+});
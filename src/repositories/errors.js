@@ -0,0 +1,32 @@
+// Failures from the repositories carry a stable `code` and a message that can be shown to the user;
+// the original Firestore error is kept as `cause` for logging.
+
+const MESSAGES = {
+  'not-ready': 'The database or signed-in user is not available yet.',
+  'permission-denied': 'You do not have permission to access this data.',
+  'unauthenticated': 'Your session has expired. Sign in again.',
+  'not-found': 'The record no longer exists.',
+  'unavailable': 'The database could not be reached. Check your connection and try again.',
+  'deadline-exceeded': 'The database took too long to respond. Try again.',
+  'resource-exhausted': 'The database quota has been exceeded. Try again later.',
+  'unknown': 'The database request failed.',
+};
+
+export class RepositoryError extends Error {
+  constructor(code, cause) {
+    super(MESSAGES[code] || MESSAGES.unknown);
+    this.name = 'RepositoryError';
+    this.code = MESSAGES[code] ? code : 'unknown';
+    this.cause = cause;
+  }
+}
+
+// Firestore errors are mapped by their code; anything else becomes 'unknown'
+export const toRepositoryError = (error) => (
+  error instanceof RepositoryError ? error : new RepositoryError(error?.code, error)
+);
+
+// A toast message for a failed operation, with the reason when the repository knows it
+export const describeFailure = (message, error) => (
+  error instanceof RepositoryError && error.code !== 'unknown' ? `${message} ${error.message}` : message
+);
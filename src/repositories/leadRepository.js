@@ -0,0 +1,191 @@
+import { collection, collectionGroup, doc, addDoc, getDoc, getDocs, updateDoc, query, where, onSnapshot, writeBatch, serverTimestamp, arrayUnion, arrayRemove } from 'firebase/firestore';
+import { createRepositoryContext, toRecords } from './context';
+import { toRepositoryError } from './errors';
+import { commitInBatches } from './batches';
+import { LEAD_SUBCOLLECTIONS } from '../export/workspaceExport';
+
+// Leads live in the `ideas` collection of the user's data or team workspace, with their status changes in `ideas/{id}/history`.
+// Every history entry carries the `workspaceId` it belongs to (null for the user's own data; a team's
+// entries also carry `appId`), so every lead's history can be read with one collection group query
+// that the security rules can check: personal entries by author, team entries by membership.
+// The AI results are stored as a JSON string: leads are written with `generatedResults` as an
+// object and read back the same way.
+
+// Firestore 'in' queries accept at most 30 values
+const IN_QUERY_LIMIT = 30;
+
+// Lead fields as stored: the AI results serialized
+export const encodeLead = (lead) => (
+  lead.generatedResults !== undefined && typeof lead.generatedResults !== 'string'
+    ? { ...lead, generatedResults: JSON.stringify(lead.generatedResults) }
+    : lead
+);
+
+// A stored lead with its AI results parsed; results that aren't valid JSON stay as the original string
+export const decodeLead = (lead) => {
+  if (typeof lead.generatedResults !== 'string') return lead;
+  try {
+    return { ...lead, generatedResults: JSON.parse(lead.generatedResults) };
+  } catch (e) {
+    return lead;
+  }
+};
+
+// A history entry as written to the user's data or `workspaceId`'s, dropping the scope of any
+// workspace it was copied from
+export const scopeHistoryEntry = ({ appId: fromAppId, workspaceId: fromWorkspaceId, ...entry }, appId, workspaceId) => (
+  workspaceId ? { ...entry, appId, workspaceId } : { ...entry, workspaceId: null }
+);
+
+const chunk = (items, size) => Array.from({ length: Math.ceil(items.length / size) }, (_, index) => items.slice(index * size, (index + 1) * size));
+
+export const createLeadRepository = ({ db, appId, userId, workspaceId }) => {
+  const context = createRepositoryContext({ db, appId, userId, workspaceId });
+  const { run, path, listen } = context;
+  const leadRef = (id) => doc(db, path('ideas'), id);
+
+  // A new lead owned by the user, in status 'New' unless given one
+  const toNewLead = (lead) => ({
+    status: 'New',
+    ...encodeLead(lead),
+    timestamp: serverTimestamp(),
+    userId,
+  });
+
+  // The status and a history entry: two writes
+  const addStatusChange = (batch, id, fromStatus, toStatus) => {
+    batch.update(leadRef(id), { status: toStatus, statusUpdatedAt: serverTimestamp() });
+    batch.set(doc(collection(db, path('ideas', id, 'history'))), scopeHistoryEntry({
+      fromStatus,
+      toStatus,
+      changedAt: serverTimestamp(),
+      changedBy: userId,
+    }, appId, workspaceId));
+  };
+
+  // Live list of leads; returns the unsubscribe function
+  const subscribe = (onChange, onError) => listen(path('ideas'), (leads) => onChange(leads.map(decodeLead)), onError);
+
+  // The lead, or null if it doesn't exist
+  const get = (id) => run(async () => {
+    const snapshot = await getDoc(leadRef(id));
+    return snapshot.exists() ? decodeLead({ id: snapshot.id, ...snapshot.data() }) : null;
+  });
+
+  // Returns the new lead's id
+  const create = (lead) => run(async () => (await addDoc(collection(db, path('ideas')), toNewLead(lead))).id);
+
+  // Returns the number of leads written
+  const createMany = (leads, { onProgress } = {}) => run(async () => {
+    await commitInBatches(db, leads, (batch, lead) => {
+      batch.set(doc(collection(db, path('ideas'))), toNewLead(lead));
+    }, { onProgress });
+    return leads.length;
+  });
+
+  // `fields` may use dotted paths, e.g. { 'underwriting.compsData': comps }
+  const update = (id, fields) => run(() => updateDoc(leadRef(id), encodeLead(fields)));
+
+  // updates: [{ id, fields }]
+  const updateMany = (updates, { onProgress } = {}) => run(() => commitInBatches(db, updates, (batch, { id, fields }) => {
+    batch.update(leadRef(id), encodeLead(fields));
+  }, { onProgress }));
+
+  // Deletes the leads together with their scheduled events, status history and saved letters
+  // (Firestore keeps subcollections when their parent is deleted); onProgress(done) counts whole leads
+  const removeMany = (ids, { onProgress } = {}) => run(async () => {
+    const childRefsByLead = new Map(ids.map(id => [id, []]));
+    for (const ideaIds of chunk(ids, IN_QUERY_LIMIT)) {
+      const snapshot = await getDocs(query(collection(db, path('events')), where('ideaId', 'in', ideaIds)));
+      snapshot.docs.forEach(eventDoc => childRefsByLead.get(eventDoc.data().ideaId).push(eventDoc.ref));
+      await Promise.all(ideaIds.flatMap(id => LEAD_SUBCOLLECTIONS.map(async (name) => {
+        const subcollection = await getDocs(collection(db, path('ideas', id, name)));
+        childRefsByLead.get(id).push(...subcollection.docs.map(childDoc => childDoc.ref));
+      })));
+    }
+    const refs = [];
+    const leadEnds = ids.map(id => {
+      refs.push(...childRefsByLead.get(id), leadRef(id));
+      return refs.length;
+    });
+    await commitInBatches(db, refs, (batch, ref) => batch.delete(ref), {
+      onProgress: onProgress && ((done) => onProgress(leadEnds.filter(end => end <= done).length)),
+    });
+  });
+
+  const remove = (id) => removeMany([id]);
+
+  const changeStatus = (id, fromStatus, toStatus) => run(async () => {
+    const batch = writeBatch(db);
+    addStatusChange(batch, id, fromStatus, toStatus);
+    await batch.commit();
+  });
+
+  // changes: [{ id, fromStatus }], all moved to `toStatus`
+  const changeStatuses = (changes, toStatus, { onProgress } = {}) => run(() => commitInBatches(db, changes, (batch, { id, fromStatus }) => {
+    addStatusChange(batch, id, fromStatus, toStatus);
+  }, { writesPerItem: 2, onProgress }));
+
+  // A teammate's uid, or null to leave the lead unassigned
+  const assign = (id, assigneeId) => run(() => updateDoc(leadRef(id), { assignedTo: assigneeId }));
+
+  const assignMany = (ids, assigneeId, { onProgress } = {}) => run(() => commitInBatches(db, ids, (batch, id) => {
+    batch.update(leadRef(id), { assignedTo: assigneeId });
+  }, { onProgress }));
+
+  const linkContact = (id, contactId, role) => run(() => updateDoc(leadRef(id), {
+    contactLinks: arrayUnion({ contactId, role }),
+  }));
+
+  const unlinkContact = (id, link) => run(() => updateDoc(leadRef(id), {
+    contactLinks: arrayRemove({ contactId: link.contactId, role: link.role }),
+  }));
+
+  // Live status history for one lead; returns the unsubscribe function
+  const subscribeToHistory = (id, onChange, onError) => listen(path('ideas', id, 'history'), onChange, onError);
+
+  const getHistory = (id) => run(async () => toRecords(await getDocs(collection(db, path('ideas', id, 'history')))));
+
+  // Live status history of every lead as { [leadId]: entries }, from one collection group query:
+  // a team's entries by workspace, the user's own personal ones by author (only they change their statuses).
+  // Returns the unsubscribe function.
+  const subscribeToAllHistory = (onChange, onError = () => {}) => {
+    if (!context.isReady) return () => {};
+    const scope = workspaceId
+      ? [where('appId', '==', appId), where('workspaceId', '==', workspaceId)]
+      : [where('workspaceId', '==', null), where('changedBy', '==', userId)];
+    const ideasPrefix = `${path('ideas')}/`;
+    return onSnapshot(query(collectionGroup(db, 'history'), ...scope), (snapshot) => {
+      const historyByLead = {};
+      snapshot.docs
+        .filter(entryDoc => entryDoc.ref.path.startsWith(ideasPrefix))
+        .forEach(entryDoc => {
+          const leadId = entryDoc.ref.parent.parent.id;
+          (historyByLead[leadId] = historyByLead[leadId] || []).push({ id: entryDoc.id, ...entryDoc.data() });
+        });
+      onChange(historyByLead);
+    }, (error) => onError(toRepositoryError(error)));
+  };
+
+  return {
+    isReady: context.isReady,
+    requireReady: context.requireReady,
+    subscribe,
+    get,
+    create,
+    createMany,
+    update,
+    updateMany,
+    remove,
+    removeMany,
+    changeStatus,
+    changeStatuses,
+    assign,
+    assignMany,
+    linkContact,
+    unlinkContact,
+    subscribeToHistory,
+    getHistory,
+    subscribeToAllHistory,
+  };
+};
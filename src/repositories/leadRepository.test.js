@@ -0,0 +1,148 @@
+/**
+ * @jest-environment node
+ */
+import { collection, doc, getDoc, getDocs, setDoc } from 'firebase/firestore';
+import { createLeadRepository, encodeLead, decodeLead } from './leadRepository';
+import { RepositoryError } from './errors';
+import { userRootPath } from './context';
+import { describeWithEmulator, connectTestFirestore, clearFirestore, nextValue, TEST_APP_ID } from './testEmulator';
+
+const USER_ID = 'alice';
+const RESULTS = { detailedPropertySummary: 'Solid flip', suggestedOfferRange: '$100,000 - $120,000', buyerProfiles: ['Flipper'], sellerOutreachAngles: [], dueDiligenceChecklist: ['Roof'] };
+
+describe('lead serialization', () => {
+  test('stores the AI results as a JSON string and reads them back parsed', () => {
+    const stored = encodeLead({ propertyDetails: '12 Oak St', generatedResults: RESULTS });
+    expect(typeof stored.generatedResults).toBe('string');
+    expect(decodeLead(stored)).toEqual({ propertyDetails: '12 Oak St', generatedResults: RESULTS });
+  });
+
+  test('keeps results that are not valid JSON as the original string', () => {
+    expect(decodeLead({ generatedResults: 'not json' }).generatedResults).toBe('not json');
+    expect(encodeLead({ status: 'New' })).toEqual({ status: 'New' });
+  });
+});
+
+describe('without a database or user', () => {
+  test('operations fail with a not-ready error', async () => {
+    const leads = createLeadRepository({ db: null, appId: TEST_APP_ID, userId: null });
+    expect(leads.isReady).toBe(false);
+    await expect(leads.create({ propertyDetails: '12 Oak St' })).rejects.toMatchObject({ name: 'RepositoryError', code: 'not-ready' });
+    expect(() => leads.requireReady()).toThrow(RepositoryError);
+    expect(typeof leads.subscribe(() => {})).toBe('function');
+  });
+});
+
+describeWithEmulator('lead repository (Firestore emulator)', () => {
+  let connection;
+  let leads;
+  const ideasPath = () => `${userRootPath(TEST_APP_ID, USER_ID)}/ideas`;
+
+  beforeEach(async () => {
+    await clearFirestore();
+    connection = connectTestFirestore(USER_ID);
+    leads = createLeadRepository({ db: connection.db, appId: TEST_APP_ID, userId: USER_ID });
+  });
+
+  afterEach(() => connection.close());
+
+  test('creates a lead under the user with serialized results', async () => {
+    const id = await leads.create({ propertyDetails: '12 Oak St', generatedResults: RESULTS, source: 'manual' });
+    const stored = (await getDoc(doc(connection.db, ideasPath(), id))).data();
+    expect(stored).toMatchObject({ propertyDetails: '12 Oak St', source: 'manual', status: 'New', userId: USER_ID });
+    expect(JSON.parse(stored.generatedResults)).toEqual(RESULTS);
+    expect(stored.timestamp).toBeTruthy();
+    expect((await leads.get(id)).generatedResults).toEqual(RESULTS);
+  });
+
+  test('subscribe delivers decoded leads', async () => {
+    await leads.create({ propertyDetails: '12 Oak St', generatedResults: RESULTS });
+    const records = await nextValue(leads.subscribe, (list) => list.length === 1);
+    expect(records[0]).toMatchObject({ propertyDetails: '12 Oak St', generatedResults: RESULTS });
+  });
+
+  test('createMany and updateMany write every lead', async () => {
+    const progress = [];
+    const count = await leads.createMany([{ propertyDetails: 'A' }, { propertyDetails: 'B' }], { onProgress: (done) => progress.push(done) });
+    expect(count).toBe(2);
+    expect(progress).toEqual([2]);
+    const ids = (await getDocs(collection(connection.db, ideasPath()))).docs.map(snapshot => snapshot.id);
+    await leads.updateMany(ids.map(id => ({ id, fields: { generatedResults: RESULTS } })));
+    const updated = await Promise.all(ids.map(id => leads.get(id)));
+    updated.forEach(lead => expect(lead.generatedResults).toEqual(RESULTS));
+  });
+
+  test('update accepts dotted field paths', async () => {
+    const id = await leads.create({ propertyDetails: '12 Oak St', underwriting: { compsData: [], activeScenarioId: 's1' } });
+    await leads.update(id, { 'underwriting.compsData': [{ address: '14 Oak St' }] });
+    expect((await leads.get(id)).underwriting).toEqual({ compsData: [{ address: '14 Oak St' }], activeScenarioId: 's1' });
+  });
+
+  test('changeStatus updates the lead and records the transition', async () => {
+    const id = await leads.create({ propertyDetails: '12 Oak St' });
+    await leads.changeStatus(id, 'New', 'Contacted');
+    expect((await leads.get(id)).status).toBe('Contacted');
+    const history = await leads.getHistory(id);
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({ fromStatus: 'New', toStatus: 'Contacted', changedBy: USER_ID, workspaceId: null });
+  });
+
+  test('changeStatuses moves several leads with a history entry each', async () => {
+    const first = await leads.create({ propertyDetails: 'A' });
+    const second = await leads.create({ propertyDetails: 'B', status: 'Contacted' });
+    await leads.changeStatuses([{ id: first, fromStatus: 'New' }, { id: second, fromStatus: 'Contacted' }], 'Offer Made');
+    expect((await leads.get(first)).status).toBe('Offer Made');
+    expect((await leads.getHistory(second))[0]).toMatchObject({ fromStatus: 'Contacted', toStatus: 'Offer Made' });
+  });
+
+  test('subscribeToAllHistory groups every lead\'s history by lead', async () => {
+    const first = await leads.create({ propertyDetails: 'A' });
+    const second = await leads.create({ propertyDetails: 'B' });
+    await leads.changeStatus(first, 'New', 'Contacted');
+    await leads.changeStatus(first, 'Contacted', 'Offer Made');
+    await leads.changeStatus(second, 'New', 'Dead');
+    const historyByLead = await nextValue(leads.subscribeToAllHistory, (value) => Object.keys(value).length === 2);
+    expect(historyByLead[first].map(entry => entry.toStatus).sort()).toEqual(['Contacted', 'Offer Made']);
+    expect(historyByLead[second]).toEqual([expect.objectContaining({ fromStatus: 'New', toStatus: 'Dead' })]);
+  });
+
+  test('links and unlinks contacts', async () => {
+    const id = await leads.create({ propertyDetails: '12 Oak St' });
+    await leads.linkContact(id, 'c1', 'Seller');
+    await leads.linkContact(id, 'c2', 'Agent');
+    await leads.unlinkContact(id, { contactId: 'c1', role: 'Seller' });
+    expect((await leads.get(id)).contactLinks).toEqual([{ contactId: 'c2', role: 'Agent' }]);
+  });
+
+  test('remove deletes the lead with its events, history and letters only', async () => {
+    const id = await leads.create({ propertyDetails: '12 Oak St' });
+    const otherId = await leads.create({ propertyDetails: '14 Oak St' });
+    const eventsPath = `${userRootPath(TEST_APP_ID, USER_ID)}/events`;
+    await setDoc(doc(connection.db, eventsPath, 'e1'), { ideaId: id, title: 'Walkthrough' });
+    await setDoc(doc(connection.db, eventsPath, 'e2'), { ideaId: otherId, title: 'Closing' });
+    await leads.changeStatus(id, 'New', 'Contacted');
+    await leads.changeStatus(otherId, 'New', 'Contacted');
+    await setDoc(doc(connection.db, `${ideasPath()}/${id}/documents`, 'd1'), { type: 'offerLetter', version: 1 });
+    await setDoc(doc(connection.db, `${ideasPath()}/${otherId}/documents`, 'd2'), { type: 'offerLetter', version: 1 });
+    await leads.remove(id);
+    expect(await leads.get(id)).toBeNull();
+    const remaining = (await getDocs(collection(connection.db, eventsPath))).docs.map(snapshot => snapshot.id);
+    expect(remaining).toEqual(['e2']);
+    expect((await getDocs(collection(connection.db, `${ideasPath()}/${id}/history`))).empty).toBe(true);
+    expect((await getDocs(collection(connection.db, `${ideasPath()}/${id}/documents`))).empty).toBe(true);
+    expect((await getDocs(collection(connection.db, `${ideasPath()}/${otherId}/history`))).size).toBe(1);
+    expect((await getDocs(collection(connection.db, `${ideasPath()}/${otherId}/documents`))).size).toBe(1);
+  });
+
+  test('removeMany reports progress in whole leads', async () => {
+    const ids = [await leads.create({ propertyDetails: 'A' }), await leads.create({ propertyDetails: 'B' })];
+    const progress = [];
+    await leads.removeMany(ids, { onProgress: (done) => progress.push(done) });
+    expect(progress).toEqual([2]);
+    expect((await getDocs(collection(connection.db, ideasPath()))).empty).toBe(true);
+  });
+
+  test('maps Firestore errors to repository errors', async () => {
+    await expect(leads.update('missing', { status: 'Contacted' })).rejects.toMatchObject({ name: 'RepositoryError', code: 'not-found' });
+  });
+});
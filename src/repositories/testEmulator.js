@@ -0,0 +1,61 @@
+import http from 'http';
+import { initializeApp, deleteApp } from 'firebase/app';
+import { getFirestore, connectFirestoreEmulator, terminate } from 'firebase/firestore';
+
+// Helpers for the repository tests, which run against the local Firestore emulator
+// (`npm run test:emulator` starts it with firestore.rules and sets FIRESTORE_EMULATOR_HOST).
+// Without the emulator the suites are skipped, so `npm test` still passes offline.
+
+export const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+
+// The demo- prefix keeps the emulator from ever reaching a real project
+export const TEST_PROJECT_ID = 'demo-aip';
+export const TEST_APP_ID = 'test-app';
+
+export const describeWithEmulator = EMULATOR_HOST ? describe : describe.skip;
+
+let appCount = 0;
+
+// Firestore on the emulator, signed in as `userId` with any extra token claims
+// (e.g. { email, email_verified }); call close() when done
+export const connectTestFirestore = (userId, claims = {}) => {
+  appCount += 1;
+  const app = initializeApp({ projectId: TEST_PROJECT_ID, apiKey: 'demo-key' }, `test-${appCount}`);
+  const db = getFirestore(app);
+  const [host, port] = EMULATOR_HOST.split(':');
+  connectFirestoreEmulator(db, host, Number(port), { mockUserToken: { user_id: userId, ...claims } });
+  const close = async () => {
+    await terminate(db);
+    await deleteApp(app);
+  };
+  return { db, close };
+};
+
+// Delete every document in the test project
+export const clearFirestore = () => new Promise((resolve, reject) => {
+  const [host, port] = EMULATOR_HOST.split(':');
+  const request = http.request({
+    host,
+    port: Number(port),
+    method: 'DELETE',
+    path: `/emulator/v1/projects/${TEST_PROJECT_ID}/databases/(default)/documents`,
+  }, (response) => {
+    response.resume();
+    response.on('end', () => (response.statusCode === 200 ? resolve() : reject(new Error(`Clearing the emulator failed (${response.statusCode})`))));
+  });
+  request.on('error', reject);
+  request.end();
+});
+
+// Resolves with the first value a subscription delivers that passes `predicate`
+export const nextValue = (subscribe, predicate = () => true) => new Promise((resolve, reject) => {
+  let unsubscribe = null;
+  let settled = false;
+  unsubscribe = subscribe((value) => {
+    if (settled || !predicate(value)) return;
+    settled = true;
+    if (unsubscribe) unsubscribe();
+    resolve(value);
+  }, reject);
+  if (settled) unsubscribe();
+});
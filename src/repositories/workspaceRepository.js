@@ -0,0 +1,108 @@
+import { collection, collectionGroup, doc, setDoc, deleteDoc, updateDoc, query, where, onSnapshot, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { createRepositoryContext, workspaceRootPath } from './context';
+import { toRepositoryError } from './errors';
+import { normalizeEmail } from '../workspaces';
+
+// Team workspaces and their membership. A workspace is { name, ownerId, createdAt } with
+//   members/{uid}:   { uid, role, email, displayName, workspaceName, joinedAt }
+//   invites/{email}: { email, role, workspaceId, workspaceName, invitedBy, invitedAt }
+// Invites are keyed by the lowercased email so each address has at most one per workspace.
+// A user finds their workspaces and invitations with collection group queries on
+// `members` and `invites`, which the security rules only allow for their own uid and
+// verified email.
+
+export const createWorkspaceRepository = ({ db, appId, userId }) => {
+  const context = createRepositoryContext({ db, appId, userId });
+  const { run, listen } = context;
+  const rootPath = (workspaceId, ...segments) => [workspaceRootPath(appId, workspaceId), ...segments].join('/');
+  const memberRef = (workspaceId, uid) => doc(db, rootPath(workspaceId, 'members'), uid);
+  const inviteRef = (workspaceId, email) => doc(db, rootPath(workspaceId, 'invites'), normalizeEmail(email));
+
+  // Collection group results from this app only, with the workspace each document belongs to
+  const workspacePrefix = workspaceRootPath(appId, '');
+  const listenToGroup = (groupQuery, onChange, onError = () => {}) => {
+    if (!context.isReady) return () => {};
+    return onSnapshot(groupQuery, (snapshot) => onChange(snapshot.docs
+      .filter(snapshotDoc => snapshotDoc.ref.path.startsWith(workspacePrefix))
+      .map(snapshotDoc => ({ id: snapshotDoc.id, workspaceId: snapshotDoc.ref.parent.parent.id, ...snapshotDoc.data() }))
+    ), (error) => onError(toRepositoryError(error)));
+  };
+
+  // The workspaces the user belongs to, as their member records; returns the unsubscribe function
+  const subscribeToMemberships = (onChange, onError) => listenToGroup(
+    query(collectionGroup(db, 'members'), where('uid', '==', userId)), onChange, onError
+  );
+
+  // Open invitations for `email`; returns the unsubscribe function
+  const subscribeToInvites = (email, onChange, onError) => listenToGroup(
+    query(collectionGroup(db, 'invites'), where('email', '==', normalizeEmail(email))), onChange, onError
+  );
+
+  const subscribeToMembers = (workspaceId, onChange, onError) => listen(rootPath(workspaceId, 'members'), onChange, onError);
+
+  const subscribeToPendingInvites = (workspaceId, onChange, onError) => listen(rootPath(workspaceId, 'invites'), onChange, onError);
+
+  // Creates the workspace with the user as its owner; returns its id
+  const createWorkspace = (name, { email, displayName }) => run(async () => {
+    const workspaceRef = doc(collection(db, `artifacts/${appId}/workspaces`));
+    const batch = writeBatch(db);
+    batch.set(workspaceRef, { name, ownerId: userId, createdAt: serverTimestamp() });
+    batch.set(memberRef(workspaceRef.id, userId), {
+      uid: userId,
+      role: 'owner',
+      email: normalizeEmail(email),
+      displayName,
+      workspaceName: name,
+      joinedAt: serverTimestamp(),
+    });
+    await batch.commit();
+    return workspaceRef.id;
+  });
+
+  // Inviting an address again replaces its invitation, e.g. to change the role
+  const inviteMember = (workspace, email, role) => run(() => setDoc(inviteRef(workspace.id, email), {
+    email: normalizeEmail(email),
+    role,
+    workspaceId: workspace.id,
+    workspaceName: workspace.name,
+    invitedBy: userId,
+    invitedAt: serverTimestamp(),
+  }));
+
+  const revokeInvite = (workspaceId, email) => run(() => deleteDoc(inviteRef(workspaceId, email)));
+
+  // Joins with the invited role and uses up the invitation
+  const acceptInvite = (invite, { displayName }) => run(() => writeBatch(db)
+    .set(memberRef(invite.workspaceId, userId), {
+      uid: userId,
+      role: invite.role,
+      email: invite.email,
+      displayName,
+      workspaceName: invite.workspaceName,
+      joinedAt: serverTimestamp(),
+    })
+    .delete(inviteRef(invite.workspaceId, invite.email))
+    .commit());
+
+  const declineInvite = (invite) => revokeInvite(invite.workspaceId, invite.email);
+
+  const updateMemberRole = (workspaceId, uid, role) => run(() => updateDoc(memberRef(workspaceId, uid), { role }));
+
+  // Removing yourself leaves the workspace; leads assigned to the member stay assigned until reassigned
+  const removeMember = (workspaceId, uid) => run(() => deleteDoc(memberRef(workspaceId, uid)));
+
+  return {
+    isReady: context.isReady,
+    subscribeToMemberships,
+    subscribeToInvites,
+    subscribeToMembers,
+    subscribeToPendingInvites,
+    createWorkspace,
+    inviteMember,
+    revokeInvite,
+    acceptInvite,
+    declineInvite,
+    updateMemberRole,
+    removeMember,
+  };
+};
@@ -0,0 +1,225 @@
+/**
+ * @jest-environment node
+ */
+import { doc, getDoc, getDocs, collection, setDoc } from 'firebase/firestore';
+import { createWorkspaceRepository } from './workspaceRepository';
+import { createLeadRepository } from './leadRepository';
+import { userRootPath, workspaceRootPath } from './context';
+import { describeWithEmulator, connectTestFirestore, clearFirestore, nextValue, TEST_APP_ID } from './testEmulator';
+
+// These run against firestore.rules, which the emulator loads from firebase.json
+const OWNER = { uid: 'olivia', email: 'olivia@example.com' };
+const BUYER = { uid: 'bob', email: 'Bob@Example.com' };
+const VIEWER = { uid: 'vera', email: 'vera@example.com' };
+const OUTSIDER = { uid: 'mallory', email: 'mallory@example.com' };
+
+const expectDenied = (promise) => expect(promise).rejects.toMatchObject({ code: 'permission-denied' });
+
+describeWithEmulator('workspace repository and security rules (Firestore emulator)', () => {
+  const connections = [];
+
+  // Repositories for a user signed in with a verified email unless `emailVerified` is false
+  const signIn = (user, { emailVerified = true, workspaceId } = {}) => {
+    const connection = connectTestFirestore(user.uid, { email: user.email, email_verified: emailVerified });
+    connections.push(connection);
+    const options = { db: connection.db, appId: TEST_APP_ID, userId: user.uid };
+    return {
+      db: connection.db,
+      workspaces: createWorkspaceRepository(options),
+      leads: createLeadRepository({ ...options, workspaceId }),
+    };
+  };
+
+  // A workspace owned by OWNER with BUYER (acquisitions) and VIEWER as members
+  const createTeam = async () => {
+    const owner = signIn(OWNER);
+    const workspaceId = await owner.workspaces.createWorkspace('Flip Team', { email: OWNER.email, displayName: 'Olivia' });
+    const workspace = { id: workspaceId, name: 'Flip Team' };
+    await owner.workspaces.inviteMember(workspace, BUYER.email, 'acquisitions');
+    await owner.workspaces.inviteMember(workspace, VIEWER.email, 'viewer');
+    for (const user of [BUYER, VIEWER]) {
+      const { workspaces } = signIn(user);
+      const [invite] = await nextValue((onChange, onError) => workspaces.subscribeToInvites(user.email, onChange, onError), (list) => list.length === 1);
+      await workspaces.acceptInvite(invite, { displayName: user.uid });
+    }
+    return { workspaceId, workspace };
+  };
+
+  beforeEach(() => clearFirestore());
+
+  afterEach(async () => {
+    await Promise.all(connections.splice(0).map(connection => connection.close()));
+  });
+
+  test('personal data is only readable by its user', async () => {
+    const owner = signIn(OWNER);
+    await createLeadRepository({ db: owner.db, appId: TEST_APP_ID, userId: OWNER.uid }).create({ propertyDetails: '12 Oak St' });
+    const outsider = signIn(OUTSIDER);
+    await expectDenied(getDocs(collection(outsider.db, `${userRootPath(TEST_APP_ID, OWNER.uid)}/ideas`)));
+  });
+
+  test('creating a workspace makes the creator its owner', async () => {
+    const owner = signIn(OWNER);
+    const workspaceId = await owner.workspaces.createWorkspace('Flip Team', { email: OWNER.email, displayName: 'Olivia' });
+    const memberships = await nextValue(owner.workspaces.subscribeToMemberships, (list) => list.length === 1);
+    expect(memberships[0]).toMatchObject({ workspaceId, role: 'owner', workspaceName: 'Flip Team', email: OWNER.email });
+  });
+
+  test('nobody can join as owner of an existing workspace', async () => {
+    const { workspaceId } = await createTeam();
+    const outsider = signIn(OUTSIDER);
+    await expectDenied(setDoc(doc(outsider.db, `${workspaceRootPath(TEST_APP_ID, workspaceId)}/members`, OUTSIDER.uid), {
+      uid: OUTSIDER.uid,
+      role: 'owner',
+    }));
+  });
+
+  test('invited members join with their role and the invitation is used up', async () => {
+    const { workspaceId } = await createTeam();
+    const owner = signIn(OWNER);
+    const members = await nextValue((onChange, onError) => owner.workspaces.subscribeToMembers(workspaceId, onChange, onError), (list) => list.length === 3);
+    expect(Object.fromEntries(members.map(member => [member.uid, member.role]))).toEqual({ olivia: 'owner', bob: 'acquisitions', vera: 'viewer' });
+    const invites = await nextValue((onChange, onError) => owner.workspaces.subscribeToPendingInvites(workspaceId, onChange, onError));
+    expect(invites).toEqual([]);
+  });
+
+  test('an unverified email cannot see or accept an invitation', async () => {
+    const owner = signIn(OWNER);
+    const workspaceId = await owner.workspaces.createWorkspace('Flip Team', { email: OWNER.email, displayName: 'Olivia' });
+    await owner.workspaces.inviteMember({ id: workspaceId, name: 'Flip Team' }, BUYER.email, 'acquisitions');
+    const unverified = signIn(BUYER, { emailVerified: false });
+    await expectDenied(nextValue((onChange, onError) => unverified.workspaces.subscribeToInvites(BUYER.email, onChange, onError)));
+    await expectDenied(unverified.workspaces.acceptInvite(
+      { workspaceId, email: 'bob@example.com', role: 'acquisitions', workspaceName: 'Flip Team' },
+      { displayName: 'Bob' }
+    ));
+  });
+
+  test('an invitee cannot join with a different role than invited', async () => {
+    const owner = signIn(OWNER);
+    const workspaceId = await owner.workspaces.createWorkspace('Flip Team', { email: OWNER.email, displayName: 'Olivia' });
+    await owner.workspaces.inviteMember({ id: workspaceId, name: 'Flip Team' }, VIEWER.email, 'viewer');
+    const viewer = signIn(VIEWER);
+    await expectDenied(viewer.workspaces.acceptInvite(
+      { workspaceId, email: VIEWER.email, role: 'acquisitions', workspaceName: 'Flip Team' },
+      { displayName: 'Vera' }
+    ));
+  });
+
+  test('acquisitions members add leads and assign them to teammates', async () => {
+    const { workspaceId } = await createTeam();
+    const { leads } = signIn(BUYER, { workspaceId });
+    const id = await leads.create({ propertyDetails: '12 Oak St', userId: BUYER.uid });
+    await leads.assign(id, VIEWER.uid);
+    await leads.changeStatus(id, 'New', 'Contacted');
+    expect(await leads.get(id)).toMatchObject({ assignedTo: VIEWER.uid, status: 'Contacted' });
+  });
+
+  test('leads can only be assigned to members', async () => {
+    const { workspaceId } = await createTeam();
+    const { leads } = signIn(BUYER, { workspaceId });
+    const id = await leads.create({ propertyDetails: '12 Oak St' });
+    await expectDenied(leads.assign(id, OUTSIDER.uid));
+    await expectDenied(leads.create({ propertyDetails: '14 Oak St', assignedTo: OUTSIDER.uid }));
+  });
+
+  test('a lead assigned to a member who left can still be updated', async () => {
+    const { workspaceId } = await createTeam();
+    const buyer = signIn(BUYER, { workspaceId });
+    const id = await buyer.leads.create({ propertyDetails: '12 Oak St', assignedTo: VIEWER.uid });
+    await signIn(VIEWER).workspaces.removeMember(workspaceId, VIEWER.uid);
+    await buyer.leads.changeStatus(id, 'New', 'Contacted');
+    await buyer.leads.assign(id, null);
+    expect((await buyer.leads.get(id)).assignedTo).toBeNull();
+  });
+
+  test('viewers read the pipeline but cannot change it', async () => {
+    const { workspaceId } = await createTeam();
+    const id = await signIn(BUYER, { workspaceId }).leads.create({ propertyDetails: '12 Oak St' });
+    const { leads } = signIn(VIEWER, { workspaceId });
+    expect(await leads.get(id)).toMatchObject({ propertyDetails: '12 Oak St' });
+    await expectDenied(leads.create({ propertyDetails: '14 Oak St' }));
+    await expectDenied(leads.update(id, { propertyDetails: 'Changed' }));
+    await expectDenied(leads.changeStatus(id, 'New', 'Contacted'));
+    await expectDenied(leads.remove(id));
+  });
+
+  test('members read every lead\'s history at once and outsiders cannot', async () => {
+    const { workspaceId } = await createTeam();
+    const { leads } = signIn(BUYER, { workspaceId });
+    const id = await leads.create({ propertyDetails: '12 Oak St' });
+    await leads.changeStatus(id, 'New', 'Contacted');
+    const viewer = signIn(VIEWER, { workspaceId });
+    const historyByLead = await nextValue(viewer.leads.subscribeToAllHistory, (value) => Boolean(value[id]));
+    expect(historyByLead[id]).toEqual([expect.objectContaining({ toStatus: 'Contacted', changedBy: BUYER.uid, workspaceId })]);
+    await expectDenied(nextValue(signIn(OUTSIDER, { workspaceId }).leads.subscribeToAllHistory));
+  });
+
+  test('a removed member can no longer read the history they wrote', async () => {
+    const { workspaceId } = await createTeam();
+    const buyer = signIn(BUYER, { workspaceId });
+    const id = await buyer.leads.create({ propertyDetails: '12 Oak St' });
+    await buyer.leads.changeStatus(id, 'New', 'Contacted');
+    await signIn(OWNER).workspaces.removeMember(workspaceId, BUYER.uid);
+    await expectDenied(nextValue(buyer.leads.subscribeToAllHistory));
+    // Their personal Dashboard still loads, without the team's changes
+    const personal = signIn(BUYER);
+    const personalId = await personal.leads.create({ propertyDetails: '14 Oak St' });
+    await personal.leads.changeStatus(personalId, 'New', 'Dead');
+    const historyByLead = await nextValue(personal.leads.subscribeToAllHistory, (value) => Boolean(value[personalId]));
+    expect(Object.keys(historyByLead)).toEqual([personalId]);
+  });
+
+  test('team history entries must name their workspace', async () => {
+    const { workspaceId } = await createTeam();
+    const buyer = signIn(BUYER, { workspaceId });
+    const id = await buyer.leads.create({ propertyDetails: '12 Oak St' });
+    await expectDenied(setDoc(doc(buyer.db, `${workspaceRootPath(TEST_APP_ID, workspaceId)}/ideas/${id}/history`, 'h1'), {
+      fromStatus: 'New',
+      toStatus: 'Contacted',
+      changedBy: BUYER.uid,
+      appId: TEST_APP_ID,
+      workspaceId: 'elsewhere',
+    }));
+  });
+
+  test('saved views stay private to the member who saved them', async () => {
+    const { workspaceId } = await createTeam();
+    const viewer = signIn(VIEWER);
+    await setDoc(doc(viewer.db, `${userRootPath(TEST_APP_ID, VIEWER.uid)}/savedViews`, 'v1'), { name: 'Hot leads', workspaceId });
+    const buyer = signIn(BUYER);
+    await expectDenied(getDocs(collection(buyer.db, `${userRootPath(TEST_APP_ID, VIEWER.uid)}/savedViews`)));
+    await expectDenied(setDoc(doc(buyer.db, `${workspaceRootPath(TEST_APP_ID, workspaceId)}/savedViews`, 'v2'), { name: 'Shared' }));
+  });
+
+  test('outsiders cannot read the workspace', async () => {
+    const { workspaceId } = await createTeam();
+    const id = await signIn(BUYER, { workspaceId }).leads.create({ propertyDetails: '12 Oak St' });
+    const outsider = signIn(OUTSIDER, { workspaceId });
+    await expectDenied(outsider.leads.get(id));
+    await expectDenied(getDoc(doc(outsider.db, `artifacts/${TEST_APP_ID}/workspaces`, workspaceId)));
+  });
+
+  test('only the owner manages members and invitations', async () => {
+    const { workspaceId, workspace } = await createTeam();
+    const buyer = signIn(BUYER);
+    await expectDenied(buyer.workspaces.inviteMember(workspace, OUTSIDER.email, 'acquisitions'));
+    await expectDenied(buyer.workspaces.updateMemberRole(workspaceId, VIEWER.uid, 'acquisitions'));
+    await expectDenied(buyer.workspaces.removeMember(workspaceId, VIEWER.uid));
+
+    const owner = signIn(OWNER);
+    await expectDenied(owner.workspaces.inviteMember(workspace, OUTSIDER.email, 'owner'));
+    await owner.workspaces.updateMemberRole(workspaceId, VIEWER.uid, 'acquisitions');
+    await owner.workspaces.removeMember(workspaceId, BUYER.uid);
+    const members = await nextValue((onChange, onError) => owner.workspaces.subscribeToMembers(workspaceId, onChange, onError), (list) => list.length === 2);
+    expect(members.find(member => member.uid === VIEWER.uid).role).toBe('acquisitions');
+  });
+
+  test('the owner cannot demote or remove themselves, but members can leave', async () => {
+    const { workspaceId } = await createTeam();
+    const owner = signIn(OWNER);
+    await expectDenied(owner.workspaces.updateMemberRole(workspaceId, OWNER.uid, 'viewer'));
+    await expectDenied(owner.workspaces.removeMember(workspaceId, OWNER.uid));
+    await signIn(VIEWER).workspaces.removeMember(workspaceId, VIEWER.uid);
+  });
+});
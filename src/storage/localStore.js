@@ -0,0 +1,182 @@
+import { Timestamp } from 'firebase/firestore';
+
+// IndexedDB backend used when Firebase isn't configured, so leads and contacts can be
+// kept on the device in the field. It mirrors the Firestore writes App makes for leads,
+// status changes and contacts, and subscribe() behaves like onSnapshot for those
+// collections (including changes made in other tabs).
+//
+// Every write is also queued in an outbox as { type: 'set' | 'update' | 'delete', collection, id, data },
+// with `collection` relative to the user's Firestore root (e.g. 'ideas' or 'ideas/{id}/history'),
+// so the changes can be pushed to Firestore once it is available.
+
+const DB_NAME = 'aip-local';
+const DB_VERSION = 1;
+const CHANGE_CHANNEL = 'aip-local-changes';
+
+// Times are stored as epoch milliseconds and read back as Firestore Timestamps
+const TIMESTAMP_FIELDS = ['timestamp', 'statusUpdatedAt', 'changedAt'];
+
+// Owner recorded on local records; replaced by the signed-in user's id when syncing
+export const LOCAL_USER_ID = 'local-device';
+
+export const isIndexedDbAvailable = () => typeof indexedDB !== 'undefined';
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const database = request.result;
+    database.createObjectStore('ideas', { keyPath: 'id' });
+    database.createObjectStore('contacts', { keyPath: 'id' });
+    database.createObjectStore('history', { keyPath: 'id' }).createIndex('ideaId', 'ideaId');
+    database.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const createLocalId = () => `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const withTimestamps = (record) => {
+  const converted = { ...record };
+  TIMESTAMP_FIELDS.forEach(field => {
+    if (typeof converted[field] === 'number') converted[field] = Timestamp.fromMillis(converted[field]);
+  });
+  return converted;
+};
+
+// Status history lives in one store, tagged with its lead
+const getStoreName = (collection) => (collection.endsWith('/history') ? 'history' : collection);
+
+// A queued change as a Firestore write for the signed-in user
+export const prepareChangeForSync = ({ type, collection, id, data }, userId) => {
+  if (type === 'delete') return { type, collection, id };
+  const prepared = withTimestamps(data);
+  ['userId', 'changedBy'].forEach(field => {
+    if (prepared[field] === LOCAL_USER_ID) prepared[field] = userId;
+  });
+  // Changes sync to the personal data, whose history entries belong to no workspace
+  if (getStoreName(collection) === 'history') prepared.workspaceId = null;
+  return { type, collection, id, data: prepared };
+};
+
+export const createLocalStore = () => {
+  const databasePromise = openDatabase();
+  const listeners = { ideas: new Set(), contacts: new Set(), history: new Set() };
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANGE_CHANNEL) : null;
+
+  const notify = (storeNames) => storeNames.forEach(name => listeners[name]?.forEach(listener => listener()));
+  if (channel) {
+    channel.onmessage = (event) => notify(event.data);
+  }
+
+  // Runs `work(getStore)` in one read-write transaction; requests must be issued synchronously or from request callbacks
+  const runTransaction = async (storeNames, work) => {
+    const database = await databasePromise;
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(storeNames, 'readwrite');
+      work(name => transaction.objectStore(name));
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  const getAll = async (storeName) => {
+    const database = await databasePromise;
+    return new Promise((resolve, reject) => {
+      const request = database.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  // Apply changes locally and queue them for Firestore in the same transaction
+  const commit = async (changes) => {
+    const storeNames = [...new Set(changes.map(change => getStoreName(change.collection)))];
+    await runTransaction([...storeNames, 'outbox'], getStore => {
+      changes.forEach(change => {
+        const store = getStore(getStoreName(change.collection));
+        if (change.type === 'delete') {
+          store.delete(change.id);
+        } else if (change.type === 'update') {
+          store.get(change.id).onsuccess = (event) => {
+            if (event.target.result) store.put({ ...event.target.result, ...change.data });
+          };
+        } else {
+          const ideaId = change.collection.match(/^ideas\/([^/]+)\/history$/)?.[1];
+          store.put({ ...change.data, id: change.id, ...(ideaId && { ideaId }) });
+        }
+        getStore('outbox').add({ ...change, queuedAt: Date.now() });
+      });
+    });
+    notify(storeNames);
+    if (channel) channel.postMessage(storeNames);
+  };
+
+  // Live query like onSnapshot: calls back now and after every change; returns the unsubscribe function
+  const subscribe = (storeName, callback, filter = () => true) => {
+    let isActive = true;
+    const listener = () => getAll(storeName)
+      .then(records => { if (isActive) callback(records.map(withTimestamps).filter(filter)); })
+      .catch(e => console.error(`Error reading local ${storeName}: `, e));
+    listeners[storeName].add(listener);
+    listener();
+    return () => {
+      isActive = false;
+      listeners[storeName].delete(listener);
+    };
+  };
+
+  // Adds the leads in one transaction; returns their ids
+  const saveIdeas = async (ideas) => {
+    const timestamp = Date.now();
+    const changes = ideas.map(idea => ({ type: 'set', collection: 'ideas', id: createLocalId(), data: { ...idea, timestamp } }));
+    await commit(changes);
+    return changes.map(change => change.id);
+  };
+
+  const saveIdea = async (idea) => (await saveIdeas([idea]))[0];
+
+  // Replaces whole top-level fields: queued updates sync as merges, which don't understand dotted paths
+  const updateIdea = (id, fields) => commit([{ type: 'update', collection: 'ideas', id, data: fields }]);
+
+  const deleteIdea = (id) => commit([{ type: 'delete', collection: 'ideas', id }]);
+
+  // Same two writes as the Firestore version: the new status and a history entry
+  const updateLeadStatus = (id, fromStatus, toStatus, changedBy) => {
+    const now = Date.now();
+    return commit([
+      { type: 'update', collection: 'ideas', id, data: { status: toStatus, statusUpdatedAt: now } },
+      { type: 'set', collection: `ideas/${id}/history`, id: createLocalId(), data: { fromStatus, toStatus, changedAt: now, changedBy } },
+    ]);
+  };
+
+  const saveContact = async (contact) => {
+    const id = createLocalId();
+    await commit([{ type: 'set', collection: 'contacts', id, data: { ...contact, timestamp: Date.now() } }]);
+    return id;
+  };
+
+  // Removes the contact from any leads it is linked to, along with the contact itself
+  const deleteContact = (id, ideas) => commit([
+    ...ideas
+      .filter(idea => (idea.contactLinks || []).some(link => link.contactId === id))
+      .map(idea => ({
+        type: 'update',
+        collection: 'ideas',
+        id: idea.id,
+        data: { contactLinks: idea.contactLinks.filter(link => link.contactId !== id) },
+      })),
+    { type: 'delete', collection: 'contacts', id },
+  ]);
+
+  // Queued changes, oldest first
+  const getPendingChanges = () => getAll('outbox');
+
+  // Drop changes from the outbox once Firestore has them
+  const clearPendingChanges = (seqs) => runTransaction(['outbox'], getStore => {
+    seqs.forEach(seq => getStore('outbox').delete(seq));
+  });
+
+  return { subscribe, saveIdea, saveIdeas, updateIdea, deleteIdea, updateLeadStatus, saveContact, deleteContact, getPendingChanges, clearPendingChanges };
+};
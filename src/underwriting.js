@@ -0,0 +1,68 @@
+// Per-lead underwriting: named scenarios of deal figures saved on the idea as
+//   underwriting: { activeScenarioId, compsData, compSubject, compAdjustments, scenarios: [{ id, name, ...figures, rental, strategy, rehab, holding }] }
+// `rental`, `strategy`, `rehab` and `holding` hold the buy-and-hold, exit-strategy, rehab budget and holding cost inputs (see finance/) as entered;
+// the comps fields are described in finance/comps.js.
+
+export const UNDERWRITING_FIELDS = ['purchasePrice', 'salesPrice', 'closingCosts', 'rehabCosts', 'holdingCosts'];
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+export const createScenarioId = () => `scn-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+// Build a scenario from calculator inputs (strings from form fields are stored as numbers)
+export const buildScenario = (id, name, values, { rental, strategy, rehab, holding }) => ({
+  id,
+  name: name.trim() || 'Base case',
+  ...Object.fromEntries(UNDERWRITING_FIELDS.map(field => [field, toNumber(values[field])])),
+  rental,
+  strategy,
+  rehab,
+  holding,
+});
+
+// Flip math: profit = sales - (purchase + closing + rehab + holding)
+export const calculateFlip = (values) => {
+  const totalCosts = toNumber(values.purchasePrice) + toNumber(values.closingCosts) + toNumber(values.rehabCosts) + toNumber(values.holdingCosts);
+  const profit = toNumber(values.salesPrice) - totalCosts;
+  return {
+    totalCosts,
+    profit,
+    roi: totalCosts > 0 ? (profit / totalCosts) * 100 : 0,
+  };
+};
+
+export const getScenarios = (idea) => idea?.underwriting?.scenarios || [];
+
+export const getActiveScenario = (idea) => {
+  const scenarios = getScenarios(idea);
+  return scenarios.find(scenario => scenario.id === idea.underwriting.activeScenarioId) || scenarios[0] || null;
+};
+
+// Profit and ROI of the lead's active scenario, or null if it hasn't been underwritten
+export const getUnderwritingSummary = (idea) => {
+  const scenario = getActiveScenario(idea);
+  if (!scenario) return null;
+  return { scenarioName: scenario.name, salesPrice: scenario.salesPrice, ...calculateFlip(scenario) };
+};
+
+// Insert or replace a scenario and make it the active one
+export const upsertScenario = (underwriting, scenario) => {
+  const scenarios = underwriting?.scenarios || [];
+  const exists = scenarios.some(existing => existing.id === scenario.id);
+  return {
+    ...underwriting,
+    activeScenarioId: scenario.id,
+    scenarios: exists
+      ? scenarios.map(existing => (existing.id === scenario.id ? scenario : existing))
+      : [...scenarios, scenario],
+  };
+};
+
+export const removeScenario = (underwriting, scenarioId) => {
+  const scenarios = (underwriting?.scenarios || []).filter(scenario => scenario.id !== scenarioId);
+  return {
+    ...underwriting,
+    activeScenarioId: underwriting?.activeScenarioId === scenarioId ? (scenarios[0]?.id || null) : underwriting?.activeScenarioId,
+    scenarios,
+  };
+};
@@ -0,0 +1,71 @@
+// Minimal RFC 4180 CSV helpers (quoted fields, escaped quotes, CRLF, BOM)
+
+// Pick the delimiter that appears most often in the header line
+const detectDelimiter = (text) => {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const candidates = [',', ';', '\t'];
+  return candidates.reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  , ',');
+};
+
+// Parse CSV text into an array of rows (arrays of strings)
+export const parseCsv = (text, delimiter) => {
+  const input = String(text).replace(/^﻿/, '');
+  const sep = delimiter || detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === sep) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialize an array of objects to CSV using the given column keys
+export const toCsv = (records, columns) => {
+  const header = columns.map(escapeCsvValue).join(',');
+  const lines = records.map(record => columns.map(column => escapeCsvValue(record[column])).join(','));
+  return [header, ...lines].join('\r\n');
+};
@@ -0,0 +1,29 @@
+import { parseCsv, toCsv } from './csv';
+
+describe('parseCsv', () => {
+  test('handles quoted fields, escaped quotes and line endings', () => {
+    const text = '\uFEFFname,notes\r\n"Smith, Jane","said ""hi""\nthen left"\n12 Oak St,\n';
+    expect(parseCsv(text)).toEqual([
+      ['name', 'notes'],
+      ['Smith, Jane', 'said "hi"\nthen left'],
+      ['12 Oak St', ''],
+    ]);
+  });
+
+  test('detects semicolon and tab delimiters from the header', () => {
+    expect(parseCsv('a;b\n1;2')).toEqual([['a', 'b'], ['1', '2']]);
+    expect(parseCsv('a\tb\n1\t2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+});
+
+describe('toCsv', () => {
+  test('escapes values that need quoting and leaves missing ones empty', () => {
+    const csv = toCsv([{ name: 'Smith, Jane', quote: 'say "hi"', tags: ['a'], empty: null }], ['name', 'quote', 'tags', 'empty']);
+    expect(csv).toBe('name,quote,tags,empty\r\n"Smith, Jane","say ""hi""","[""a""]",');
+  });
+
+  test('round-trips through parseCsv', () => {
+    const records = [{ a: 'x,y', b: 'line\nbreak' }];
+    expect(parseCsv(toCsv(records, ['a', 'b']))).toEqual([['a', 'b'], ['x,y', 'line\nbreak']]);
+  });
+});
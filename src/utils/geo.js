@@ -0,0 +1,80 @@
+// Geographic helpers for lead coordinates and map-area filters
+
+const EARTH_RADIUS_MILES = 3958.8;
+export const METERS_PER_MILE = 1609.344;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Read an idea's coordinates (stored as numbers or strings); null when missing or invalid
+export const getCoordinates = (item) => {
+  if (!item) return null;
+  const lat = parseFloat(item.latitude);
+  const lng = parseFloat(item.longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+  return { lat, lng };
+};
+
+// Great-circle distance between two { lat, lng } points in miles
+export const distanceInMiles = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+};
+
+// Ray-casting point-in-polygon test; polygon is an array of [lat, lng] pairs
+export const isPointInPolygon = ({ lat, lng }, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    const crosses = (latI > lat) !== (latJ > lat) &&
+      lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+// Bounding-box test; a box whose west edge is east of its east edge crosses the antimeridian
+export const isPointInBounds = ({ lat, lng }, { south, west, north, east }) => {
+  if (lat < south || lat > north) return false;
+  return west <= east ? lng >= west && lng <= east : lng >= west || lng <= east;
+};
+
+// Check whether an item falls inside a map-area filter:
+//   { type: 'polygon', points: [[lat, lng], ...] }
+//   { type: 'radius', center: [lat, lng], radiusMiles }
+//   { type: 'bounds', south, west, north, east }
+export const isInsideArea = (item, area) => {
+  if (!area) return true;
+  const point = getCoordinates(item);
+  if (!point) return false;
+  switch (area.type) {
+    case 'polygon':
+      return isPointInPolygon(point, area.points);
+    case 'radius':
+      return distanceInMiles(point, { lat: area.center[0], lng: area.center[1] }) <= area.radiusMiles;
+    case 'bounds':
+      return isPointInBounds(point, area);
+    default:
+      return true;
+  }
+};
+
+// Short human-readable description of an area filter
+export const describeArea = (area) => {
+  if (!area) return '';
+  switch (area.type) {
+    case 'polygon':
+      return `Drawn area (${area.points.length} points)`;
+    case 'radius':
+      return `Within ${area.radiusMiles} mi of ${area.center[0].toFixed(4)}, ${area.center[1].toFixed(4)}`;
+    case 'bounds':
+      return `Map view (${area.south.toFixed(3)}, ${area.west.toFixed(3)} to ${area.north.toFixed(3)}, ${area.east.toFixed(3)})`;
+    default:
+      return 'Map area';
+  }
+};
@@ -0,0 +1,92 @@
+// iCalendar (RFC 5545) serialization for deal events
+
+const CRLF = '\r\n';
+const PRODID = '-//AIP Real Estate//Deal Calendar//EN';
+
+// Escape TEXT values (backslash, semicolon, comma and newlines)
+export const escapeIcsText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets, without splitting UTF-8 characters
+export const foldIcsLine = (line) => {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= 75) {
+    return line;
+  }
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts toward the limit
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// UTC date-time form: 20250131T143000Z
+export const formatIcsDateTime = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+// DATE form for all-day events: 20250131
+export const formatIcsDate = (date) =>
+  `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+// Build the VEVENT lines for one event:
+//   { uid, title, start: Date, end: Date, allDay, description, location, geo: { lat, lng }, url }
+const buildEventLines = (event, stamp) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatIcsDateTime(stamp)}`,
+  ];
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatIcsDate(event.start)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatIcsDate(event.end || addDays(event.start, 1))}`);
+  } else {
+    lines.push(`DTSTART:${formatIcsDateTime(event.start)}`);
+    lines.push(`DTEND:${formatIcsDateTime(event.end || new Date(event.start.getTime() + 60 * 60 * 1000))}`);
+  }
+  lines.push(`SUMMARY:${escapeIcsText(event.title)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+  if (event.geo) lines.push(`GEO:${event.geo.lat.toFixed(6)};${event.geo.lng.toFixed(6)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Serialize events into a complete VCALENDAR document
+export const buildIcsCalendar = (events, { name = 'AIP Real Estate Deals', stamp = new Date() } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    ...events.flatMap(event => buildEventLines(event, stamp)),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldIcsLine).join(CRLF) + CRLF;
+};
@@ -0,0 +1,48 @@
+/**
+ * @jest-environment node
+ */
+import { escapeIcsText, foldIcsLine, formatIcsDateTime, formatIcsDate, buildIcsCalendar } from './ics';
+
+const STAMP = new Date(Date.UTC(2025, 0, 2, 8, 0, 0));
+
+describe('iCalendar text', () => {
+  test('escapes backslashes, separators and newlines', () => {
+    expect(escapeIcsText('Walkthrough; bring keys, lockbox\\code\nCall first')).toBe('Walkthrough\\; bring keys\\, lockbox\\\\code\\nCall first');
+    expect(escapeIcsText(null)).toBe('');
+  });
+
+  test('folds long lines at 75 octets without splitting characters', () => {
+    const line = `DESCRIPTION:${'é'.repeat(60)}`;
+    const parts = foldIcsLine(line).split('\r\n ');
+    expect(parts.length).toBeGreaterThan(1);
+    parts.forEach((part, index) => {
+      expect(Buffer.byteLength(part)).toBeLessThanOrEqual(index === 0 ? 75 : 74);
+    });
+    expect(parts.join('')).toBe(line);
+    expect(foldIcsLine('SUMMARY:Closing')).toBe('SUMMARY:Closing');
+  });
+});
+
+describe('iCalendar dates', () => {
+  test('writes timed events in UTC and all-day events as the local day', () => {
+    expect(formatIcsDateTime(new Date(Date.UTC(2025, 0, 31, 14, 30, 0)))).toBe('20250131T143000Z');
+    expect(formatIcsDate(new Date(2025, 0, 31))).toBe('20250131');
+  });
+});
+
+describe('buildIcsCalendar', () => {
+  test('defaults timed events to an hour and all-day events to one day', () => {
+    const ics = buildIcsCalendar([
+      { uid: 'e1@aip', title: 'Walkthrough', start: new Date(Date.UTC(2025, 0, 31, 14, 30, 0)) },
+      { uid: 'e2@aip', title: 'Closing', start: new Date(2025, 1, 28), allDay: true, geo: { lat: 40, lng: -75 } },
+    ], { stamp: STAMP });
+    const lines = ics.split('\r\n');
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('DTSTAMP:20250102T080000Z');
+    expect(lines).toContain('DTEND:20250131T153000Z');
+    expect(lines).toContain('DTSTART;VALUE=DATE:20250228');
+    expect(lines).toContain('DTEND;VALUE=DATE:20250301');
+    expect(lines).toContain('GEO:40.000000;-75.000000');
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+});
@@ -0,0 +1,55 @@
+// Team workspaces: a shared pipeline that several accounts work from. Each member has one
+// role; the Firestore rules (firestore.rules) enforce the same permissions these helpers
+// use to decide which controls to show.
+
+export const WORKSPACE_ROLES = [
+  { key: 'owner', label: 'Owner', description: 'Manages members and roles, and works every lead.' },
+  { key: 'acquisitions', label: 'Acquisitions', description: 'Adds, edits, assigns and deletes leads, contacts and events.' },
+  { key: 'viewer', label: 'Viewer', description: 'Sees the pipeline without changing it.' },
+];
+
+// Roles an owner can give when inviting; a workspace has exactly one owner
+export const INVITE_ROLES = WORKSPACE_ROLES.filter(({ key }) => key !== 'owner');
+
+// The personal workspace is the user's own data; it has no members and its user is its owner
+export const PERSONAL_WORKSPACE_ID = 'personal';
+
+const ACTIVE_WORKSPACE_STORAGE_KEY = 'aip-active-workspace';
+
+// The workspace chosen in Settings on this browser
+export const loadActiveWorkspaceId = () => {
+  try {
+    return window.localStorage.getItem(ACTIVE_WORKSPACE_STORAGE_KEY) || PERSONAL_WORKSPACE_ID;
+  } catch (e) {
+    console.warn('Could not read the active workspace, using the personal one:', e);
+    return PERSONAL_WORKSPACE_ID;
+  }
+};
+
+export const saveActiveWorkspaceId = (id) => {
+  try {
+    window.localStorage.setItem(ACTIVE_WORKSPACE_STORAGE_KEY, id);
+  } catch (e) {
+    console.warn('Could not persist the active workspace:', e);
+  }
+};
+
+// Saved Deal Flow views stay private to the user who saved them, each tagged with the workspace it
+// filters; views saved before team workspaces existed belong to the personal one
+export const isViewInWorkspace = (view, workspaceId) => (view.workspaceId || PERSONAL_WORKSPACE_ID) === (workspaceId || PERSONAL_WORKSPACE_ID);
+
+export const getRoleLabel = (role) => WORKSPACE_ROLES.find(({ key }) => key === role)?.label || 'Member';
+
+export const canEditWorkspace = (role) => role === 'owner' || role === 'acquisitions';
+
+export const canManageMembers = (role) => role === 'owner';
+
+// Invites are keyed by email, which Firebase Auth compares case-insensitively
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+export const getMemberName = (member) => member.displayName || member.email || 'Former member';
+
+// uid → name for showing assignees and who changed a status; the current user is "You"
+export const buildMemberNames = (members, currentUserId) => Object.fromEntries(
+  members.map(member => [member.uid, member.uid === currentUserId ? 'You' : getMemberName(member)])
+);